@@ -1,5 +1,13 @@
-// Service Worker for Web Push Notifications
+// Service Worker for Web Push Notifications and the offline app shell
 // Boats by George Asset Management
+//
+// The app shell (index.html, built JS/CSS, icons) is cached so the app opens
+// without a connection. Data requests (Supabase) are never cached here - the
+// app keeps its own copy of boats and locations in IndexedDB (offlineStore.js).
+
+// Bump to drop old shell caches
+const SHELL_CACHE = 'bbg-shell-v1';
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/images/favicon.png', '/images/logo.png'];
 
 self.addEventListener('push', (event) => {
   if (!event.data) return;
@@ -50,10 +58,66 @@ self.addEventListener('notificationclick', (event) => {
   );
 });
 
-self.addEventListener('install', () => {
-  self.skipWaiting();
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(clients.claim());
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith('bbg-shell-') && key !== SHELL_CACHE).map((key) => caches.delete(key))
+      ))
+      .then(() => clients.claim())
+  );
+});
+
+// Put a good response in the shell cache without holding up the page
+function cacheResponse(request, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy));
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Only the app's own files - Supabase, Dockmaster etc. go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: network first so a deploy shows up right away, cached index.html when
+  // offline (every route is the same single-page app)
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => cacheResponse('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built assets have hashed names, so a cached copy is always the right one
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached || fetch(request).then((response) => cacheResponse(request, response)))
+    );
+    return;
+  }
+
+  // Everything else (icons, manifest): cached copy now, refreshed in the background
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((response) => cacheResponse(request, response))
+        .catch(() => cached);
+      return cached || network;
+    })
+  );
 });
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Routes, Route, useNavigate, useLocation, Navigate } from 'react-router-dom';
-import { Camera, Package, Settings, Menu, Home, Map, User, LogOut, Anchor, FileText, MessageSquare, Bell } from 'lucide-react';
+import { Camera, Package, Settings, Menu, Home, Map, User, LogOut, Anchor, FileText, MessageSquare, Bell, History, ClipboardCheck, Activity, Truck, DollarSign, CalendarDays } from 'lucide-react';
 
 // Import pages
 import { LoginScreen } from './pages/LoginScreen';
@@ -15,9 +15,18 @@ import { BoatShowPlanner } from './pages/BoatShowPlanner';
 import { ReportsView } from './pages/ReportsView';
 import { RequestsView } from './pages/RequestsView';
 import { AlertsView } from './pages/AlertsView';
+import { MovementHistoryView } from './pages/MovementHistoryView';
+import { WorkLogView } from './pages/WorkLogView';
+import { SyncHealthView } from './pages/SyncHealthView';
+import { DeliveriesView } from './pages/DeliveriesView';
+import { StorageBillingView } from './pages/StorageBillingView';
+import { LaunchCalendarView } from './pages/LaunchCalendarView';
 
 // Import shared components
 import { NavButton } from './components/SharedComponents';
+import { MoveUndoToast } from './components/MoveUndoToast';
+import { OfflineStatusBar } from './components/OfflineStatusBar';
+import { usePermissions } from './hooks/usePermissions';
 import { notificationsService } from './services/supabaseService';
 
 // Touch drag polyfill - makes draggable work on touch devices
@@ -86,10 +95,14 @@ export default function BoatsByGeorgeAssetManager({
   locations = [],
   onAddLocation,
   onUpdateLocation,
+  onUpdateLocationPlacement,
   onDeleteLocation,
   onAssignBoatToSlot,
   onRemoveBoatFromSlot,
   onMoveBoat,
+  moveHistory = [],
+  onUndoMove,
+  onClearMoveHistory,
 
   // Sites
   sites = [],
@@ -121,6 +134,8 @@ export default function BoatsByGeorgeAssetManager({
   onRemoveAttachment,
   onApproveEstimates,
 }) {
+  const { canManageLocations, canSeeCost, isAdmin } = usePermissions();
+
   // UI State
   const [isAuthenticated, setIsAuthenticated] = useState(true);
   const [showMobileMenu, setShowMobileMenu] = useState(false);
@@ -193,11 +208,19 @@ export default function BoatsByGeorgeAssetManager({
       const oldLoc = locations.find(l => l.id === loc.id);
       const changes = {};
       for (const key in loc) {
+        // Occupancy is saved through moves (slot_assignments), not the location row
+        if (key === 'boats' || key === 'pool_boats' || key === 'poolBoats') continue;
         if (JSON.stringify(loc[key]) !== JSON.stringify(oldLoc?.[key])) {
           changes[key] = loc[key];
         }
       }
-      if (Object.keys(changes).length > 0) await onUpdateLocation(loc.id, changes);
+      if (Object.keys(changes).length === 0) continue;
+      try {
+        await onUpdateLocation(loc.id, changes, oldLoc?.version ?? null);
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT') throw error;
+        alert(error.message);
+      }
     }
   };
 
@@ -381,7 +404,21 @@ export default function BoatsByGeorgeAssetManager({
               <NavButton icon={Package} label="Boats" active={currentView === 'boats'} onClick={() => navigate('/boats')} />
               <NavButton icon={Package} label="Inventory" active={currentView === 'inventory'} onClick={() => navigate('/inventory')} />
               <NavButton icon={Anchor} label="Shows" active={currentView === 'shows'} onClick={() => navigate('/shows')} />
+              <NavButton icon={CalendarDays} label="Launches" active={currentView === 'launch-calendar'} onClick={() => navigate('/launch-calendar')} />
+              <NavButton icon={Truck} label="Deliveries" active={currentView === 'deliveries'} onClick={() => navigate('/deliveries')} />
               <NavButton icon={FileText} label="Reports" active={currentView === 'reports'} onClick={() => navigate('/reports')} />
+              {canSeeCost && (
+                <NavButton icon={DollarSign} label="Storage" active={currentView === 'storage-billing'} onClick={() => navigate('/storage-billing')} />
+              )}
+              {canManageLocations && (
+                <NavButton icon={History} label="History" active={currentView === 'history'} onClick={() => navigate('/history')} />
+              )}
+              {canManageLocations && (
+                <NavButton icon={ClipboardCheck} label="Work Log" active={currentView === 'work-log'} onClick={() => navigate('/work-log')} />
+              )}
+              {isAdmin && (
+                <NavButton icon={Activity} label="Sync" active={currentView === 'sync-health'} onClick={() => navigate('/sync-health')} />
+              )}
               <NavButton icon={MessageSquare} label="Requests" active={currentView === 'requests'} onClick={() => navigate('/requests')} />
               <NavButton icon={Camera} label="Scan" active={currentView === 'scan'} onClick={() => navigate('/scan')} />
               {/* Alerts with badge */}
@@ -423,7 +460,13 @@ export default function BoatsByGeorgeAssetManager({
                   { view: 'boats', path: '/boats', icon: Package, label: 'Boats' },
                   { view: 'inventory', path: '/inventory', icon: Package, label: 'Inventory' },
                   { view: 'shows', path: '/shows', icon: Anchor, label: 'Shows' },
+                  { view: 'launch-calendar', path: '/launch-calendar', icon: CalendarDays, label: 'Launch Calendar' },
+                  { view: 'deliveries', path: '/deliveries', icon: Truck, label: 'Deliveries' },
                   { view: 'reports', path: '/reports', icon: FileText, label: 'Reports' },
+                  ...(canSeeCost ? [{ view: 'storage-billing', path: '/storage-billing', icon: DollarSign, label: 'Storage Billing' }] : []),
+                  ...(canManageLocations ? [{ view: 'history', path: '/history', icon: History, label: 'History' }] : []),
+                  ...(canManageLocations ? [{ view: 'work-log', path: '/work-log', icon: ClipboardCheck, label: 'Work Log' }] : []),
+                  ...(isAdmin ? [{ view: 'sync-health', path: '/sync-health', icon: Activity, label: 'Sync Health' }] : []),
                   { view: 'requests', path: '/requests', icon: MessageSquare, label: 'Requests' },
                   { view: 'scan', path: '/scan', icon: Camera, label: 'Scan' },
                   { view: 'alerts', path: '/alerts', icon: Bell, label: 'Alerts', badge: unreadAlertCount },
@@ -448,6 +491,8 @@ export default function BoatsByGeorgeAssetManager({
         </div>
       </nav>
 
+      <OfflineStatusBar />
+
       {/* Main Content */}
       <div className="max-w-[1600px] mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <Routes>
@@ -458,13 +503,14 @@ export default function BoatsByGeorgeAssetManager({
           <Route path="/locations" element={
             <LocationsView locations={locations} sites={sites} boats={getCombinedBoats()} users={users} onUpdateLocations={saveLocations}
               onUpdateBoats={(updatedBoats) => { saveBoats(updatedBoats.filter(b => !b.isInventory)); saveInventoryBoats(updatedBoats.filter(b => b.isInventory)); }}
-              onMoveBoat={onMoveBoat} onAddSite={onAddSite} onUpdateSite={onUpdateSite} onDeleteSite={onDeleteSite} onReorderSites={onReorderSites} />
+              onMoveBoat={onMoveBoat} onUpdateLocationPlacement={onUpdateLocationPlacement}
+              onAddSite={onAddSite} onUpdateSite={onUpdateSite} onDeleteSite={onDeleteSite} onReorderSites={onReorderSites} />
           } />
           <Route path="/boats" element={
             <BoatsView boats={boats} locations={locations} sites={sites} users={users} onUpdateBoats={saveBoats} onMoveBoat={onMoveBoat} dockmasterConfig={dockmasterConfig} />
           } />
           <Route path="/scan" element={
-            <ScanView boats={boats} locations={locations} onUpdateBoats={saveBoats} onUpdateLocations={saveLocations} />
+            <ScanView boats={boats} locations={locations} onUpdateBoats={saveBoats} />
           } />
           <Route path="/myview" element={
             <MyViewEditor locations={locations} sites={sites} boats={getCombinedBoats()} users={users} userPreferences={userPreferences}
@@ -479,9 +525,27 @@ export default function BoatsByGeorgeAssetManager({
           <Route path="/shows" element={
             <BoatShowPlanner inventoryBoats={inventoryBoats} />
           } />
+          <Route path="/launch-calendar" element={
+            <LaunchCalendarView boats={boats} locations={locations} sites={sites} onUpdateSite={onUpdateSite} />
+          } />
+          <Route path="/deliveries" element={
+            <DeliveriesView inventoryBoats={inventoryBoats} currentUser={currentUser} />
+          } />
           <Route path="/reports" element={
             <ReportsView currentUser={currentUser} />
           } />
+          <Route path="/storage-billing" element={
+            <StorageBillingView boats={boats} />
+          } />
+          <Route path="/history" element={
+            <MovementHistoryView boats={getCombinedBoats()} locations={locations} sites={sites} users={users} />
+          } />
+          <Route path="/work-log" element={
+            <WorkLogView boats={getCombinedBoats()} users={users} />
+          } />
+          <Route path="/sync-health" element={
+            <SyncHealthView onSyncInventory={onSyncInventory} onSyncInternalWorkOrders={onSyncInternalWorkOrders} />
+          } />
           <Route path="/settings" element={
             <SettingsView dockmasterConfig={dockmasterConfig} users={users}
               onSaveConfig={onSaveDockmasterConfig} onUpdateUsers={() => console.log('User updates handled by auth system')} onReloadUsers={onReloadUsers} />
@@ -500,6 +564,7 @@ export default function BoatsByGeorgeAssetManager({
               onAttachFile={onAttachFile}
               onRemoveAttachment={onRemoveAttachment}
               onApproveEstimates={onApproveEstimates}
+              onReloadUsers={onReloadUsers}
             />
           } />
           <Route path="/alerts" element={
@@ -519,6 +584,9 @@ export default function BoatsByGeorgeAssetManager({
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </div>
+
+      {/* Undo for this device's boat moves */}
+      <MoveUndoToast moveHistory={moveHistory} onUndoMove={onUndoMove} onClearMoveHistory={onClearMoveHistory} />
     </div>
   );
 }
@@ -7,8 +7,11 @@
 
 import React, { useState, useEffect, useRef } from 'react'
 import { useAuth } from './AuthProvider'
-import supabaseService, { getAllBoatsCombined, boatLifecycleService } from './services/supabaseService'
+import { useOffline } from './OfflineProvider'
+import supabaseService, { getAllBoatsCombined, boatLifecycleService, toPhaseRecord, getBoatRole, BOAT_ROLES, createVersionConflict } from './services/supabaseService'
 import App from './App'
+import { applySlotMove, isSlotTaken, formatSlotLabel } from './components/locations/locationUtils'
+import { offlineStore, cachedFetch, isNetworkError } from './services/offlineStore'
 
 // Debounce helper with cancel capability to prevent rapid-fire API calls
 function createCancellableDebounce(fn, delay) {
@@ -29,6 +32,24 @@ function createCancellableDebounce(fn, delay) {
   return debouncedFn
 }
 
+// Undo history for this device's moves - kept per browser tab so a kiosk
+// auto-refresh doesn't lose it
+const MOVE_HISTORY_KEY = 'bbg-move-history'
+const MOVE_HISTORY_LIMIT = 20
+
+function loadMoveHistory() {
+  try {
+    return JSON.parse(sessionStorage.getItem(MOVE_HISTORY_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+// Name shown for a boat in undo history and the offline queue
+function getBoatLabel(boat) {
+  return boat?.name || [boat?.year, boat?.make, boat?.model].filter(Boolean).join(' ') || 'Boat'
+}
+
 const {
   boats: boatsService,
   inventoryBoats: inventoryBoatsService,
@@ -36,6 +57,7 @@ const {
   sites: sitesService,
   preferences: preferencesService,
   dockmaster: dockmasterService,
+  syncStatus: syncStatusService,
   users: usersService,
   requests: requestsService,
   requestAttachments: requestAttachmentsService,
@@ -43,6 +65,7 @@ const {
 
 function AppContainer() {
   const { user, signOut } = useAuth()
+  const { isOnline, queueChange, reportCachedData, onReplayed } = useOffline()
 
   // State
   const [boats, setBoats] = useState([])
@@ -54,6 +77,7 @@ function AppContainer() {
   const [dockmasterConfig, setDockmasterConfig] = useState(null)
   const [lastInventorySync, setLastInventorySync] = useState(null)
   const [requests, setRequests] = useState([])
+  const [moveHistory, setMoveHistory] = useState(loadMoveHistory)
   const [loading, setLoading] = useState(true)
 
   // Ref to track if a sync is in progress - prevents real-time callbacks from
@@ -75,6 +99,11 @@ function AppContainer() {
   const boatBroadcastChannelRef = useRef(null)
   const broadcastHandlerRef = useRef(null)
 
+  // Persist undo history for the session
+  useEffect(() => {
+    sessionStorage.setItem(MOVE_HISTORY_KEY, JSON.stringify(moveHistory))
+  }, [moveHistory])
+
   // Load all data on mount
   useEffect(() => {
     if (user) {
@@ -82,6 +111,12 @@ function AppContainer() {
     }
   }, [user])
 
+  // Changes queued while offline have been saved - pick up the server's state
+  // Ref keeps the listener pointing at the current loaders
+  const reloadAfterReplayRef = useRef(null)
+  reloadAfterReplayRef.current = () => Promise.all([loadBoats(), loadInventoryBoats(), loadLocations()])
+  useEffect(() => onReplayed(() => reloadAfterReplayRef.current()), [onReplayed])
+
   // Subscribe to real-time updates (optional but recommended)
   // Debounced callbacks prevent connection pool exhaustion during bulk syncs
   useEffect(() => {
@@ -228,8 +263,10 @@ function AppContainer() {
   // Load boats
   const loadBoats = async () => {
     try {
-      const data = await boatsService.getAll()
-      
+      // Falls back to the last saved copy when offline
+      const { data, savedAt } = await cachedFetch('boats', () => boatsService.getAll())
+      reportCachedData('boats', savedAt)
+
       // Transform snake_case DB fields to camelCase for UI
       const transformedData = data.map(boat => ({
         ...boat,
@@ -250,6 +287,7 @@ function AppContainer() {
         customerId: boat.customer_id,
         hullId: boat.hull_id,
         storageBoat: boat.storage_boat ?? false,
+        role: getBoatRole(boat),
         // Seasonal work phases (storage boats only)
         fallStatus: boat.fall_status || 'needs-approval',
         winterStatus: boat.winter_status || 'needs-approval',
@@ -276,6 +314,10 @@ function AppContainer() {
         winterCompletedAt: boat.winter_completed_at || null,
         springCompletedBy: boat.spring_completed_by || null,
         springCompletedAt: boat.spring_completed_at || null,
+        // Completion of admin-defined work phases (see workflowHelpers)
+        customPhases: boat.custom_phases || {},
+        // Assignee, due date and completion stamp per phase
+        phaseRecords: (boat.phase_records || []).map(toPhaseRecord),
       }))
 
       // Only update if data changed (prevents flicker from debounced reloads)
@@ -293,7 +335,8 @@ function AppContainer() {
   // Load inventory boats with retry logic for database timeouts
   const loadInventoryBoats = async (retryCount = 0) => {
     try {
-      const data = await inventoryBoatsService.getAll()
+      const { data, savedAt } = await cachedFetch('inventoryBoats', () => inventoryBoatsService.getAll())
+      reportCachedData('inventoryBoats', savedAt)
 
       // Transform snake_case DB fields to camelCase for UI
       const transformedData = data.map(boat => ({
@@ -316,6 +359,8 @@ function AppContainer() {
         salesStatus: boat.sales_status,
         lastSynced: boat.last_synced,
         isInventory: true, // Mark as inventory boat
+        role: BOAT_ROLES.INVENTORY,
+        phaseRecords: (boat.phase_records || []).map(toPhaseRecord),
       }))
 
       // Only update if data changed (prevents flicker from debounced reloads)
@@ -340,7 +385,8 @@ function AppContainer() {
   // Load locations
   const loadLocations = async () => {
     try {
-      const data = await locationsService.getAll()
+      const { data, savedAt } = await cachedFetch('locations', () => locationsService.getAll())
+      reportCachedData('locations', savedAt)
       // Only update if data changed (prevents flicker from debounced reloads)
       setLocations(prevLocations => {
         if (JSON.stringify(prevLocations) === JSON.stringify(data)) {
@@ -441,6 +487,25 @@ function AppContainer() {
     }
   }
 
+  // Offline (or the connection dropped mid-save): show the change now and queue it
+  // The values it replaces go with it, so replay can tell if someone else changed them meanwhile
+  const queueBoatUpdate = async (boatId, updates, updateData, isInventory) => {
+    const knownBoat = (isInventory ? inventoryBoats : boats).find(b => b.id === boatId)
+    const baseline = Object.fromEntries(Object.keys(updateData).map(field => [field, knownBoat?.[field] ?? null]))
+    const fields = Object.keys(updateData).map(field => field.replace(/_/g, ' ')).join(', ')
+
+    await queueChange(
+      'updateBoat',
+      { boatId, isInventory, updateData, baseline },
+      `${getBoatLabel(knownBoat)}: ${fields}`
+    )
+
+    const setBoatsFunc = isInventory ? setInventoryBoats : setBoats
+    setBoatsFunc(prevBoats => prevBoats.map(boat =>
+      boat.id === boatId ? { ...boat, ...updates, ...updateData } : boat
+    ))
+  }
+
   const handleUpdateBoat = async (boatId, updates) => {
     try {
       // Filter out fields that don't belong in boats table or would conflict
@@ -448,6 +513,7 @@ function AppContainer() {
         sales_status, 
         last_synced, 
         isInventory,
+        role,
         // UI-only fields that shouldn't be saved
         currentLocation,
         currentSlot,
@@ -494,6 +560,8 @@ function AppContainer() {
         winterCompletedAt,
         springCompletedBy,
         springCompletedAt,
+        customPhases,
+        phaseRecords,
         // Also remove snake_case versions (we'll add them back correctly)
         qr_code,
         nfc_tag,
@@ -536,6 +604,8 @@ function AppContainer() {
         winter_completed_at,
         spring_completed_by,
         spring_completed_at,
+        custom_phases,
+        phase_records,
         ...cleanUpdates
       } = updates
       
@@ -588,9 +658,19 @@ function AppContainer() {
       if ('winterCompletedAt' in updates) updateData.winter_completed_at = updates.winterCompletedAt;
       if ('springCompletedBy' in updates) updateData.spring_completed_by = updates.springCompletedBy;
       if ('springCompletedAt' in updates) updateData.spring_completed_at = updates.springCompletedAt;
-
-      await boatsService.update(boatId, updateData)
-      await loadBoats()
+      // Admin-defined work phases
+      if ('customPhases' in updates) updateData.custom_phases = updates.customPhases;
+
+      if (isOnline) {
+        try {
+          await boatsService.update(boatId, updateData)
+          await loadBoats()
+          return
+        } catch (error) {
+          if (!isNetworkError(error)) throw error
+        }
+      }
+      await queueBoatUpdate(boatId, updates, updateData, false)
     } catch (error) {
       console.error('Error updating boat:', error)
       throw error
@@ -636,6 +716,7 @@ function AppContainer() {
       // Filter out fields that don't belong in database
       const {
         isInventory,
+        role,
         // UI-only fields
         currentLocation,
         currentSlot,
@@ -657,6 +738,7 @@ function AppContainer() {
         hullId,
         salesStatus,
         lastSynced,
+        phaseRecords,
         // Also remove snake_case versions (we'll add them back correctly)
         qr_code,
         nfc_tag,
@@ -675,6 +757,7 @@ function AppContainer() {
         hull_id,
         sales_status,
         last_synced,
+        phase_records,
         // Don't update location/slot here - use handleMoveBoat for that
         location,
         slot,
@@ -700,9 +783,17 @@ function AppContainer() {
 
       // Only update if there are fields to update
       if (Object.keys(updateData).length > 0) {
-        console.log('Inventory boat update - sending to DB:', updateData);
-        await inventoryBoatsService.update(boatId, updateData)
-        await loadInventoryBoats()
+        if (isOnline) {
+          try {
+            console.log('Inventory boat update - sending to DB:', updateData);
+            await inventoryBoatsService.update(boatId, updateData)
+            await loadInventoryBoats()
+            return
+          } catch (error) {
+            if (!isNetworkError(error)) throw error
+          }
+        }
+        await queueBoatUpdate(boatId, updates, updateData, true)
       }
     } catch (error) {
       console.error('Error updating inventory boat:', error)
@@ -710,7 +801,15 @@ function AppContainer() {
     }
   }
 
+  // Record an inventory sync run for the Sync Health page - never fails the sync itself
+  const recordInventorySyncRun = (run) => {
+    syncStatusService.recordRun('inventory', run)
+      .catch(err => console.error('Error recording inventory sync status:', err))
+  }
+
   const handleSyncInventory = async (fullSync = false) => {
+    const startTime = Date.now()
+
     // Set flag to prevent real-time subscription callbacks from trying to reload
     // while database is busy with bulk operations
     syncInProgressRef.current = true
@@ -804,6 +903,7 @@ function AppContainer() {
 
       // Update the last sync time
       await dockmasterService.updateLastSync()
+      recordInventorySyncRun({ status: 'success', recordsSynced: result.boats?.length || 0, durationMs: Date.now() - startTime })
 
       // Cancel any pending debounced calls that may have queued during sync
       // This prevents them from firing after we clear the sync flag
@@ -850,6 +950,7 @@ function AppContainer() {
         }
       }, 1000)
       console.error('Error syncing inventory:', error)
+      recordInventorySyncRun({ status: 'error', errorMessage: error.message, durationMs: Date.now() - startTime })
       throw error
     }
   }
@@ -891,19 +992,9 @@ function AppContainer() {
   const handleAddLocation = async (locationData) => {
     try {
       // Remove id if present - let database auto-generate UUID
-      // Also remove poolBoats (camelCase) and undefined values
-      const { id, poolBoats, pool_boats, ...dataToSave } = locationData
-      
-      const cleanData = {
-        ...dataToSave,
-        boats: dataToSave.boats || {},
-      }
-      
-      // Only include pool_boats for pool type locations
-      if (locationData.type === 'pool') {
-        cleanData.pool_boats = pool_boats || []
-      }
-      
+      // Also drop occupancy - it lives in slot_assignments, so a new location starts empty
+      const { id, boats, poolBoats, pool_boats, ...cleanData } = locationData
+
       await locationsService.create(cleanData)
       await loadLocations()
     } catch (error) {
@@ -912,12 +1003,24 @@ function AppContainer() {
     }
   }
 
-  const handleUpdateLocation = async (locationId, updates) => {
+  const handleUpdateLocation = async (locationId, updates, expectedVersion = null) => {
     try {
-      await locationsService.update(locationId, updates)
+      await locationsService.update(locationId, updates, expectedVersion)
       await loadLocations()
     } catch (error) {
       console.error('Error updating location:', error)
+      // Someone else edited it first - show their version
+      if (error.code === 'VERSION_CONFLICT') await loadLocations()
+      throw error
+    }
+  }
+
+  const handleUpdateLocationPlacement = async (locationId, placement) => {
+    try {
+      await locationsService.updateMapPlacement(locationId, placement)
+      await loadLocations()
+    } catch (error) {
+      console.error('Error updating location placement:', error)
       throw error
     }
   }
@@ -966,52 +1069,19 @@ function AppContainer() {
 
   // Optimistic update helper - updates UI immediately before database call
   // This makes drag-and-drop feel instant instead of waiting for DB round-trip
-  const applyOptimisticMove = (boatId, fromLocationId, fromSlotId, toLocationId, toSlotId, isInventory) => {
-    // Update locations state - remove from old location, add to new location
-    setLocations(prevLocations => {
-      return prevLocations.map(location => {
-        let updatedLocation = location
-        const isSourceLocation = location.id === fromLocationId
-        const isTargetLocation = location.id === toLocationId
-
-        // Remove boat from source location (either from boats object or pool_boats array)
-        if (isSourceLocation) {
-          if (fromSlotId === 'pool') {
-            // Remove from pool_boats array
-            const newPoolBoats = (updatedLocation.pool_boats || []).filter(id => id !== boatId)
-            updatedLocation = { ...updatedLocation, pool_boats: newPoolBoats }
-          } else if (updatedLocation.boats) {
-            // Remove from boats object
-            const newBoats = { ...updatedLocation.boats }
-            delete newBoats[fromSlotId]
-            updatedLocation = { ...updatedLocation, boats: newBoats }
-          }
-        }
-
-        // Add boat to target location (either to boats object or pool_boats array)
-        // This can be the same location as source (moving within same location)
-        if (isTargetLocation) {
-          if (toSlotId === 'pool') {
-            // Add to pool_boats array
-            const newPoolBoats = [...(updatedLocation.pool_boats || []), boatId]
-            updatedLocation = { ...updatedLocation, pool_boats: newPoolBoats }
-          } else {
-            // Add to boats object
-            const newBoats = { ...(updatedLocation.boats || {}), [toSlotId]: boatId }
-            updatedLocation = { ...updatedLocation, boats: newBoats }
-          }
-        }
+  // Mirrors move_boat_to_slot: the boat leaves whatever slot it holds, then takes the target
+  const applyOptimisticMove = (boatId, toLocationId, toSlotId, isInventory) => {
+    const toLocation = locations.find(l => l.id === toLocationId)
+    const slot = toLocation?.type === 'pool' ? 'pool' : (toLocationId ? toSlotId : null)
 
-        return updatedLocation
-      })
-    })
+    setLocations(prevLocations => applySlotMove(prevLocations, boatId, toLocationId, slot))
 
     // Update boats state - change location and slot on the boat record
     const setBoatsFunc = isInventory ? setInventoryBoats : setBoats
     setBoatsFunc(prevBoats => {
       return prevBoats.map(boat => {
         if (boat.id === boatId) {
-          return { ...boat, location: toLocationId, slot: toSlotId }
+          return { ...boat, location: toLocation?.name || null, slot }
         }
         return boat
       })
@@ -1023,8 +1093,6 @@ function AppContainer() {
     console.log('[Broadcast] Applying remote boat change')
     applyOptimisticMove(
       payload.boatId,
-      payload.fromLocationId,
-      payload.fromSlotId,
       payload.toLocationId,
       payload.toSlotId,
       payload.isInventory
@@ -1037,7 +1105,8 @@ function AppContainer() {
     toSlotId,
     isInventory = false,
     dragFromLocationId = null,  // Optional: from drag hook (avoids stale state on rapid moves)
-    dragFromSlotId = null       // Optional: from drag hook
+    dragFromSlotId = null,      // Optional: from drag hook
+    { notes = null, recordUndo = true } = {}
   ) => {
     // Handle both boat object and boatId string
     const boatId = typeof boatOrBoatId === 'object' ? boatOrBoatId.id : boatOrBoatId;
@@ -1047,43 +1116,66 @@ function AppContainer() {
       ? toLocationOrId?.id
       : toLocationOrId;
 
-    // Detect isInventory from boat object if not explicitly passed
-    const isInventoryBoat = typeof boatOrBoatId === 'object' && boatOrBoatId.isInventory === true
-      ? true
-      : isInventory;
+    // A boat object's role decides the table; plain IDs rely on the isInventory argument
+    const isInventoryBoat = (typeof boatOrBoatId === 'object' && getBoatRole(boatOrBoatId) === BOAT_ROLES.INVENTORY)
+      || isInventory;
 
-    // Find current boat location before move (for optimistic update)
-    // Use drag hook's values if provided (source of truth, avoids stale React state on rapid moves)
-    // Otherwise search locations (fallback for non-drag moves)
+    // Source slot is only needed for the broadcast payload / logging
+    // Use drag hook's values if provided (avoids stale React state on rapid moves)
     let fromLocationId = dragFromLocationId
     let fromSlotId = dragFromSlotId
 
     if (!fromLocationId) {
-      for (const location of locations) {
-        // Check grid slots (location.boats is an object: { "0-1": boatId, ... })
-        if (location.boats) {
-          const slotEntry = Object.entries(location.boats).find(([slot, id]) => id === boatId)
-          if (slotEntry) {
-            fromLocationId = location.id
-            fromSlotId = slotEntry[0]
-            break
-          }
-        }
-        // Check pool (location.pool_boats is an array of boat IDs)
-        if (location.pool_boats?.includes(boatId)) {
-          fromLocationId = location.id
-          fromSlotId = 'pool'
-          break
-        }
-      }
+      const fromLocation = locations.find(location =>
+        Object.values(location.boats || {}).includes(boatId) || location.pool_boats?.includes(boatId)
+      )
+      fromLocationId = fromLocation?.id || null
+      fromSlotId = fromLocation?.type === 'pool'
+        ? 'pool'
+        : Object.keys(fromLocation?.boats || {}).find(slot => fromLocation.boats[slot] === boatId) || null
+    }
+
+    // Don't optimistically stack two boats in one slot - the database would reject it anyway
+    const toLocation = locations.find(l => l.id === toLocationId)
+    // Same error code as the database rejecting it, so callers show the same message
+    if (isSlotTaken(toLocation, toSlotId, boatId)) {
+      const slotName = `${toLocation.name}${toSlotId && toSlotId !== 'pool' ? ` ${formatSlotLabel(toSlotId)}` : ''}`
+      throw createVersionConflict(
+        `${slotName} is already taken by another boat. Your move was not saved.`,
+        { type: 'slot-taken', boatId, occupantId: null, movement: null }
+      )
     }
 
     console.log('[AppContainer.handleMoveBoat] Called with:', {
       boatId, toLocationId, toSlotId, isInventoryBoat, fromLocationId, fromSlotId
     })
 
+    // Version of the boat as this device last saw it - the move is rejected if it changed since
+    const knownBoat = (isInventoryBoat ? inventoryBoats : boats).find(b => b.id === boatId)
+    const expectedVersion = knownBoat?.version ?? null
+
     // OPTIMISTIC UPDATE: Update UI immediately for instant feedback
-    applyOptimisticMove(boatId, fromLocationId, fromSlotId, toLocationId, toSlotId, isInventoryBoat)
+    applyOptimisticMove(boatId, toLocationId, toSlotId, isInventoryBoat)
+
+    // OFFLINE: keep the move on screen and queue it - replay sends the version seen
+    // now, so a boat someone else moved in the meantime comes back as a conflict
+    const queueMove = async () => {
+      await queueChange(
+        'move',
+        { boatId, toLocationId, toSlotId, isInventory: isInventoryBoat, notes, expectedVersion },
+        `Move ${getBoatLabel(knownBoat)} to ${toLocation?.name || 'unassigned'}`
+      )
+      // move_boat_to_slot bumps the version once per move, so a second queued move
+      // of the same boat expects the version the first one will leave behind
+      if (expectedVersion != null) {
+        const setBoatsFunc = isInventoryBoat ? setInventoryBoats : setBoats
+        setBoatsFunc(prevBoats => prevBoats.map(boat =>
+          boat.id === boatId ? { ...boat, version: expectedVersion + 1 } : boat
+        ))
+      }
+      return { queued: true }
+    }
+    if (!isOnline) return queueMove()
 
     // BROADCAST: Notify other devices immediately (before DB call completes)
     // This provides <100ms cross-device sync vs 2s debounced database polling
@@ -1098,21 +1190,54 @@ function AppContainer() {
 
     try {
       // Database call runs in background - UI already updated
-      await supabaseService.moveBoatWithHistory(
+      const result = await supabaseService.moveBoatWithHistory(
         boatId,
         toLocationId,
         toSlotId,
         user?.id,
-        isInventoryBoat
+        isInventoryBoat,
+        notes,
+        expectedVersion
       )
       console.log('[AppContainer.handleMoveBoat] Move and logging complete')
 
+      // Keep our copy's version current so the next move of this boat isn't flagged as a conflict
+      if (result.version != null) {
+        const setBoatsFunc = isInventoryBoat ? setInventoryBoats : setBoats
+        setBoatsFunc(prevBoats => prevBoats.map(boat =>
+          boat.id === boatId ? { ...boat, version: result.version } : boat
+        ))
+      }
+
+      // Remember where it came from (as recorded in boat_movements) so it can be undone
+      if (recordUndo) {
+        const entry = {
+          id: result.movementId || `${boatId}-${Date.now()}`,
+          boatId,
+          boatName: getBoatLabel(knownBoat),
+          isInventory: isInventoryBoat,
+          fromLocation: result.fromLocation,
+          fromSlot: result.fromSlot,
+          toLocation: result.toLocation,
+          toSlot: result.toSlot,
+          movedAt: new Date().toISOString(),
+          undone: false,
+        }
+        setMoveHistory(prev => [entry, ...prev].slice(0, MOVE_HISTORY_LIMIT))
+      }
+
       // Success! No need to reload - optimistic update was correct
       // Real-time subscriptions will sync any changes from other users
     } catch (error) {
+      if (isNetworkError(error)) {
+        console.log('[AppContainer.handleMoveBoat] Connection lost, queueing move')
+        return queueMove()
+      }
+
       console.error('Error moving boat, reverting optimistic update:', error)
 
       // REVERT: Reload from database to get correct state
+      // On a VERSION_CONFLICT, error.message says who moved it and where - callers show it
       if (isInventoryBoat) {
         await loadInventoryBoats()
       } else {
@@ -1124,6 +1249,41 @@ function AppContainer() {
     }
   }
 
+  // Put a boat back where one of this session's moves took it from
+  // Goes through handleMoveBoat, so a boat moved since (or a refilled slot) is a conflict
+  const handleUndoMove = async (entryId) => {
+    const entry = moveHistory.find(e => e.id === entryId)
+    if (!entry || entry.undone) return
+
+    const newerMove = moveHistory.find(e => e.boatId === entry.boatId && !e.undone && e.movedAt > entry.movedAt)
+    if (newerMove) {
+      throw new Error(`${entry.boatName} has been moved again since - undo the later move first`)
+    }
+
+    let fromLocation = null
+    if (entry.fromLocation) {
+      fromLocation = locations.find(l => l.name === entry.fromLocation)
+      if (!fromLocation) {
+        throw new Error(`${entry.fromLocation} no longer exists`)
+      }
+    }
+
+    const undoneTo = entry.toLocation || 'unassigned'
+    await handleMoveBoat(
+      entry.boatId,
+      fromLocation?.id || null,
+      fromLocation ? entry.fromSlot : null,
+      entry.isInventory,
+      null,
+      null,
+      { notes: `Undo of move to ${undoneTo}`, recordUndo: false }
+    )
+
+    setMoveHistory(prev => prev.map(e => e.id === entryId ? { ...e, undone: true } : e))
+  }
+
+  const handleClearMoveHistory = () => setMoveHistory([])
+
   // ============================================================================
   // SITES OPERATIONS
   // ============================================================================
@@ -1298,10 +1458,11 @@ function AppContainer() {
     }
   }
 
-  const handleApproveEstimates = async (requestId, hash) => {
+  const handleApproveEstimates = async (requestId, estimates) => {
     try {
-      await requestsService.approveEstimates(requestId, user?.id, hash)
+      const approvalData = await requestsService.approveEstimates(requestId, user?.id, estimates)
       await loadRequests()
+      return approvalData
     } catch (error) {
       console.error('Error approving estimates:', error)
       throw error
@@ -1327,7 +1488,7 @@ function AppContainer() {
     <App
       // User
       currentUser={user}
-      onSignOut={signOut}
+      onSignOut={async () => { setMoveHistory([]); await offlineStore.clear(); await signOut() }}
 
       // Boats
       boats={boats}
@@ -1348,10 +1509,14 @@ function AppContainer() {
       locations={locations}
       onAddLocation={handleAddLocation}
       onUpdateLocation={handleUpdateLocation}
+      onUpdateLocationPlacement={handleUpdateLocationPlacement}
       onDeleteLocation={handleDeleteLocation}
       onAssignBoatToSlot={handleAssignBoatToSlot}
       onRemoveBoatFromSlot={handleRemoveBoatFromSlot}
       onMoveBoat={handleMoveBoat}
+      moveHistory={moveHistory}
+      onUndoMove={handleUndoMove}
+      onClearMoveHistory={handleClearMoveHistory}
 
       // Sites
       sites={sites}
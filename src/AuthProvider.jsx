@@ -8,6 +8,8 @@
 import React, { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react'
 import { supabase } from './supabaseClient'
 import { authService } from './services/supabaseService'
+import { offlineStore, isNetworkError } from './services/offlineStore'
+import { SLA_MANAGER_ROLES } from './utils/requestSla'
 
 // Create context
 const AuthContext = createContext({})
@@ -251,11 +253,23 @@ export const AuthProvider = ({ children }) => {
       console.log('✓ User profile loaded:', data)
       setUser(data)
       loadingProfileRef.current = false
+      // Kept so the app can still open without a connection
+      offlineStore.saveSnapshot('profile', data)
       return data
     } catch (error) {
       console.error('Failed to load user profile:', error)
       loadingProfileRef.current = false
 
+      // Offline - carry on as the profile last loaded on this device
+      if (isNetworkError(error)) {
+        const cached = await offlineStore.getSnapshot('profile')
+        if (cached?.data?.auth_id === authId) {
+          console.log('Offline - using profile saved at', cached.savedAt)
+          setUser(cached.data)
+          return cached.data
+        }
+      }
+
       // Retry up to 2 times for timeout/network errors (reduced from 3)
       if (retryCount < 2 && (error.message?.includes('timeout') || error.code === 'PGRST000')) {
         console.log(`Retrying user profile load (attempt ${retryCount + 2}/3)...`)
@@ -408,6 +422,10 @@ export const AuthProvider = ({ children }) => {
       canDeleteBoats: role === 'admin' || role === 'manager' || role === 'sales-manager',
       // Only Sales Managers, Sales, and Admins can create service requests
       canCreateRequests: role === 'admin' || role === 'sales-manager' || role === 'sales',
+      // Service managers and techs book requests onto a day and technician
+      canScheduleRequests: role === 'admin' || role === 'manager' || role === 'service',
+      // Managers pick who gets a request's SLA escalations
+      canAssignRequestManager: SLA_MANAGER_ROLES.includes(role),
       hasRole: (...roles) => roles.includes(role),
     };
   }, [user?.role]);
@@ -0,0 +1,254 @@
+// ============================================================================
+// OFFLINE PROVIDER
+// ============================================================================
+// Tracks connectivity and the queue of changes made without a connection
+// (boat moves, boat updates such as phase toggles, boat notes). Queued changes
+// are stored in IndexedDB (see offlineStore) and replayed in order through the
+// same services the online path uses once the device is back online.
+// Each change belongs to the user who made it: the queue survives sign-out,
+// but is only shown and replayed while that user is signed in.
+//
+// Replay never overwrites someone else's change silently:
+//   - moves carry the boat version seen when queued (move_boat_to_slot rejects stale ones)
+//   - updates carry the values they replace; if the server has moved on, the
+//     change is held as a conflict for the user to keep or discard
+// ============================================================================
+
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react'
+import { useAuth } from './AuthProvider'
+import supabaseService, { boatNotesService } from './services/supabaseService'
+import { offlineStore, isNetworkError } from './services/offlineStore'
+
+const { boats: boatsService, inventoryBoats: inventoryBoatsService } = supabaseService
+
+// JSON with sorted keys, so jsonb columns compare equal whatever their key order
+function stableStringify(value) {
+  if (value === undefined) return 'null'
+  if (value === null || typeof value !== 'object') return JSON.stringify(value)
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+}
+
+const sameValue = (a, b) => stableStringify(a ?? null) === stableStringify(b ?? null)
+
+// A queued change the server no longer agrees with
+export class QueuedChangeConflict extends Error {
+  constructor(message, fields = []) {
+    super(message)
+    this.name = 'QueuedChangeConflict'
+    this.fields = fields
+  }
+}
+
+// Apply one queued change; force skips the conflict checks ("keep mine")
+async function applyQueuedChange(op, { force = false } = {}) {
+  const { payload } = op
+
+  switch (op.type) {
+    case 'move':
+      await supabaseService.moveBoatWithHistory(
+        payload.boatId,
+        payload.toLocationId,
+        payload.toSlotId,
+        op.userId,
+        payload.isInventory,
+        payload.notes,
+        force ? null : payload.expectedVersion
+      )
+      return
+
+    case 'updateBoat': {
+      const service = payload.isInventory ? inventoryBoatsService : boatsService
+      if (!force) {
+        // Fields someone else changed since this device last saw them
+        const current = await service.getById(payload.boatId)
+        const fields = Object.keys(payload.updateData).filter(field =>
+          !sameValue(current[field], payload.baseline[field]) &&
+          !sameValue(current[field], payload.updateData[field])
+        ).map(field => ({ field, theirs: current[field] ?? null, yours: payload.updateData[field] ?? null }))
+
+        if (fields.length > 0) {
+          throw new QueuedChangeConflict(`Changed by someone else while you were offline: ${fields.map(f => f.field).join(', ')}`, fields)
+        }
+      }
+      await service.update(payload.boatId, payload.updateData)
+      return
+    }
+
+    case 'addNote':
+      if (payload.isInventory) {
+        await boatNotesService.addToInventoryBoat(payload.boatId, op.userId, payload.message)
+      } else {
+        await boatNotesService.addToBoat(payload.boatId, op.userId, payload.message)
+      }
+      return
+
+    default:
+      throw new Error(`Unknown queued change type: ${op.type}`)
+  }
+}
+
+const OfflineContext = createContext({
+  isOnline: true,
+  pendingChanges: [],
+  conflicts: [],
+  replaying: false,
+  cachedDataAt: null,
+  queueChange: async () => {},
+  replayQueue: async () => {},
+  resolveConflict: async () => {},
+  reportCachedData: () => {},
+  onReplayed: () => () => {},
+})
+
+// Custom hook to use offline context
+export const useOffline = () => useContext(OfflineContext)
+
+// Offline Provider Component
+export const OfflineProvider = ({ children }) => {
+  const { user } = useAuth()
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+  const [queue, setQueue] = useState([])
+  const [replaying, setReplaying] = useState(false)
+  const [cachedSnapshots, setCachedSnapshots] = useState({})
+  const replayingRef = useRef(false)
+  const replayListenersRef = useRef(new Set())
+
+  const userId = user?.id
+
+  // Queued changes made by the signed-in user, oldest first
+  const getOwnQueue = useCallback(async () => {
+    if (!userId) return []
+    return (await offlineStore.getQueue()).filter(op => op.userId === userId)
+  }, [userId])
+
+  const refreshQueue = useCallback(async () => {
+    setQueue(await getOwnQueue())
+  }, [getOwnQueue])
+
+  useEffect(() => {
+    refreshQueue()
+  }, [refreshQueue])
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true)
+    const goOffline = () => setIsOnline(false)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+    }
+  }, [])
+
+  // Save a change for later - payload depends on type (see applyQueuedChange)
+  // label is what the status bar shows, e.g. "Move Sea Ray 240 to Shop A"
+  const queueChange = useCallback(async (type, payload, label) => {
+    await offlineStore.enqueue({ type, payload, label, userId: userId || null })
+    await refreshQueue()
+  }, [userId, refreshQueue])
+
+  // Register a callback to run after a replay (e.g. reload boats); returns an unsubscribe
+  const onReplayed = useCallback((listener) => {
+    replayListenersRef.current.add(listener)
+    return () => replayListenersRef.current.delete(listener)
+  }, [])
+
+  // Replay pending changes in order; stops at the first one that fails for lack
+  // of a connection so the order is kept for the next try
+  const replayQueue = useCallback(async () => {
+    if (replayingRef.current) return
+    replayingRef.current = true
+    setReplaying(true)
+
+    // Applied or conflicted - either way the screen should show the server's state again
+    let processed = 0
+    try {
+      const pending = (await getOwnQueue()).filter(op => op.status === 'pending')
+      for (const op of pending) {
+        try {
+          await applyQueuedChange(op)
+          await offlineStore.removeQueued(op.id)
+          processed++
+        } catch (error) {
+          if (isNetworkError(error)) {
+            console.log('[Offline] Still offline, replay paused')
+            break
+          }
+          console.warn('[Offline] Queued change conflicted:', op, error)
+          await offlineStore.updateQueued({
+            ...op,
+            status: 'conflict',
+            conflict: { message: error.message, fields: error.fields || [] },
+          })
+          processed++
+        }
+      }
+    } finally {
+      replayingRef.current = false
+      setReplaying(false)
+      await refreshQueue()
+      if (processed > 0) replayListenersRef.current.forEach(listener => listener())
+    }
+  }, [getOwnQueue, refreshQueue])
+
+  // Keep mine (apply without the conflict check) or discard a conflicted change
+  const resolveConflict = useCallback(async (id, resolution) => {
+    const op = queue.find(item => item.id === id)
+    if (!op) return
+
+    if (resolution === 'keep') {
+      try {
+        await applyQueuedChange(op, { force: true })
+      } catch (error) {
+        await offlineStore.updateQueued({ ...op, conflict: { ...op.conflict, message: error.message } })
+        await refreshQueue()
+        throw error
+      }
+      replayListenersRef.current.forEach(listener => listener())
+    }
+    await offlineStore.removeQueued(id)
+    await refreshQueue()
+  }, [queue, refreshQueue])
+
+  // Loaders report whether they fell back to a snapshot (savedAt) or got fresh data (null)
+  const reportCachedData = useCallback((key, savedAt) => {
+    setCachedSnapshots(prev => (prev[key] === savedAt ? prev : { ...prev, [key]: savedAt }))
+  }, [])
+
+  const pendingChanges = useMemo(() => queue.filter(op => op.status === 'pending'), [queue])
+  const conflicts = useMemo(() => queue.filter(op => op.status === 'conflict'), [queue])
+
+  // Replay as soon as the connection is back (and on load, for changes left from last time)
+  const hasPendingChanges = pendingChanges.length > 0
+  useEffect(() => {
+    if (isOnline && userId && hasPendingChanges) replayQueue()
+  }, [isOnline, userId, hasPendingChanges, replayQueue])
+
+  // Oldest snapshot currently on screen
+  const cachedDataAt = useMemo(() => {
+    const times = Object.values(cachedSnapshots).filter(Boolean).sort()
+    return times[0] || null
+  }, [cachedSnapshots])
+
+  const value = useMemo(() => ({
+    isOnline,
+    pendingChanges,
+    conflicts,
+    replaying,
+    cachedDataAt,
+    queueChange,
+    replayQueue,
+    resolveConflict,
+    reportCachedData,
+    onReplayed,
+  }), [isOnline, pendingChanges, conflicts, replaying, cachedDataAt, queueChange, replayQueue, resolveConflict, reportCachedData, onReplayed])
+
+  return (
+    <OfflineContext.Provider value={value}>
+      {children}
+    </OfflineContext.Provider>
+  )
+}
+
+export default OfflineProvider
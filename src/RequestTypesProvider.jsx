@@ -0,0 +1,66 @@
+// ============================================================================
+// REQUEST TYPES PROVIDER
+// ============================================================================
+// Loads the admin-defined service request types and their status pipelines
+// and shares them with the requests board, modals and alerts. Falls back to
+// the shipped rigging/prep types until they load, or if the table isn't
+// there yet.
+// ============================================================================
+
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react'
+import { requestTypesService, subscriptions } from './services/supabaseService'
+import { DEFAULT_REQUEST_TYPES, normalizeRequestType, findRequestType } from './utils/requestPipelines'
+
+const buildRequestTypes = (definitions = DEFAULT_REQUEST_TYPES) =>
+  (definitions.length > 0 ? definitions : DEFAULT_REQUEST_TYPES).map(normalizeRequestType)
+
+const RequestTypesContext = createContext({
+  requestTypes: buildRequestTypes(),
+  activeRequestTypes: buildRequestTypes(),
+  getRequestType: (key) => findRequestType(buildRequestTypes(), key),
+  saveRequestType: async () => {},
+})
+
+// Custom hook to use request types context
+export const useRequestTypes = () => useContext(RequestTypesContext)
+
+// Request Types Provider Component
+export const RequestTypesProvider = ({ children }) => {
+  const [requestTypes, setRequestTypes] = useState(() => buildRequestTypes())
+
+  const loadRequestTypes = useCallback(async () => {
+    try {
+      const definitions = await requestTypesService.getAll()
+      setRequestTypes(buildRequestTypes(definitions))
+    } catch (error) {
+      console.error('Error loading request types, using defaults:', error)
+    }
+  }, [])
+
+  // Load on mount and follow admin edits made on other devices
+  useEffect(() => {
+    loadRequestTypes()
+    const channel = subscriptions.subscribeToRequestTypes(() => loadRequestTypes())
+    return () => subscriptions.unsubscribe(channel)
+  }, [loadRequestTypes])
+
+  const saveRequestType = useCallback(async (definition, userId) => {
+    await requestTypesService.save(definition, userId)
+    await loadRequestTypes()
+  }, [loadRequestTypes])
+
+  const value = useMemo(() => ({
+    requestTypes,
+    activeRequestTypes: requestTypes.filter(type => type.is_active),
+    getRequestType: (key) => findRequestType(requestTypes, key),
+    saveRequestType,
+  }), [requestTypes, saveRequestType])
+
+  return (
+    <RequestTypesContext.Provider value={value}>
+      {children}
+    </RequestTypesContext.Provider>
+  )
+}
+
+export default RequestTypesProvider
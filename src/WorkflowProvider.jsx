@@ -0,0 +1,63 @@
+// ============================================================================
+// WORKFLOW PROVIDER
+// ============================================================================
+// Loads the admin-defined work phase/status workflows (one per boat category)
+// and shares them with every card, filter and modal. Falls back to the
+// shipped defaults until they load, or if the table isn't there yet.
+// ============================================================================
+
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react'
+import { workflowService, subscriptions } from './services/supabaseService'
+import { WORKFLOW_CATEGORIES, normalizeWorkflow, getWorkflowCategory } from './utils/workflowHelpers'
+
+const buildWorkflows = (definitions = {}) =>
+  Object.fromEntries(WORKFLOW_CATEGORIES.map(category => [category, normalizeWorkflow(category, definitions[category])]))
+
+const WorkflowContext = createContext({
+  workflows: buildWorkflows(),
+  getWorkflowForBoat: (boat) => buildWorkflows()[getWorkflowCategory(boat)],
+  saveWorkflow: async () => {},
+})
+
+// Custom hook to use workflow context
+export const useWorkflows = () => useContext(WorkflowContext)
+
+// Workflow Provider Component
+export const WorkflowProvider = ({ children }) => {
+  const [workflows, setWorkflows] = useState(() => buildWorkflows())
+
+  const loadWorkflows = useCallback(async () => {
+    try {
+      const definitions = await workflowService.getAll()
+      setWorkflows(buildWorkflows(definitions))
+    } catch (error) {
+      console.error('Error loading workflow definitions, using defaults:', error)
+    }
+  }, [])
+
+  // Load on mount and follow admin edits made on other devices
+  useEffect(() => {
+    loadWorkflows()
+    const channel = subscriptions.subscribeToWorkflows(() => loadWorkflows())
+    return () => subscriptions.unsubscribe(channel)
+  }, [loadWorkflows])
+
+  const saveWorkflow = useCallback(async (category, definition, userId) => {
+    await workflowService.save(category, definition, userId)
+    await loadWorkflows()
+  }, [loadWorkflows])
+
+  const value = useMemo(() => ({
+    workflows,
+    getWorkflowForBoat: (boat) => workflows[getWorkflowCategory(boat)],
+    saveWorkflow,
+  }), [workflows, saveWorkflow])
+
+  return (
+    <WorkflowContext.Provider value={value}>
+      {children}
+    </WorkflowContext.Provider>
+  )
+}
+
+export default WorkflowProvider
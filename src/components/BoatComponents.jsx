@@ -5,8 +5,10 @@
 // ============================================================================
 
 import React from 'react';
-import { Wrench, Sparkles, Layers, Shield, DollarSign } from 'lucide-react';
+import { Wrench, Sparkles, Layers, Shield, DollarSign, Camera, Paintbrush, Package, Snowflake, Anchor, CheckCircle } from 'lucide-react';
 import { getActiveSeason } from '../utils/seasonHelpers';
+import { getActiveScope, isPhaseComplete, isPhaseOverdue } from '../utils/workflowHelpers';
+import { useWorkflows } from '../WorkflowProvider';
 
 // ============================================================================
 // UTILITY: findBoatLocationData
@@ -122,67 +124,133 @@ export function LocationBadge({ location, slot, className = '' }) {
 }
 
 // ============================================================================
-// BOAT STATUS ICONS
+// PHASE ICONS
 // ============================================================================
-// Shows completion status icons for customer boats
-// For storage boats, shows active season's work phases
-export function BoatStatusIcons({ boat, size = 'w-3 h-3', className = '' }) {
-  // Only show for customer boats (not inventory)
-  if (boat.isInventory) return null;
+// One icon per work phase in the boat's workflow (admin-configurable), lit when
+// the phase is complete. Storage boats show their active season.
+const PHASE_ICON_COMPONENTS = {
+  wrench: Wrench,
+  sparkles: Sparkles,
+  layers: Layers,
+  shield: Shield,
+  dollar: DollarSign,
+  camera: Camera,
+  paintbrush: Paintbrush,
+  package: Package,
+  snowflake: Snowflake,
+  anchor: Anchor,
+  check: CheckCircle
+};
+
+export function PhaseIcon({ icon, ...props }) {
+  const Icon = PHASE_ICON_COMPONENTS[icon] || CheckCircle;
+  return <Icon {...props} />;
+}
 
-  // For storage boats, use active season's work phases
-  if (boat.storageBoat) {
-    const activeSeason = getActiveSeason(boat);
-    const mechanicalsComplete = boat[`${activeSeason}MechanicalsComplete`];
-    const cleanComplete = boat[`${activeSeason}CleanComplete`];
-    const fiberglassComplete = boat[`${activeSeason}FiberglassComplete`];
-    const warrantyComplete = boat[`${activeSeason}WarrantyComplete`];
+export function PhaseIcons({ boat, className = 'flex gap-1', iconClassName = 'w-3 h-3', completeClassName = 'text-green-500', incompleteClassName = 'text-slate-300', emphasize = false }) {
+  const { getWorkflowForBoat } = useWorkflows();
+  const workflow = getWorkflowForBoat(boat);
+  const scope = getActiveScope(boat);
+
+  return (
+    <div className={className}>
+      {workflow.phases.map(phase => {
+        const complete = isPhaseComplete(boat, phase.key, scope);
+        return (
+          <PhaseIcon
+            key={phase.key}
+            icon={phase.icon}
+            className={`${iconClassName} ${complete ? completeClassName : incompleteClassName}`}
+            strokeWidth={emphasize ? (complete ? 2.5 : 1.5) : undefined}
+            title={phase.label}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+// ============================================================================
+// PHASE RECORD DETAILS
+// ============================================================================
+// Assignee, due date and completion stamp for one work phase
+// (see workPhasesService / usePhaseRecords)
+
+// Due dates are plain dates - parse as local so they don't shift a day
+export function formatPhaseDueDate(dueDate) {
+  return new Date(`${dueDate}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
 
+function formatPhaseCompletedAt(completedAt) {
+  return new Date(completedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// One-line summary: "Sam · due Oct 21" or "Done by Sam · Oct 19, 3:02 PM"
+export function PhaseRecordSummary({ record, complete, className = 'text-xs' }) {
+  if (complete) {
+    if (!record?.completedAt) return null;
     return (
-      <div className={`flex gap-1 ${className}`}>
-        <Wrench
-          className={`${size} ${mechanicalsComplete ? 'text-green-500' : 'text-slate-300'}`}
-          strokeWidth={mechanicalsComplete ? 2.5 : 1.5}
-        />
-        <Sparkles
-          className={`${size} ${cleanComplete ? 'text-green-500' : 'text-slate-300'}`}
-          strokeWidth={cleanComplete ? 2.5 : 1.5}
-        />
-        <Layers
-          className={`${size} ${fiberglassComplete ? 'text-green-500' : 'text-slate-300'}`}
-          strokeWidth={fiberglassComplete ? 2.5 : 1.5}
-        />
-        <Shield
-          className={`${size} ${warrantyComplete ? 'text-green-500' : 'text-slate-300'}`}
-          strokeWidth={warrantyComplete ? 2.5 : 1.5}
-        />
-      </div>
+      <span className={`${className} text-green-700`}>
+        Done by {record.completer?.name || 'unknown'} · {formatPhaseCompletedAt(record.completedAt)}
+      </span>
     );
   }
 
-  // Regular boat - use regular work phases
+  if (!record?.assignee && !record?.dueDate) return null;
+  const overdue = isPhaseOverdue(record, complete);
   return (
-    <div className={`flex gap-1 ${className}`}>
-      <Wrench
-        className={`${size} ${boat.mechanicalsComplete ? 'text-green-500' : 'text-slate-300'}`}
-        strokeWidth={boat.mechanicalsComplete ? 2.5 : 1.5}
-      />
-      <Sparkles
-        className={`${size} ${boat.cleanComplete ? 'text-green-500' : 'text-slate-300'}`}
-        strokeWidth={boat.cleanComplete ? 2.5 : 1.5}
-      />
-      <Layers
-        className={`${size} ${boat.fiberglassComplete ? 'text-green-500' : 'text-slate-300'}`}
-        strokeWidth={boat.fiberglassComplete ? 2.5 : 1.5}
-      />
-      <Shield
-        className={`${size} ${boat.warrantyComplete ? 'text-green-500' : 'text-slate-300'}`}
-        strokeWidth={boat.warrantyComplete ? 2.5 : 1.5}
+    <span className={`${className} ${overdue ? 'text-red-600 font-medium' : 'text-slate-500'}`}>
+      {[
+        record.assignee?.name,
+        record.dueDate && `${overdue ? 'overdue' : 'due'} ${formatPhaseDueDate(record.dueDate)}`
+      ].filter(Boolean).join(' · ')}
+    </span>
+  );
+}
+
+// Assignee picker + due date + completion stamp, shown under a phase toggle
+export function PhaseRecordEditor({ record, complete, users = [], disabled = false, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1.5 text-xs">
+      <select
+        value={record?.assignedTo || ''}
+        onChange={(e) => onChange({ assignedTo: e.target.value || null })}
+        disabled={disabled}
+        className="px-2 py-1 border border-slate-300 rounded bg-white text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        title="Assigned to"
+      >
+        <option value="">Unassigned</option>
+        {users.map(u => (
+          <option key={u.id} value={u.id}>{u.name || u.email}</option>
+        ))}
+      </select>
+      <input
+        type="date"
+        value={record?.dueDate || ''}
+        onChange={(e) => onChange({ dueDate: e.target.value || null })}
+        disabled={disabled}
+        className={`px-2 py-1 border rounded bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 ${
+          isPhaseOverdue(record, complete) ? 'border-red-400 text-red-600' : 'border-slate-300 text-slate-700'
+        }`}
+        title="Due date"
       />
+      {complete && <PhaseRecordSummary record={record} complete />}
     </div>
   );
 }
 
+// ============================================================================
+// BOAT STATUS ICONS
+// ============================================================================
+// Shows completion status icons for customer boats
+// For storage boats, shows active season's work phases
+export function BoatStatusIcons({ boat, size = 'w-3 h-3', className = '' }) {
+  // Only show for customer boats (not inventory)
+  if (boat.isInventory) return null;
+
+  return <PhaseIcons boat={boat} className={`flex gap-1 ${className}`} iconClassName={size} emphasize />;
+}
+
 // ============================================================================
 // INVENTORY BADGE
 // ============================================================================
@@ -421,13 +489,13 @@ export function SlotCardContent({ boat }) {
             WO: {boat.workOrderNumber}
           </p>
         )}
-        <div className="flex gap-1.5 mt-1 pointer-events-none relative z-10">
-          <Wrench className={`w-5 h-5 ${boat[`${activeSeason}MechanicalsComplete`] ? 'text-white' : 'text-white/30'}`} title="Mechanicals" />
-          <Sparkles className={`w-5 h-5 ${boat[`${activeSeason}CleanComplete`] ? 'text-white' : 'text-white/30'}`} title="Clean" />
-          <Layers className={`w-5 h-5 ${boat[`${activeSeason}FiberglassComplete`] ? 'text-white' : 'text-white/30'}`} title="Fiberglass" />
-          <Shield className={`w-5 h-5 ${boat[`${activeSeason}WarrantyComplete`] ? 'text-white' : 'text-white/30'}`} title="Warranty" />
-          <DollarSign className={`w-5 h-5 ${boat[`${activeSeason}InvoicedComplete`] ? 'text-white' : 'text-white/30'}`} title="Invoiced" />
-        </div>
+        <PhaseIcons
+          boat={boat}
+          className="flex flex-wrap gap-1.5 mt-1 pointer-events-none relative z-10"
+          iconClassName="w-5 h-5"
+          completeClassName="text-white"
+          incompleteClassName="text-white/30"
+        />
         <p className="text-white text-xs opacity-75 pointer-events-none truncate w-full mt-1 relative z-10">{boat.name}</p>
       </>
     );
@@ -442,13 +510,13 @@ export function SlotCardContent({ boat }) {
           WO: {boat.workOrderNumber}
         </p>
       )}
-      <div className="flex gap-1.5 mt-1 pointer-events-none">
-        <Wrench className={`w-5 h-5 ${boat.mechanicalsComplete ? 'text-white' : 'text-white/30'}`} title="Mechanicals" />
-        <Sparkles className={`w-5 h-5 ${boat.cleanComplete ? 'text-white' : 'text-white/30'}`} title="Clean" />
-        <Layers className={`w-5 h-5 ${boat.fiberglassComplete ? 'text-white' : 'text-white/30'}`} title="Fiberglass" />
-        <Shield className={`w-5 h-5 ${boat.warrantyComplete ? 'text-white' : 'text-white/30'}`} title="Warranty" />
-        <DollarSign className={`w-5 h-5 ${boat.invoicedComplete ? 'text-white' : 'text-white/30'}`} title="Invoiced" />
-      </div>
+      <PhaseIcons
+        boat={boat}
+        className="flex flex-wrap gap-1.5 mt-1 pointer-events-none"
+        iconClassName="w-5 h-5"
+        completeClassName="text-white"
+        incompleteClassName="text-white/30"
+      />
       <p className="text-white text-xs opacity-75 pointer-events-none truncate w-full mt-1">{boat.name}</p>
     </>
   );
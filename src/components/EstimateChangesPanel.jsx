@@ -0,0 +1,146 @@
+import { useState, useEffect, useMemo } from 'react';
+import { AlertTriangle, CheckCircle, Plus, Minus, ArrowRight } from 'lucide-react';
+import { estimateApprovalsService } from '../services/supabaseService';
+import { diffEstimates } from '../utils/estimateDiff';
+
+function formatAmount(value) {
+  return `$${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDelta(value) {
+  const rounded = Math.round(value * 100) / 100;
+  if (rounded === 0) return '';
+  return `${rounded > 0 ? '+' : '-'}${formatAmount(Math.abs(rounded))}`;
+}
+
+// Opcode and description for a diff line
+function LineLabel({ line }) {
+  return (
+    <span className="min-w-0">
+      <span className="font-mono font-medium">{line.opcode || '—'}</span>
+      {line.opcode_desc && <span className="text-slate-600"> {line.opcode_desc}</span>}
+    </span>
+  );
+}
+
+// Before -> after for one amount, only when it moved
+function AmountChange({ label, before, after }) {
+  if (Math.abs(before - after) < 0.005) return null;
+  return (
+    <span className="flex items-center gap-1 whitespace-nowrap">
+      {label} {formatAmount(before)} <ArrowRight className="w-3 h-3" /> {formatAmount(after)}
+    </span>
+  );
+}
+
+// What changed in the estimates since they were approved, with one-click re-approve.
+// Shown in place of the plain "Estimates Changed" notice when the approval hash is stale.
+export function EstimateChangesPanel({ inventoryBoatId, estimates, approvalHash, canApprove, approving, onReApprove }) {
+  const [approval, setApproval] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Reload when the approval changes (e.g. after re-approving)
+  useEffect(() => {
+    if (!inventoryBoatId) return;
+    let cancelled = false;
+    setLoading(true);
+    estimateApprovalsService.getLatest(inventoryBoatId)
+      .then(data => { if (!cancelled) setApproval(data); })
+      .catch(err => console.error('Error loading estimate approval:', err))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [inventoryBoatId, approvalHash]);
+
+  // Approvals from before snapshots were stored can't be diffed
+  const hasSnapshot = approval?.snapshot && approval.approval_hash === approvalHash;
+  const diff = useMemo(
+    () => (hasSnapshot ? diffEstimates(approval.snapshot, estimates) : null),
+    [hasSnapshot, approval, estimates]
+  );
+
+  return (
+    <div className="p-3 bg-orange-50 border border-orange-200 rounded-lg">
+      <div className="flex items-center gap-2 text-orange-800">
+        <AlertTriangle className="w-4 h-4" />
+        <span className="font-medium">Estimates Changed</span>
+      </div>
+      <p className="text-sm text-orange-700 mt-1">
+        Previous approval is no longer valid
+        {hasSnapshot && ` (approved${approval.approver?.name ? ` by ${approval.approver.name}` : ''} on ${new Date(approval.approved_at).toLocaleString()})`}.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-orange-700 mt-2">Loading changes...</p>
+      ) : !diff ? (
+        <p className="text-sm text-orange-700 mt-2">
+          No copy of the approved estimates was kept for this approval, so the changes can't be listed.
+          Re-approving saves one for next time.
+        </p>
+      ) : (
+        <div className="mt-2 space-y-2 text-sm">
+          <p className="text-orange-900">
+            Total {formatAmount(diff.totalBefore)} <ArrowRight className="inline w-3 h-3" /> <span className="font-semibold">{formatAmount(diff.totalAfter)}</span>
+            {formatDelta(diff.totalAfter - diff.totalBefore) && (
+              <span className="ml-1">({formatDelta(diff.totalAfter - diff.totalBefore)})</span>
+            )}
+          </p>
+
+          {diff.addedEstimates.map(estimate => (
+            <p key={`est-added-${estimate.id}`} className="text-green-800">New estimate #{estimate.id}{estimate.title && ` - ${estimate.title}`}</p>
+          ))}
+          {diff.removedEstimates.map(estimate => (
+            <p key={`est-removed-${estimate.id}`} className="text-red-700">Estimate #{estimate.id}{estimate.title && ` - ${estimate.title}`} removed</p>
+          ))}
+
+          {(diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0) && (
+            <ul className="divide-y divide-orange-100 bg-white border border-orange-100 rounded-lg">
+              {diff.added.map((line, index) => (
+                <li key={`added-${index}`} className="flex items-start justify-between gap-2 px-3 py-2">
+                  <span className="flex items-start gap-2 min-w-0">
+                    <Plus className="w-4 h-4 text-green-600 flex-shrink-0 mt-0.5" />
+                    <LineLabel line={line} />
+                  </span>
+                  <span className="text-green-700 whitespace-nowrap">{formatAmount(line.charges)}</span>
+                </li>
+              ))}
+              {diff.removed.map((line, index) => (
+                <li key={`removed-${index}`} className="flex items-start justify-between gap-2 px-3 py-2">
+                  <span className="flex items-start gap-2 min-w-0 line-through decoration-red-400">
+                    <Minus className="w-4 h-4 text-red-600 flex-shrink-0 mt-0.5" />
+                    <LineLabel line={line} />
+                  </span>
+                  <span className="text-red-700 whitespace-nowrap">-{formatAmount(line.charges)}</span>
+                </li>
+              ))}
+              {diff.changed.map((line, index) => (
+                <li key={`changed-${index}`} className="px-3 py-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <LineLabel line={line} />
+                    <span className="text-orange-800 whitespace-nowrap">{formatDelta(line.after.charges - line.before.charges)}</span>
+                  </div>
+                  <div className="flex flex-wrap gap-x-4 text-xs text-slate-600 mt-1">
+                    <AmountChange label="Labor" before={line.before.labor} after={line.after.labor} />
+                    <AmountChange label="Parts" before={line.before.parts} after={line.after.parts} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {canApprove && (
+        <button
+          onClick={onReApprove}
+          disabled={approving}
+          className="mt-2 w-full px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-green-400 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
+        >
+          <CheckCircle className="w-4 h-4" />
+          {approving ? 'Approving...' : 'Re-Approve Estimates'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default EstimateChangesPanel;
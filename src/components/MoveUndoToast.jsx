@@ -0,0 +1,152 @@
+import { useState, useEffect, useRef } from 'react';
+import { Undo2, History, X, ArrowRight, Check } from 'lucide-react';
+import { formatSlotLabel } from './locations/locationUtils';
+
+// How long the "Moved ... Undo" toast stays up after a move
+const TOAST_DURATION_MS = 8000;
+
+// "Shop A (2-3)", "Unassigned" when the boat was off the board
+function formatPlace(location, slot) {
+  if (!location) return 'Unassigned';
+  if (!slot || slot === 'pool') return location;
+  return `${location} (${formatSlotLabel(slot)})`;
+}
+
+// Undo toast for the latest move, plus this session's move history
+// moveHistory is newest first (see AppContainer.handleMoveBoat)
+export function MoveUndoToast({ moveHistory = [], onUndoMove, onClearMoveHistory }) {
+  const [toastEntryId, setToastEntryId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [undoingId, setUndoingId] = useState(null);
+  const lastSeenIdRef = useRef(moveHistory[0]?.id || null);
+
+  // Pop the toast whenever a new move lands at the top of the history
+  const latest = moveHistory[0];
+  useEffect(() => {
+    if (!latest || latest.id === lastSeenIdRef.current) return;
+    lastSeenIdRef.current = latest.id;
+    setToastEntryId(latest.id);
+
+    const timer = setTimeout(() => setToastEntryId(null), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [latest?.id]);
+
+  const handleUndo = async (entryId) => {
+    setUndoingId(entryId);
+    try {
+      await onUndoMove(entryId);
+      setToastEntryId(null);
+    } catch (error) {
+      console.error('Error undoing move:', error);
+      alert(`Couldn't undo: ${error.message}`);
+    } finally {
+      setUndoingId(null);
+    }
+  };
+
+  const toastEntry = moveHistory.find(e => e.id === toastEntryId && !e.undone);
+  const undoableCount = moveHistory.filter(e => !e.undone).length;
+
+  if (moveHistory.length === 0) return null;
+
+  return (
+    <>
+      {/* Toast for the latest move */}
+      {toastEntry && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[70] w-[calc(100%-2rem)] max-w-md">
+          <div className="flex items-center gap-3 bg-slate-900 text-white rounded-xl shadow-lg px-4 py-3">
+            <div className="flex-1 min-w-0 text-sm">
+              <p className="font-medium truncate">{toastEntry.boatName}</p>
+              <p className="text-slate-300 truncate">Moved to {formatPlace(toastEntry.toLocation, toastEntry.toSlot)}</p>
+            </div>
+            <button
+              onClick={() => handleUndo(toastEntry.id)}
+              disabled={undoingId === toastEntry.id}
+              className="flex items-center gap-1.5 px-3 py-1.5 bg-white text-slate-900 rounded-lg text-sm font-semibold hover:bg-slate-100 disabled:opacity-50 transition-colors"
+            >
+              <Undo2 className="w-4 h-4" />
+              {undoingId === toastEntry.id ? 'Undoing...' : 'Undo'}
+            </button>
+            <button onClick={() => setToastEntryId(null)} className="p-1 text-slate-400 hover:text-white" title="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Session history button */}
+      {!toastEntry && (
+        <button
+          onClick={() => setShowHistory(true)}
+          className="fixed bottom-4 right-4 z-[60] flex items-center gap-2 px-3 py-2 bg-white border border-slate-300 rounded-full shadow-md text-sm text-slate-700 hover:bg-slate-50 transition-colors"
+          title="Moves this session"
+        >
+          <History className="w-4 h-4" />
+          <span>{undoableCount}</span>
+        </button>
+      )}
+
+      {/* Session history panel */}
+      {showHistory && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-center justify-center p-4 z-[80]" onClick={() => setShowHistory(false)}>
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[80vh] flex flex-col overflow-hidden" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between px-4 py-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+              <div className="flex items-center gap-2">
+                <History className="w-5 h-5" />
+                <h3 className="font-semibold">Moves This Session</h3>
+              </div>
+              <button onClick={() => setShowHistory(false)} className="p-1 hover:bg-white/20 rounded-lg transition-colors">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto divide-y divide-slate-100">
+              {moveHistory.map(entry => (
+                <div key={entry.id} className={`flex items-center gap-3 px-4 py-3 ${entry.undone ? 'opacity-50' : ''}`}>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-slate-900 truncate">{entry.boatName}</p>
+                    <p className="text-xs text-slate-600 flex items-center gap-1 flex-wrap">
+                      <span>{formatPlace(entry.fromLocation, entry.fromSlot)}</span>
+                      <ArrowRight className="w-3 h-3 text-slate-400" />
+                      <span>{formatPlace(entry.toLocation, entry.toSlot)}</span>
+                    </p>
+                    <p className="text-xs text-slate-400">
+                      {new Date(entry.movedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                    </p>
+                  </div>
+                  {entry.undone ? (
+                    <span className="flex items-center gap-1 text-xs text-slate-500">
+                      <Check className="w-3 h-3" />
+                      Undone
+                    </span>
+                  ) : (
+                    <button
+                      onClick={() => handleUndo(entry.id)}
+                      disabled={undoingId !== null}
+                      className="flex items-center gap-1.5 px-3 py-1.5 border border-slate-300 rounded-lg text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50 transition-colors"
+                    >
+                      <Undo2 className="w-4 h-4" />
+                      {undoingId === entry.id ? 'Undoing...' : 'Undo'}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-between items-center px-4 py-3 border-t border-slate-200 bg-slate-50">
+              <p className="text-xs text-slate-500">Undo the most recent move of a boat first.</p>
+              <button
+                onClick={() => { onClearMoveHistory(); setShowHistory(false); }}
+                className="text-sm text-slate-600 hover:text-slate-900"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default MoveUndoToast;
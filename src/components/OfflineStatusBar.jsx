@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { WifiOff, UploadCloud, AlertTriangle, RefreshCw } from 'lucide-react';
+import { useOffline } from '../OfflineProvider';
+
+function formatSavedAt(value) {
+  return new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// Values stored for a field, readable in one line
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// One queued change the server disagreed with, with keep / discard
+function ConflictItem({ change, onResolve }) {
+  const [resolving, setResolving] = useState(null);
+
+  const handleResolve = async (resolution) => {
+    setResolving(resolution);
+    try {
+      await onResolve(change.id, resolution);
+    } catch (error) {
+      console.error('[OfflineStatusBar] Error resolving queued change:', error);
+      alert(`Couldn't apply your change: ${error.message}`);
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  return (
+    <li className="flex flex-wrap items-start justify-between gap-3 py-2">
+      <div className="min-w-0 flex-1 text-sm">
+        <p className="font-medium text-slate-900">{change.label}</p>
+        <p className="text-red-700 break-words">{change.conflict?.message}</p>
+        {change.conflict?.fields?.length > 0 && (
+          <ul className="mt-1 space-y-0.5 text-xs text-slate-600">
+            {change.conflict.fields.map(({ field, yours, theirs }) => (
+              <li key={field}>
+                <span className="font-medium">{field.replace(/_/g, ' ')}</span>: yours {formatValue(yours)}, now {formatValue(theirs)}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="flex gap-2 flex-shrink-0">
+        <button
+          onClick={() => handleResolve('keep')}
+          disabled={!!resolving}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {resolving === 'keep' ? 'Saving...' : 'Keep mine'}
+        </button>
+        <button
+          onClick={() => handleResolve('discard')}
+          disabled={!!resolving}
+          className="px-3 py-1 text-sm border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors"
+        >
+          Discard
+        </button>
+      </div>
+    </li>
+  );
+}
+
+// Offline / cached-data banner, queued change count and conflicts left after a replay
+export function OfflineStatusBar() {
+  const { isOnline, pendingChanges, conflicts, replaying, cachedDataAt, replayQueue, resolveConflict } = useOffline();
+
+  if (isOnline && !cachedDataAt && pendingChanges.length === 0 && conflicts.length === 0) return null;
+
+  const pendingLabel = `${pendingChanges.length} change${pendingChanges.length === 1 ? '' : 's'} waiting to sync`;
+
+  return (
+    <div className="max-w-[1600px] mx-auto px-4 sm:px-6 lg:px-8 pt-4 space-y-3">
+      {(!isOnline || cachedDataAt || pendingChanges.length > 0) && (
+        <div className={`flex flex-wrap items-center gap-3 px-4 py-2 rounded-lg border text-sm ${
+          isOnline ? 'bg-blue-50 border-blue-200 text-blue-800' : 'bg-amber-50 border-amber-200 text-amber-900'
+        }`}>
+          {isOnline ? <UploadCloud className="w-4 h-4 flex-shrink-0" /> : <WifiOff className="w-4 h-4 flex-shrink-0" />}
+          <span className="flex-1 min-w-0">
+            {isOnline ? 'Back online' : 'Offline'}
+            {cachedDataAt && ` - showing data saved ${formatSavedAt(cachedDataAt)}`}
+            {pendingChanges.length > 0 && ` - ${pendingLabel}`}
+          </span>
+          {isOnline && pendingChanges.length > 0 && (
+            <button
+              onClick={replayQueue}
+              disabled={replaying}
+              className="flex items-center gap-1.5 px-3 py-1 bg-white border border-blue-300 rounded-lg hover:bg-blue-100 disabled:opacity-50 transition-colors"
+            >
+              <RefreshCw className={`w-3.5 h-3.5 ${replaying ? 'animate-spin' : ''}`} />
+              {replaying ? 'Syncing...' : 'Sync now'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="bg-white border border-red-200 rounded-lg">
+          <div className="flex items-center gap-2 px-4 py-2 border-b border-red-100 text-sm font-medium text-red-800">
+            <AlertTriangle className="w-4 h-4" />
+            {conflicts.length} offline change{conflicts.length === 1 ? '' : 's'} couldn't be applied
+          </div>
+          <ul className="divide-y divide-slate-100 px-4">
+            {conflicts.map(change => (
+              <ConflictItem key={change.id} change={change} onResolve={resolveConflict} />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OfflineStatusBar;
@@ -0,0 +1,349 @@
+// ============================================================================
+// REQUEST SCHEDULE BOARD
+// ============================================================================
+// Week view of booked service requests: one row per technician (plus
+// Unassigned), one column per day. Each cell shows the booked requests and
+// the tech's hours against their daily capacity (users.daily_capacity_hours);
+// hours come from the boat's Dockmaster estimate operations unless the
+// request overrides them. Unscheduled requests are dragged onto a cell,
+// booked ones between cells or back to the unscheduled list. Days over
+// capacity and requests booked after their deadline are flagged.
+// ============================================================================
+
+import { useState, useEffect, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, AlertTriangle, Clock } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { useRequestTypes } from '../RequestTypesProvider';
+import { estimatesService, usersService } from '../services/supabaseService';
+import { toDateKey } from '../utils/dates';
+import { TYPE_COLORS } from '../utils/requestPipelines';
+import {
+  DEFAULT_DAILY_CAPACITY,
+  getRequestHours,
+  formatHours,
+  startOfWeek,
+  getWeekDays,
+  isScheduledAfterDeadline,
+  getTechnicians,
+  getTechnicianLoad,
+} from '../utils/requestScheduling';
+
+const UNASSIGNED = '';
+
+const boatLabel = (request) => {
+  const boat = request.inventory_boat;
+  return boat ? `${boat.year || ''} ${boat.make || ''} ${boat.model || ''}`.trim() || `Stock #${boat.stock_number}` : 'No boat linked';
+};
+
+const formatShortDate = (dateKey) =>
+  new Date(`${dateKey}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+const capacityOf = (tech) => Number(tech?.daily_capacity_hours ?? DEFAULT_DAILY_CAPACITY);
+
+// One booked request in a cell, or in the unscheduled list
+function ScheduleChip({ request, hours, canDrag, onDragStart, onClick }) {
+  const { getRequestType } = useRequestTypes();
+  const requestType = getRequestType(request.type);
+  const afterDeadline = isScheduledAfterDeadline(request);
+
+  return (
+    <div
+      draggable={canDrag}
+      onDragStart={e => onDragStart(e, request)}
+      onClick={() => onClick(request)}
+      title={afterDeadline ? `Booked after its deadline (${formatShortDate(request.deadline_date.slice(0, 10))})` : ''}
+      className={`px-2 py-1 rounded-lg border text-xs bg-white cursor-pointer hover:shadow-sm transition-shadow ${
+        afterDeadline ? 'border-red-300' : 'border-slate-200'
+      } ${canDrag ? 'active:cursor-grabbing' : ''}`}
+    >
+      <div className="flex items-center justify-between gap-1">
+        <span className={`px-1.5 rounded font-medium ${TYPE_COLORS[requestType.color]}`}>{requestType.label}</span>
+        <span className="text-slate-500 whitespace-nowrap">{hours.source === 'none' ? '?' : formatHours(hours.hours)}</span>
+      </div>
+      <p className="mt-0.5 font-medium text-slate-900 truncate">{boatLabel(request)}</p>
+      {afterDeadline && (
+        <p className="flex items-center gap-1 text-red-600 font-medium">
+          <AlertTriangle className="w-3 h-3" />
+          After deadline
+        </p>
+      )}
+    </div>
+  );
+}
+
+export function RequestScheduleBoard({ requests = [], users = [], onSchedule, onSelectRequest, onReloadUsers }) {
+  const { canScheduleRequests, hasRole } = usePermissions();
+  const canEditCapacity = hasRole('admin', 'manager');
+
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [estimateHours, setEstimateHours] = useState({});
+  const [dragOverCell, setDragOverCell] = useState(null);
+
+  const days = useMemo(() => getWeekDays(weekStart), [weekStart]);
+  const dayKeys = days.map(toDateKey);
+  const todayKey = toDateKey(new Date());
+
+  // Requests still to be worked: anything before service-complete
+  const activeRequests = useMemo(
+    () => requests.filter(r => r.status !== 'service-complete' && r.status !== 'closed' && !r.archived_at),
+    [requests]
+  );
+
+  // Estimate hours for every boat on the board, in one query
+  const dockmasterIdsKey = useMemo(
+    () => [...new Set(activeRequests.map(r => r.inventory_boat?.dockmaster_id).filter(Boolean))].sort().join(','),
+    [activeRequests]
+  );
+
+  useEffect(() => {
+    if (!dockmasterIdsKey) {
+      setEstimateHours({});
+      return;
+    }
+    let cancelled = false;
+    estimatesService.getHoursForInventoryBoats(dockmasterIdsKey.split(','))
+      .then(hours => { if (!cancelled) setEstimateHours(hours); })
+      .catch(err => console.error('[RequestSchedule] Error loading estimate hours:', err));
+    return () => { cancelled = true; };
+  }, [dockmasterIdsKey]);
+
+  const technicians = useMemo(() => getTechnicians(users, activeRequests), [users, activeRequests]);
+  const techniciansById = useMemo(() => Object.fromEntries(technicians.map(t => [t.id, t])), [technicians]);
+  const load = useMemo(() => getTechnicianLoad(activeRequests, estimateHours), [activeRequests, estimateHours]);
+
+  const unscheduled = useMemo(() => activeRequests
+    .filter(r => !r.scheduled_date)
+    .sort((a, b) => (a.deadline_date || '9999').localeCompare(b.deadline_date || '9999')),
+  [activeRequests]);
+
+  const rows = [...technicians.map(tech => ({ id: tech.id, name: tech.name, tech })), { id: UNASSIGNED, name: 'Unassigned', tech: null }];
+
+  // Ask before going over a tech's day or past the request's deadline
+  const confirmBooking = (request, technicianId, dateKey) => {
+    const warnings = [];
+    const tech = techniciansById[technicianId];
+    if (tech) {
+      const hours = getRequestHours(request, estimateHours).hours;
+      const cell = load[`${technicianId}|${dateKey}`];
+      const alreadyBooked = (cell?.hours || 0) - (cell?.requests.some(r => r.id === request.id) ? hours : 0);
+      if (alreadyBooked + hours > capacityOf(tech)) {
+        warnings.push(`${tech.name} would be booked ${formatHours(alreadyBooked + hours)} of ${formatHours(capacityOf(tech))} on ${formatShortDate(dateKey)}.`);
+      }
+    }
+    if (isScheduledAfterDeadline({ ...request, scheduled_date: dateKey })) {
+      warnings.push(`${formatShortDate(dateKey)} is after the deadline (${formatShortDate(request.deadline_date.slice(0, 10))}).`);
+    }
+    return warnings.length === 0 || confirm(`${warnings.join('\n')}\nSchedule anyway?`);
+  };
+
+  const handleDrop = async (e, technicianId, dateKey) => {
+    e.preventDefault();
+    setDragOverCell(null);
+    if (!canScheduleRequests) return;
+    const request = requests.find(r => r.id === e.dataTransfer.getData('text/plain'));
+    if (!request) return;
+    if (request.scheduled_date === dateKey && (request.technician_id || UNASSIGNED) === technicianId) return;
+    if (!confirmBooking(request, technicianId, dateKey)) return;
+    try {
+      await onSchedule(request, { scheduled_date: dateKey, technician_id: technicianId || null });
+    } catch (err) {
+      console.error('[RequestSchedule] Error scheduling request:', err);
+      alert(`Couldn't schedule ${boatLabel(request)}: ${err.message}`);
+    }
+  };
+
+  const handleUnscheduleDrop = async (e) => {
+    e.preventDefault();
+    setDragOverCell(null);
+    if (!canScheduleRequests) return;
+    const request = requests.find(r => r.id === e.dataTransfer.getData('text/plain'));
+    if (!request?.scheduled_date) return;
+    try {
+      await onSchedule(request, { scheduled_date: null, technician_id: null });
+    } catch (err) {
+      console.error('[RequestSchedule] Error unscheduling request:', err);
+      alert(`Couldn't take ${boatLabel(request)} off the schedule: ${err.message}`);
+    }
+  };
+
+  const startDrag = (e, request) => {
+    e.dataTransfer.setData('text/plain', request.id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const allowDrop = (cellKey) => (e) => {
+    if (!canScheduleRequests) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dragOverCell !== cellKey) setDragOverCell(cellKey);
+  };
+
+  const saveCapacity = async (tech, value) => {
+    const capacity = Math.max(0, parseFloat(value) || 0);
+    if (capacity === capacityOf(tech)) return;
+    try {
+      await usersService.updateCapacity(tech.id, capacity);
+      if (onReloadUsers) await onReloadUsers();
+    } catch (err) {
+      console.error('[RequestSchedule] Error saving capacity:', err);
+      alert(`Couldn't save the capacity: ${err.message}`);
+    }
+  };
+
+  const shiftWeek = (delta) => {
+    setWeekStart(prev => {
+      const next = new Date(prev);
+      next.setDate(prev.getDate() + delta * 7);
+      return next;
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-[1fr_280px] gap-6">
+      {/* Week grid */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-x-auto">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+          <button onClick={() => shiftWeek(-1)} className="p-2 rounded-lg hover:bg-slate-100" title="Previous week">
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <div className="flex items-center gap-3">
+            <h3 className="text-lg font-semibold text-slate-900">
+              Week of {days[0].toLocaleDateString([], { month: 'long', day: 'numeric', year: 'numeric' })}
+            </h3>
+            <button onClick={() => setWeekStart(startOfWeek(new Date()))} className="px-2 py-1 text-xs font-medium text-blue-700 rounded hover:bg-blue-50">
+              This week
+            </button>
+          </div>
+          <button onClick={() => shiftWeek(1)} className="p-2 rounded-lg hover:bg-slate-100" title="Next week">
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+
+        <table className="w-full min-w-[900px] text-sm border-collapse">
+          <thead>
+            <tr className="text-xs font-medium text-slate-500 border-b border-slate-200">
+              <th className="px-3 py-2 text-left w-40">Technician</th>
+              {days.map((day, i) => (
+                <th key={dayKeys[i]} className={`px-2 py-2 text-left ${dayKeys[i] === todayKey ? 'text-blue-700' : ''}`}>
+                  {day.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const capacity = row.tech ? capacityOf(row.tech) : null;
+              const weekHours = dayKeys.reduce((sum, dateKey) => sum + (load[`${row.id}|${dateKey}`]?.hours || 0), 0);
+              return (
+                <tr key={row.id || 'unassigned'} className="border-b border-slate-100 align-top">
+                  <td className="px-3 py-2">
+                    <p className={`font-medium ${row.tech ? 'text-slate-900' : 'text-slate-500 italic'}`}>{row.name}</p>
+                    {row.tech && (
+                      <div className="mt-1 text-xs text-slate-500 space-y-1">
+                        <p>{formatHours(weekHours)} booked this week</p>
+                        {canEditCapacity ? (
+                          <label className="flex items-center gap-1">
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.5"
+                              defaultValue={capacity}
+                              key={capacity}
+                              onBlur={e => saveCapacity(row.tech, e.target.value)}
+                              className="w-14 px-1 py-0.5 border border-slate-300 rounded"
+                            />
+                            h / day
+                          </label>
+                        ) : (
+                          <p>{formatHours(capacity)} / day</p>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                  {dayKeys.map(dateKey => {
+                    const cellKey = `${row.id}|${dateKey}`;
+                    const cell = load[cellKey];
+                    const over = capacity !== null && (cell?.hours || 0) > capacity;
+                    return (
+                      <td
+                        key={dateKey}
+                        onDragOver={allowDrop(cellKey)}
+                        onDragLeave={() => setDragOverCell(null)}
+                        onDrop={e => handleDrop(e, row.id, dateKey)}
+                        className={`px-1.5 py-1.5 border-l border-slate-100 min-w-[110px] ${
+                          dragOverCell === cellKey ? 'bg-blue-50' : over ? 'bg-red-50' : ''
+                        }`}
+                      >
+                        <div className="space-y-1 min-h-[48px]">
+                          {(cell?.requests || []).map(request => (
+                            <ScheduleChip
+                              key={request.id}
+                              request={request}
+                              hours={getRequestHours(request, estimateHours)}
+                              canDrag={canScheduleRequests}
+                              onDragStart={startDrag}
+                              onClick={onSelectRequest}
+                            />
+                          ))}
+                        </div>
+                        {capacity !== null && (cell?.hours || 0) > 0 && (
+                          <p className={`mt-1 text-xs font-medium ${over ? 'text-red-600' : 'text-slate-500'}`}>
+                            {formatHours(cell.hours)} / {formatHours(capacity)}
+                          </p>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {technicians.length === 0 && (
+          <p className="px-4 py-3 text-sm text-slate-500">No technicians yet - users with the Service role show up here.</p>
+        )}
+      </div>
+
+      {/* Unscheduled requests */}
+      <div
+        onDragOver={allowDrop('unscheduled')}
+        onDragLeave={() => setDragOverCell(null)}
+        onDrop={handleUnscheduleDrop}
+        className={`bg-white rounded-xl shadow-sm border p-4 space-y-3 self-start ${
+          dragOverCell === 'unscheduled' ? 'border-blue-400 bg-blue-50' : 'border-slate-200'
+        }`}
+      >
+        <div className="flex items-center gap-2">
+          <Clock className="w-5 h-5 text-slate-500" />
+          <h3 className="font-semibold text-slate-900">Unscheduled</h3>
+          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-700">{unscheduled.length}</span>
+        </div>
+        <p className="text-xs text-slate-500">
+          {canScheduleRequests ? 'Drag onto a technician and day. Drop a booked request here to unschedule it.' : 'Not booked yet.'}
+        </p>
+        <div className="space-y-2">
+          {unscheduled.length === 0 && <p className="text-sm text-slate-500">Everything is booked.</p>}
+          {unscheduled.map(request => {
+            const hours = getRequestHours(request, estimateHours);
+            return (
+              <div key={request.id}>
+                <ScheduleChip
+                  request={request}
+                  hours={hours}
+                  canDrag={canScheduleRequests}
+                  onDragStart={startDrag}
+                  onClick={onSelectRequest}
+                />
+                {request.deadline_date && (
+                  <p className="mt-0.5 px-2 text-xs text-amber-600">Due {formatShortDate(request.deadline_date.slice(0, 10))}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RequestScheduleBoard;
@@ -0,0 +1,17 @@
+import { Clock, Calendar, Wrench, CheckCircle, Package, Circle } from 'lucide-react';
+
+// Icons for the common request stages; admin-added stages get a plain circle
+const STAGE_ICON_COMPONENTS = {
+  'open': Clock,
+  'scheduled': Calendar,
+  'waiting-on-parts': Package,
+  'service-complete': Wrench,
+  'closed': CheckCircle,
+};
+
+export function RequestStageIcon({ stage, ...props }) {
+  const Icon = STAGE_ICON_COMPONENTS[stage] || Circle;
+  return <Icon {...props} />;
+}
+
+export default RequestStageIcon;
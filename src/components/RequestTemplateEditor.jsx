@@ -0,0 +1,314 @@
+// ============================================================================
+// REQUEST TEMPLATE EDITOR
+// ============================================================================
+// Admin editor for service request templates: checklist items per request
+// type, optionally for one make or make + model. New requests get the items
+// of the most specific matching template (see utils/requestChecklists).
+// ============================================================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus, Save } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { requestTemplatesService } from '../services/supabaseService';
+import { useRequestTypes } from '../RequestTypesProvider';
+import { toItemKey } from '../utils/requestChecklists';
+
+const emptyTemplate = () => ({
+  name: '',
+  request_type: 'rigging',
+  make: '',
+  model: '',
+  items: [],
+  is_active: true,
+});
+
+// Swap an item with its neighbour
+const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// Who a template applies to, e.g. "Rigging · Yamaha 255"
+function templateScope(template, requestType) {
+  const boat = [template.make, template.model].filter(Boolean).join(' ');
+  return `${requestType.label} · ${boat || 'All boats'}`;
+}
+
+export function RequestTemplateEditor() {
+  const { currentUser } = usePermissions();
+  const { requestTypes, getRequestType } = useRequestTypes();
+
+  const [templates, setTemplates] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [newItemLabel, setNewItemLabel] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [isSaved, setIsSaved] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      setTemplates(await requestTemplatesService.getAll());
+    } catch (err) {
+      console.error('Error loading request templates:', err);
+      setError('Failed to load templates.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const update = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setIsSaved(false);
+    setError('');
+  };
+
+  const updateItem = (key, changes) => {
+    update({ items: draft.items.map(item => (item.key === key ? { ...item, ...changes } : item)) });
+  };
+
+  const handleAddItem = (e) => {
+    e.preventDefault();
+    const label = newItemLabel.trim();
+    if (!label) return;
+    update({ items: [...draft.items, { key: toItemKey(label, draft.items), label, required: true }] });
+    setNewItemLabel('');
+  };
+
+  const handleSelect = (template) => {
+    setDraft({ ...template, make: template.make || '', model: template.model || '' });
+    setNewItemLabel('');
+    setIsSaved(false);
+    setError('');
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      setError('Give the template a name.');
+      return;
+    }
+    if (draft.items.length === 0 || draft.items.some(item => !item.label.trim())) {
+      setError('A template needs at least one item, and every item needs a name.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const saved = await requestTemplatesService.save({
+        ...draft,
+        name: draft.name.trim(),
+        make: draft.make.trim(),
+        model: draft.model.trim(),
+        items: draft.items.map(item => ({ ...item, label: item.label.trim() })),
+      }, currentUser?.id);
+      await loadTemplates();
+      handleSelect(saved);
+      setIsSaved(true);
+    } catch (err) {
+      console.error('Error saving request template:', err);
+      setError('Failed to save template. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${draft.name}" template? Requests already created keep their checklist.`)) return;
+    try {
+      await requestTemplatesService.delete(draft.id);
+      setDraft(null);
+      await loadTemplates();
+    } catch (err) {
+      console.error('Error deleting request template:', err);
+      setError('Failed to delete template. Please try again.');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      <p className="text-sm text-slate-500">
+        New requests get the checklist of the most specific active template: make and model first, then make, then the request type.
+        Required items must be checked off before a request can be marked service complete.
+      </p>
+
+      {/* Template list */}
+      <div className="space-y-2">
+        {templates.length === 0 && (
+          <p className="text-sm text-slate-500">No templates yet.</p>
+        )}
+        {templates.map(template => (
+          <button
+            key={template.id}
+            onClick={() => handleSelect(template)}
+            className={`w-full flex items-center justify-between gap-3 p-3 border rounded-lg text-left transition-colors ${
+              draft?.id === template.id ? 'border-blue-500 bg-blue-50' : 'border-slate-200 bg-white hover:bg-slate-50'
+            }`}
+          >
+            <div className="min-w-0">
+              <p className={`font-medium ${template.is_active ? 'text-slate-900' : 'text-slate-400'}`}>
+                {template.name}
+                {!template.is_active && <span className="ml-2 text-xs font-normal">(inactive)</span>}
+              </p>
+              <p className="text-xs text-slate-500">{templateScope(template, getRequestType(template.request_type))}</p>
+            </div>
+            <span className="text-xs text-slate-500 whitespace-nowrap">{template.items.length} items</span>
+          </button>
+        ))}
+        <button
+          onClick={() => handleSelect(emptyTemplate())}
+          className="flex items-center gap-2 px-4 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 font-medium rounded-lg transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          New Template
+        </button>
+      </div>
+
+      {/* Template form */}
+      {draft && (
+        <div className="p-4 border border-slate-200 rounded-xl space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="block text-sm text-slate-700">
+              Name
+              <input type="text" value={draft.name} onChange={e => update({ name: e.target.value })} placeholder="e.g. Yamaha outboard rigging" className={`mt-1 ${inputClass}`} />
+            </label>
+            <label className="block text-sm text-slate-700">
+              Request type
+              <select value={draft.request_type} onChange={e => update({ request_type: e.target.value })} className={`mt-1 ${inputClass}`}>
+                {requestTypes.map(type => <option key={type.key} value={type.key}>{type.label}</option>)}
+              </select>
+            </label>
+            <label className="block text-sm text-slate-700">
+              Make <span className="text-slate-400">(optional)</span>
+              <input type="text" value={draft.make} onChange={e => update({ make: e.target.value })} placeholder="All makes" className={`mt-1 ${inputClass}`} />
+            </label>
+            <label className="block text-sm text-slate-700">
+              Model <span className="text-slate-400">(optional)</span>
+              <input type="text" value={draft.model} onChange={e => update({ model: e.target.value })} disabled={!draft.make.trim()} placeholder="All models" className={`mt-1 ${inputClass} disabled:bg-slate-50`} />
+            </label>
+          </div>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={draft.is_active}
+              onChange={e => update({ is_active: e.target.checked })}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="text-slate-700">Active - used for new requests</span>
+          </label>
+
+          <div>
+            <h4 className="text-sm font-semibold text-slate-900 mb-2">Checklist items</h4>
+            <div className="space-y-2">
+              {draft.items.map((item, index) => (
+                <div key={item.key} className="flex items-center gap-2 p-2 border border-slate-200 rounded-lg bg-white">
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => update({ items: moveItem(draft.items, index, -1) })}
+                      disabled={index === 0}
+                      className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                      title="Move up"
+                    >
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => update({ items: moveItem(draft.items, index, 1) })}
+                      disabled={index === draft.items.length - 1}
+                      className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                      title="Move down"
+                    >
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    value={item.label}
+                    onChange={e => updateItem(item.key, { label: e.target.value })}
+                    className="flex-1 min-w-0 px-3 py-1.5 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <label className="flex items-center gap-2 px-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={item.required}
+                      onChange={e => updateItem(item.key, { required: e.target.checked })}
+                      className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                    />
+                    <span className="text-slate-700">Required</span>
+                  </label>
+                  <button
+                    onClick={() => update({ items: draft.items.filter(i => i.key !== item.key) })}
+                    className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Remove item"
+                  >
+                    <Trash2 className="w-4 h-4 text-red-600" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <form onSubmit={handleAddItem} className="flex gap-2 mt-3">
+              <input
+                type="text"
+                value={newItemLabel}
+                onChange={e => setNewItemLabel(e.target.value)}
+                placeholder="New item, e.g. Install battery switch"
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                type="submit"
+                disabled={!newItemLabel.trim()}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 font-medium rounded-lg transition-colors disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                Add Item
+              </button>
+            </form>
+          </div>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+              {error}
+            </div>
+          )}
+          {isSaved && (
+            <div className="p-4 bg-green-50 border border-green-200 text-green-700 rounded-lg">
+              ✓ Template saved!
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            {draft.id && (
+              <button
+                onClick={handleDelete}
+                className="px-4 py-3 border border-red-200 text-red-700 font-semibold rounded-lg hover:bg-red-50 transition-colors"
+              >
+                Delete
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="flex-1 flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition-colors shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Save className="w-5 h-5" />
+              {isSaving ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!draft && error && (
+        <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RequestTemplateEditor;
@@ -0,0 +1,370 @@
+// ============================================================================
+// REQUEST TYPE EDITOR
+// ============================================================================
+// Admin editor for service request types and their status pipelines. Saved
+// types are picked up by the requests board, modals and alerts through
+// RequestTypesProvider.
+// ============================================================================
+
+import { useState } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus, Save, Lock } from 'lucide-react';
+import { useRequestTypes } from '../RequestTypesProvider';
+import { usePermissions } from '../hooks/usePermissions';
+import { RequestStageIcon } from './RequestStageIcon';
+import {
+  FIXED_STAGES,
+  FIRST_STAGE,
+  STAGE_COLORS,
+  TYPE_COLORS,
+  USER_ROLES,
+  toPipelineKey
+} from '../utils/requestPipelines';
+import { SLA_CLOCKS, DEFAULT_WARN_PERCENT, normalizeSla } from '../utils/requestSla';
+
+const emptyType = (sortOrder) => ({
+  key: '',
+  label: '',
+  color: 'slate',
+  is_active: true,
+  sort_order: sortOrder,
+  statuses: [
+    { key: 'open', label: 'Open', color: 'yellow', roles: [] },
+    { key: 'service-complete', label: 'Service Complete', color: 'blue', roles: [] },
+    { key: 'closed', label: 'Closed', color: 'green', roles: [] },
+  ],
+  sla: normalizeSla({}),
+  isNew: true,
+});
+
+// Move a custom stage one place, keeping open first and the fixed end stages last
+const moveStage = (statuses, index, direction) => {
+  const target = index + direction;
+  if (FIXED_STAGES[statuses[target]?.key]) return statuses;
+  const next = [...statuses];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+export function RequestTypeEditor() {
+  const { requestTypes, saveRequestType } = useRequestTypes();
+  const { currentUser } = usePermissions();
+
+  const [draft, setDraft] = useState(null);
+  const [newStageLabel, setNewStageLabel] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [isSaved, setIsSaved] = useState(false);
+
+  const update = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setIsSaved(false);
+    setError('');
+  };
+
+  const updateStage = (key, changes) => {
+    update({ statuses: draft.statuses.map(stage => (stage.key === key ? { ...stage, ...changes } : stage)) });
+  };
+
+  const updateSla = (key, value) => {
+    update({ sla: { ...draft.sla, [key]: value === '' ? null : value } });
+  };
+
+  const toggleStageRole = (stage, role) => {
+    const roles = stage.roles.includes(role)
+      ? stage.roles.filter(r => r !== role)
+      : [...stage.roles, role];
+    updateStage(stage.key, { roles });
+  };
+
+  const handleSelect = (requestType) => {
+    if (draft && requestType.key === draft.key && !draft.isNew) return;
+    setDraft(requestType);
+    setNewStageLabel('');
+    setIsSaved(false);
+    setError('');
+  };
+
+  // New stages go just before service-complete
+  const handleAddStage = (e) => {
+    e.preventDefault();
+    const label = newStageLabel.trim();
+    const key = toPipelineKey(label, draft.statuses);
+    if (!key) return;
+    const statuses = [...draft.statuses];
+    statuses.splice(statuses.length - 2, 0, { key, label, color: 'slate', roles: [] });
+    update({ statuses });
+    setNewStageLabel('');
+  };
+
+  const handleRemoveStage = (stage) => {
+    if (!window.confirm(`Remove the "${stage.label}" stage? Requests in it will show in the ${FIXED_STAGES[FIRST_STAGE].label} column until they're moved.`)) return;
+    update({ statuses: draft.statuses.filter(s => s.key !== stage.key) });
+  };
+
+  const handleSave = async () => {
+    const label = draft.label.trim();
+    if (!label) {
+      setError('Give the request type a name.');
+      return;
+    }
+    if (draft.statuses.some(stage => !stage.label.trim())) {
+      setError('Every stage needs a name.');
+      return;
+    }
+
+    const key = draft.isNew ? toPipelineKey(label, requestTypes) : draft.key;
+    if (!key) {
+      setError('The name needs at least one letter or number.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const definition = {
+        key,
+        label,
+        color: draft.color,
+        is_active: draft.is_active,
+        sort_order: draft.sort_order,
+        statuses: draft.statuses.map(stage => ({ ...stage, label: stage.label.trim() })),
+        sla: normalizeSla(draft.sla),
+      };
+      await saveRequestType(definition, currentUser?.id);
+      setDraft(definition);
+      setIsSaved(true);
+    } catch (err) {
+      console.error('Error saving request type:', err);
+      setError('Failed to save request type. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      <p className="text-sm text-slate-500">
+        Each request type moves through its own stages on the Requests board. Every type starts at Open and ends with
+        Service Complete then Closed; add stages in between and choose who may move a request into each stage.
+        Admins can always move requests, and the requester can always close their own.
+      </p>
+
+      {/* Type list */}
+      <div className="space-y-2">
+        {requestTypes.map(requestType => (
+          <button
+            key={requestType.key}
+            onClick={() => handleSelect(requestType)}
+            className={`w-full flex items-center justify-between gap-3 p-3 border rounded-lg text-left transition-colors ${
+              draft?.key === requestType.key && !draft.isNew ? 'border-blue-500 bg-blue-50' : 'border-slate-200 bg-white hover:bg-slate-50'
+            }`}
+          >
+            <div className="flex items-center gap-2 min-w-0">
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${TYPE_COLORS[requestType.color]}`}>
+                {requestType.label}
+              </span>
+              {!requestType.is_active && <span className="text-xs text-slate-400">(inactive)</span>}
+            </div>
+            <span className="text-xs text-slate-500 truncate">
+              {requestType.statuses.map(stage => stage.label).join(' → ')}
+            </span>
+          </button>
+        ))}
+        <button
+          onClick={() => handleSelect(emptyType(requestTypes.length + 1))}
+          className="flex items-center gap-2 px-4 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 font-medium rounded-lg transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          New Request Type
+        </button>
+      </div>
+
+      {/* Type form */}
+      {draft && (
+        <div className="p-4 border border-slate-200 rounded-xl space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="block text-sm text-slate-700">
+              Name
+              <input type="text" value={draft.label} onChange={e => update({ label: e.target.value })} placeholder="e.g. Warranty Claim" className={`mt-1 ${inputClass}`} />
+            </label>
+            <label className="block text-sm text-slate-700">
+              Color
+              <select value={draft.color} onChange={e => update({ color: e.target.value })} className={`mt-1 ${inputClass}`}>
+                {Object.keys(TYPE_COLORS).map(color => <option key={color} value={color}>{color}</option>)}
+              </select>
+            </label>
+          </div>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={draft.is_active}
+              onChange={e => update({ is_active: e.target.checked })}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="text-slate-700">Active - offered for new requests</span>
+          </label>
+
+          <div>
+            <h4 className="text-sm font-semibold text-slate-900 mb-2">Stages</h4>
+            <div className="space-y-2">
+              {draft.statuses.map((stage, index) => {
+                const isFixed = !!FIXED_STAGES[stage.key];
+                return (
+                  <div key={stage.key} className="p-2 border border-slate-200 rounded-lg bg-white space-y-2">
+                    <div className="flex items-center gap-2">
+                      <div className="flex flex-col">
+                        <button
+                          onClick={() => update({ statuses: moveStage(draft.statuses, index, -1) })}
+                          disabled={isFixed || !!FIXED_STAGES[draft.statuses[index - 1]?.key]}
+                          className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                          title="Move up"
+                        >
+                          <ChevronUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => update({ statuses: moveStage(draft.statuses, index, 1) })}
+                          disabled={isFixed || !!FIXED_STAGES[draft.statuses[index + 1]?.key]}
+                          className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                          title="Move down"
+                        >
+                          <ChevronDown className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <RequestStageIcon stage={stage.key} className={`w-4 h-4 ${STAGE_COLORS[stage.color].iconColor}`} />
+                      <input
+                        type="text"
+                        value={stage.label}
+                        onChange={e => updateStage(stage.key, { label: e.target.value })}
+                        className="flex-1 min-w-0 px-3 py-1.5 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <select
+                        value={stage.color}
+                        onChange={e => updateStage(stage.key, { color: e.target.value })}
+                        className="px-2 py-1.5 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {Object.keys(STAGE_COLORS).map(color => <option key={color} value={color}>{color}</option>)}
+                      </select>
+                      {isFixed ? (
+                        <span className="p-2" title="Every request type has this stage">
+                          <Lock className="w-4 h-4 text-slate-400" />
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => handleRemoveStage(stage)}
+                          className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Remove stage"
+                        >
+                          <Trash2 className="w-4 h-4 text-red-600" />
+                        </button>
+                      )}
+                    </div>
+                    {stage.key !== FIRST_STAGE && (
+                      <div className="flex flex-wrap items-center gap-1.5 pl-7">
+                        <span className="text-xs text-slate-500 mr-1">
+                          Who can move requests here{stage.roles.length === 0 ? ': anyone' : ''}
+                        </span>
+                        {USER_ROLES.filter(role => role.key !== 'admin').map(role => (
+                          <button
+                            key={role.key}
+                            onClick={() => toggleStageRole(stage, role.key)}
+                            className={`px-2 py-0.5 rounded-full text-xs font-medium border transition-colors ${
+                              stage.roles.includes(role.key)
+                                ? 'bg-blue-100 text-blue-800 border-blue-300'
+                                : 'bg-white text-slate-500 border-slate-200 hover:bg-slate-50'
+                            }`}
+                          >
+                            {role.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <form onSubmit={handleAddStage} className="flex gap-2 mt-3">
+              <input
+                type="text"
+                value={newStageLabel}
+                onChange={e => setNewStageLabel(e.target.value)}
+                placeholder="New stage, e.g. Waiting on Parts"
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                type="submit"
+                disabled={!newStageLabel.trim()}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 font-medium rounded-lg transition-colors disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                Add Stage
+              </button>
+            </form>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-slate-900 mb-1">SLAs</h4>
+            <p className="text-xs text-slate-500 mb-2">
+              Hours allowed for each step; leave blank for no limit. The request's manager is alerted once the warning
+              point has passed, and again if the limit is missed.
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {SLA_CLOCKS.map(clock => {
+                const targetInPipeline = draft.statuses.some(stage => stage.key === clock.target);
+                return (
+                  <label key={clock.key} className="block text-sm text-slate-700">
+                    {clock.label}
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={draft.sla?.[clock.key] ?? ''}
+                      onChange={e => updateSla(clock.key, e.target.value)}
+                      disabled={!targetInPipeline}
+                      placeholder={targetInPipeline ? 'No limit' : 'No such stage'}
+                      className={`mt-1 ${inputClass} disabled:bg-slate-50`}
+                    />
+                  </label>
+                );
+              })}
+              <label className="block text-sm text-slate-700">
+                Warn at (% of limit)
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={draft.sla?.warn_percent ?? DEFAULT_WARN_PERCENT}
+                  onChange={e => updateSla('warn_percent', e.target.value)}
+                  className={`mt-1 ${inputClass}`}
+                />
+              </label>
+            </div>
+          </div>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+              {error}
+            </div>
+          )}
+          {isSaved && (
+            <div className="p-4 bg-green-50 border border-green-200 text-green-700 rounded-lg">
+              ✓ Request type saved!
+            </div>
+          )}
+
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition-colors shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save className="w-5 h-5" />
+            {isSaving ? 'Saving...' : 'Save Request Type'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RequestTypeEditor;
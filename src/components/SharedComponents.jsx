@@ -1,6 +1,19 @@
 import React from 'react';
 import { Users, Map, Edit2, Trash2 } from 'lucide-react';
 import { getActiveSeason } from '../utils/seasonHelpers';
+import { getActiveScope, isPhaseComplete, getStatusLabel, getPhaseRecord, isPhaseOverdue } from '../utils/workflowHelpers';
+import { useWorkflows } from '../WorkflowProvider';
+import { formatPhaseDueDate } from './BoatComponents';
+
+// Badge colors for outstanding phases, cycled in workflow order
+const PENDING_BADGE_COLORS = [
+  'bg-orange-100 text-orange-700',
+  'bg-blue-100 text-blue-700',
+  'bg-purple-100 text-purple-700',
+  'bg-teal-100 text-teal-700',
+  'bg-amber-100 text-amber-700',
+  'bg-pink-100 text-pink-700'
+];
 
 // Navigation Button Component  
 export function NavButton({ icon: Icon, label, active, onClick }) {
@@ -59,14 +72,10 @@ export function StatusCard({ status, count, label }) {
 
 // Customer Boat Card Component
 export function CustomerBoatCard({ boat, onEdit, onDelete, compact }) {
-  const statusLabels = {
-    'needs-approval': 'Needs Approval',
-    'needs-parts': 'Needs Parts',
-    'parts-kit-pulled': 'Parts Kit Pulled',
-    'on-deck': 'On Deck',
-    'all-work-complete': 'All Work Complete',
-    'archived': 'Released'
-  };
+  const { getWorkflowForBoat } = useWorkflows();
+  const workflow = getWorkflowForBoat(boat);
+  const scope = getActiveScope(boat);
+  const pendingPhases = workflow.phases.filter(phase => !isPhaseComplete(boat, phase.key, scope));
 
   return (
     <div className="boat-card bg-white rounded-xl shadow-md border border-slate-200 overflow-hidden">
@@ -100,7 +109,7 @@ export function CustomerBoatCard({ boat, onEdit, onDelete, compact }) {
         // Regular boat - single colored bar with status label and QR code
         <div className={`status-${boat.status} p-3`}>
           <div className="flex items-center justify-between">
-            <span className="text-white font-semibold text-sm">{statusLabels[boat.status]}</span>
+            <span className="text-white font-semibold text-sm">{getStatusLabel(workflow, boat.status)}</span>
             <span className="text-white text-xs opacity-90">{boat.qrCode}</span>
           </div>
         </div>
@@ -129,175 +138,49 @@ export function CustomerBoatCard({ boat, onEdit, onDelete, compact }) {
           )}
         </div>
 
-        {/* Work Phase Checkboxes */}
+        {/* Work Phase Checkboxes - storage boats show their active season */}
         <div className="mt-3 pt-3 border-t border-slate-200">
-          <div className="flex gap-2 text-xs">
-            {boat.storageBoat ? (
-              // Storage boat - use active season's work phases
-              <>
-                {(() => {
-                  const activeSeason = getActiveSeason(boat);
-                  return (
-                    <>
-                      <label className="flex items-center gap-1">
-                        <input
-                          type="checkbox"
-                          checked={boat[`${activeSeason}MechanicalsComplete`] || false}
-                          readOnly
-                          className="w-3 h-3 rounded pointer-events-none"
-                        />
-                        <span className={boat[`${activeSeason}MechanicalsComplete`] ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                          Mech
-                        </span>
-                      </label>
-                      <label className="flex items-center gap-1">
-                        <input
-                          type="checkbox"
-                          checked={boat[`${activeSeason}CleanComplete`] || false}
-                          readOnly
-                          className="w-3 h-3 rounded pointer-events-none"
-                        />
-                        <span className={boat[`${activeSeason}CleanComplete`] ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                          Clean
-                        </span>
-                      </label>
-                      <label className="flex items-center gap-1">
-                        <input
-                          type="checkbox"
-                          checked={boat[`${activeSeason}FiberglassComplete`] || false}
-                          readOnly
-                          className="w-3 h-3 rounded pointer-events-none"
-                        />
-                        <span className={boat[`${activeSeason}FiberglassComplete`] ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                          Fiber
-                        </span>
-                      </label>
-                      <label className="flex items-center gap-1">
-                        <input
-                          type="checkbox"
-                          checked={boat[`${activeSeason}WarrantyComplete`] || false}
-                          readOnly
-                          className="w-3 h-3 rounded pointer-events-none"
-                        />
-                        <span className={boat[`${activeSeason}WarrantyComplete`] ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                          Warr
-                        </span>
-                      </label>
-                    </>
-                  );
-                })()}
-              </>
-            ) : (
-              // Regular boat - use regular work phases
-              <>
-                <label className="flex items-center gap-1">
-                  <input
-                    type="checkbox"
-                    checked={boat.mechanicalsComplete || false}
-                    readOnly
-                    className="w-3 h-3 rounded pointer-events-none"
-                  />
-                  <span className={boat.mechanicalsComplete ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                    Mech
-                  </span>
-                </label>
-                <label className="flex items-center gap-1">
-                  <input
-                    type="checkbox"
-                    checked={boat.cleanComplete || false}
-                    readOnly
-                    className="w-3 h-3 rounded pointer-events-none"
-                  />
-                  <span className={boat.cleanComplete ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                    Clean
-                  </span>
-                </label>
-                <label className="flex items-center gap-1">
-                  <input
-                    type="checkbox"
-                    checked={boat.fiberglassComplete || false}
-                    readOnly
-                    className="w-3 h-3 rounded pointer-events-none"
-                  />
-                  <span className={boat.fiberglassComplete ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                    Fiber
-                  </span>
-                </label>
-                <label className="flex items-center gap-1">
+          <div className="flex flex-wrap gap-2 text-xs">
+            {workflow.phases.map(phase => {
+              const complete = isPhaseComplete(boat, phase.key, scope);
+              const record = getPhaseRecord(boat, phase.key, scope);
+              return (
+                <label
+                  key={phase.key}
+                  className="flex items-center gap-1"
+                  title={complete && record?.completedAt ? `Done by ${record.completer?.name || 'unknown'} on ${new Date(record.completedAt).toLocaleDateString()}` : undefined}
+                >
                   <input
                     type="checkbox"
-                    checked={boat.warrantyComplete || false}
+                    checked={complete}
                     readOnly
                     className="w-3 h-3 rounded pointer-events-none"
                   />
-                  <span className={boat.warrantyComplete ? 'text-green-600 font-medium' : 'text-slate-500'}>
-                    Warr
+                  <span className={complete ? 'text-green-600 font-medium' : 'text-slate-500'}>
+                    {phase.label}
                   </span>
                 </label>
-              </>
-            )}
+              );
+            })}
           </div>
           {/* Pending work badges */}
-          {boat.storageBoat ? (
-            // Storage boat - check active season's phases
-            (() => {
-              const activeSeason = getActiveSeason(boat);
-              const mechanicalsComplete = boat[`${activeSeason}MechanicalsComplete`];
-              const cleanComplete = boat[`${activeSeason}CleanComplete`];
-              const fiberglassComplete = boat[`${activeSeason}FiberglassComplete`];
-              const warrantyComplete = boat[`${activeSeason}WarrantyComplete`];
-
-              return (!mechanicalsComplete || !cleanComplete || !fiberglassComplete || !warrantyComplete) && (
-                <div className="flex flex-wrap gap-1 mt-2">
-                  {!mechanicalsComplete && (
-                    <span className="px-2 py-0.5 bg-orange-100 text-orange-700 text-[10px] font-medium rounded-full">
-                      Needs Mech
-                    </span>
-                  )}
-                  {!cleanComplete && (
-                    <span className="px-2 py-0.5 bg-blue-100 text-blue-700 text-[10px] font-medium rounded-full">
-                      Needs Clean
-                    </span>
-                  )}
-                  {!fiberglassComplete && (
-                    <span className="px-2 py-0.5 bg-purple-100 text-purple-700 text-[10px] font-medium rounded-full">
-                      Needs Fiber
-                    </span>
-                  )}
-                  {!warrantyComplete && (
-                    <span className="px-2 py-0.5 bg-teal-100 text-teal-700 text-[10px] font-medium rounded-full">
-                      Needs Warr
-                    </span>
-                  )}
-                </div>
-              );
-            })()
-          ) : (
-            // Regular boat - check regular phases
-            (!boat.mechanicalsComplete || !boat.cleanComplete || !boat.fiberglassComplete || !boat.warrantyComplete) && (
-              <div className="flex flex-wrap gap-1 mt-2">
-                {!boat.mechanicalsComplete && (
-                  <span className="px-2 py-0.5 bg-orange-100 text-orange-700 text-[10px] font-medium rounded-full">
-                    Needs Mech
-                  </span>
-                )}
-                {!boat.cleanComplete && (
-                  <span className="px-2 py-0.5 bg-blue-100 text-blue-700 text-[10px] font-medium rounded-full">
-                    Needs Clean
+          {pendingPhases.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {pendingPhases.map(phase => {
+                const record = getPhaseRecord(boat, phase.key, scope);
+                const overdue = isPhaseOverdue(record, false);
+                return (
+                  <span
+                    key={phase.key}
+                    className={`px-2 py-0.5 ${overdue ? 'bg-red-100 text-red-700' : PENDING_BADGE_COLORS[workflow.phases.indexOf(phase) % PENDING_BADGE_COLORS.length]} text-[10px] font-medium rounded-full`}
+                  >
+                    Needs {phase.label}
+                    {record?.assignee && ` · ${record.assignee.name}`}
+                    {record?.dueDate && ` · ${overdue ? 'overdue' : 'due'} ${formatPhaseDueDate(record.dueDate)}`}
                   </span>
-                )}
-                {!boat.fiberglassComplete && (
-                  <span className="px-2 py-0.5 bg-purple-100 text-purple-700 text-[10px] font-medium rounded-full">
-                    Needs Fiber
-                  </span>
-                )}
-                {!boat.warrantyComplete && (
-                  <span className="px-2 py-0.5 bg-teal-100 text-teal-700 text-[10px] font-medium rounded-full">
-                    Needs Warr
-                  </span>
-                )}
-              </div>
-            )
+                );
+              })}
+            </div>
           )}
         </div>
 
@@ -0,0 +1,286 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { FileText, Edit2, Plus } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { storageContractsService } from '../services/supabaseService';
+import { LOCATION_TYPE_LABELS } from './locations/locationConstants';
+import {
+  STORAGE_TYPES, STORAGE_TYPE_LABELS, DEFAULT_RATES_PER_FOOT, STORAGE_ADD_ONS, CONTRACT_STATUS_LABELS,
+  getStorageSeason, getSeasonOptions, getBoatStorageLocation, getContractTotals, formatMoney,
+} from '../utils/storageContracts';
+import { formatDate } from '../utils/dates';
+
+// Blank contract for a season, typed from the boat's current location
+function newContract(boat, season, storageLocation) {
+  const storageType = storageLocation.storageType || 'outdoor';
+  return {
+    boat_id: boat.id,
+    season,
+    storage_type: storageType,
+    location_type: storageLocation.locationType,
+    length_ft: '',
+    rate_per_foot: DEFAULT_RATES_PER_FOOT[storageType],
+    haul_out_date: '',
+    launch_date: '',
+    add_ons: [],
+    status: 'active',
+    notes: '',
+  };
+}
+
+// Edit form for one contract
+function ContractForm({ contract, onSave, onCancel, saving }) {
+  const [draft, setDraft] = useState(contract);
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  // Switching type moves the rate to the new type's default unless it was changed by hand
+  const handleTypeChange = (storageType) => {
+    setDraft(prev => ({
+      ...prev,
+      storage_type: storageType,
+      rate_per_foot: Number(prev.rate_per_foot) === DEFAULT_RATES_PER_FOOT[prev.storage_type]
+        ? DEFAULT_RATES_PER_FOOT[storageType]
+        : prev.rate_per_foot,
+    }));
+  };
+
+  const selectedAddOn = (key) => draft.add_ons.find(a => a.key === key);
+
+  const toggleAddOn = (addOn) => {
+    update('add_ons', selectedAddOn(addOn.key)
+      ? draft.add_ons.filter(a => a.key !== addOn.key)
+      : [...draft.add_ons, { ...addOn }]);
+  };
+
+  const setAddOnPrice = (key, price) => {
+    update('add_ons', draft.add_ons.map(a => (a.key === key ? { ...a, price } : a)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...draft,
+      length_ft: draft.length_ft === '' ? null : Number(draft.length_ft),
+      rate_per_foot: Number(draft.rate_per_foot) || 0,
+      haul_out_date: draft.haul_out_date || null,
+      launch_date: draft.launch_date || null,
+      add_ons: draft.add_ons.map(a => ({ ...a, price: Number(a.price) || 0 })),
+      notes: draft.notes?.trim() || null,
+    });
+  };
+
+  const totals = getContractTotals(draft);
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg text-sm';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        <label className="block text-xs text-slate-600">
+          Storage type
+          <select value={draft.storage_type} onChange={e => handleTypeChange(e.target.value)} className={inputClass}>
+            {STORAGE_TYPES.map(type => <option key={type} value={type}>{STORAGE_TYPE_LABELS[type]}</option>)}
+          </select>
+        </label>
+        <label className="block text-xs text-slate-600">
+          Length (ft)
+          <input type="number" min="0" step="0.5" value={draft.length_ft ?? ''} onChange={e => update('length_ft', e.target.value)} className={inputClass} />
+        </label>
+        <label className="block text-xs text-slate-600">
+          Rate per foot
+          <input type="number" min="0" step="0.01" value={draft.rate_per_foot} onChange={e => update('rate_per_foot', e.target.value)} className={inputClass} />
+        </label>
+        <label className="block text-xs text-slate-600">
+          Haul-out
+          <input type="date" value={draft.haul_out_date || ''} onChange={e => update('haul_out_date', e.target.value)} className={inputClass} />
+        </label>
+        <label className="block text-xs text-slate-600">
+          Launch
+          <input type="date" value={draft.launch_date || ''} onChange={e => update('launch_date', e.target.value)} className={inputClass} />
+        </label>
+        <label className="block text-xs text-slate-600">
+          Status
+          <select value={draft.status} onChange={e => update('status', e.target.value)} className={inputClass}>
+            {Object.entries(CONTRACT_STATUS_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div>
+        <p className="text-xs text-slate-600 mb-1">Add-ons</p>
+        <div className="space-y-1">
+          {STORAGE_ADD_ONS.map(addOn => {
+            const selected = selectedAddOn(addOn.key);
+            return (
+              <div key={addOn.key} className="flex items-center gap-2 text-sm">
+                <label className="flex flex-1 items-center gap-2">
+                  <input type="checkbox" checked={!!selected} onChange={() => toggleAddOn(addOn)} className="w-4 h-4" />
+                  {addOn.label}
+                </label>
+                {selected && (
+                  <input
+                    type="number" min="0" step="0.01"
+                    value={selected.price}
+                    onChange={e => setAddOnPrice(addOn.key, e.target.value)}
+                    className="w-28 px-2 py-1 border border-slate-300 rounded-lg text-sm text-right"
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <label className="block text-xs text-slate-600">
+        Notes
+        <textarea value={draft.notes || ''} onChange={e => update('notes', e.target.value)} rows={2} className={inputClass} />
+      </label>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-slate-700">
+          Total <span className="font-semibold">{formatMoney(totals.total)}</span>
+        </p>
+        <div className="flex gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50">
+            Cancel
+          </button>
+          <button type="submit" disabled={saving} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save contract'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+// Storage contract for a storage boat, by season - shown in the boat details modal
+export function StorageContractSection({ boat, locations = [], disabled = false }) {
+  const { canSeeCost, canManageLocations, currentUser } = usePermissions();
+  const [contracts, setContracts] = useState([]);
+  const [season, setSeason] = useState(getStorageSeason);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const storageLocation = useMemo(() => getBoatStorageLocation(boat, locations), [boat, locations]);
+
+  const loadContracts = useCallback(async () => {
+    if (!boat?.id) return;
+    try {
+      setContracts(await storageContractsService.getForBoat(boat.id));
+    } catch (err) {
+      console.error('Error loading storage contracts:', err);
+      setError('Could not load storage contracts.');
+    }
+  }, [boat?.id]);
+
+  useEffect(() => {
+    loadContracts();
+  }, [loadContracts]);
+
+  // Seasons with a contract, plus the usual range
+  const seasons = useMemo(() => (
+    [...new Set([...getSeasonOptions(1), ...contracts.map(c => c.season)])].sort().reverse()
+  ), [contracts]);
+
+  const contract = contracts.find(c => c.season === season);
+  const canEdit = canManageLocations && !disabled;
+
+  const handleSave = async (draft) => {
+    setSaving(true);
+    setError('');
+    try {
+      const saved = await storageContractsService.save(draft, currentUser?.id);
+      setContracts(prev => [saved, ...prev.filter(c => c.id !== saved.id)]);
+      setEditing(false);
+    } catch (err) {
+      console.error('Error saving storage contract:', err);
+      setError(`Could not save the contract: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const totals = contract ? getContractTotals(contract) : null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h4 className="text-base md:text-lg font-bold text-slate-900 flex items-center gap-2">
+          <FileText className="w-5 h-5" />
+          Storage Contract
+        </h4>
+        <select
+          value={season}
+          onChange={e => { setSeason(e.target.value); setEditing(false); }}
+          className="px-2 py-1 border border-slate-300 rounded-lg text-sm"
+        >
+          {seasons.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {editing ? (
+        <ContractForm
+          contract={contract || newContract(boat, season, storageLocation)}
+          onSave={handleSave}
+          onCancel={() => setEditing(false)}
+          saving={saving}
+        />
+      ) : contract ? (
+        <div className="p-3 bg-slate-50 rounded-lg space-y-2 text-sm">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="font-semibold text-slate-900">
+              {STORAGE_TYPE_LABELS[contract.storage_type]} storage
+              {contract.status !== 'active' && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-slate-200 text-slate-700">
+                  {CONTRACT_STATUS_LABELS[contract.status]}
+                </span>
+              )}
+            </p>
+            {canEdit && (
+              <button onClick={() => setEditing(true)} className="flex items-center gap-1 text-blue-600 hover:text-blue-700">
+                <Edit2 className="w-4 h-4" /> Edit
+              </button>
+            )}
+          </div>
+          <p className="text-slate-600">
+            Haul-out {formatDate(contract.haul_out_date)} · Launch {formatDate(contract.launch_date)}
+          </p>
+          {canSeeCost && (
+            <p className="text-slate-600">
+              {contract.length_ft ? `${Number(contract.length_ft)} ft × ${formatMoney(contract.rate_per_foot)}/ft = ${formatMoney(totals.storage)}` : 'Length not set'}
+            </p>
+          )}
+          {contract.add_ons?.length > 0 && (
+            <ul className="text-slate-600">
+              {contract.add_ons.map(addOn => (
+                <li key={addOn.key}>+ {addOn.label}{canSeeCost && ` ${formatMoney(addOn.price)}`}</li>
+              ))}
+            </ul>
+          )}
+          {canSeeCost && <p className="font-semibold text-slate-900">Season total {formatMoney(totals.total)}</p>}
+          {contract.location_type && contract.location_type !== storageLocation.locationType && (
+            <p className="text-xs text-amber-700">
+              Written for {LOCATION_TYPE_LABELS[contract.location_type] || contract.location_type}; the boat is now {storageLocation.locationTypeLabel ? `in ${storageLocation.locationTypeLabel}` : 'not in a location'}
+            </p>
+          )}
+          {contract.notes && <p className="text-slate-600 whitespace-pre-wrap">{contract.notes}</p>}
+        </div>
+      ) : (
+        <div className="p-3 bg-slate-50 rounded-lg flex flex-wrap items-center justify-between gap-2 text-sm">
+          <p className="text-slate-600">
+            No contract for {season}
+            {storageLocation.locationTypeLabel && ` - currently in ${storageLocation.locationTypeLabel}`}
+          </p>
+          {canEdit && (
+            <button onClick={() => setEditing(true)} className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              <Plus className="w-4 h-4" /> Create contract
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StorageContractSection;
@@ -0,0 +1,275 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ChevronDown, ChevronRight, RefreshCw, RotateCcw, CheckCircle } from 'lucide-react';
+import { syncRunsService } from '../services/supabaseService';
+import { SYNC_JOBS, formatSyncDuration } from '../utils/syncJobs';
+
+const RUN_LIMIT = 50;
+
+const RECORD_TYPE_LABELS = {
+  work_order: 'Work order',
+  time_entry: 'Time entry',
+  estimate: 'Estimate',
+};
+
+const RUN_STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-700',
+  success: 'bg-green-100 text-green-700',
+  partial: 'bg-amber-100 text-amber-800',
+  error: 'bg-red-100 text-red-700',
+};
+
+const jobLabel = (jobId) => SYNC_JOBS.find(job => job.id === jobId)?.label || jobId;
+
+function formatDateTime(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString([], {
+    month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', second: '2-digit',
+  });
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+// "workOrdersUpdated" -> "work orders updated"
+const formatCountLabel = (key) => key.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+// One failed record with its keys, last error and a retry button
+function FailedRecord({ failure, showJob, onRetried }) {
+  const [retrying, setRetrying] = useState(false);
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    try {
+      const result = await syncRunsService.retryError(failure.id);
+      onRetried(result.record || { ...failure, last_retry_error: result.error, retry_count: failure.retry_count + 1 });
+    } catch (err) {
+      console.error('[SyncRunLog] Error retrying record:', err);
+      onRetried({ ...failure, last_retry_error: err.message || 'Retry request failed' });
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const keys = Object.entries(failure.record_keys || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+
+  return (
+    <li className="flex flex-wrap items-start justify-between gap-3 py-2">
+      <div className="min-w-0 flex-1 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-medium text-slate-900">
+            {RECORD_TYPE_LABELS[failure.record_type] || failure.record_type} {failure.record_key}
+          </span>
+          {showJob && <span className="text-xs px-1.5 py-0.5 rounded bg-slate-100 text-slate-600">{jobLabel(failure.job_id)}</span>}
+          <span className="text-xs text-slate-500">{formatDateTime(failure.created_at)}</span>
+        </div>
+        {keys && <div className="text-xs text-slate-500 font-mono mt-0.5 break-all">{keys}</div>}
+        <div className="text-red-700 break-words mt-0.5">{failure.error_message}</div>
+        {failure.retry_count > 0 && !failure.resolved_at && failure.last_retry_error && (
+          <div className="text-xs text-red-600 mt-0.5 break-words">
+            Retry {failure.retry_count} failed: {failure.last_retry_error}
+          </div>
+        )}
+      </div>
+      {failure.resolved_at ? (
+        <span className="flex items-center gap-1 text-sm text-green-700 flex-shrink-0">
+          <CheckCircle className="w-4 h-4" />
+          Fixed {formatTime(failure.resolved_at)}
+        </span>
+      ) : (
+        <button
+          onClick={handleRetry}
+          disabled={retrying}
+          className="flex items-center gap-1.5 px-3 py-1 text-sm border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors flex-shrink-0"
+        >
+          <RotateCcw className={`w-3.5 h-3.5 ${retrying ? 'animate-spin' : ''}`} />
+          {retrying ? 'Retrying...' : 'Retry'}
+        </button>
+      )}
+    </li>
+  );
+}
+
+// Recent sync runs (window, counts, failures) and the records that failed in them
+// reloadToken - bump it to reload, e.g. when a sync_status change comes in
+export function SyncRunLog({ reloadToken = 0 }) {
+  const [jobId, setJobId] = useState('');
+  const [unresolvedOnly, setUnresolvedOnly] = useState(false);
+  const [runs, setRuns] = useState([]);
+  const [unresolved, setUnresolved] = useState([]);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+  const [runErrors, setRunErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [runRows, failureRows] = await Promise.all([
+        syncRunsService.getRuns({ jobId: jobId || null, limit: RUN_LIMIT }),
+        syncRunsService.getUnresolvedErrors({ jobId: jobId || null }),
+      ]);
+      setRuns(runRows);
+      setUnresolved(failureRows);
+    } catch (err) {
+      console.error('[SyncRunLog] Error loading sync runs:', err);
+      setError('Could not load the sync run log.');
+    } finally {
+      setLoading(false);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns, reloadToken]);
+
+  const toggleRun = async (run) => {
+    if (expandedRunId === run.id) {
+      setExpandedRunId(null);
+      return;
+    }
+    setExpandedRunId(run.id);
+    if (run.records_failed > 0 && !runErrors[run.id]) {
+      try {
+        const failures = await syncRunsService.getRunErrors(run.id);
+        setRunErrors(prev => ({ ...prev, [run.id]: failures }));
+      } catch (err) {
+        console.error('[SyncRunLog] Error loading run failures:', err);
+        setRunErrors(prev => ({ ...prev, [run.id]: [] }));
+      }
+    }
+  };
+
+  // Keep both lists in step with a retried record
+  const handleRetried = (updated) => {
+    setRunErrors(prev => {
+      const list = prev[updated.run_id];
+      if (!list) return prev;
+      return { ...prev, [updated.run_id]: list.map(f => f.id === updated.id ? updated : f) };
+    });
+    setUnresolved(prev => prev.map(f => f.id === updated.id ? updated : f));
+  };
+
+  const openFailureCount = unresolved.filter(f => !f.resolved_at).length;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-b border-slate-200">
+        <div>
+          <h3 className="font-semibold text-slate-900">Run Log</h3>
+          <p className="text-xs text-slate-500">Each sync run with its window and counts - kept 30 days</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={jobId}
+            onChange={(e) => setJobId(e.target.value)}
+            className="px-3 py-1.5 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All jobs</option>
+            {SYNC_JOBS.map(job => (
+              <option key={job.id} value={job.id}>{job.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setUnresolvedOnly(!unresolvedOnly)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              unresolvedOnly ? 'bg-red-600 text-white' : 'bg-white border border-slate-300 text-slate-700 hover:bg-slate-50'
+            }`}
+          >
+            Failed records ({openFailureCount})
+          </button>
+          <button
+            onClick={loadRuns}
+            disabled={loading}
+            className="p-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors"
+            title="Refresh run log"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="m-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+
+      {unresolvedOnly ? (
+        unresolved.length === 0 ? (
+          <div className="p-8 text-center text-slate-500 text-sm">
+            {loading ? 'Loading...' : 'No failed records waiting for a retry.'}
+          </div>
+        ) : (
+          <ul className="divide-y divide-slate-100 px-4">
+            {unresolved.map(failure => (
+              <FailedRecord key={failure.id} failure={failure} showJob={!jobId} onRetried={handleRetried} />
+            ))}
+          </ul>
+        )
+      ) : runs.length === 0 ? (
+        <div className="p-8 text-center text-slate-500 text-sm">
+          {loading ? 'Loading...' : 'No sync runs logged yet.'}
+        </div>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {runs.map(run => {
+            const isExpanded = expandedRunId === run.id;
+            const duration = run.finished_at ? new Date(run.finished_at) - new Date(run.started_at) : null;
+            const counts = Object.entries(run.counts || {});
+            return (
+              <li key={run.id}>
+                <button
+                  onClick={() => toggleRun(run)}
+                  className="w-full flex flex-wrap items-center gap-x-4 gap-y-1 px-4 py-2 text-left text-sm hover:bg-slate-50"
+                >
+                  {isExpanded ? <ChevronDown className="w-4 h-4 text-slate-400" /> : <ChevronRight className="w-4 h-4 text-slate-400" />}
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${RUN_STATUS_STYLES[run.status] || 'bg-slate-100 text-slate-600'}`}>
+                    {run.status}
+                  </span>
+                  <span className="text-slate-900 font-medium">{jobLabel(run.job_id)}</span>
+                  <span className="text-slate-600">{formatDateTime(run.started_at)}</span>
+                  <span className="text-slate-500">{formatSyncDuration(duration)}</span>
+                  {run.records_failed > 0 && (
+                    <span className="text-red-600">{run.records_failed} failed</span>
+                  )}
+                </button>
+                {isExpanded && (
+                  <div className="px-11 pb-3 space-y-2 text-sm">
+                    {run.window_start && (
+                      <div className="text-slate-600">
+                        Window: {formatDateTime(run.window_start)} → {formatDateTime(run.window_end)}
+                      </div>
+                    )}
+                    {counts.length > 0 && (
+                      <div className="flex flex-wrap gap-2">
+                        {counts.map(([key, value]) => (
+                          <span key={key} className="px-2 py-0.5 bg-slate-100 text-slate-700 rounded text-xs">
+                            {formatCountLabel(key)}: <strong>{value}</strong>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    {run.error_message && (
+                      <div className="p-2 bg-red-50 border border-red-200 rounded-lg text-red-700 break-words">{run.error_message}</div>
+                    )}
+                    {run.records_failed > 0 && (
+                      runErrors[run.id] ? (
+                        <ul className="divide-y divide-slate-100">
+                          {runErrors[run.id].map(failure => (
+                            <FailedRecord key={failure.id} failure={failure} showJob={false} onRetried={handleRetried} />
+                          ))}
+                        </ul>
+                      ) : (
+                        <div className="text-slate-500">Loading failed records...</div>
+                      )
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SyncRunLog;
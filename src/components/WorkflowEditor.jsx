@@ -0,0 +1,366 @@
+// ============================================================================
+// WORKFLOW EDITOR
+// ============================================================================
+// Admin editor for the work phases and status labels each boat category goes
+// through. Saved definitions are picked up by every card, filter and modal
+// through WorkflowProvider.
+// ============================================================================
+
+import React, { useState, useEffect } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus, Save, Lock } from 'lucide-react';
+import { useWorkflows } from '../WorkflowProvider';
+import { usePermissions } from '../hooks/usePermissions';
+import { PhaseIcon } from './BoatComponents';
+import {
+  WORKFLOW_CATEGORIES,
+  WORKFLOW_CATEGORY_LABELS,
+  WORKFLOW_STATUSES,
+  PHASE_ICON_NAMES,
+  isBuiltInPhase,
+  toPhaseKey
+} from '../utils/workflowHelpers';
+
+// Scope used to tell whether a phase has its own column in a category
+const CATEGORY_SCOPES = { customer: 'current', storage: 'fall', inventory: 'prep' };
+
+// Swap an item with its neighbour
+const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// A phase can only require phases listed before it, which rules out cycles
+const pruneRequires = (phases) => phases.map((phase, index) => {
+  const earlier = phases.slice(0, index).map(p => p.key);
+  return { ...phase, requires: phase.requires.filter(key => earlier.includes(key)) };
+});
+
+export function WorkflowEditor() {
+  const { workflows, saveWorkflow } = useWorkflows();
+  const { currentUser } = usePermissions();
+
+  const [category, setCategory] = useState('customer');
+  const [phases, setPhases] = useState(workflows.customer.phases);
+  const [statuses, setStatuses] = useState(workflows.customer.statuses);
+  const [isDirty, setIsDirty] = useState(false);
+  const [newPhaseLabel, setNewPhaseLabel] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [isSaved, setIsSaved] = useState(false);
+
+  // Reload the draft when switching category or when someone else saves,
+  // unless there are unsaved edits
+  useEffect(() => {
+    if (isDirty) return;
+    setPhases(workflows[category].phases);
+    setStatuses(workflows[category].statuses);
+  }, [workflows, category, isDirty]);
+
+  const markDirty = () => {
+    setIsDirty(true);
+    setIsSaved(false);
+    setError('');
+  };
+
+  const handleCategoryChange = (nextCategory) => {
+    if (nextCategory === category) return;
+    if (isDirty && !window.confirm('Discard unsaved changes to this workflow?')) return;
+    setIsDirty(false);
+    setIsSaved(false);
+    setError('');
+    setNewPhaseLabel('');
+    setCategory(nextCategory);
+  };
+
+  const updatePhase = (key, changes) => {
+    setPhases(prev => prev.map(p => (p.key === key ? { ...p, ...changes } : p)));
+    markDirty();
+  };
+
+  const movePhase = (index, direction) => {
+    setPhases(prev => pruneRequires(moveItem(prev, index, direction)));
+    markDirty();
+  };
+
+  const removePhase = (phase) => {
+    const message = isBuiltInPhase(phase.key, CATEGORY_SCOPES[category])
+      ? `Remove "${phase.label}" from this workflow? Existing completion data is kept and comes back if you add it again.`
+      : `Remove "${phase.label}" from this workflow?`;
+    if (!window.confirm(message)) return;
+    setPhases(prev => prev
+      .filter(p => p.key !== phase.key)
+      .map(p => ({ ...p, requires: p.requires.filter(key => key !== phase.key) })));
+    markDirty();
+  };
+
+  const toggleRequires = (phase, requiredKey) => {
+    const requires = phase.requires.includes(requiredKey)
+      ? phase.requires.filter(key => key !== requiredKey)
+      : [...phase.requires, requiredKey];
+    updatePhase(phase.key, { requires });
+  };
+
+  const handleAddPhase = (e) => {
+    e.preventDefault();
+    const label = newPhaseLabel.trim();
+    const key = toPhaseKey(label);
+    if (!key) return;
+    if (phases.some(p => p.key === key)) {
+      setError(`A phase called "${label}" already exists.`);
+      return;
+    }
+    setPhases(prev => [...prev, { key, label, icon: 'check', requiredForComplete: true, requires: [] }]);
+    setNewPhaseLabel('');
+    markDirty();
+  };
+
+  const updateStatus = (key, changes) => {
+    setStatuses(prev => prev.map(s => (s.key === key ? { ...s, ...changes } : s)));
+    markDirty();
+  };
+
+  const moveStatus = (index, direction) => {
+    setStatuses(prev => moveItem(prev, index, direction));
+    markDirty();
+  };
+
+  const handleSave = async () => {
+    if (phases.length === 0) {
+      setError('A workflow needs at least one phase.');
+      return;
+    }
+    if (phases.some(p => !p.label.trim()) || statuses.some(s => !s.label.trim())) {
+      setError('Every phase and status needs a name.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      await saveWorkflow(category, {
+        phases: phases.map(p => ({ ...p, label: p.label.trim() })),
+        statuses: statuses.map(s => ({ ...s, label: s.label.trim() }))
+      }, currentUser?.id);
+      setIsDirty(false);
+      setIsSaved(true);
+    } catch (err) {
+      console.error('Error saving workflow:', err);
+      setError('Failed to save workflow. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isLockedStatus = (key) => WORKFLOW_STATUSES.some(s => s.key === key && s.locked);
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      {/* Category Tabs */}
+      <div className="flex gap-2">
+        {WORKFLOW_CATEGORIES.map(cat => (
+          <button
+            key={cat}
+            onClick={() => handleCategoryChange(cat)}
+            className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+              category === cat
+                ? 'bg-blue-600 text-white'
+                : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+            }`}
+          >
+            {WORKFLOW_CATEGORY_LABELS[cat]}
+          </button>
+        ))}
+      </div>
+
+      {/* Phases */}
+      <div>
+        <h4 className="text-lg font-bold text-slate-900 mb-1">Work Phases</h4>
+        <p className="text-sm text-slate-500 mb-3">
+          Shown in this order on cards and in boat details. Required phases must be checked off before a boat can be marked complete.
+          {category === 'storage' && ' Storage boats track these separately for each season.'}
+          {category === 'inventory' && ' Inventory boats track these separately for prep and rigging.'}
+        </p>
+        <div className="space-y-2">
+          {phases.map((phase, index) => (
+            <div key={phase.key} className="p-3 border border-slate-200 rounded-lg bg-white">
+              <div className="flex items-center gap-2">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => movePhase(index, -1)}
+                    disabled={index === 0}
+                    className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                    title="Move up"
+                  >
+                    <ChevronUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => movePhase(index, 1)}
+                    disabled={index === phases.length - 1}
+                    className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                    title="Move down"
+                  >
+                    <ChevronDown className="w-4 h-4" />
+                  </button>
+                </div>
+                <div className="w-8 h-8 bg-slate-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                  <PhaseIcon icon={phase.icon} className="w-4 h-4 text-slate-700" />
+                </div>
+                <input
+                  type="text"
+                  value={phase.label}
+                  onChange={(e) => updatePhase(phase.key, { label: e.target.value })}
+                  className="flex-1 min-w-0 px-3 py-1.5 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <select
+                  value={phase.icon}
+                  onChange={(e) => updatePhase(phase.key, { icon: e.target.value })}
+                  className="px-2 py-1.5 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {PHASE_ICON_NAMES.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => removePhase(phase)}
+                  className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+                  title="Remove phase"
+                >
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </button>
+              </div>
+              <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2 pl-7 text-sm">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={phase.requiredForComplete}
+                    onChange={(e) => updatePhase(phase.key, { requiredForComplete: e.target.checked })}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                  />
+                  <span className="text-slate-700">Required for complete</span>
+                </label>
+                {index > 0 && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    <span className="text-slate-500">Needs first:</span>
+                    {phases.slice(0, index).map(earlier => (
+                      <button
+                        key={earlier.key}
+                        onClick={() => toggleRequires(phase, earlier.key)}
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium transition-colors ${
+                          phase.requires.includes(earlier.key)
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                        }`}
+                      >
+                        {earlier.label || earlier.key}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+        <form onSubmit={handleAddPhase} className="flex gap-2 mt-3">
+          <input
+            type="text"
+            value={newPhaseLabel}
+            onChange={(e) => setNewPhaseLabel(e.target.value)}
+            placeholder="New phase, e.g. Shrink Wrap"
+            className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!toPhaseKey(newPhaseLabel)}
+            className="flex items-center gap-2 px-4 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 font-medium rounded-lg transition-colors disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add Phase
+          </button>
+        </form>
+      </div>
+
+      {/* Statuses */}
+      <div>
+        <h4 className="text-lg font-bold text-slate-900 mb-1">Statuses</h4>
+        <p className="text-sm text-slate-500 mb-3">
+          Rename, reorder or hide statuses. Needs Approval and All Work Complete are always available.
+        </p>
+        <div className="space-y-2">
+          {statuses.map((status, index) => {
+            const locked = isLockedStatus(status.key);
+            return (
+              <div key={status.key} className="flex items-center gap-2 p-2 border border-slate-200 rounded-lg bg-white">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => moveStatus(index, -1)}
+                    disabled={index === 0}
+                    className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                    title="Move up"
+                  >
+                    <ChevronUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => moveStatus(index, 1)}
+                    disabled={index === statuses.length - 1}
+                    className="p-0.5 text-slate-500 hover:text-slate-900 disabled:text-slate-200"
+                    title="Move down"
+                  >
+                    <ChevronDown className="w-4 h-4" />
+                  </button>
+                </div>
+                <div className={`status-${status.key} w-4 h-8 rounded flex-shrink-0`}></div>
+                <input
+                  type="text"
+                  value={status.label}
+                  onChange={(e) => updateStatus(status.key, { label: e.target.value })}
+                  className="flex-1 min-w-0 px-3 py-1.5 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                {locked ? (
+                  <span className="flex items-center gap-1 px-2 text-xs text-slate-400" title="Always available">
+                    <Lock className="w-3.5 h-3.5" />
+                    Always on
+                  </span>
+                ) : (
+                  <label className="flex items-center gap-2 px-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={status.enabled}
+                      onChange={(e) => updateStatus(status.key, { enabled: e.target.checked })}
+                      className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                    />
+                    <span className="text-slate-700">Shown</span>
+                  </label>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+      {isSaved && (
+        <div className="p-4 bg-green-50 border border-green-200 text-green-700 rounded-lg">
+          ✓ {WORKFLOW_CATEGORY_LABELS[category]} workflow saved!
+        </div>
+      )}
+
+      <button
+        onClick={handleSave}
+        disabled={!isDirty || isSaving}
+        className="flex items-center justify-center gap-2 w-full px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition-colors shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Save className="w-5 h-5" />
+        {isSaving ? 'Saving...' : 'Save Workflow'}
+      </button>
+    </div>
+  );
+}
+
+export default WorkflowEditor;
@@ -6,8 +6,8 @@
 // ============================================================================
 
 import React, { useState } from 'react';
-import { Maximize2, Edit2, Trash2, X, LayoutGrid, List, Wrench, Sparkles, Layers, Shield } from 'lucide-react';
-import { getBoatSlotStyle, SlotCardContent } from '../BoatComponents';
+import { Maximize2, Edit2, Trash2, X, LayoutGrid, List } from 'lucide-react';
+import { getBoatSlotStyle, SlotCardContent, PhaseIcons } from '../BoatComponents';
 import { getActiveSeason } from '../../utils/seasonHelpers';
 
 // ============================================================================
@@ -451,12 +451,13 @@ export function LocationGrid({
               WO: {boat.workOrderNumber}
             </p>
           )}
-          <div className="flex gap-1 mt-1 pointer-events-none relative z-10">
-            <Wrench className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat[`${activeSeason}MechanicalsComplete`] ? 'text-white' : 'text-white/30'}`} title="Mechanicals" />
-            <Sparkles className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat[`${activeSeason}CleanComplete`] ? 'text-white' : 'text-white/30'}`} title="Clean" />
-            <Layers className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat[`${activeSeason}FiberglassComplete`] ? 'text-white' : 'text-white/30'}`} title="Fiberglass" />
-            <Shield className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat[`${activeSeason}WarrantyComplete`] ? 'text-white' : 'text-white/30'}`} title="Warranty" />
-          </div>
+          <PhaseIcons
+            boat={boat}
+            className="flex flex-wrap gap-1 mt-1 pointer-events-none relative z-10"
+            iconClassName="w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)]"
+            completeClassName="text-white"
+            incompleteClassName="text-white/30"
+          />
           <p className="text-white text-[clamp(0.5rem,1vw,0.625rem)] opacity-75 pointer-events-none truncate w-full mt-0.5 relative z-10">{boat.name}</p>
         </>
       );
@@ -471,12 +472,13 @@ export function LocationGrid({
             WO: {boat.workOrderNumber}
           </p>
         )}
-        <div className="flex gap-1 mt-1 pointer-events-none">
-          <Wrench className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat.mechanicalsComplete ? 'text-white' : 'text-white/30'}`} title="Mechanicals" />
-          <Sparkles className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat.cleanComplete ? 'text-white' : 'text-white/30'}`} title="Clean" />
-          <Layers className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat.fiberglassComplete ? 'text-white' : 'text-white/30'}`} title="Fiberglass" />
-          <Shield className={`w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)] ${boat.warrantyComplete ? 'text-white' : 'text-white/30'}`} title="Warranty" />
-        </div>
+        <PhaseIcons
+          boat={boat}
+          className="flex flex-wrap gap-1 mt-1 pointer-events-none"
+          iconClassName="w-[clamp(0.75rem,1.5vw,1.125rem)] h-[clamp(0.75rem,1.5vw,1.125rem)]"
+          completeClassName="text-white"
+          incompleteClassName="text-white/30"
+        />
         <p className="text-white text-[clamp(0.5rem,1vw,0.625rem)] opacity-75 pointer-events-none truncate w-full mt-0.5">{boat.name}</p>
       </>
     );
@@ -0,0 +1,599 @@
+// ============================================================================
+// SITE MAP COMPONENT
+// ============================================================================
+// Freeform plan of a site with each location drawn where it physically sits.
+// View mode: click a location to drill into its grid, search to find it.
+// Edit mode (managers): drag to move, corner handle to resize, top handle to
+// rotate, arrows/R to nudge. Positions are in feet from the plan's top-left.
+// ============================================================================
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { ZoomIn, ZoomOut, Move, Grid, Edit2, Check, Search, MapPin, Trash2, Settings } from 'lucide-react';
+import { calculateOccupancy } from './locationUtils';
+
+const PIXELS_PER_FOOT = 4;
+const MIN_SIZE_FT = 10;
+const SAVE_DELAY_MS = 600;
+
+// Matches the section colors used in the list view
+const TYPE_COLORS = {
+  'rack-building': '#3b82f6',
+  'parking-lot': '#a855f7',
+  'shop': '#f97316',
+  'pool': '#14b8a6'
+};
+
+// Saved placement of a location, or null if it isn't on the map yet
+function getSavedPlacement(location) {
+  if (location.map_x == null || location.map_y == null) return null;
+  return {
+    x: Number(location.map_x),
+    y: Number(location.map_y),
+    widthFt: Number(location.map_width_ft) || 40,
+    heightFt: Number(location.map_height_ft) || 40,
+    rotation: Number(location.map_rotation) || 0
+  };
+}
+
+// Starting size for a newly placed location, roughly proportional to its grid
+function getDefaultPlacement(location, planWidth, planHeight) {
+  const clamp = (value) => Math.max(20, Math.min(value, 200));
+  const widthFt = location.type === 'pool' ? 60 : clamp((location.columns || 1) * 12);
+  const heightFt = location.type === 'pool' ? 40 : clamp((location.rows || 1) * 24);
+  return {
+    x: Math.max(0, Math.round((planWidth - widthFt) / 2)),
+    y: Math.max(0, Math.round((planHeight - heightFt) / 2)),
+    widthFt,
+    heightFt,
+    rotation: 0
+  };
+}
+
+// Does the location (or a boat in it) match the search text?
+function matchesSearch(location, boatsById, query) {
+  if (!query) return false;
+  if (location.name.toLowerCase().includes(query)) return true;
+  const boatIds = location.type === 'pool'
+    ? (location.pool_boats || [])
+    : Object.values(location.boats || {});
+  return boatIds.some(id => {
+    const boat = boatsById.get(id);
+    return boat && (
+      boat.name?.toLowerCase().includes(query) ||
+      (boat.hullId || boat.hull_id)?.toLowerCase().includes(query)
+    );
+  });
+}
+
+export function SiteMap({ site, locations, boats = [], canEdit = false, onOpenLocation, onUpdatePlacement, onUpdateSite }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [zoom, setZoom] = useState(1);
+  const [panOffset, setPanOffset] = useState({ x: 0, y: 0 });
+  const [showGridLines, setShowGridLines] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [drafts, setDrafts] = useState({}); // locationId -> placement not yet saved
+  const [interaction, setInteraction] = useState(null); // { mode, id, offset }
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showPlanSettings, setShowPlanSettings] = useState(false);
+  const [planForm, setPlanForm] = useState({ width: 0, height: 0, imageUrl: '' });
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const saveTimersRef = useRef({});
+  const didPanRef = useRef(false);
+
+  const planWidth = site.map_width_ft || 400;
+  const planHeight = site.map_height_ft || 300;
+  const boatsById = new Map(boats.map(b => [b.id, b]));
+  const query = searchQuery.trim().toLowerCase();
+
+  const getPlacement = (location) => drafts[location.id] || getSavedPlacement(location);
+  const placedLocations = locations.filter(l => getPlacement(l));
+  const unplacedLocations = locations.filter(l => !getPlacement(l));
+  const selectedLocation = locations.find(l => l.id === selectedId) || null;
+  const selectedPlacement = selectedLocation ? getPlacement(selectedLocation) : null;
+
+  // Fit the plan to the available width when switching sites
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const fit = (container.clientWidth - 80) / (planWidth * PIXELS_PER_FOOT);
+    setZoom(Math.max(0.2, Math.min(1.5, Math.round(fit * 10) / 10)));
+    setPanOffset({ x: 0, y: 0 });
+    setSelectedId(null);
+  }, [site.id, planWidth]);
+
+  // Leaving edit mode drops the selection handles
+  useEffect(() => {
+    if (!isEditing) setSelectedId(null);
+  }, [isEditing]);
+
+  // Pending keyboard saves shouldn't fire after unmount
+  useEffect(() => () => Object.values(saveTimersRef.current).forEach(clearTimeout), []);
+
+  const screenToPlan = (clientX, clientY) => {
+    const svg = svgRef.current;
+    if (!svg) return { x: 0, y: 0 };
+    const rect = svg.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left) / (PIXELS_PER_FOOT * zoom),
+      y: (clientY - rect.top) / (PIXELS_PER_FOOT * zoom)
+    };
+  };
+
+  const setDraft = (locationId, placement) => {
+    setDrafts(prev => ({ ...prev, [locationId]: placement }));
+  };
+
+  const savePlacement = async (locationId, placement) => {
+    try {
+      await onUpdatePlacement(locationId, placement);
+    } catch (error) {
+      console.error('Error saving map placement:', error);
+      alert('Failed to save the location on the map. Please try again.');
+    } finally {
+      // Saved value (or the old one, on failure) now comes from props
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[locationId];
+        return next;
+      });
+    }
+  };
+
+  // Debounced save for keyboard nudges and typed values
+  const scheduleSave = (locationId, placement) => {
+    setDraft(locationId, placement);
+    clearTimeout(saveTimersRef.current[locationId]);
+    saveTimersRef.current[locationId] = setTimeout(() => {
+      delete saveTimersRef.current[locationId];
+      savePlacement(locationId, placement);
+    }, SAVE_DELAY_MS);
+  };
+
+  const clampPosition = (placement) => ({
+    ...placement,
+    x: Math.max(0, Math.min(placement.x, planWidth - placement.widthFt)),
+    y: Math.max(0, Math.min(placement.y, planHeight - placement.heightFt))
+  });
+
+  // In view mode a location opens on click, unless the pointer was used to pan
+  const handleItemClick = (location) => {
+    if (isEditing || didPanRef.current) return;
+    onOpenLocation(location);
+  };
+
+  const handleItemPointerDown = (e, location) => {
+    if (e.button !== 0 || !isEditing) return;
+    e.stopPropagation();
+
+    const placement = getPlacement(location);
+    const pos = screenToPlan(e.clientX, e.clientY);
+    setSelectedId(location.id);
+    setInteraction({ mode: 'move', id: location.id, offset: { x: pos.x - placement.x, y: pos.y - placement.y }, moved: false });
+  };
+
+  const handleHandlePointerDown = (e, location, mode) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    e.preventDefault();
+    setInteraction({ mode, id: location.id, moved: false });
+  };
+
+  const handleCanvasPointerDown = (e) => {
+    if (e.button !== 0) return;
+    didPanRef.current = false;
+    setSelectedId(null);
+    setInteraction({ mode: 'pan' });
+  };
+
+  const handlePointerMove = useCallback((e) => {
+    if (!interaction) return;
+
+    if (interaction.mode === 'pan') {
+      if (e.movementX || e.movementY) didPanRef.current = true;
+      setPanOffset(prev => ({ x: prev.x + e.movementX, y: prev.y + e.movementY }));
+      return;
+    }
+
+    const location = locations.find(l => l.id === interaction.id);
+    const placement = location && getPlacement(location);
+    if (!placement) return;
+
+    const pos = screenToPlan(e.clientX, e.clientY);
+    const centerX = placement.x + placement.widthFt / 2;
+    const centerY = placement.y + placement.heightFt / 2;
+    let next = placement;
+
+    if (interaction.mode === 'move') {
+      next = clampPosition({
+        ...placement,
+        x: Math.round(pos.x - interaction.offset.x),
+        y: Math.round(pos.y - interaction.offset.y)
+      });
+    } else if (interaction.mode === 'resize') {
+      // Resize symmetrically about the center, measured in the item's own (rotated) frame
+      const angle = -placement.rotation * (Math.PI / 180);
+      const dx = pos.x - centerX;
+      const dy = pos.y - centerY;
+      const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+      const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+      const widthFt = Math.max(MIN_SIZE_FT, Math.round(Math.abs(localX) * 2));
+      const heightFt = Math.max(MIN_SIZE_FT, Math.round(Math.abs(localY) * 2));
+      next = { ...placement, widthFt, heightFt, x: Math.round(centerX - widthFt / 2), y: Math.round(centerY - heightFt / 2) };
+    } else if (interaction.mode === 'rotate') {
+      const angle = Math.atan2(pos.x - centerX, -(pos.y - centerY)) * (180 / Math.PI);
+      const snappedAngle = Math.round(angle / 5) * 5; // Snap to 5 degree increments
+      next = { ...placement, rotation: ((snappedAngle % 360) + 360) % 360 };
+    }
+
+    setDraft(interaction.id, next);
+    if (!interaction.moved) setInteraction({ ...interaction, moved: true });
+  }, [interaction, locations, drafts, zoom, planWidth, planHeight]);
+
+  const handlePointerUp = useCallback(() => {
+    if (interaction && interaction.mode !== 'pan' && interaction.moved && drafts[interaction.id]) {
+      savePlacement(interaction.id, drafts[interaction.id]);
+    }
+    setInteraction(null);
+  }, [interaction, drafts]);
+
+  useEffect(() => {
+    if (!interaction) return;
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [interaction, handlePointerMove, handlePointerUp]);
+
+  // Keyboard fine-tuning: arrows move 1ft (Shift: 10ft), R rotates 15° (Shift: back)
+  useEffect(() => {
+    if (!isEditing || !selectedLocation || !selectedPlacement) return;
+
+    const handleKeyDown = (e) => {
+      // Don't interfere with input fields
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+      const step = e.shiftKey ? 10 : 1;
+      let next = null;
+      if (e.key === 'ArrowLeft') next = { ...selectedPlacement, x: selectedPlacement.x - step };
+      else if (e.key === 'ArrowRight') next = { ...selectedPlacement, x: selectedPlacement.x + step };
+      else if (e.key === 'ArrowUp') next = { ...selectedPlacement, y: selectedPlacement.y - step };
+      else if (e.key === 'ArrowDown') next = { ...selectedPlacement, y: selectedPlacement.y + step };
+      else if (e.key === 'r' || e.key === 'R') {
+        const delta = e.shiftKey ? -15 : 15;
+        next = { ...selectedPlacement, rotation: (((selectedPlacement.rotation + delta) % 360) + 360) % 360 };
+      } else if (e.key === 'Escape') {
+        setSelectedId(null);
+        return;
+      }
+
+      if (!next) return;
+      e.preventDefault();
+      scheduleSave(selectedLocation.id, clampPosition(next));
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isEditing, selectedLocation?.id, selectedPlacement, planWidth, planHeight]);
+
+  const handlePlaceLocation = (location) => {
+    const placement = getDefaultPlacement(location, planWidth, planHeight);
+    setSelectedId(location.id);
+    setDraft(location.id, placement);
+    savePlacement(location.id, placement);
+  };
+
+  const handleRemoveFromMap = (location) => {
+    setSelectedId(null);
+    savePlacement(location.id, null);
+  };
+
+  const handleSelectedFieldChange = (field, value) => {
+    const number = Number(value);
+    if (!selectedLocation || Number.isNaN(number)) return;
+    const next = { ...selectedPlacement, [field]: number };
+    if (field === 'widthFt' || field === 'heightFt') next[field] = Math.max(MIN_SIZE_FT, number);
+    if (field === 'rotation') next.rotation = ((number % 360) + 360) % 360;
+    scheduleSave(selectedLocation.id, clampPosition(next));
+  };
+
+  const openPlanSettings = () => {
+    setPlanForm({ width: planWidth, height: planHeight, imageUrl: site.map_image_url || '' });
+    setShowPlanSettings(true);
+  };
+
+  const handleSavePlanSettings = async () => {
+    const width = parseInt(planForm.width, 10);
+    const height = parseInt(planForm.height, 10);
+    if (!(width > 0) || !(height > 0)) {
+      alert('Plan width and height must be positive numbers of feet.');
+      return;
+    }
+
+    try {
+      await onUpdateSite(site.id, {
+        map_width_ft: width,
+        map_height_ft: height,
+        map_image_url: planForm.imageUrl.trim() || null
+      });
+      setShowPlanSettings(false);
+    } catch (error) {
+      console.error('Error saving site plan:', error);
+      alert('Failed to save the site plan. Please try again.');
+    }
+  };
+
+  const canvasWidth = planWidth * PIXELS_PER_FOOT;
+  const canvasHeight = planHeight * PIXELS_PER_FOOT;
+  const matchCount = query ? placedLocations.filter(l => matchesSearch(l, boatsById, query)).length : 0;
+
+  return (
+    <div className="flex flex-col lg:flex-row gap-4">
+      {/* Canvas */}
+      <div className="flex-1 relative bg-slate-100 rounded-xl border border-slate-200 overflow-hidden h-[70vh] min-h-[400px]">
+        <div className="absolute top-4 left-4 z-10 flex items-center gap-2 bg-white rounded-lg shadow-md p-1">
+          <button onClick={() => setZoom(Math.min(zoom + 0.1, 3))} className="p-2 hover:bg-slate-100 rounded" title="Zoom in"><ZoomIn className="w-4 h-4" /></button>
+          <span className="text-sm font-medium text-slate-600 w-12 text-center">{Math.round(zoom * 100)}%</span>
+          <button onClick={() => setZoom(Math.max(zoom - 0.1, 0.2))} className="p-2 hover:bg-slate-100 rounded" title="Zoom out"><ZoomOut className="w-4 h-4" /></button>
+          <div className="w-px h-6 bg-slate-200" />
+          <button onClick={() => setShowGridLines(!showGridLines)} className={`p-2 rounded ${showGridLines ? 'bg-blue-100 text-blue-600' : 'hover:bg-slate-100'}`} title="Toggle grid"><Grid className="w-4 h-4" /></button>
+          <button onClick={() => setPanOffset({ x: 0, y: 0 })} className="p-2 hover:bg-slate-100 rounded" title="Reset view"><Move className="w-4 h-4" /></button>
+        </div>
+
+        <div className="absolute top-4 right-4 z-10 flex items-center gap-2">
+          <div className="bg-white rounded-lg shadow-md px-3 py-2">
+            <p className="text-sm font-medium text-slate-700">{planWidth}' × {planHeight}'</p>
+          </div>
+          {canEdit && (
+            <button
+              onClick={() => setIsEditing(!isEditing)}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg shadow-md text-sm font-medium transition-colors ${isEditing ? 'bg-green-600 hover:bg-green-700 text-white' : 'bg-white hover:bg-slate-50 text-slate-700'}`}
+            >
+              {isEditing ? <Check className="w-4 h-4" /> : <Edit2 className="w-4 h-4" />}
+              {isEditing ? 'Done' : 'Edit Map'}
+            </button>
+          )}
+        </div>
+
+        <div
+          ref={containerRef}
+          className="w-full h-full overflow-hidden cursor-grab active:cursor-grabbing touch-none"
+          onPointerDown={handleCanvasPointerDown}
+        >
+          <div style={{ transform: `translate(${panOffset.x}px, ${panOffset.y}px) scale(${zoom})`, transformOrigin: '0 0', padding: '40px', width: 'max-content' }}>
+            <svg ref={svgRef} width={canvasWidth} height={canvasHeight} className="bg-white shadow-lg" style={{ border: '2px solid #cbd5e1' }}>
+              {site.map_image_url && (
+                <image href={site.map_image_url} x={0} y={0} width={canvasWidth} height={canvasHeight} preserveAspectRatio="xMidYMid meet" opacity={0.6} />
+              )}
+              {showGridLines && (
+                <g>
+                  <defs>
+                    <pattern id="siteMapGrid" width={PIXELS_PER_FOOT * 10} height={PIXELS_PER_FOOT * 10} patternUnits="userSpaceOnUse">
+                      <path d={`M ${PIXELS_PER_FOOT * 10} 0 L 0 0 0 ${PIXELS_PER_FOOT * 10}`} fill="none" stroke="#e2e8f0" strokeWidth="0.5" />
+                    </pattern>
+                  </defs>
+                  <rect width="100%" height="100%" fill="url(#siteMapGrid)" />
+                </g>
+              )}
+
+              {placedLocations.map(location => {
+                const placement = getPlacement(location);
+                const width = placement.widthFt * PIXELS_PER_FOOT;
+                const height = placement.heightFt * PIXELS_PER_FOOT;
+                const x = placement.x * PIXELS_PER_FOOT;
+                const y = placement.y * PIXELS_PER_FOOT;
+                const isSelected = isEditing && selectedId === location.id;
+                const isMatch = matchesSearch(location, boatsById, query);
+                const isDimmed = query && !isMatch;
+                const color = TYPE_COLORS[location.type] || '#64748b';
+                const occupancy = calculateOccupancy(location);
+                const fontSize = Math.max(10, Math.min(width / 8, height / 3, 28));
+
+                return (
+                  <g
+                    key={location.id}
+                    transform={`translate(${x + width / 2}, ${y + height / 2}) rotate(${placement.rotation}) translate(${-width / 2}, ${-height / 2})`}
+                    onPointerDown={(e) => handleItemPointerDown(e, location)}
+                    onClick={() => handleItemClick(location)}
+                    style={{ cursor: isEditing ? 'move' : 'pointer' }}
+                    opacity={isDimmed ? 0.3 : 1}
+                  >
+                    <title>{location.name}</title>
+                    <rect
+                      width={width}
+                      height={height}
+                      rx={4}
+                      fill={color}
+                      fillOpacity={0.8}
+                      stroke={isSelected || isMatch ? '#facc15' : 'rgba(0,0,0,0.3)'}
+                      strokeWidth={isSelected || isMatch ? 4 : 1}
+                    />
+                    <text x={width / 2} y={height / 2 - fontSize * 0.3} textAnchor="middle" dominantBaseline="middle" fill="white" fontSize={fontSize} fontWeight="bold" style={{ pointerEvents: 'none', userSelect: 'none' }}>
+                      {location.name}
+                    </text>
+                    <text x={width / 2} y={height / 2 + fontSize * 0.8} textAnchor="middle" dominantBaseline="middle" fill="rgba(255,255,255,0.85)" fontSize={fontSize * 0.6} style={{ pointerEvents: 'none', userSelect: 'none' }}>
+                      {location.type === 'pool' ? `${occupancy.occupied} boats` : `${occupancy.occupied}/${occupancy.total}`}
+                    </text>
+                    {isSelected && (
+                      <>
+                        {/* Resize handle - drag to resize about the center */}
+                        <rect
+                          x={width - 6}
+                          y={height - 6}
+                          width={12}
+                          height={12}
+                          fill="#1d4ed8"
+                          stroke="white"
+                          strokeWidth={2}
+                          style={{ cursor: 'nwse-resize' }}
+                          onPointerDown={(e) => handleHandlePointerDown(e, location, 'resize')}
+                        />
+                        {/* Rotation handle - drag to rotate */}
+                        <line x1={width / 2} y1={0} x2={width / 2} y2={-20} stroke="#1d4ed8" strokeWidth={2} />
+                        <circle
+                          cx={width / 2}
+                          cy={-26}
+                          r={8}
+                          fill="#1d4ed8"
+                          stroke="white"
+                          strokeWidth={2}
+                          style={{ cursor: 'grab' }}
+                          onPointerDown={(e) => handleHandlePointerDown(e, location, 'rotate')}
+                        />
+                      </>
+                    )}
+                  </g>
+                );
+              })}
+            </svg>
+          </div>
+        </div>
+
+        {placedLocations.length === 0 && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            <div className="bg-white/90 rounded-xl shadow-md px-6 py-4 text-center">
+              <MapPin className="w-8 h-8 text-slate-400 mx-auto mb-2" />
+              <p className="font-medium text-slate-700">No locations on this map yet</p>
+              <p className="text-sm text-slate-500">{canEdit ? 'Click "Edit Map" to place them.' : 'Ask a manager to lay out this site.'}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Sidebar */}
+      <div className="w-full lg:w-80 bg-white rounded-xl shadow-md border border-slate-200 flex flex-col overflow-hidden lg:h-[70vh]">
+        {!isEditing ? (
+          <div className="p-4 space-y-4 overflow-y-auto">
+            <div>
+              <h4 className="font-semibold text-slate-900 mb-2">Find a location</h4>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                <input
+                  type="text"
+                  placeholder="Location or boat name..."
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              {query && (
+                <p className="text-xs text-slate-500 mt-1">
+                  {matchCount === 0 ? 'No matches on this map' : `${matchCount} match${matchCount !== 1 ? 'es' : ''} highlighted`}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-slate-900 mb-2">Legend</h4>
+              <div className="space-y-1 text-sm text-slate-700">
+                {[['rack-building', 'Rack Building'], ['parking-lot', 'Parking Lot'], ['shop', 'Service Workshop'], ['pool', 'Pool']].map(([type, label]) => (
+                  <div key={type} className="flex items-center gap-2">
+                    <span className="w-4 h-4 rounded" style={{ backgroundColor: TYPE_COLORS[type] }} />
+                    {label}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <p className="text-xs text-slate-500">Click a location on the map to open its slots.</p>
+
+            {unplacedLocations.length > 0 && (
+              <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2">
+                {unplacedLocations.length} location{unplacedLocations.length !== 1 ? 's are' : ' is'} not on the map yet.
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="p-4 space-y-4 overflow-y-auto">
+            {selectedLocation && selectedPlacement ? (
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <h4 className="font-semibold text-slate-900 truncate">{selectedLocation.name}</h4>
+                  <button onClick={() => setSelectedId(null)} className="text-xs text-slate-500 hover:text-slate-700">Deselect</button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {[['x', 'X (ft)'], ['y', 'Y (ft)'], ['widthFt', 'Width (ft)'], ['heightFt', 'Depth (ft)'], ['rotation', 'Rotation (°)']].map(([field, label]) => (
+                    <label key={field} className="text-xs text-slate-600">
+                      {label}
+                      <input
+                        type="number"
+                        value={selectedPlacement[field]}
+                        onChange={(e) => handleSelectedFieldChange(field, e.target.value)}
+                        className="mt-1 w-full px-2 py-1 border border-slate-300 rounded text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <button
+                  onClick={() => handleRemoveFromMap(selectedLocation)}
+                  className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Remove from map
+                </button>
+                <p className="text-xs text-slate-500">Arrows move 1ft (Shift: 10ft). R rotates 15° (Shift+R: back).</p>
+              </div>
+            ) : (
+              <p className="text-sm text-slate-500">Select a location on the map to move, resize or rotate it.</p>
+            )}
+
+            <div>
+              <h4 className="font-semibold text-slate-900 mb-2">Not on the map</h4>
+              {unplacedLocations.length === 0 ? (
+                <p className="text-sm text-slate-500">Every location is placed.</p>
+              ) : (
+                <div className="space-y-2">
+                  {unplacedLocations.map(location => (
+                    <button
+                      key={location.id}
+                      onClick={() => handlePlaceLocation(location)}
+                      className="w-full flex items-center gap-2 p-2 rounded-lg border border-slate-200 text-left hover:border-blue-400 hover:shadow-sm transition-all"
+                    >
+                      <span className="w-3 h-3 rounded flex-shrink-0" style={{ backgroundColor: TYPE_COLORS[location.type] || '#64748b' }} />
+                      <span className="flex-1 text-sm text-slate-900 truncate">{location.name}</span>
+                      <span className="text-xs text-blue-600 font-medium">Place</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="border-t border-slate-200 pt-4">
+              {!showPlanSettings ? (
+                <button onClick={openPlanSettings} className="flex items-center gap-2 text-sm text-slate-700 hover:text-slate-900">
+                  <Settings className="w-4 h-4" />
+                  Plan size &amp; background
+                </button>
+              ) : (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="text-xs text-slate-600">
+                      Width (ft)
+                      <input type="number" min="1" value={planForm.width} onChange={(e) => setPlanForm({ ...planForm, width: e.target.value })} className="mt-1 w-full px-2 py-1 border border-slate-300 rounded text-sm text-slate-900" />
+                    </label>
+                    <label className="text-xs text-slate-600">
+                      Depth (ft)
+                      <input type="number" min="1" value={planForm.height} onChange={(e) => setPlanForm({ ...planForm, height: e.target.value })} className="mt-1 w-full px-2 py-1 border border-slate-300 rounded text-sm text-slate-900" />
+                    </label>
+                  </div>
+                  <label className="block text-xs text-slate-600">
+                    Background image URL (aerial photo or site plan)
+                    <input type="url" value={planForm.imageUrl} onChange={(e) => setPlanForm({ ...planForm, imageUrl: e.target.value })} placeholder="https://..." className="mt-1 w-full px-2 py-1 border border-slate-300 rounded text-sm text-slate-900" />
+                  </label>
+                  <div className="flex gap-2">
+                    <button onClick={() => setShowPlanSettings(false)} className="flex-1 px-3 py-1.5 text-sm border border-slate-300 rounded-lg hover:bg-slate-50">Cancel</button>
+                    <button onClick={handleSavePlanSettings} className="flex-1 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-lg">Save</button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SiteMap;
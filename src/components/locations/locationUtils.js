@@ -53,3 +53,71 @@ export function getBoatInSlot(slotId, location, boats, inventoryBoats) {
 
   return [...boats, ...inventoryBoats].find(b => b.id === boatId);
 }
+
+// List every usable slot ID in a grid location (skips the open middle of U-shaped layouts)
+export function getLocationSlotIds(location) {
+  if (location.type === 'pool') return [];
+
+  const slotIds = [];
+  for (let row = 0; row < location.rows; row++) {
+    for (let col = 0; col < location.columns; col++) {
+      if (isInUShapedPerimeter(row, col, location)) {
+        slotIds.push(`${row}-${col}`);
+      }
+    }
+  }
+  return slotIds;
+}
+
+// Find the first empty slot in a location ('pool' for pools, null if the location is full)
+export function findFirstAvailableSlot(location) {
+  if (location.type === 'pool') return 'pool';
+
+  return getLocationSlotIds(location).find(slotId => !location.boats?.[slotId]) || null;
+}
+
+// Convert a 0-indexed slot ID to 1-indexed display format (e.g., "0-2" → "1-3")
+export function formatSlotLabel(slotId) {
+  if (!slotId) return '';
+  if (slotId === 'pool') return 'Pool';
+
+  const parts = slotId.split('-');
+  if (parts.length === 2 && !isNaN(parts[0]) && !isNaN(parts[1])) {
+    return `${parseInt(parts[0]) + 1}-${parseInt(parts[1]) + 1}`;
+  }
+  return slotId;
+}
+
+// Check whether a grid slot is held by a different boat (pools never conflict)
+export function isSlotTaken(location, slotId, boatId) {
+  if (!location || location.type === 'pool' || slotId === 'pool') return false;
+
+  const occupant = location.boats?.[slotId];
+  return Boolean(occupant) && String(occupant) !== String(boatId);
+}
+
+// Apply a move to a locations list the same way move_boat_to_slot does in the database:
+// the boat leaves every slot it holds, then takes the target slot (null location = unassigned)
+export function applySlotMove(locations, boatId, toLocationId, toSlotId) {
+  return locations.map(location => {
+    const holdsBoat = Object.values(location.boats || {}).some(id => String(id) === String(boatId)) ||
+      (location.pool_boats || []).some(id => String(id) === String(boatId));
+    const isTarget = location.id === toLocationId;
+    if (!holdsBoat && !isTarget) return location;
+
+    const boats = Object.fromEntries(
+      Object.entries(location.boats || {}).filter(([, id]) => String(id) !== String(boatId))
+    );
+    const poolBoats = (location.pool_boats || []).filter(id => String(id) !== String(boatId));
+
+    if (isTarget) {
+      if (location.type === 'pool') {
+        poolBoats.push(boatId);
+      } else {
+        boats[toSlotId] = boatId;
+      }
+    }
+
+    return { ...location, boats, pool_boats: poolBoats };
+  });
+}
@@ -10,10 +10,17 @@ import { Package, X, Trash2, ChevronLeft, History, MessageSquare } from 'lucide-
 import { WorkOrdersModal } from './WorkOrdersModal';
 import { SlotGridDisplay } from '../locations/SlotGridDisplay';
 import { MentionInput, renderMessageWithMentions } from '../MentionInput';
-import supabaseService, { boatLifecycleService, boatNotesService } from '../../services/supabaseService';
+import supabaseService, { boatLifecycleService, boatNotesService, boatIdentityService } from '../../services/supabaseService';
 import { supabase } from '../../supabaseClient';
 import { usePermissions } from '../../hooks/usePermissions';
 import { SEASONS, SEASON_LABELS, getActiveSeason } from '../../utils/seasonHelpers';
+import { COMPLETE_STATUS, isPhaseComplete, getPhaseUpdate, getMissingPrerequisites, getIncompleteRequiredPhases, getStatusOptions, getStatusLabel } from '../../utils/workflowHelpers';
+import { useWorkflows } from '../../WorkflowProvider';
+import { usePhaseRecords } from '../../hooks/usePhaseRecords';
+import { useQueuedNotes } from '../../hooks/useQueuedNotes';
+import { isNetworkError } from '../../services/offlineStore';
+import { PhaseRecordEditor } from '../BoatComponents';
+import { StorageContractSection } from '../StorageContractSection';
 
 // Helper to format time ago
 function getTimeAgo(date) {
@@ -49,6 +56,8 @@ function StatusButton({ status, label, active, onClick }) {
 export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpdateLocations, locations = [], sites = [], onMoveBoat, boats = [], inventoryBoats = [], users = [] }) {
   // Get permissions from centralized hook - ensures consistent access across the app
   const { currentUser } = usePermissions();
+  const { workflows } = useWorkflows();
+  const { getRecord, updateDetails, recordCompletion } = usePhaseRecords(boat, currentUser);
 
   const [showLocationPicker, setShowLocationPicker] = useState(false);
   const [selectedMoveLocation, setSelectedMoveLocation] = useState(null);
@@ -63,6 +72,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
   const [updateSuccess, setUpdateSuccess] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [movementHistory, setMovementHistory] = useState([]);
+  const [soldFrom, setSoldFrom] = useState(null);
   const [loadingMovements, setLoadingMovements] = useState(false);
   const [notes, setNotes] = useState([]);
   const [loadingNotes, setLoadingNotes] = useState(false);
@@ -73,21 +83,6 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
     boat.storageBoat ? getActiveSeason(boat) : 'fall'
   );
 
-  // Handler for seasonal work phases
-  const handleSeasonWorkPhaseToggle = (season, phase) => {
-    if (isArchived) return;
-    const phaseKey = `${season}${phase.charAt(0).toUpperCase() + phase.slice(1)}Complete`;
-    const updatedBoat = { ...boat, [phaseKey]: !boat[phaseKey] };
-
-    // Auto-clear "all-work-complete" if unchecking a phase
-    const statusKey = `${season}Status`;
-    if (!updatedBoat[phaseKey] && boat[statusKey] === 'all-work-complete') {
-      updatedBoat[statusKey] = 'on-deck';
-    }
-
-    onUpdateBoat(updatedBoat);
-  };
-
   // Extract movement history loading to reusable function
   const loadMovementHistory = useCallback(async () => {
     if (boat?.id) {
@@ -103,6 +98,14 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
     }
   }, [boat?.id]);
 
+  // Inventory record this boat was sold from - its earlier moves and notes carry over
+  useEffect(() => {
+    if (!boat?.id) return;
+    boatIdentityService.getSoldFrom(boat.id)
+      .then(setSoldFrom)
+      .catch(err => console.error('Error loading inventory record:', err));
+  }, [boat?.id]);
+
   // Load movement history when modal opens
   useEffect(() => {
     loadMovementHistory();
@@ -123,6 +126,10 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
     }
   }, [boat?.id]);
 
+  // Notes written offline, shown until they're sent
+  const { isOnline, queuedNotes, queueNote } = useQueuedNotes(boat, false, currentUser, loadNotes);
+  const thread = [...notes, ...queuedNotes];
+
   useEffect(() => {
     loadNotes();
   }, [loadNotes]);
@@ -130,7 +137,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
   // Scroll to bottom of notes when they change
   useEffect(() => {
     notesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [notes]);
+  }, [notes, queuedNotes.length]);
 
   // Handle sending a new note
   const handleSendNote = async (noteText) => {
@@ -140,8 +147,18 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
 
     setSendingNote(true);
     try {
-      const addedNote = await boatNotesService.addToBoat(boat.id, currentUser?.id, text.trim());
-      setNotes(prev => [...prev, addedNote]);
+      if (isOnline) {
+        try {
+          const addedNote = await boatNotesService.addToBoat(boat.id, currentUser?.id, text.trim());
+          setNotes(prev => [...prev, addedNote]);
+        } catch (err) {
+          if (!isNetworkError(err)) throw err;
+          await queueNote(text.trim());
+        }
+      } else {
+        // Sent when the connection is back
+        await queueNote(text.trim());
+      }
       setNewNote('');
     } catch (err) {
       console.error('Error sending note:', err);
@@ -151,15 +168,6 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
     }
   };
 
-  const statusLabels = {
-    'needs-approval': 'Needs Approval',
-    'needs-parts': 'Needs Parts',
-    'parts-kit-pulled': 'Parts Kit Pulled',
-    'on-deck': 'On Deck',
-    'all-work-complete': 'All Work Complete',
-    'archived': 'Released'
-  };
-
   // Sales Status labels for inventory boats
   const salesStatusLabels = {
     'HA': 'On Hand Available',
@@ -173,30 +181,88 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
     'FP': 'Floor Planned'
   };
 
-  // For storage boats, check season-specific work phases; for regular boats, check regular phases
-  const allWorkPhasesComplete = boat.storageBoat
-    ? (boat[`${activeSeason}MechanicalsComplete`] &&
-       boat[`${activeSeason}CleanComplete`] &&
-       boat[`${activeSeason}FiberglassComplete`] &&
-       boat[`${activeSeason}WarrantyComplete`] &&
-       boat[`${activeSeason}InvoicedComplete`])
-    : (boat.mechanicalsComplete && boat.cleanComplete && boat.fiberglassComplete && boat.warrantyComplete && boat.invoicedComplete);
+  // Storage boats work through the selected season's phases; regular boats have one set
+  const workflow = workflows[boat.storageBoat ? 'storage' : 'customer'];
+  const phaseScope = boat.storageBoat ? activeSeason : 'current';
+  const statusKey = boat.storageBoat ? `${activeSeason}Status` : 'status';
+  const incompleteRequiredPhases = getIncompleteRequiredPhases(boat, workflow, phaseScope);
+  const allWorkPhasesComplete = incompleteRequiredPhases.length === 0;
   const isArchived = boat.status === 'archived';
   const isInventory = boat.isInventory === true; // Check if this is an inventory boat
 
   const handleWorkPhaseToggle = (phase) => {
     if (isArchived) return; // Can't modify archived boats
 
-    const updatedBoat = { ...boat, [phase]: !boat[phase] };
+    const complete = !isPhaseComplete(boat, phase.key, phaseScope);
+
+    // Phases the admin set as prerequisites must be done first
+    if (complete) {
+      const missing = getMissingPrerequisites(boat, workflow, phase.key, phaseScope);
+      if (missing.length > 0) {
+        alert(`${phase.label} can't be checked off yet. Complete ${missing.map(p => p.label).join(', ')} first.`);
+        return;
+      }
+    }
+
+    const updatedBoat = { ...boat, ...getPhaseUpdate(boat, phase.key, phaseScope, complete) };
 
-    // If unchecking a phase and status is complete, change status
-    if (!updatedBoat[phase] && boat.status === 'all-work-complete') {
-      updatedBoat.status = 'on-deck';
+    // If unchecking a required phase and status is complete, change status
+    if (!complete && phase.requiredForComplete && boat[statusKey] === COMPLETE_STATUS) {
+      updatedBoat[statusKey] = 'on-deck';
     }
 
     onUpdateBoat(updatedBoat);
+    recordCompletion(phase.key, phaseScope, complete);
   };
 
+  // Phase toggles for the current scope, in the workflow's order
+  const renderWorkPhaseToggles = () => (
+    <div className="space-y-2">
+      {workflow.phases.map(phase => {
+        const isComplete = isPhaseComplete(boat, phase.key, phaseScope);
+
+        return (
+          <div key={phase.key} className="p-3 bg-slate-50 rounded-lg">
+            <button
+              onClick={() => handleWorkPhaseToggle(phase)}
+              className="w-full flex items-center justify-between hover:opacity-80 transition-opacity cursor-pointer"
+            >
+              <div className="flex items-center gap-2 min-w-0 flex-1">
+                <div className={`w-8 h-8 rounded-lg flex items-center justify-center transition-colors flex-shrink-0 ${
+                  isComplete ? 'bg-green-100' : 'bg-slate-200'
+                }`}>
+                  {isComplete ? (
+                    <svg className="w-5 h-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                    </svg>
+                  ) : (
+                    <X className="w-5 h-5 text-slate-400" />
+                  )}
+                </div>
+                <span className="text-sm font-medium text-slate-900 truncate">{phase.label}</span>
+                {!phase.requiredForComplete && (
+                  <span className="text-xs text-slate-400 flex-shrink-0">optional</span>
+                )}
+              </div>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${
+                isComplete ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-600'
+              }`}>
+                {isComplete ? '✓' : '○'}
+              </span>
+            </button>
+            <PhaseRecordEditor
+              record={getRecord(phase.key, phaseScope)}
+              complete={isComplete}
+              users={users}
+              disabled={isArchived}
+              onChange={(changes) => updateDetails(phase.key, phaseScope, changes)}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+
   const handleStatusUpdate = (newStatus) => {
     if (isArchived) return; // Can't modify archived boats
 
@@ -204,7 +270,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
     if (boat.storageBoat) {
       // Validate: can't set to complete without all phases done for this season
       if (newStatus === 'all-work-complete' && !allWorkPhasesComplete) {
-        alert('Cannot mark as complete! All work phases (Mechanicals, Clean, Fiberglass, Warranty, Invoiced) must be completed first.');
+        alert(`Cannot mark as complete! These work phases must be completed first: ${incompleteRequiredPhases.map(p => p.label).join(', ')}.`);
         return;
       }
 
@@ -243,7 +309,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
       // Regular boats - use existing logic
       // Validate: can't set to complete without all phases done
       if (newStatus === 'all-work-complete' && !allWorkPhasesComplete) {
-        alert('Cannot mark as complete! All work phases (Mechanicals, Clean, Fiberglass, Warranty, Invoiced) must be completed first.');
+        alert(`Cannot mark as complete! These work phases must be completed first: ${incompleteRequiredPhases.map(p => p.label).join(', ')}.`);
         return;
       }
 
@@ -523,7 +589,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
               </div>
               <div className="p-3 bg-slate-50 rounded-lg">
                 <p className="text-xs text-slate-600 mb-0.5">Status</p>
-                <p className="text-sm font-semibold text-slate-900 truncate">{statusLabels[boat.status]}</p>
+                <p className="text-sm font-semibold text-slate-900 truncate">{getStatusLabel(workflow, boat.status)}</p>
               </div>
               <div className="p-3 bg-slate-50 rounded-lg col-span-1 sm:col-span-2">
                 <p className="text-xs text-slate-600 mb-0.5">Work Order Number</p>
@@ -589,6 +655,11 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
                 <div className="flex items-center gap-2 mb-2">
                   <History className="w-4 h-4 text-blue-600" />
                   <p className="text-xs text-blue-700 font-medium">Recent Moves</p>
+                  {soldFrom?.sold_at && (
+                    <span className="ml-auto text-xs text-blue-600">
+                      Sold from inventory {new Date(soldFrom.sold_at).toLocaleDateString()}
+                    </span>
+                  )}
                 </div>
                 {loadingMovements ? (
                   <p className="text-xs text-blue-600">Loading...</p>
@@ -615,6 +686,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
                           <span className="text-blue-400 flex-shrink-0">{idx === 0 ? '→' : '·'}</span>
                           <span className="truncate">
                             {from} → {to}
+                            {move.boatType === 'inventory' && <span className="text-blue-500 ml-1">as inventory</span>}
                             <span className="text-blue-500 ml-1">
                               ({timeAgo}{movedByName ? ` by ${movedByName}` : ''})
                             </span>
@@ -636,19 +708,19 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
             <div className="flex items-center gap-2 p-3 bg-slate-50 border-b border-slate-200">
               <MessageSquare className="w-4 h-4 text-slate-600" />
               <h4 className="text-sm font-semibold text-slate-900">Notes</h4>
-              <span className="text-xs text-slate-500">({notes.length})</span>
+              <span className="text-xs text-slate-500">({thread.length})</span>
             </div>
 
             {/* Messages Area */}
             <div className="h-48 overflow-y-auto p-3 space-y-3 bg-white">
               {loadingNotes ? (
                 <p className="text-center text-slate-500 py-4 text-sm">Loading notes...</p>
-              ) : notes.length === 0 ? (
+              ) : thread.length === 0 ? (
                 <p className="text-center text-slate-400 py-4 text-sm">
                   {isArchived ? 'No notes recorded' : 'No notes yet. Start the conversation!'}
                 </p>
               ) : (
-                notes.map((note) => {
+                thread.map((note) => {
                   const isCurrentUser = note.user_id === currentUser?.id;
                   return (
                     <div key={note.id} className={`flex ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
@@ -668,7 +740,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
                           {renderMessageWithMentions(note.message, currentUser?.id)}
                         </p>
                         <p className={`text-xs mt-1 ${isCurrentUser ? 'text-blue-200' : 'text-slate-500'}`}>
-                          {getTimeAgo(new Date(note.created_at))}
+                          {note.queued ? 'Waiting to sync' : getTimeAgo(new Date(note.created_at))}
                         </p>
                       </div>
                     </div>
@@ -723,6 +795,10 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
             </div>
           </div>
 
+{boat.storageBoat && (
+            <StorageContractSection boat={boat} locations={locations} disabled={isArchived} />
+          )}
+
 {boat.storageBoat ? (
             // SEASONAL WORK PHASES - Tabbed interface for storage boats
             <div>
@@ -746,178 +822,14 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
               </div>
 
               {/* Work Phase Toggles for Active Season */}
-              <div className="space-y-2">
-                {['mechanicals', 'clean', 'fiberglass', 'warranty', 'invoiced'].map(phase => {
-                  const phaseKey = `${activeSeason}${phase.charAt(0).toUpperCase() + phase.slice(1)}Complete`;
-                  const isComplete = boat[phaseKey];
-
-                  return (
-                    <button
-                      key={phase}
-                      onClick={() => handleSeasonWorkPhaseToggle(activeSeason, phase)}
-                      className="w-full flex items-center justify-between p-3 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors cursor-pointer"
-                    >
-                      <div className="flex items-center gap-2 min-w-0 flex-1">
-                        <div className={`w-8 h-8 rounded-lg flex items-center justify-center transition-colors flex-shrink-0 ${
-                          isComplete ? 'bg-green-100' : 'bg-slate-200'
-                        }`}>
-                          {isComplete ? (
-                            <svg className="w-5 h-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                            </svg>
-                          ) : (
-                            <X className="w-5 h-5 text-slate-400" />
-                          )}
-                        </div>
-                        <span className="text-sm font-medium text-slate-900 truncate capitalize">
-                          {phase === 'mechanicals' ? 'Mechanicals' :
-                           phase === 'clean' ? 'Clean' :
-                           phase === 'fiberglass' ? 'Fiberglass' :
-                           phase === 'warranty' ? 'Warranty' :
-                           'Invoiced'}
-                        </span>
-                      </div>
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${
-                        isComplete ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-600'
-                      }`}>
-                        {isComplete ? '✓' : '○'}
-                      </span>
-                    </button>
-                  );
-                })}
-              </div>
+              {renderWorkPhaseToggles()}
             </div>
           ) : (
             // REGULAR WORK PHASES - Original single-phase interface for non-storage boats
             <div>
               <h4 className="text-base md:text-lg font-bold text-slate-900 mb-1">Work Phases</h4>
               <p className="text-xs text-slate-500 mb-3">Check phases that are complete or not needed. All phases must be verified and billed before marking status as complete.</p>
-              <div className="space-y-2">
-                <button
-                  onClick={() => handleWorkPhaseToggle('mechanicalsComplete')}
-                  className="w-full flex items-center justify-between p-3 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors cursor-pointer"
-                >
-                  <div className="flex items-center gap-2 min-w-0 flex-1">
-                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center transition-colors flex-shrink-0 ${
-                      boat.mechanicalsComplete ? 'bg-green-100' : 'bg-slate-200'
-                    }`}>
-                      {boat.mechanicalsComplete ? (
-                        <svg className="w-5 h-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                        </svg>
-                      ) : (
-                        <X className="w-5 h-5 text-slate-400" />
-                      )}
-                    </div>
-                    <span className="text-sm font-medium text-slate-900 truncate">Mechanicals</span>
-                  </div>
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${
-                    boat.mechanicalsComplete ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-600'
-                  }`}>
-                    {boat.mechanicalsComplete ? '✓' : '○'}
-                  </span>
-                </button>
-
-                <button
-                  onClick={() => handleWorkPhaseToggle('cleanComplete')}
-                  className="w-full flex items-center justify-between p-3 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors cursor-pointer"
-                >
-                  <div className="flex items-center gap-2 min-w-0 flex-1">
-                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center transition-colors flex-shrink-0 ${
-                      boat.cleanComplete ? 'bg-green-100' : 'bg-slate-200'
-                    }`}>
-                      {boat.cleanComplete ? (
-                        <svg className="w-5 h-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                        </svg>
-                      ) : (
-                        <X className="w-5 h-5 text-slate-400" />
-                      )}
-                    </div>
-                    <span className="text-sm font-medium text-slate-900 truncate">Clean</span>
-                  </div>
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${
-                    boat.cleanComplete ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-600'
-                  }`}>
-                    {boat.cleanComplete ? '✓' : '○'}
-                  </span>
-                </button>
-
-                <button
-                  onClick={() => handleWorkPhaseToggle('fiberglassComplete')}
-                  className="w-full flex items-center justify-between p-3 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors cursor-pointer"
-                >
-                  <div className="flex items-center gap-2 min-w-0 flex-1">
-                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center transition-colors flex-shrink-0 ${
-                      boat.fiberglassComplete ? 'bg-green-100' : 'bg-slate-200'
-                    }`}>
-                      {boat.fiberglassComplete ? (
-                        <svg className="w-5 h-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                        </svg>
-                      ) : (
-                        <X className="w-5 h-5 text-slate-400" />
-                      )}
-                    </div>
-                    <span className="text-sm font-medium text-slate-900 truncate">Fiberglass</span>
-                  </div>
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${
-                    boat.fiberglassComplete ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-600'
-                  }`}>
-                    {boat.fiberglassComplete ? '✓' : '○'}
-                  </span>
-                </button>
-
-                <button
-                  onClick={() => handleWorkPhaseToggle('warrantyComplete')}
-                  className="w-full flex items-center justify-between p-3 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors cursor-pointer"
-                >
-                  <div className="flex items-center gap-2 min-w-0 flex-1">
-                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center transition-colors flex-shrink-0 ${
-                      boat.warrantyComplete ? 'bg-green-100' : 'bg-slate-200'
-                    }`}>
-                      {boat.warrantyComplete ? (
-                        <svg className="w-5 h-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                        </svg>
-                      ) : (
-                        <X className="w-5 h-5 text-slate-400" />
-                      )}
-                    </div>
-                    <span className="text-sm font-medium text-slate-900 truncate">Warranty</span>
-                  </div>
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${
-                    boat.warrantyComplete ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-600'
-                  }`}>
-                    {boat.warrantyComplete ? '✓' : '○'}
-                  </span>
-                </button>
-
-                <button
-                  onClick={() => handleWorkPhaseToggle('invoicedComplete')}
-                  className="w-full flex items-center justify-between p-3 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors cursor-pointer"
-                >
-                  <div className="flex items-center gap-2 min-w-0 flex-1">
-                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center transition-colors flex-shrink-0 ${
-                      boat.invoicedComplete ? 'bg-green-100' : 'bg-slate-200'
-                    }`}>
-                      {boat.invoicedComplete ? (
-                        <svg className="w-5 h-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                        </svg>
-                      ) : (
-                        <X className="w-5 h-5 text-slate-400" />
-                      )}
-                    </div>
-                    <span className="text-sm font-medium text-slate-900 truncate">Invoiced</span>
-                  </div>
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${
-                    boat.invoicedComplete ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-600'
-                  }`}>
-                    {boat.invoicedComplete ? '✓' : '○'}
-                  </span>
-                </button>
-              </div>
+              {renderWorkPhaseToggles()}
             </div>
           )}
 
@@ -926,35 +838,20 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
               Update Status {boat.storageBoat && `(${SEASON_LABELS[activeSeason]})`}
             </h4>
             <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-              <StatusButton
-                status="needs-approval"
-                label="Needs Approval"
-                active={boat.storageBoat ? boat[`${activeSeason}Status`] === 'needs-approval' : boat.status === 'needs-approval'}
-                onClick={() => handleStatusUpdate('needs-approval')}
-              />
-              <StatusButton
-                status="needs-parts"
-                label="Needs Parts"
-                active={boat.storageBoat ? boat[`${activeSeason}Status`] === 'needs-parts' : boat.status === 'needs-parts'}
-                onClick={() => handleStatusUpdate('needs-parts')}
-              />
-              <StatusButton
-                status="parts-kit-pulled"
-                label="Parts Pulled"
-                active={boat.storageBoat ? boat[`${activeSeason}Status`] === 'parts-kit-pulled' : boat.status === 'parts-kit-pulled'}
-                onClick={() => handleStatusUpdate('parts-kit-pulled')}
-              />
-              <StatusButton
-                status="on-deck"
-                label="On Deck"
-                active={boat.storageBoat ? boat[`${activeSeason}Status`] === 'on-deck' : boat.status === 'on-deck'}
-                onClick={() => handleStatusUpdate('on-deck')}
-              />
+              {getStatusOptions(workflow).filter(option => option.key !== COMPLETE_STATUS).map(option => (
+                <StatusButton
+                  key={option.key}
+                  status={option.key}
+                  label={option.label}
+                  active={boat[statusKey] === option.key}
+                  onClick={() => handleStatusUpdate(option.key)}
+                />
+              ))}
               <button
                 onClick={() => handleStatusUpdate('all-work-complete')}
                 disabled={!allWorkPhasesComplete}
                 className={`p-4 rounded-lg border-2 transition-all ${
-                  (boat.storageBoat ? boat[`${activeSeason}Status`] === 'all-work-complete' : boat.status === 'all-work-complete')
+                  boat[statusKey] === COMPLETE_STATUS
                     ? 'status-all-work-complete border-transparent text-white font-semibold shadow-md'
                     : allWorkPhasesComplete
                       ? 'border-slate-300 bg-white hover:border-slate-400 text-slate-700'
@@ -962,7 +859,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
                 }`}
                 title={!allWorkPhasesComplete ? 'Complete all work phases first' : ''}
               >
-                <span>Complete</span>
+                <span>{getStatusLabel(workflow, COMPLETE_STATUS)}</span>
                 {boat.storageBoat ? (
                   boat[`${activeSeason}Status`] === 'all-work-complete' && boat[`${activeSeason}CompletedBy`] && (
                     <span className="block text-xs mt-1 opacity-90">
@@ -980,7 +877,7 @@ export function BoatDetailsModal({ boat, onRemove, onClose, onUpdateBoat, onUpda
             </div>
             {!allWorkPhasesComplete && (
               <p className="text-sm text-orange-600 mt-2">
-                ⚠️ All work phases must be completed before marking as complete
+                ⚠️ {incompleteRequiredPhases.map(p => p.label).join(', ')} must be completed before marking as complete
               </p>
             )}
             {boat.storageBoat ? (
@@ -1,5 +1,8 @@
 import React, { useState } from 'react';
 import { X } from 'lucide-react';
+import { validateHullId, checkHullIdYear } from '../../utils/hullId';
+import { COMPLETE_STATUS, isPhaseComplete, getPhaseUpdate, getIncompleteRequiredPhases, getStatusOptions } from '../../utils/workflowHelpers';
+import { useWorkflows } from '../../WorkflowProvider';
 
 export function BoatModal({ boat, locations, onSave, onCancel }) {
   // ====================================================================
@@ -32,6 +35,7 @@ export function BoatModal({ boat, locations, onSave, onCancel }) {
     name: '',
     model: '',
     owner: '',
+    hullId: '',
     status: 'needs-approval',
     location: '',
     slot: '',
@@ -42,23 +46,37 @@ export function BoatModal({ boat, locations, onSave, onCancel }) {
     warrantyComplete: false
   });
 
-  const allWorkPhasesComplete = formData.mechanicalsComplete && formData.cleanComplete && formData.fiberglassComplete && formData.warrantyComplete;
+  // New and edited customer boats follow the customer workflow
+  const workflow = useWorkflows().workflows.customer;
+  const incompleteRequiredPhases = getIncompleteRequiredPhases(formData, workflow, 'current');
+  const allWorkPhasesComplete = incompleteRequiredPhases.length === 0;
+  const incompletePhasesMessage = `Cannot mark as complete! These work phases must be completed first: ${incompleteRequiredPhases.map(p => p.label).join(', ')}.`;
+
+  // Flag malformed hull IDs as they're typed (optional field, so empty is fine)
+  const hullIdCheck = formData.hullId ? validateHullId(formData.hullId) : null;
+  const hullIdYearWarning = hullIdCheck?.valid ? checkHullIdYear(formData.hullId, formData.year) : null;
 
   const handleSubmit = (e) => {
     e.preventDefault();
 
     // Validate: can't set to complete without all phases done
-    if (formData.status === 'all-work-complete' && !allWorkPhasesComplete) {
-      alert('Cannot mark as complete! All work phases (Mechanicals, Clean, Fiberglass, Warranty) must be completed first.');
+    if (formData.status === COMPLETE_STATUS && !allWorkPhasesComplete) {
+      alert(incompletePhasesMessage);
       return;
     }
 
-    onSave(formData);
+    if (hullIdCheck && !hullIdCheck.valid) {
+      const confirmed = window.confirm(`Hull ID "${formData.hullId}" doesn't look valid:\n${hullIdCheck.error}\n\nSave anyway?`);
+      if (!confirmed) return;
+    }
+
+    // Store valid hull IDs in canonical form so scans and Dockmaster syncs match
+    onSave(hullIdCheck?.valid ? { ...formData, hullId: hullIdCheck.hullId } : formData);
   };
 
   const handleStatusChange = (newStatus) => {
-    if (newStatus === 'all-work-complete' && !allWorkPhasesComplete) {
-      alert('Cannot mark as complete! All work phases (Mechanicals, Clean, Fiberglass) must be completed first.');
+    if (newStatus === COMPLETE_STATUS && !allWorkPhasesComplete) {
+      alert(incompletePhasesMessage);
       return;
     }
     setFormData({ ...formData, status: newStatus });
@@ -111,6 +129,30 @@ export function BoatModal({ boat, locations, onSave, onCancel }) {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Hull ID (HIN)</label>
+            <input
+              type="text"
+              value={formData.hullId || ''}
+              onChange={(e) => setFormData({ ...formData, hullId: e.target.value.toUpperCase() })}
+              className={`w-full px-3 py-2 border rounded-lg font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                hullIdCheck && !hullIdCheck.valid ? 'border-orange-400' : 'border-slate-300'
+              }`}
+              placeholder="e.g., ABC12345D405"
+            />
+            {hullIdCheck && !hullIdCheck.valid && (
+              <p className="text-xs text-orange-600 mt-1">{hullIdCheck.error}</p>
+            )}
+            {hullIdCheck?.valid && (
+              <p className="text-xs text-slate-500 mt-1">
+                Model year {hullIdCheck.decoded.modelYear} • Built {hullIdCheck.decoded.productionMonthName} {hullIdCheck.decoded.productionYear}
+              </p>
+            )}
+            {[...(hullIdCheck?.warnings || []), hullIdYearWarning].filter(Boolean).map(warning => (
+              <p key={warning} className="text-xs text-orange-600 mt-1">{warning}</p>
+            ))}
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-2">Work Order Number</label>
             <input
@@ -130,13 +172,15 @@ export function BoatModal({ boat, locations, onSave, onCancel }) {
               onChange={(e) => handleStatusChange(e.target.value)}
               className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
-              <option value="needs-approval">Needs Approval</option>
-              <option value="needs-parts">Needs Parts</option>
-              <option value="parts-kit-pulled">Parts Kit Pulled</option>
-              <option value="on-deck">On Deck</option>
-              <option value="all-work-complete" disabled={!allWorkPhasesComplete}>
-                All Work Complete {!allWorkPhasesComplete ? '(requires all phases)' : ''}
-              </option>
+              {getStatusOptions(workflow).map(option => (
+                option.key === COMPLETE_STATUS ? (
+                  <option key={option.key} value={option.key} disabled={!allWorkPhasesComplete}>
+                    {option.label} {!allWorkPhasesComplete ? '(requires all phases)' : ''}
+                  </option>
+                ) : (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                )
+              ))}
             </select>
             {!allWorkPhasesComplete && (
               <p className="text-xs text-orange-600 mt-1">
@@ -150,67 +194,24 @@ export function BoatModal({ boat, locations, onSave, onCancel }) {
             <label className="block text-sm font-medium text-slate-700 mb-1">Work Phases</label>
             <p className="text-xs text-slate-500 mb-3">Check phases that are complete or not needed. All phases must be verified and billed before marking status as complete.</p>
             <div className="space-y-2">
-              <label className="flex items-center gap-2 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={formData.mechanicalsComplete || false}
-                  onChange={(e) => {
-                    const newData = { ...formData, mechanicalsComplete: e.target.checked };
-                    // Auto-downgrade status if unchecking and currently complete
-                    if (!e.target.checked && formData.status === 'all-work-complete') {
-                      newData.status = 'on-deck';
-                    }
-                    setFormData(newData);
-                  }}
-                  className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
-                />
-                <span className="text-sm text-slate-700">Mechanicals Complete</span>
-              </label>
-              <label className="flex items-center gap-2 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={formData.cleanComplete || false}
-                  onChange={(e) => {
-                    const newData = { ...formData, cleanComplete: e.target.checked };
-                    if (!e.target.checked && formData.status === 'all-work-complete') {
-                      newData.status = 'on-deck';
-                    }
-                    setFormData(newData);
-                  }}
-                  className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
-                />
-                <span className="text-sm text-slate-700">Clean Complete</span>
-              </label>
-              <label className="flex items-center gap-2 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={formData.fiberglassComplete || false}
-                  onChange={(e) => {
-                    const newData = { ...formData, fiberglassComplete: e.target.checked };
-                    if (!e.target.checked && formData.status === 'all-work-complete') {
-                      newData.status = 'on-deck';
-                    }
-                    setFormData(newData);
-                  }}
-                  className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
-                />
-                <span className="text-sm text-slate-700">Fiberglass Complete</span>
-              </label>
-              <label className="flex items-center gap-2 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={formData.warrantyComplete || false}
-                  onChange={(e) => {
-                    const newData = { ...formData, warrantyComplete: e.target.checked };
-                    if (!e.target.checked && formData.status === 'all-work-complete') {
-                      newData.status = 'on-deck';
-                    }
-                    setFormData(newData);
-                  }}
-                  className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
-                />
-                <span className="text-sm text-slate-700">Warranty Complete</span>
-              </label>
+              {workflow.phases.map(phase => (
+                <label key={phase.key} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isPhaseComplete(formData, phase.key, 'current')}
+                    onChange={(e) => {
+                      const newData = { ...formData, ...getPhaseUpdate(formData, phase.key, 'current', e.target.checked) };
+                      // Auto-downgrade status if unchecking a required phase and currently complete
+                      if (!e.target.checked && phase.requiredForComplete && formData.status === COMPLETE_STATUS) {
+                        newData.status = 'on-deck';
+                      }
+                      setFormData(newData);
+                    }}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                  />
+                  <span className="text-sm text-slate-700">{phase.label} Complete</span>
+                </label>
+              ))}
             </div>
           </div>
 
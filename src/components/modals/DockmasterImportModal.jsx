@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Search, X, Package } from 'lucide-react';
+import { validateHullId, checkHullIdYear } from '../../utils/hullId';
 
 export function DockmasterImportModal({ dockmasterConfig, onImport, onCancel }) {
   const [searchQuery, setSearchQuery] = useState('');
@@ -101,6 +102,19 @@ export function DockmasterImportModal({ dockmasterConfig, onImport, onCancel })
       const boatData = await response.json();
       console.log('Retrieved boat data:', boatData);
 
+      // Flag bad HINs before they get into our boat records
+      const hinCheck = boatData.hin ? validateHullId(boatData.hin) : null;
+      const hinProblems = [
+        hinCheck && !hinCheck.valid && `HIN "${boatData.hin}" doesn't look valid: ${hinCheck.error}`,
+        ...(hinCheck?.warnings || []),
+        hinCheck?.valid && checkHullIdYear(boatData.hin, boatData.year),
+      ].filter(Boolean);
+
+      if (hinProblems.length > 0) {
+        const confirmed = window.confirm(`${hinProblems.join('\n')}\n\nImport anyway? You can fix the HIN in Dockmaster later.`);
+        if (!confirmed) return;
+      }
+
       // Convert Dockmaster boat data to our boat format
       const importedBoat = {
         name: boatData.name || 'Unknown',
@@ -111,7 +125,7 @@ export function DockmasterImportModal({ dockmasterConfig, onImport, onCancel })
         // Store Dockmaster IDs for syncing and work order lookups
         dockmasterId: boatId, // The 10-digit boat ID
         customerId: ownerId || boatData.ownerId || '', // The 10-digit customer ID
-        hullId: boatData.hin || '', // Hull Identification Number
+        hullId: hinCheck?.valid ? hinCheck.hullId : (boatData.hin || ''), // Hull Identification Number
         status: 'needs-approval',
         mechanicalsComplete: false,
         cleanComplete: false,
@@ -196,6 +210,9 @@ export function DockmasterImportModal({ dockmasterConfig, onImport, onCancel })
                       {boat.hin && (
                         <p className="text-xs text-slate-500 truncate">
                           HIN: {boat.hin}
+                          {!validateHullId(boat.hin).valid && (
+                            <span className="ml-2 text-orange-600">⚠ invalid format</span>
+                          )}
                         </p>
                       )}
                       {(boat.arrivalDate || boat.departureDate) && (
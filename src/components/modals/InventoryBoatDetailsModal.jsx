@@ -6,7 +6,7 @@
 // ============================================================================
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { X, Wrench, History, FileText, DollarSign, CheckCircle, AlertTriangle, MessageSquare } from 'lucide-react';
+import { X, Wrench, History, FileText, DollarSign, CheckCircle, MessageSquare } from 'lucide-react';
 import { MentionInput, renderMessageWithMentions } from '../MentionInput';
 
 // Work type configuration by inventory type
@@ -25,17 +25,7 @@ const getWorkTypeLabel = (workType, inventoryType) => {
   return 'RIGGING';
 };
 
-// Work phases (same for all types and tabs)
-const WORK_PHASES = ['mechanicals', 'clean', 'fiberglass', 'warranty', 'invoiced', 'photographed'];
-
-// Status labels (same as customer boats)
-const STATUS_LABELS = {
-  'needs-approval': 'Needs Approval',
-  'needs-parts': 'Needs Parts',
-  'parts-kit-pulled': 'Parts Kit Pulled',
-  'on-deck': 'On Deck',
-  'all-work-complete': 'All Work Complete'
-};
+// Work phases and status labels come from the inventory workflow (Settings → Workflows)
 
 // Get inventory type from raw_data (NEW, USED, BROKERAGE)
 const getInventoryType = (boat) => {
@@ -67,19 +57,19 @@ function StatusButton({ status, label, active, onClick, disabled }) {
 import supabaseService, { boatNotesService } from '../../services/supabaseService';
 import { supabase } from '../../supabaseClient';
 import { usePermissions } from '../../hooks/usePermissions';
-import { findBoatLocationData, useBoatLocation } from '../BoatComponents';
+import { useWorkflows } from '../../WorkflowProvider';
+import { usePhaseRecords } from '../../hooks/usePhaseRecords';
+import { useQueuedNotes } from '../../hooks/useQueuedNotes';
+import { isNetworkError } from '../../services/offlineStore';
+import { BUILT_IN_PHASES, COMPLETE_STATUS, isBuiltInPhase, isPhaseComplete, getPhaseUpdate, getMissingPrerequisites, getIncompleteRequiredPhases, getStatusOptions } from '../../utils/workflowHelpers';
+import { findBoatLocationData, useBoatLocation, PhaseRecordEditor } from '../BoatComponents';
 import { WorkOrdersModal } from './WorkOrdersModal';
 import { SlotGridDisplay } from '../locations/SlotGridDisplay';
 import { WindowStickerModal } from './WindowStickerModal';
 import { EstimateDetailsModal } from './EstimateDetailsModal';
-import { estimatesService } from '../../services/supabaseService';
-
-// Compute hash from estimates for change detection
-const computeEstimatesHash = (estimates) => {
-  if (!estimates || estimates.length === 0) return null;
-  const sorted = [...estimates].sort((a, b) => a.id - b.id);
-  return sorted.map(e => `${e.id}:${e.total_charges || 0}`).join('|');
-};
+import { estimatesService, estimateApprovalsService } from '../../services/supabaseService';
+import { EstimateChangesPanel } from '../EstimateChangesPanel';
+import { computeEstimatesHash } from '../../utils/estimateDiff';
 
 // Helper to format time ago
 function getTimeAgo(date) {
@@ -99,6 +89,9 @@ function getTimeAgo(date) {
 export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], boats = [], inventoryBoats = [], users = [], onMoveBoat, onUpdateBoat, onClose }) {
   // Get permissions from centralized hook - ensures consistent access across the app
   const { canSeeCost, currentUser, isSalesManager, isAdmin } = usePermissions();
+  const { workflows } = useWorkflows();
+  const workflow = workflows.inventory;
+  const { getRecord, updateDetails, recordCompletion } = usePhaseRecords(boat, currentUser);
 
   const [showLocationPicker, setShowLocationPicker] = useState(false);
   const [slotViewMode, setSlotViewMode] = useState('layout');
@@ -143,8 +136,8 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
   const initWorkflowState = () => {
     const state = {};
     ['prep', 'rigging'].forEach(workType => {
-      // Initialize phases
-      WORK_PHASES.forEach(phase => {
+      // Initialize phases that have their own column
+      Object.keys(BUILT_IN_PHASES).filter(phase => isBuiltInPhase(phase, workType)).forEach(phase => {
         const snakeKey = `${workType}_${phase}_complete`;
         state[snakeKey] = boat[snakeKey] || false;
       });
@@ -153,9 +146,13 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
       state[`${workType}_completed_by`] = boat[`${workType}_completed_by`] || null;
       state[`${workType}_completed_at`] = boat[`${workType}_completed_at`] || null;
     });
+    // Admin-added phases for both work types
+    state.custom_phases = boat.custom_phases || {};
     return state;
   };
   const [workflowState, setWorkflowState] = useState(initWorkflowState);
+  // Boat as the workflow helpers should see it, including unsaved local changes
+  const workflowBoat = { ...boat, ...workflowState, isInventory: true };
 
   // Determine initial active tab - if first tab is complete, show second tab
   const getInitialWorkType = () => {
@@ -169,8 +166,7 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
 
   // Helper to get phase complete value from local state
   const getPhaseValue = (workType, phase) => {
-    const snakeKey = `${workType}_${phase}_complete`;
-    return workflowState[snakeKey] || false;
+    return isPhaseComplete(workflowBoat, phase, workType);
   };
 
   // Helper to get status value from local state
@@ -178,9 +174,9 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
     return workflowState[`${workType}_status`] || 'needs-approval';
   };
 
-  // Check if all phases are complete for a work type
+  // Check if all required phases are complete for a work type
   const checkAllPhasesComplete = (workType) => {
-    return WORK_PHASES.every(phase => getPhaseValue(workType, phase));
+    return getIncompleteRequiredPhases(workflowBoat, workflow, workType).length === 0;
   };
 
   // Get readiness status based on work type completion
@@ -200,16 +196,22 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
   // Handle work phase toggle
   const handleWorkPhaseToggle = async (phase) => {
     const snakeWorkType = toSnakeCase(activeWorkType);
-    const snakeKey = `${snakeWorkType}_${phase}_complete`;
-    const currentValue = getPhaseValue(activeWorkType, phase);
+    const currentValue = getPhaseValue(activeWorkType, phase.key);
+
+    // Phases the admin set as prerequisites must be done first
+    if (!currentValue) {
+      const missing = getMissingPrerequisites(workflowBoat, workflow, phase.key, activeWorkType);
+      if (missing.length > 0) {
+        alert(`${phase.label} can't be checked off yet. Complete ${missing.map(p => p.label).join(', ')} first.`);
+        return;
+      }
+    }
 
-    const updates = {
-      [snakeKey]: !currentValue
-    };
+    const updates = getPhaseUpdate(workflowBoat, phase.key, activeWorkType, !currentValue);
 
-    // Auto-clear status if unchecking a phase and status was complete
+    // Auto-clear status if unchecking a required phase and status was complete
     const statusKey = `${snakeWorkType}_status`;
-    if (currentValue && getStatusValue(activeWorkType) === 'all-work-complete') {
+    if (currentValue && phase.requiredForComplete && getStatusValue(activeWorkType) === COMPLETE_STATUS) {
       updates[statusKey] = 'on-deck';
     }
 
@@ -218,6 +220,7 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
 
     try {
       await supabaseService.inventoryBoats.update(boat.id, updates);
+      recordCompletion(phase.key, activeWorkType, !currentValue);
       if (onUpdateBoat) {
         // Pass updated boat back to parent
         const updatedBoat = { ...boat, ...updates };
@@ -231,10 +234,10 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
 
   // Handle status update
   const handleStatusUpdate = async (newStatus) => {
-    const allPhasesComplete = checkAllPhasesComplete(activeWorkType);
+    const incompletePhases = getIncompleteRequiredPhases(workflowBoat, workflow, activeWorkType);
 
-    if (newStatus === 'all-work-complete' && !allPhasesComplete) {
-      alert('All work phases must be completed first.');
+    if (newStatus === COMPLETE_STATUS && incompletePhases.length > 0) {
+      alert(`These work phases must be completed first: ${incompletePhases.map(p => p.label).join(', ')}.`);
       return;
     }
 
@@ -308,6 +311,10 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
     }
   }, [boat?.id]);
 
+  // Notes written offline, shown until they're sent
+  const { isOnline, queuedNotes, queueNote } = useQueuedNotes(boat, true, currentUser, loadNotes);
+  const thread = [...notes, ...queuedNotes];
+
   useEffect(() => {
     loadNotes();
   }, [loadNotes]);
@@ -315,7 +322,7 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
   // Scroll to bottom of notes when they change
   useEffect(() => {
     notesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [notes]);
+  }, [notes, queuedNotes.length]);
 
   // Handle sending a new note
   const handleSendNote = async (noteText) => {
@@ -325,8 +332,18 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
 
     setSendingNote(true);
     try {
-      const addedNote = await boatNotesService.addToInventoryBoat(boat.id, currentUser?.id, text.trim());
-      setNotes(prev => [...prev, addedNote]);
+      if (isOnline) {
+        try {
+          const addedNote = await boatNotesService.addToInventoryBoat(boat.id, currentUser?.id, text.trim());
+          setNotes(prev => [...prev, addedNote]);
+        } catch (err) {
+          if (!isNetworkError(err)) throw err;
+          await queueNote(text.trim());
+        }
+      } else {
+        // Sent when the connection is back
+        await queueNote(text.trim());
+      }
       setNewNote('');
     } catch (err) {
       console.error('Error sending note:', err);
@@ -357,20 +374,12 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
   }, [boat.dockmasterId, boat.dockmaster_id]);
 
   // Handle estimates approval
-  // Stores approval on inventory_boats only (single source of truth)
+  // Stores approval on inventory_boats (single source of truth) plus a snapshot of the estimates
   const handleApproveEstimates = async () => {
     if (approvingEstimates) return;
     setApprovingEstimates(true);
     try {
-      const hash = computeEstimatesHash(estimates);
-      const approvalData = {
-        estimates_approved_by: currentUser?.id,
-        estimates_approved_at: new Date().toISOString(),
-        estimates_approval_hash: hash
-      };
-
-      // Update only the inventory_boat (single source of truth)
-      await supabaseService.inventoryBoats.update(boat.id, approvalData);
+      const approvalData = await estimateApprovalsService.approve(boat.id, estimates, currentUser?.id);
 
       if (onUpdateBoat) {
         onUpdateBoat({
@@ -553,30 +562,40 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
                 Work Phases ({getWorkTypeLabel(activeWorkType, inventoryType)})
               </h4>
               <div className="space-y-2">
-                {WORK_PHASES.map(phase => {
-                  const isComplete = getPhaseValue(activeWorkType, phase);
+                {workflow.phases.map(phase => {
+                  const isComplete = getPhaseValue(activeWorkType, phase.key);
                   return (
-                    <button
-                      key={phase}
-                      onClick={() => handleWorkPhaseToggle(phase)}
-                      className="w-full flex items-center justify-between p-3 bg-white hover:bg-slate-50 rounded-lg transition-colors cursor-pointer border border-slate-200"
-                    >
-                      <div className="flex items-center gap-2">
-                        <div className={`w-6 h-6 rounded flex items-center justify-center transition-colors ${
-                          isComplete ? 'bg-green-500' : 'bg-slate-200'
-                        }`}>
-                          {isComplete && (
-                            <svg className="w-4 h-4 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                            </svg>
+                    <div key={phase.key} className="p-3 bg-white rounded-lg border border-slate-200">
+                      <button
+                        onClick={() => handleWorkPhaseToggle(phase)}
+                        className="w-full flex items-center justify-between hover:opacity-80 transition-opacity cursor-pointer"
+                      >
+                        <div className="flex items-center gap-2">
+                          <div className={`w-6 h-6 rounded flex items-center justify-center transition-colors ${
+                            isComplete ? 'bg-green-500' : 'bg-slate-200'
+                          }`}>
+                            {isComplete && (
+                              <svg className="w-4 h-4 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                              </svg>
+                            )}
+                          </div>
+                          <span className="text-sm font-medium text-slate-900">{phase.label}</span>
+                          {!phase.requiredForComplete && (
+                            <span className="text-xs text-slate-400">optional</span>
                           )}
                         </div>
-                        <span className="text-sm font-medium text-slate-900 capitalize">{phase}</span>
-                      </div>
-                      <span className={`text-xs font-medium ${isComplete ? 'text-green-600' : 'text-slate-400'}`}>
-                        {isComplete ? 'Complete' : 'Pending'}
-                      </span>
-                    </button>
+                        <span className={`text-xs font-medium ${isComplete ? 'text-green-600' : 'text-slate-400'}`}>
+                          {isComplete ? 'Complete' : 'Pending'}
+                        </span>
+                      </button>
+                      <PhaseRecordEditor
+                        record={getRecord(phase.key, activeWorkType)}
+                        complete={isComplete}
+                        users={users}
+                        onChange={(changes) => updateDetails(phase.key, activeWorkType, changes)}
+                      />
+                    </div>
                   );
                 })}
               </div>
@@ -588,7 +607,7 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
                 Update Status ({getWorkTypeLabel(activeWorkType, inventoryType)})
               </h4>
               <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
-                {Object.entries(STATUS_LABELS).map(([status, label]) => {
+                {getStatusOptions(workflow).map(({ key: status, label }) => {
                   const currentStatus = getStatusValue(activeWorkType);
                   const isActive = currentStatus === status;
                   const allPhasesComplete = checkAllPhasesComplete(activeWorkType);
@@ -838,19 +857,19 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
             <div className="flex items-center gap-2 p-3 bg-slate-50 border-b border-slate-200">
               <MessageSquare className="w-4 h-4 text-slate-600" />
               <h4 className="text-sm font-semibold text-slate-900">Notes</h4>
-              <span className="text-xs text-slate-500">({notes.length})</span>
+              <span className="text-xs text-slate-500">({thread.length})</span>
             </div>
 
             {/* Messages Area */}
             <div className="h-48 overflow-y-auto p-3 space-y-3 bg-white">
               {loadingNotes ? (
                 <p className="text-center text-slate-500 py-4 text-sm">Loading notes...</p>
-              ) : notes.length === 0 ? (
+              ) : thread.length === 0 ? (
                 <p className="text-center text-slate-400 py-4 text-sm">
                   No notes yet. Start the conversation!
                 </p>
               ) : (
-                notes.map((note) => {
+                thread.map((note) => {
                   const isCurrentUser = note.user_id === currentUser?.id;
                   return (
                     <div key={note.id} className={`flex ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
@@ -870,7 +889,7 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
                           {renderMessageWithMentions(note.message, currentUser?.id)}
                         </p>
                         <p className={`text-xs mt-1 ${isCurrentUser ? 'text-blue-200' : 'text-slate-500'}`}>
-                          {getTimeAgo(new Date(note.created_at))}
+                          {note.queued ? 'Waiting to sync' : getTimeAgo(new Date(note.created_at))}
                         </p>
                       </div>
                     </div>
@@ -1128,25 +1147,14 @@ export function InventoryBoatDetailsModal({ boat, locations = [], sites = [], bo
 
             if (hasChanged) {
               return (
-                <div className="p-3 bg-orange-50 border border-orange-200 rounded-lg">
-                  <div className="flex items-center gap-2 text-orange-800">
-                    <AlertTriangle className="w-4 h-4" />
-                    <span className="font-medium">Estimates Changed</span>
-                  </div>
-                  <p className="text-sm text-orange-700 mt-1">
-                    Previous approval is no longer valid. Estimates have been modified.
-                  </p>
-                  {(isSalesManager || isAdmin) && (
-                    <button
-                      onClick={handleApproveEstimates}
-                      disabled={approvingEstimates}
-                      className="mt-2 w-full px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-green-400 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
-                    >
-                      <CheckCircle className="w-4 h-4" />
-                      {approvingEstimates ? 'Approving...' : 'Re-Approve Estimates'}
-                    </button>
-                  )}
-                </div>
+                <EstimateChangesPanel
+                  inventoryBoatId={boat.id}
+                  estimates={estimates}
+                  approvalHash={boat.estimates_approval_hash}
+                  canApprove={isSalesManager || isAdmin}
+                  approving={approvingEstimates}
+                  onReApprove={handleApproveEstimates}
+                />
               );
             }
 
@@ -0,0 +1,360 @@
+// ============================================================================
+// QR LABELS MODAL
+// ============================================================================
+// Generates a printable sheet of QR labels
+// Boat tags encode the boat's qr_code; slot placards encode location + slot
+// Both are read back by the QR mode in ScanView
+// ============================================================================
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { X, Printer, QrCode, Search } from 'lucide-react';
+import { buildSlotQrValue, generateQrDataUrl } from '../../utils/qrCodes';
+import { getLocationSlotIds, formatSlotLabel } from '../locations/locationUtils';
+
+export function QrLabelsModal({ boats = [], locations = [], sites = [], onClose }) {
+  const printRef = useRef(null);
+  const [labelType, setLabelType] = useState('boats'); // 'boats' or 'slots'
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedBoatIds, setSelectedBoatIds] = useState(new Set());
+  const [selectedLocationIds, setSelectedLocationIds] = useState(new Set());
+  const [includeSlotPlacards, setIncludeSlotPlacards] = useState(true);
+  const [includeLocationPlacard, setIncludeLocationPlacard] = useState(true);
+  const [qrImages, setQrImages] = useState({}); // { payload: dataUrl }
+
+  // Only boats with a QR code can get a tag
+  const taggableBoats = useMemo(() => {
+    const query = searchQuery.toLowerCase().trim();
+    return boats
+      .filter(b => b.qrCode && b.status !== 'archived')
+      .filter(b => !query ||
+        b.name?.toLowerCase().includes(query) ||
+        b.model?.toLowerCase().includes(query) ||
+        b.owner?.toLowerCase().includes(query) ||
+        b.hullId?.toLowerCase().includes(query) ||
+        b.qrCode?.toLowerCase().includes(query))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }, [boats, searchQuery]);
+
+  const getSiteName = (location) => sites.find(s => s.id === location.site_id)?.name || null;
+
+  // Build the label list from the current selection
+  const labels = useMemo(() => {
+    if (labelType === 'boats') {
+      return boats
+        .filter(b => selectedBoatIds.has(b.id) && b.qrCode)
+        .map(boat => ({
+          key: `boat-${boat.id}`,
+          value: boat.qrCode,
+          title: boat.name,
+          subtitle: boat.isInventory
+            ? [boat.year, boat.make, boat.model].filter(Boolean).join(' ')
+            : [boat.model, boat.owner].filter(Boolean).join(' • '),
+          detail: boat.hullId ? `Hull: ${boat.hullId}` : null,
+        }));
+    }
+
+    const result = [];
+    locations
+      .filter(l => selectedLocationIds.has(l.id))
+      .forEach(location => {
+        const siteName = getSiteName(location);
+
+        // Pools have no fixed slots, so the location placard is the only option
+        if (includeLocationPlacard || location.type === 'pool') {
+          result.push({
+            key: `loc-${location.id}`,
+            value: buildSlotQrValue(location.id, location.type === 'pool' ? 'pool' : null),
+            title: location.name,
+            subtitle: location.type === 'pool' ? 'Pool' : 'Any open slot',
+            detail: siteName,
+          });
+        }
+
+        if (includeSlotPlacards) {
+          getLocationSlotIds(location).forEach(slotId => {
+            result.push({
+              key: `slot-${location.id}-${slotId}`,
+              value: buildSlotQrValue(location.id, slotId),
+              title: location.name,
+              subtitle: `Slot ${formatSlotLabel(slotId)}`,
+              detail: siteName,
+            });
+          });
+        }
+      });
+    return result;
+  }, [labelType, boats, locations, sites, selectedBoatIds, selectedLocationIds, includeSlotPlacards, includeLocationPlacard]);
+
+  // Render QR images for any labels we haven't generated yet
+  useEffect(() => {
+    const missing = labels.filter(l => !qrImages[l.value]);
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(missing.map(l => generateQrDataUrl(l.value).then(url => [l.value, url])))
+      .then(entries => {
+        if (cancelled) return;
+        setQrImages(prev => ({ ...prev, ...Object.fromEntries(entries) }));
+      })
+      .catch(err => console.error('[QrLabels] Failed to generate QR codes:', err));
+
+    return () => { cancelled = true; };
+  }, [labels]);
+
+  const toggleInSet = (setter, id) => {
+    setter(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleSelectAllBoats = () => {
+    setSelectedBoatIds(new Set(taggableBoats.map(b => b.id)));
+  };
+
+  const handlePrint = () => {
+    const printContent = printRef.current;
+    const printWindow = window.open('', '_blank');
+
+    printWindow.document.write(`
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <title>QR Labels</title>
+          <style>
+            @page {
+              size: 8.5in 11in;
+              margin: 0.4in;
+            }
+            body {
+              font-family: 'Arial', sans-serif;
+              margin: 0;
+              padding: 0;
+              color: #0f172a;
+            }
+            .label-sheet {
+              display: grid;
+              grid-template-columns: repeat(3, 1fr);
+              gap: 0.15in;
+            }
+            .qr-label {
+              border: 1px dashed #94a3b8;
+              border-radius: 6px;
+              padding: 0.12in;
+              text-align: center;
+              page-break-inside: avoid;
+              break-inside: avoid;
+            }
+            .qr-label img {
+              width: 1.6in;
+              height: 1.6in;
+            }
+            .qr-title {
+              font-size: 13px;
+              font-weight: bold;
+              margin-top: 4px;
+            }
+            .qr-subtitle {
+              font-size: 11px;
+              color: #334155;
+            }
+            .qr-detail {
+              font-size: 9px;
+              color: #64748b;
+            }
+            .qr-value {
+              font-family: monospace;
+              font-size: 8px;
+              color: #94a3b8;
+              margin-top: 2px;
+              word-break: break-all;
+            }
+          </style>
+        </head>
+        <body>
+          ${printContent.innerHTML}
+        </body>
+      </html>
+    `);
+
+    printWindow.document.close();
+    printWindow.focus();
+
+    // Wait for QR images to load then print
+    setTimeout(() => {
+      printWindow.print();
+    }, 500);
+  };
+
+  const allImagesReady = labels.length > 0 && labels.every(l => qrImages[l.value]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[80] p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[95vh] overflow-hidden flex flex-col">
+        {/* Modal Header */}
+        <div className="bg-gradient-to-r from-blue-600 to-blue-700 text-white p-4 flex-shrink-0">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-bold">Print QR Labels</h3>
+              <p className="text-blue-100 text-sm">Boat tags and slot placards for the Scan page</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handlePrint}
+                disabled={!allImagesReady}
+                className="flex items-center gap-2 px-4 py-2 bg-white text-blue-700 font-semibold rounded-lg hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Printer className="w-4 h-4" />
+                Print {labels.length > 0 ? `(${labels.length})` : ''}
+              </button>
+              <button onClick={onClose} className="p-2 hover:bg-blue-500 rounded-lg transition-colors">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-hidden flex flex-col md:flex-row">
+          {/* Selection Panel */}
+          <div className="md:w-80 flex-shrink-0 border-b md:border-b-0 md:border-r border-slate-200 bg-slate-50 p-4 overflow-y-auto">
+            <div className="flex border border-slate-300 rounded-lg overflow-hidden mb-4">
+              <button
+                onClick={() => setLabelType('boats')}
+                className={`flex-1 px-3 py-2 text-sm font-medium transition-colors ${
+                  labelType === 'boats' ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                Boat Tags
+              </button>
+              <button
+                onClick={() => setLabelType('slots')}
+                className={`flex-1 px-3 py-2 text-sm font-medium transition-colors ${
+                  labelType === 'slots' ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                Slot Placards
+              </button>
+            </div>
+
+            {labelType === 'boats' ? (
+              <div className="space-y-3">
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                  <input
+                    type="text"
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    placeholder="Search boats..."
+                    className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div className="flex items-center justify-between text-xs">
+                  <button onClick={handleSelectAllBoats} className="text-blue-600 hover:underline">
+                    Select all shown
+                  </button>
+                  <button onClick={() => setSelectedBoatIds(new Set())} className="text-slate-500 hover:underline">
+                    Clear
+                  </button>
+                </div>
+                <div className="space-y-1">
+                  {taggableBoats.map(boat => (
+                    <label key={boat.id} className="flex items-start gap-2 p-2 rounded-lg hover:bg-white cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selectedBoatIds.has(boat.id)}
+                        onChange={() => toggleInSet(setSelectedBoatIds, boat.id)}
+                        className="mt-1"
+                      />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-slate-900 truncate">{boat.name}</p>
+                        <p className="text-xs text-slate-500 font-mono">{boat.qrCode}</p>
+                      </div>
+                    </label>
+                  ))}
+                  {taggableBoats.length === 0 && (
+                    <p className="text-sm text-slate-500 text-center py-4">No boats with QR codes found</p>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={includeSlotPlacards}
+                    onChange={(e) => setIncludeSlotPlacards(e.target.checked)}
+                  />
+                  One placard per slot
+                </label>
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={includeLocationPlacard}
+                    onChange={(e) => setIncludeLocationPlacard(e.target.checked)}
+                  />
+                  Location placard (first open slot)
+                </label>
+                <div className="border-t border-slate-200 pt-3 space-y-1">
+                  {locations.map(location => (
+                    <label key={location.id} className="flex items-start gap-2 p-2 rounded-lg hover:bg-white cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selectedLocationIds.has(location.id)}
+                        onChange={() => toggleInSet(setSelectedLocationIds, location.id)}
+                        className="mt-1"
+                      />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-slate-900 truncate">{location.name}</p>
+                        <p className="text-xs text-slate-500">
+                          {location.type === 'pool'
+                            ? 'Pool'
+                            : `${getLocationSlotIds(location).length} slots`}
+                          {getSiteName(location) ? ` • ${getSiteName(location)}` : ''}
+                        </p>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Label Preview */}
+          <div className="flex-1 overflow-y-auto p-6 bg-slate-100">
+            {labels.length === 0 ? (
+              <div className="text-center py-16 text-slate-500">
+                <QrCode className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                <p>Select {labelType === 'boats' ? 'boats' : 'locations'} to generate labels</p>
+              </div>
+            ) : (
+              <div ref={printRef}>
+                <div className="label-sheet grid grid-cols-2 lg:grid-cols-3 gap-4">
+                  {labels.map(label => (
+                    <div key={label.key} className="qr-label bg-white border border-dashed border-slate-400 rounded-lg p-3 text-center">
+                      {qrImages[label.value] ? (
+                        <img src={qrImages[label.value]} alt={label.value} className="w-32 h-32 mx-auto" />
+                      ) : (
+                        <div className="w-32 h-32 mx-auto bg-slate-100 rounded animate-pulse" />
+                      )}
+                      <p className="qr-title text-sm font-bold text-slate-900 mt-1 truncate">{label.title}</p>
+                      {label.subtitle && <p className="qr-subtitle text-xs text-slate-700 truncate">{label.subtitle}</p>}
+                      {label.detail && <p className="qr-detail text-[10px] text-slate-500 truncate">{label.detail}</p>}
+                      <p className="qr-value text-[9px] font-mono text-slate-400 mt-0.5 break-all">{label.value}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default QrLabelsModal;
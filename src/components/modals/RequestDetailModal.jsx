@@ -2,36 +2,49 @@
 // REQUEST DETAIL MODAL
 // ============================================================================
 // Modal for viewing request details, message thread, and status actions
-// Includes status selector and PDF attachment support
+// Includes status selector and PDF attachment support, and the request's
+// status timeline with its SLA clocks
 // ============================================================================
 
 import { useState, useRef, useEffect } from 'react';
-import { X, Wrench, CheckCircle, Clock, Ship, User, Calendar, FileText, Upload, Trash2, ExternalLink, DollarSign, AlertTriangle } from 'lucide-react';
-import { estimatesService } from '../../services/supabaseService';
+import { X, Wrench, CheckCircle, Ship, User, Calendar, FileText, Upload, Trash2, ExternalLink, DollarSign, ListChecks, Timer, History } from 'lucide-react';
+import { estimatesService, requestsService } from '../../services/supabaseService';
 import { EstimateDetailsModal } from './EstimateDetailsModal';
 import { MentionInput, renderMessageWithMentions } from '../MentionInput';
 import { usePermissions } from '../../hooks/usePermissions';
-
-// Compute hash from estimates for change detection
-const computeEstimatesHash = (estimates) => {
-  if (!estimates || estimates.length === 0) return null;
-  const sorted = [...estimates].sort((a, b) => a.id - b.id);
-  return sorted.map(e => `${e.id}:${e.total_charges || 0}`).join('|');
+import { EstimateChangesPanel } from '../EstimateChangesPanel';
+import { computeEstimatesHash } from '../../utils/estimateDiff';
+import { getOpenRequiredItems } from '../../utils/requestChecklists';
+import { useRequestTypes } from '../../RequestTypesProvider';
+import { RequestStageIcon } from '../RequestStageIcon';
+import { STAGE_COLORS, TYPE_COLORS, SERVICE_COMPLETE_STAGE, getTransitionError } from '../../utils/requestPipelines';
+import { sumEstimateHours, formatHours, getTechnicians, isScheduledAfterDeadline } from '../../utils/requestScheduling';
+import { getSlaStatus, formatSlaDuration, SLA_MANAGER_ROLES } from '../../utils/requestSla';
+
+const SLA_STATE_STYLES = {
+  ok: 'text-slate-600',
+  warning: 'text-amber-600 font-medium',
+  breached: 'text-red-600 font-semibold',
+  met: 'text-green-700',
+  missed: 'text-red-600',
+  pending: 'text-slate-400',
 };
 
-// Status configuration - matches RequestsView
-const STATUS_CONFIG = {
-  'open': { label: 'Open', color: 'bg-yellow-100 text-yellow-800 border-yellow-300', icon: Clock },
-  'scheduled': { label: 'Scheduled', color: 'bg-cyan-100 text-cyan-800 border-cyan-300', icon: Calendar },
-  'service-complete': { label: 'Service Complete', color: 'bg-blue-100 text-blue-800 border-blue-300', icon: Wrench },
-  'closed': { label: 'Closed', color: 'bg-green-100 text-green-800 border-green-300', icon: CheckCircle },
-};
-
-const STATUS_ORDER = ['open', 'scheduled', 'service-complete', 'closed'];
-
-const TYPE_CONFIG = {
-  'rigging': { label: 'Rigging', color: 'bg-purple-100 text-purple-800' },
-  'prep': { label: 'Prep', color: 'bg-orange-100 text-orange-800' },
+// What an SLA clock's state means in words
+const describeSla = (clock, now) => {
+  switch (clock.state) {
+    case 'ok':
+    case 'warning':
+      return `${formatSlaDuration(clock.dueAt - now)} left`;
+    case 'breached':
+      return `${formatSlaDuration(now - clock.dueAt)} over`;
+    case 'met':
+      return clock.stoppedAt ? `Met in ${formatSlaDuration(clock.stoppedAt - clock.startedAt)}` : 'Met';
+    case 'missed':
+      return `Missed by ${formatSlaDuration(clock.stoppedAt - clock.dueAt)}`;
+    default:
+      return 'Not started';
+  }
 };
 
 // Message component
@@ -73,6 +86,8 @@ export function RequestDetailModal({
   onAttachFile,
   onRemoveAttachment,
   onApproveEstimates,
+  onSchedule,
+  onAssignManager,
 }) {
   const [newMessage, setNewMessage] = useState('');
   const [sending, setSending] = useState(false);
@@ -83,14 +98,18 @@ export function RequestDetailModal({
   const [selectedEstimate, setSelectedEstimate] = useState(null);
   const [selectedEstimateIndex, setSelectedEstimateIndex] = useState(0);
   const [approvingEstimates, setApprovingEstimates] = useState(false);
+  const [checklist, setChecklist] = useState(request.checklist || []);
+  const [togglingItem, setTogglingItem] = useState(null);
+  const [schedule, setSchedule] = useState({ scheduled_date: '', technician_id: '', estimated_hours: '' });
+  const [savingSchedule, setSavingSchedule] = useState(false);
+  const [assigningManager, setAssigningManager] = useState(false);
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
 
-  const { isSalesManager, isAdmin } = usePermissions();
+  const { isSalesManager, isAdmin, canScheduleRequests, canAssignRequestManager } = usePermissions();
 
-  const statusConfig = STATUS_CONFIG[request.status] || STATUS_CONFIG['open'];
-  const typeConfig = TYPE_CONFIG[request.type] || TYPE_CONFIG['rigging'];
-  const StatusIcon = statusConfig.icon;
+  const { getRequestType } = useRequestTypes();
+  const requestType = getRequestType(request.type);
 
   const messages = request.messages || [];
   const boat = request.inventory_boat;
@@ -108,6 +127,45 @@ export function RequestDetailModal({
   // Check if current user is the original requester
   const isOriginalRequester = currentUser?.id === request.created_by;
 
+  // Keep the checklist in step with realtime reloads of the request
+  useEffect(() => {
+    setChecklist(request.checklist || []);
+  }, [request.checklist]);
+
+  const openRequiredItems = getOpenRequiredItems(checklist);
+
+  // Keep the schedule form in step with the request
+  useEffect(() => {
+    setSchedule({
+      scheduled_date: request.scheduled_date || '',
+      technician_id: request.technician_id || '',
+      estimated_hours: request.estimated_hours ?? '',
+    });
+  }, [request.scheduled_date, request.technician_id, request.estimated_hours]);
+
+  const technicians = getTechnicians(users, [request]);
+  const managers = users
+    .filter(u => SLA_MANAGER_ROLES.includes(u.role) || u.id === request.manager_id)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  // SLA clocks and the status timeline, oldest change first
+  const now = new Date();
+  const slaStatuses = getSlaStatus(request, request.status_history, requestType.statuses.map(s => s.key), requestType.sla, now);
+  const statusHistory = [...(request.status_history || [])]
+    .sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+  const stageLabel = (key) => requestType.statuses.find(s => s.key === key)?.label || key;
+  const estimateHours = sumEstimateHours(estimates);
+  const scheduleChanged = schedule.scheduled_date !== (request.scheduled_date || '')
+    || schedule.technician_id !== (request.technician_id || '')
+    || String(schedule.estimated_hours) !== String(request.estimated_hours ?? '');
+
+  // Stages of this request's pipeline, and whether this user may move it
+  // on to service-complete from where it is now
+  const stageIndex = Math.max(0, requestType.statuses.findIndex(s => s.key === request.status));
+  const serviceCompleteIndex = requestType.statuses.findIndex(s => s.key === SERVICE_COMPLETE_STAGE);
+  const canMarkServiceComplete = stageIndex < serviceCompleteIndex
+    && !getTransitionError(requestType, request, SERVICE_COMPLETE_STAGE, currentUser);
+
   // Scroll to bottom of messages when they change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -151,16 +209,67 @@ export function RequestDetailModal({
 
   const handleMarkServiceComplete = async () => {
     if (updating) return;
+    if (openRequiredItems.length > 0) {
+      alert(`Finish the required checklist items first: ${openRequiredItems.map(item => item.label).join(', ')}`);
+      return;
+    }
     setUpdating(true);
     try {
       await onMarkServiceComplete(request.id);
     } catch (err) {
       console.error('Error marking service complete:', err);
+      alert(`Couldn't mark service complete: ${err.message}`);
     } finally {
       setUpdating(false);
     }
   };
 
+  const handleToggleChecklistItem = async (itemKey) => {
+    if (togglingItem) return;
+    setTogglingItem(itemKey);
+    try {
+      const updated = await requestsService.toggleChecklistItem({ ...request, checklist }, itemKey);
+      setChecklist(updated.checklist || []);
+    } catch (err) {
+      console.error('Error updating checklist:', err);
+      alert(`Couldn't update the checklist: ${err.message}`);
+    } finally {
+      setTogglingItem(null);
+    }
+  };
+
+  const handleSaveSchedule = async (cleared = false) => {
+    if (savingSchedule || !onSchedule) return;
+    setSavingSchedule(true);
+    try {
+      await onSchedule(request, cleared
+        ? { scheduled_date: null, technician_id: null }
+        : {
+            scheduled_date: schedule.scheduled_date || null,
+            technician_id: schedule.scheduled_date ? (schedule.technician_id || null) : null,
+            estimated_hours: schedule.estimated_hours === '' ? null : Math.max(0, parseFloat(schedule.estimated_hours) || 0),
+          });
+    } catch (err) {
+      console.error('Error saving schedule:', err);
+      alert(`Couldn't save the schedule: ${err.message}`);
+    } finally {
+      setSavingSchedule(false);
+    }
+  };
+
+  const handleAssignManager = async (managerId) => {
+    if (assigningManager || !onAssignManager) return;
+    setAssigningManager(true);
+    try {
+      await onAssignManager(request.id, managerId || null);
+    } catch (err) {
+      console.error('Error assigning manager:', err);
+      alert(`Couldn't assign the manager: ${err.message}`);
+    } finally {
+      setAssigningManager(false);
+    }
+  };
+
   const handleConfirmComplete = async () => {
     if (updating) return;
     setUpdating(true);
@@ -175,6 +284,15 @@ export function RequestDetailModal({
 
   const handleStatusChange = async (newStatus) => {
     if (updating || newStatus === request.status) return;
+    const transitionError = getTransitionError(requestType, request, newStatus, currentUser);
+    if (transitionError) {
+      alert(transitionError);
+      return;
+    }
+    if (newStatus === SERVICE_COMPLETE_STAGE && openRequiredItems.length > 0) {
+      alert(`Finish the required checklist items first: ${openRequiredItems.map(item => item.label).join(', ')}`);
+      return;
+    }
     setUpdating(true);
     try {
       if (onStatusChange) {
@@ -182,6 +300,7 @@ export function RequestDetailModal({
       }
     } catch (err) {
       console.error('Error changing status:', err);
+      alert(`Couldn't change the status: ${err.message}`);
     } finally {
       setUpdating(false);
     }
@@ -235,13 +354,12 @@ export function RequestDetailModal({
     if (approvingEstimates || !onApproveEstimates) return;
     setApprovingEstimates(true);
     try {
-      const hash = computeEstimatesHash(estimates);
-      await onApproveEstimates(request.id, hash);
+      const approved = await onApproveEstimates(request.id, estimates);
       // Update local state immediately so UI reflects the change
       setApprovalData({
-        approved_by: currentUser?.id,
-        approved_at: new Date().toISOString(),
-        approval_hash: hash,
+        approved_by: approved.estimates_approved_by,
+        approved_at: approved.estimates_approved_at,
+        approval_hash: approved.estimates_approval_hash,
       });
     } catch (err) {
       console.error('Error approving estimates:', err);
@@ -269,8 +387,8 @@ export function RequestDetailModal({
             <div className="flex-1 min-w-0">
               {/* Type badge only - status selector moved below header */}
               <div className="flex items-center gap-2 mb-2">
-                <span className={`px-2 py-0.5 rounded text-xs font-medium ${typeConfig.color}`}>
-                  {typeConfig.label}
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ${TYPE_COLORS[requestType.color]}`}>
+                  {requestType.label}
                 </span>
               </div>
 
@@ -297,24 +415,24 @@ export function RequestDetailModal({
         {/* Status Selector - Prominent horizontal pills */}
         <div className="p-3 bg-white border-b border-slate-200">
           <div className="flex items-center justify-center gap-2 flex-wrap">
-            {STATUS_ORDER.map(status => {
-              const config = STATUS_CONFIG[status];
-              const StatusIconBtn = config.icon;
-              const isActive = request.status === status;
+            {requestType.statuses.map((stage, index) => {
+              const isActive = index === stageIndex;
+              const blockedReason = isActive ? null : getTransitionError(requestType, request, stage.key, currentUser);
 
               return (
                 <button
-                  key={status}
-                  onClick={() => handleStatusChange(status)}
-                  disabled={updating}
+                  key={stage.key}
+                  onClick={() => handleStatusChange(stage.key)}
+                  disabled={updating || !!blockedReason}
+                  title={blockedReason || ''}
                   className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full font-medium text-sm transition-all ${
                     isActive
-                      ? `${config.color} ring-2 ring-offset-1 ring-current`
+                      ? `${STAGE_COLORS[stage.color].color} ring-2 ring-offset-1 ring-current`
                       : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
-                  } ${updating ? 'opacity-50 cursor-not-allowed' : ''}`}
+                  } ${updating || blockedReason ? 'opacity-50 cursor-not-allowed' : ''}`}
                 >
-                  <StatusIconBtn className="w-4 h-4" />
-                  {config.label}
+                  <RequestStageIcon stage={stage.key} className="w-4 h-4" />
+                  {stage.label}
                 </button>
               );
             })}
@@ -428,24 +546,15 @@ export function RequestDetailModal({
 
               if (hasChanged) {
                 return (
-                  <div className="mt-3 p-3 bg-orange-50 border border-orange-200 rounded-lg">
-                    <div className="flex items-center gap-2 text-orange-800">
-                      <AlertTriangle className="w-4 h-4" />
-                      <span className="font-medium">Estimates Changed</span>
-                    </div>
-                    <p className="text-sm text-orange-700 mt-1">
-                      Previous approval is no longer valid. Estimates have been modified.
-                    </p>
-                    {(isSalesManager || isAdmin) && (
-                      <button
-                        onClick={handleApproveEstimates}
-                        disabled={approvingEstimates}
-                        className="mt-2 w-full px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-green-400 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
-                      >
-                        <CheckCircle className="w-4 h-4" />
-                        {approvingEstimates ? 'Approving...' : 'Re-Approve Estimates'}
-                      </button>
-                    )}
+                  <div className="mt-3">
+                    <EstimateChangesPanel
+                      inventoryBoatId={boat?.id}
+                      estimates={estimates}
+                      approvalHash={approvalData.approval_hash}
+                      canApprove={isSalesManager || isAdmin}
+                      approving={approvingEstimates}
+                      onReApprove={handleApproveEstimates}
+                    />
                   </div>
                 );
               }
@@ -504,6 +613,183 @@ export function RequestDetailModal({
             </div>
           </div>
 
+          {/* Schedule - day, technician and hours */}
+          {request.status !== 'closed' && (canScheduleRequests || request.scheduled_date) && (
+            <div className="mt-4 pt-4 border-t border-slate-200">
+              <h4 className="text-sm font-semibold text-slate-700 flex items-center gap-2 mb-2">
+                <Calendar className="w-4 h-4" />
+                Schedule
+              </h4>
+              {canScheduleRequests && onSchedule ? (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    <input
+                      type="date"
+                      value={schedule.scheduled_date}
+                      onChange={e => setSchedule(prev => ({ ...prev, scheduled_date: e.target.value }))}
+                      className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <select
+                      value={schedule.technician_id}
+                      onChange={e => setSchedule(prev => ({ ...prev, technician_id: e.target.value }))}
+                      className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Unassigned</option>
+                      {technicians.map(tech => <option key={tech.id} value={tech.id}>{tech.name}</option>)}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={schedule.estimated_hours}
+                      onChange={e => setSchedule(prev => ({ ...prev, estimated_hours: e.target.value }))}
+                      placeholder={estimateHours ? `${formatHours(estimateHours)} from estimates` : 'Hours'}
+                      title="Leave empty to use the hours on the Dockmaster estimates"
+                      className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  {isScheduledAfterDeadline({ ...request, scheduled_date: schedule.scheduled_date }) && (
+                    <p className="text-xs font-medium text-red-600">This day is after the deadline.</p>
+                  )}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleSaveSchedule()}
+                      disabled={savingSchedule || !scheduleChanged}
+                      className="px-3 py-1.5 bg-cyan-600 hover:bg-cyan-700 disabled:bg-slate-300 text-white text-sm font-medium rounded-lg transition-colors"
+                    >
+                      {savingSchedule ? 'Saving...' : 'Save Schedule'}
+                    </button>
+                    {request.scheduled_date && (
+                      <button
+                        onClick={() => handleSaveSchedule(true)}
+                        disabled={savingSchedule}
+                        className="px-3 py-1.5 border border-slate-300 text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-50 transition-colors"
+                      >
+                        Unschedule
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ) : (
+                <p className={`text-sm ${isScheduledAfterDeadline(request) ? 'text-red-600 font-medium' : 'text-slate-700'}`}>
+                  {new Date(`${request.scheduled_date}T00:00:00`).toLocaleDateString()}
+                  {' · '}{request.technician?.name || 'Unassigned'}
+                  {isScheduledAfterDeadline(request) && ' (after deadline)'}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* SLAs and status timeline */}
+          {(slaStatuses.length > 0 || statusHistory.length > 0 || canAssignRequestManager) && (
+            <div className="mt-4 pt-4 border-t border-slate-200 space-y-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h4 className="text-sm font-semibold text-slate-700 flex items-center gap-2">
+                  <Timer className="w-4 h-4" />
+                  SLAs
+                </h4>
+                {canAssignRequestManager && onAssignManager ? (
+                  <label className="flex items-center gap-2 text-xs text-slate-500">
+                    Manager
+                    <select
+                      value={request.manager_id || ''}
+                      onChange={e => handleAssignManager(e.target.value)}
+                      disabled={assigningManager}
+                      className="px-2 py-1 border border-slate-300 rounded-lg text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">All managers</option>
+                      {managers.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                    </select>
+                  </label>
+                ) : (
+                  <span className="text-xs text-slate-500">
+                    Manager: {request.manager?.name || 'All managers'}
+                  </span>
+                )}
+              </div>
+
+              {slaStatuses.length > 0 ? (
+                <div className="space-y-1">
+                  {slaStatuses.map(clock => (
+                    <div key={clock.key} className="flex items-center justify-between gap-2 p-2 bg-white border border-slate-200 rounded-lg text-sm">
+                      <span className="text-slate-700">
+                        {clock.label} <span className="text-xs text-slate-400">({clock.limitHours}h)</span>
+                      </span>
+                      <span className={`text-xs ${SLA_STATE_STYLES[clock.state]}`}>{describeSla(clock, now)}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-xs text-slate-500">No SLAs are set for {requestType.label} requests.</p>
+              )}
+
+              {statusHistory.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-semibold text-slate-700 flex items-center gap-2 mb-2">
+                    <History className="w-4 h-4" />
+                    Timeline
+                  </h4>
+                  <ol className="space-y-1 border-l-2 border-slate-200 ml-2 pl-3">
+                    {statusHistory.map((entry, index) => (
+                      <li key={entry.id} className="text-sm">
+                        <span className="text-slate-900">
+                          {entry.from_status
+                            ? `${stageLabel(entry.from_status)} → ${stageLabel(entry.to_status)}`
+                            : `${index === 0 ? 'Created as' : 'Moved to'} ${stageLabel(entry.to_status)}`}
+                        </span>
+                        <span className="block text-xs text-slate-400">
+                          {entry.user?.name || 'System'} · {new Date(entry.changed_at).toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Checklist */}
+          {checklist.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-slate-200">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-semibold text-slate-700 flex items-center gap-2">
+                  <ListChecks className="w-4 h-4" />
+                  Checklist ({checklist.filter(item => item.done).length}/{checklist.length})
+                </h4>
+                {openRequiredItems.length > 0 && (
+                  <span className="text-xs text-red-600">{openRequiredItems.length} required left</span>
+                )}
+              </div>
+              <div className="space-y-1">
+                {checklist.map(item => (
+                  <label
+                    key={item.key}
+                    className={`flex items-start gap-2 p-2 bg-white border border-slate-200 rounded-lg text-sm ${
+                      request.status === 'closed' ? '' : 'cursor-pointer hover:bg-slate-50'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!!item.done}
+                      disabled={request.status === 'closed' || togglingItem === item.key}
+                      onChange={() => handleToggleChecklistItem(item.key)}
+                      className="w-4 h-4 mt-0.5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                    />
+                    <span className="flex-1 min-w-0">
+                      <span className={item.done ? 'text-slate-500 line-through' : 'text-slate-900'}>{item.label}</span>
+                      {item.required && !item.done && <span className="ml-1 text-xs text-red-600">required</span>}
+                      {item.done && item.done_at && (
+                        <span className="block text-xs text-slate-400">
+                          {users.find(u => u.id === item.done_by)?.name || 'Done'} · {new Date(item.done_at).toLocaleString()}
+                        </span>
+                      )}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Completion info */}
           {request.status === 'service-complete' && request.service_completer && (
             <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
@@ -646,11 +932,12 @@ export function RequestDetailModal({
             Close
           </button>
 
-          {/* Mark Service Complete - visible when open */}
-          {request.status === 'open' && (
+          {/* Mark Service Complete - visible before service-complete to roles allowed to move it there */}
+          {canMarkServiceComplete && (
             <button
               onClick={handleMarkServiceComplete}
-              disabled={updating}
+              disabled={updating || openRequiredItems.length > 0}
+              title={openRequiredItems.length > 0 ? 'Finish the required checklist items first' : ''}
               className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
             >
               <Wrench className="w-4 h-4" />
@@ -3,10 +3,15 @@
 // ============================================================================
 // Modal for creating new service requests
 // Sales Managers select inventory boat, type, and describe the request
+// The checklist comes from the best matching request template
 // ============================================================================
 
-import { useState, useMemo } from 'react';
-import { X, Search, Ship, Calendar } from 'lucide-react';
+import { useState, useMemo, useEffect } from 'react';
+import { X, Search, Ship, Calendar, ListChecks } from 'lucide-react';
+import { requestTemplatesService } from '../../services/supabaseService';
+import { findTemplate, buildChecklist, templateMatchScore } from '../../utils/requestChecklists';
+import { TYPE_COLORS } from '../../utils/requestPipelines';
+import { useRequestTypes } from '../../RequestTypesProvider';
 
 // Sales status labels and colors (matches InventoryBoatCard)
 const salesStatusLabels = {
@@ -22,13 +27,23 @@ const salesStatusLabels = {
 };
 
 export function RequestModal({ inventoryBoats = [], onSave, onClose }) {
-  const [type, setType] = useState('rigging');
+  const { activeRequestTypes } = useRequestTypes();
+  const [type, setType] = useState(() => activeRequestTypes[0]?.key || 'rigging');
   const [selectedBoatId, setSelectedBoatId] = useState('');
   const [description, setDescription] = useState('');
   const [deadlineDate, setDeadlineDate] = useState('');
   const [boatSearch, setBoatSearch] = useState('');
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
+  const [templates, setTemplates] = useState([]);
+  // '' = best match for the boat, 'none' = no checklist, otherwise a template id
+  const [templateChoice, setTemplateChoice] = useState('');
+
+  useEffect(() => {
+    requestTemplatesService.getAll()
+      .then(setTemplates)
+      .catch(err => console.error('Error loading request templates:', err));
+  }, []);
 
   // Filter boats by search
   const filteredBoats = useMemo(() => {
@@ -57,6 +72,28 @@ export function RequestModal({ inventoryBoats = [], onSave, onClose }) {
     return inventoryBoats.find(b => b.id === selectedBoatId);
   }, [inventoryBoats, selectedBoatId]);
 
+  // Templates that apply to this type and boat, best match first
+  const applicableTemplates = useMemo(() => (
+    templates
+      .filter(t => templateMatchScore(t, type, selectedBoat) > 0)
+      .sort((a, b) => templateMatchScore(b, type, selectedBoat) - templateMatchScore(a, type, selectedBoat))
+  ), [templates, type, selectedBoat]);
+
+  const bestTemplate = useMemo(() => findTemplate(templates, type, selectedBoat), [templates, type, selectedBoat]);
+
+  const template = useMemo(() => {
+    if (templateChoice === 'none') return null;
+    if (templateChoice) return applicableTemplates.find(t => t.id === templateChoice) || null;
+    return bestTemplate;
+  }, [templateChoice, applicableTemplates, bestTemplate]);
+
+  // A picked template may not apply once the type or boat changes
+  useEffect(() => {
+    if (templateChoice && templateChoice !== 'none' && !applicableTemplates.some(t => t.id === templateChoice)) {
+      setTemplateChoice('');
+    }
+  }, [applicableTemplates, templateChoice]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -78,6 +115,8 @@ export function RequestModal({ inventoryBoats = [], onSave, onClose }) {
         inventory_boat_id: selectedBoatId,
         description: description.trim(),
         deadline_date: deadlineDate || null,
+        template_id: template?.id || null,
+        checklist: buildChecklist(template),
       });
     } catch (err) {
       console.error('Error creating request:', err);
@@ -105,29 +144,21 @@ export function RequestModal({ inventoryBoats = [], onSave, onClose }) {
           {/* Request Type */}
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-2">Request Type</label>
-            <div className="flex gap-3">
-              <button
-                type="button"
-                onClick={() => setType('rigging')}
-                className={`flex-1 p-3 rounded-lg border-2 font-medium transition-all ${
-                  type === 'rigging'
-                    ? 'border-purple-500 bg-purple-50 text-purple-700'
-                    : 'border-slate-200 bg-white text-slate-700 hover:border-slate-300'
-                }`}
-              >
-                Rigging
-              </button>
-              <button
-                type="button"
-                onClick={() => setType('prep')}
-                className={`flex-1 p-3 rounded-lg border-2 font-medium transition-all ${
-                  type === 'prep'
-                    ? 'border-orange-500 bg-orange-50 text-orange-700'
-                    : 'border-slate-200 bg-white text-slate-700 hover:border-slate-300'
-                }`}
-              >
-                Prep
-              </button>
+            <div className="flex flex-wrap gap-3">
+              {activeRequestTypes.map(requestType => (
+                <button
+                  key={requestType.key}
+                  type="button"
+                  onClick={() => setType(requestType.key)}
+                  className={`flex-1 min-w-[8rem] p-3 rounded-lg border-2 font-medium transition-all ${
+                    type === requestType.key
+                      ? `border-current ${TYPE_COLORS[requestType.color]}`
+                      : 'border-slate-200 bg-white text-slate-700 hover:border-slate-300'
+                  }`}
+                >
+                  {requestType.label}
+                </button>
+              ))}
             </div>
           </div>
 
@@ -260,6 +291,39 @@ export function RequestModal({ inventoryBoats = [], onSave, onClose }) {
             />
           </div>
 
+          {/* Checklist from template */}
+          {applicableTemplates.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">
+                Checklist
+              </label>
+              <div className="relative">
+                <ListChecks className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                <select
+                  value={templateChoice}
+                  onChange={(e) => setTemplateChoice(e.target.value)}
+                  className="w-full pl-10 pr-3 py-2 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Best match ({bestTemplate.name})</option>
+                  {applicableTemplates.map(t => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                  <option value="none">No checklist</option>
+                </select>
+              </div>
+              {template && (
+                <ul className="mt-2 p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 space-y-0.5 max-h-40 overflow-y-auto">
+                  {template.items.map(item => (
+                    <li key={item.key}>
+                      {item.label}
+                      {item.required && <span className="ml-1 text-xs text-red-600">required</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Deadline Date */}
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-2">
@@ -0,0 +1,607 @@
+// ============================================================================
+// YARD AUDIT MODAL
+// ============================================================================
+// Walk a location slot by slot, record which boat is physically there
+// (confirm, mark empty, pick or scan a different boat), then review the
+// discrepancy report and apply fixes through moveBoatWithHistory so every
+// correction is logged in boat_movements
+// ============================================================================
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { X, ClipboardCheck, Check, ChevronLeft, ChevronRight, Search, QrCode, AlertTriangle, Wrench } from 'lucide-react';
+import { usePermissions } from '../../hooks/usePermissions';
+import { moveBoatWithHistory } from '../../services/supabaseService';
+import { getLocationSlotIds, formatSlotLabel } from '../locations/locationUtils';
+import { parseQrValue, decodeQrFromVideo } from '../../utils/qrCodes';
+import { buildAuditReport, describeDiscrepancy, AUDIT_DISCREPANCY_LABELS } from '../../utils/yardAudit';
+
+const DISCREPANCY_STYLES = {
+  missing: 'bg-red-100 text-red-700',
+  unexpected: 'bg-amber-100 text-amber-700',
+  'wrong-slot': 'bg-purple-100 text-purple-700',
+};
+
+export function YardAuditModal({ locations = [], sites = [], boats = [], onClose }) {
+  const { currentUser } = usePermissions();
+
+  const [step, setStep] = useState('select'); // 'select' | 'walk' | 'report'
+  const [locationId, setLocationId] = useState(null);
+  const [slotIndex, setSlotIndex] = useState(0);
+  const [observedSlots, setObservedSlots] = useState({}); // { slotId: boatId | null }
+  const [observedPoolBoats, setObservedPoolBoats] = useState([]);
+  const [showPicker, setShowPicker] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  const [pickerQuery, setPickerQuery] = useState('');
+  const [fixingKey, setFixingKey] = useState(null);
+  const [fixedKeys, setFixedKeys] = useState(new Set());
+
+  // Always read the live location so the report reflects fixes as they land
+  const location = locations.find(l => l.id === locationId) || null;
+  const isPool = location?.type === 'pool';
+  const slotIds = useMemo(() => (location ? getLocationSlotIds(location) : []), [location]);
+  const currentSlotId = slotIds[slotIndex];
+  const findBoat = (id) => boats.find(b => String(b.id) === String(id));
+
+  const report = useMemo(() => {
+    if (!location || step !== 'report') return null;
+    return buildAuditReport(location, observedSlots, isPool ? observedPoolBoats : null, boats);
+  }, [location, step, observedSlots, observedPoolBoats, boats, isPool]);
+
+  const openItems = report ? report.discrepancies.filter(d => !fixedKeys.has(d.key)) : [];
+
+  const pickerResults = useMemo(() => {
+    const query = pickerQuery.toLowerCase().trim();
+    if (query.length < 2) return [];
+    return boats
+      .filter(b => b.status !== 'archived')
+      .filter(b =>
+        b.name?.toLowerCase().includes(query) ||
+        b.owner?.toLowerCase().includes(query) ||
+        b.hullId?.toLowerCase().includes(query) ||
+        b.qrCode?.toLowerCase().includes(query) ||
+        b.stock_number?.toLowerCase().includes(query))
+      .slice(0, 15);
+  }, [boats, pickerQuery]);
+
+  const startAudit = (loc) => {
+    setLocationId(loc.id);
+    setSlotIndex(0);
+    setObservedSlots({});
+    setObservedPoolBoats([]);
+    setFixedKeys(new Set());
+    setStep('walk');
+  };
+
+  // Record what's in the current slot and advance
+  const recordSlot = (boatId) => {
+    setObservedSlots(prev => ({ ...prev, [currentSlotId]: boatId }));
+    closePicker();
+    if (slotIndex < slotIds.length - 1) {
+      setSlotIndex(slotIndex + 1);
+    } else {
+      setStep('report');
+    }
+  };
+
+  const recordPoolBoat = (boatId) => {
+    setObservedPoolBoats(prev => (prev.some(id => String(id) === String(boatId)) ? prev : [...prev, boatId]));
+    closePicker();
+  };
+
+  const togglePoolBoat = (boatId) => {
+    setObservedPoolBoats(prev => (prev.some(id => String(id) === String(boatId))
+      ? prev.filter(id => String(id) !== String(boatId))
+      : [...prev, boatId]));
+  };
+
+  const handleBoatPicked = (boat) => {
+    if (isPool) {
+      recordPoolBoat(boat.id);
+    } else {
+      recordSlot(boat.id);
+    }
+  };
+
+  const closePicker = () => {
+    setShowPicker(false);
+    setShowScanner(false);
+    setPickerQuery('');
+  };
+
+  // QR scan: boat tag records the boat, slot placard jumps the walk to that slot
+  const handleScanResult = (text) => {
+    const parsed = parseQrValue(text);
+    if (!parsed) return;
+
+    if (parsed.type === 'slot') {
+      setShowScanner(false);
+      if (parsed.locationId !== location.id) {
+        alert('That placard belongs to a different location.');
+        return;
+      }
+      const index = slotIds.indexOf(parsed.slotId);
+      if (index >= 0) setSlotIndex(index);
+      return;
+    }
+
+    const boat = boats.find(b => b.qrCode?.toLowerCase() === parsed.qrCode.toLowerCase());
+    if (!boat) {
+      setShowScanner(false);
+      setShowPicker(true);
+      setPickerQuery(parsed.qrCode);
+      return;
+    }
+    handleBoatPicked(boat);
+  };
+
+  // Apply one fix; clears a stale board occupant first so the target slot is free.
+  // `handled` holds boats already moved in this batch - the location prop lags behind them.
+  const applyFix = async (item, handled = new Set()) => {
+    const isInventory = (boat) => !!boat?.isInventory;
+    const note = `Yard audit: ${describeDiscrepancy(item, location)}`;
+    handled.add(String(item.boatId));
+
+    if (item.type === 'missing') {
+      await moveBoatWithHistory(item.boatId, null, null, currentUser?.id, isInventory(item.boat), note);
+      return;
+    }
+
+    const occupantId = item.slotId !== 'pool' ? location.boats?.[item.slotId] : null;
+    if (occupantId && !handled.has(String(occupantId))) {
+      handled.add(String(occupantId));
+      const occupant = findBoat(occupantId);
+      await moveBoatWithHistory(
+        occupantId, null, null, currentUser?.id, isInventory(occupant),
+        `Yard audit: cleared ${location.name} ${formatSlotLabel(item.slotId)} for ${item.boat?.name || 'another boat'}`
+      );
+    }
+
+    await moveBoatWithHistory(item.boatId, location.id, item.slotId, currentUser?.id, isInventory(item.boat), note);
+  };
+
+  const handleFix = async (item, handled) => {
+    setFixingKey(item.key);
+    try {
+      await applyFix(item, handled);
+      setFixedKeys(prev => new Set([...prev, item.key]));
+    } catch (error) {
+      console.error('Yard audit fix failed:', error);
+      alert(`Failed to fix ${item.boat?.name || 'boat'}: ${error.message}`);
+    } finally {
+      setFixingKey(null);
+    }
+  };
+
+  // Removals first so moves land in free slots
+  const handleFixAll = async () => {
+    const ordered = [
+      ...openItems.filter(d => d.type === 'missing'),
+      ...openItems.filter(d => d.type !== 'missing'),
+    ];
+    const handled = new Set();
+    for (const item of ordered) {
+      await handleFix(item, handled);
+    }
+  };
+
+  // Locations grouped by site for the picker
+  const groupedLocations = useMemo(() => {
+    const sorted = [...sites].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+    const groups = sorted
+      .map(site => ({ name: site.name, locations: locations.filter(l => l.site_id === site.id) }))
+      .filter(g => g.locations.length > 0);
+    const noSite = locations.filter(l => !l.site_id);
+    if (noSite.length > 0) groups.push({ name: 'Unassigned Locations', locations: noSite });
+    return groups;
+  }, [sites, locations]);
+
+  const renderBoatLabel = (boatId) => {
+    const boat = findBoat(boatId);
+    if (!boat) return <span className="text-slate-500">Unknown boat</span>;
+    return (
+      <>
+        <span className="font-semibold text-slate-900">{boat.name}</span>
+        <span className="text-slate-500"> • {boat.isInventory ? (boat.stock_number || 'Inventory') : (boat.owner || boat.model)}</span>
+      </>
+    );
+  };
+
+  const renderPicker = () => (
+    <div className="space-y-3">
+      {showScanner ? (
+        <AuditQrScanner onResult={handleScanResult} onCancel={() => setShowScanner(false)} />
+      ) : (
+        <button
+          onClick={() => setShowScanner(true)}
+          className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+        >
+          <QrCode className="w-5 h-5" />
+          Scan Boat Tag
+        </button>
+      )}
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+        <input
+          type="text"
+          value={pickerQuery}
+          onChange={(e) => setPickerQuery(e.target.value)}
+          placeholder="Search name, owner, hull ID, stock #..."
+          className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          autoFocus
+        />
+      </div>
+      <div className="space-y-1 max-h-56 overflow-y-auto">
+        {pickerResults.map(boat => (
+          <button
+            key={boat.id}
+            onClick={() => handleBoatPicked(boat)}
+            className="w-full text-left px-3 py-2 border border-slate-200 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors text-sm"
+          >
+            {renderBoatLabel(boat.id)}
+            <span className="block text-xs text-slate-500">
+              Board: {boat.location ? `${boat.location} ${formatSlotLabel(boat.slot)}` : 'Unassigned'}
+            </span>
+          </button>
+        ))}
+      </div>
+      <button
+        onClick={closePicker}
+        className="w-full px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg transition-colors text-sm"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[80]">
+      <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col animate-slide-in">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-blue-600 to-blue-700 p-4 rounded-t-xl flex items-center justify-between flex-shrink-0">
+          <div className="flex items-center gap-3">
+            <ClipboardCheck className="w-6 h-6 text-white" />
+            <div>
+              <h3 className="text-lg font-bold text-white">Yard Audit</h3>
+              <p className="text-sm text-blue-100">
+                {location ? location.name : 'Choose a location to walk'}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/20 rounded-lg transition-colors">
+            <X className="w-5 h-5 text-white" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {/* Step 1: choose location */}
+          {step === 'select' && (
+            <div className="space-y-4">
+              {groupedLocations.map(group => (
+                <div key={group.name}>
+                  <h4 className="text-sm font-semibold text-slate-500 uppercase tracking-wide mb-2">{group.name}</h4>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    {group.locations.map(loc => (
+                      <button
+                        key={loc.id}
+                        onClick={() => startAudit(loc)}
+                        className="text-left p-3 border-2 border-slate-200 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors"
+                      >
+                        <p className="font-semibold text-slate-900">{loc.name}</p>
+                        <p className="text-xs text-slate-500">
+                          {loc.type === 'pool'
+                            ? `Pool • ${(loc.pool_boats || []).length} boats`
+                            : `${getLocationSlotIds(loc).length} slots • ${Object.keys(loc.boats || {}).length} boats`}
+                        </p>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {groupedLocations.length === 0 && (
+                <p className="text-center text-slate-500 py-8">No locations to audit</p>
+              )}
+            </div>
+          )}
+
+          {/* Step 2a: walk a grid location slot by slot */}
+          {step === 'walk' && location && !isPool && currentSlotId && (() => {
+            const expectedId = location.boats?.[currentSlotId] || null;
+            const recorded = currentSlotId in observedSlots;
+
+            return (
+              <div className="space-y-4">
+                <div>
+                  <div className="flex items-center justify-between text-sm text-slate-600 mb-1">
+                    <span>Slot {slotIndex + 1} of {slotIds.length}</span>
+                    <span>{Object.keys(observedSlots).length} checked</span>
+                  </div>
+                  <div className="w-full h-2 bg-slate-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-600 transition-all"
+                      style={{ width: `${(Object.keys(observedSlots).length / slotIds.length) * 100}%` }}
+                    />
+                  </div>
+                </div>
+
+                <div className="text-center py-4">
+                  <p className="text-sm text-slate-500">Slot</p>
+                  <p className="text-5xl font-bold text-slate-900">{formatSlotLabel(currentSlotId)}</p>
+                </div>
+
+                <div className="p-4 bg-slate-50 border border-slate-200 rounded-lg">
+                  <p className="text-xs text-slate-500 mb-1">Board says</p>
+                  <p className="text-sm">{expectedId ? renderBoatLabel(expectedId) : <span className="text-slate-500">Empty</span>}</p>
+                  {recorded && (
+                    <p className="text-xs text-blue-700 mt-2">
+                      Recorded: {observedSlots[currentSlotId] ? renderBoatLabel(observedSlots[currentSlotId]) : 'Empty'}
+                    </p>
+                  )}
+                </div>
+
+                {showPicker || showScanner ? renderPicker() : (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    {expectedId && (
+                      <button
+                        onClick={() => recordSlot(expectedId)}
+                        className="flex items-center justify-center gap-2 px-4 py-3 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-lg transition-colors"
+                      >
+                        <Check className="w-5 h-5" />
+                        Boat is here
+                      </button>
+                    )}
+                    <button
+                      onClick={() => recordSlot(null)}
+                      className={`px-4 py-3 font-semibold rounded-lg transition-colors ${
+                        expectedId
+                          ? 'bg-white border-2 border-slate-300 text-slate-700 hover:bg-slate-50'
+                          : 'bg-green-600 hover:bg-green-700 text-white'
+                      }`}
+                    >
+                      {expectedId ? 'Slot is empty' : '✓ Empty'}
+                    </button>
+                    <button
+                      onClick={() => setShowPicker(true)}
+                      className="px-4 py-3 bg-white border-2 border-blue-500 text-blue-700 font-semibold rounded-lg hover:bg-blue-50 transition-colors"
+                    >
+                      {expectedId ? 'Different boat' : 'Boat is here'}
+                    </button>
+                  </div>
+                )}
+
+                <div className="flex items-center justify-between pt-2">
+                  <button
+                    onClick={() => { closePicker(); setSlotIndex(Math.max(0, slotIndex - 1)); }}
+                    disabled={slotIndex === 0}
+                    className="flex items-center gap-1 px-3 py-2 text-slate-600 hover:bg-slate-100 disabled:opacity-40 rounded-lg transition-colors"
+                  >
+                    <ChevronLeft className="w-4 h-4" />
+                    Back
+                  </button>
+                  <button
+                    onClick={() => setStep('report')}
+                    className="px-3 py-2 text-sm text-blue-700 hover:bg-blue-50 rounded-lg transition-colors"
+                  >
+                    Finish &amp; review
+                  </button>
+                  <button
+                    onClick={() => { closePicker(); setSlotIndex(Math.min(slotIds.length - 1, slotIndex + 1)); }}
+                    disabled={slotIndex >= slotIds.length - 1}
+                    className="flex items-center gap-1 px-3 py-2 text-slate-600 hover:bg-slate-100 disabled:opacity-40 rounded-lg transition-colors"
+                  >
+                    Skip
+                    <ChevronRight className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })()}
+
+          {/* Step 2b: pools have no slots - check off boats and add any found */}
+          {step === 'walk' && location && isPool && (
+            <div className="space-y-4">
+              <p className="text-sm text-slate-600">Check every boat you can see in the pool, and add any that aren't listed.</p>
+              <div className="space-y-2">
+                {[...new Set([...(location.pool_boats || []), ...observedPoolBoats])].map(boatId => (
+                  <label key={boatId} className="flex items-center gap-3 p-3 border border-slate-200 rounded-lg cursor-pointer hover:bg-slate-50">
+                    <input
+                      type="checkbox"
+                      checked={observedPoolBoats.some(id => String(id) === String(boatId))}
+                      onChange={() => togglePoolBoat(boatId)}
+                      className="w-5 h-5 text-blue-600 rounded"
+                    />
+                    <span className="text-sm">{renderBoatLabel(boatId)}</span>
+                  </label>
+                ))}
+              </div>
+              {showPicker || showScanner ? renderPicker() : (
+                <button
+                  onClick={() => setShowPicker(true)}
+                  className="w-full px-4 py-3 bg-white border-2 border-blue-500 text-blue-700 font-semibold rounded-lg hover:bg-blue-50 transition-colors"
+                >
+                  + Add boat found here
+                </button>
+              )}
+              <button
+                onClick={() => setStep('report')}
+                className="w-full px-4 py-3 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-lg transition-colors"
+              >
+                Finish &amp; review
+              </button>
+            </div>
+          )}
+
+          {/* Step 3: discrepancy report */}
+          {step === 'report' && report && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-3 gap-2 text-center">
+                <div className="p-3 bg-green-50 rounded-lg">
+                  <p className="text-2xl font-bold text-green-700">{report.confirmedCount}</p>
+                  <p className="text-xs text-green-800">Confirmed</p>
+                </div>
+                <div className="p-3 bg-amber-50 rounded-lg">
+                  <p className="text-2xl font-bold text-amber-700">{openItems.length}</p>
+                  <p className="text-xs text-amber-800">To fix</p>
+                </div>
+                <div className="p-3 bg-slate-50 rounded-lg">
+                  <p className="text-2xl font-bold text-slate-700">
+                    {isPool ? 0 : slotIds.length - Object.keys(observedSlots).length}
+                  </p>
+                  <p className="text-xs text-slate-600">Not checked</p>
+                </div>
+              </div>
+
+              {report.discrepancies.length === 0 ? (
+                <div className="text-center py-8">
+                  <Check className="w-12 h-12 text-green-500 mx-auto mb-2" />
+                  <p className="font-semibold text-slate-900">Board matches the yard</p>
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  {report.discrepancies.map(item => {
+                    const isFixed = fixedKeys.has(item.key);
+                    return (
+                      <div key={item.key} className={`p-3 border rounded-lg flex items-center justify-between gap-3 ${isFixed ? 'border-green-200 bg-green-50' : 'border-slate-200'}`}>
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2 mb-0.5">
+                            <span className={`text-xs px-2 py-0.5 rounded font-medium ${DISCREPANCY_STYLES[item.type]}`}>
+                              {AUDIT_DISCREPANCY_LABELS[item.type]}
+                            </span>
+                            <span className="text-sm truncate">{renderBoatLabel(item.boatId)}</span>
+                          </div>
+                          <p className="text-xs text-slate-600">{describeDiscrepancy(item, location)}</p>
+                        </div>
+                        {isFixed ? (
+                          <span className="flex items-center gap-1 text-sm text-green-700 font-medium flex-shrink-0">
+                            <Check className="w-4 h-4" /> Fixed
+                          </span>
+                        ) : (
+                          <button
+                            onClick={() => handleFix(item, new Set())}
+                            disabled={!!fixingKey}
+                            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white rounded-lg transition-colors flex-shrink-0"
+                          >
+                            <Wrench className="w-4 h-4" />
+                            {fixingKey === item.key ? 'Fixing...' : item.type === 'missing' ? 'Unassign' : 'Move here'}
+                          </button>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              {openItems.length > 0 && (
+                <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-start gap-2">
+                  <AlertTriangle className="w-4 h-4 text-amber-600 flex-shrink-0 mt-0.5" />
+                  <p className="text-xs text-amber-800">
+                    Missing boats are unassigned from the board. Boats found in the wrong place are moved to where they were found.
+                    Every fix is recorded in the boat's movement history.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        {step !== 'select' && (
+          <div className="p-4 border-t border-slate-200 flex gap-2 flex-shrink-0">
+            <button
+              onClick={() => { closePicker(); setStep(step === 'report' ? 'walk' : 'select'); }}
+              className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              {step === 'report' ? 'Back to walk' : 'Change location'}
+            </button>
+            <div className="flex-1" />
+            {step === 'report' && openItems.length > 0 && (
+              <button
+                onClick={handleFixAll}
+                disabled={!!fixingKey}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-slate-300 text-white font-medium rounded-lg transition-colors"
+              >
+                Fix All ({openItems.length})
+              </button>
+            )}
+            {step === 'report' && (
+              <button
+                onClick={() => setStep('select')}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+              >
+                Audit Another
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// AUDIT QR SCANNER
+// ============================================================================
+// Minimal inline camera that decodes boat tags / slot placards on-device
+// ============================================================================
+
+function AuditQrScanner({ onResult, onCancel }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const onResultRef = useRef(onResult);
+  const [error, setError] = useState('');
+
+  // The decode loop outlives renders, so always call the latest handler
+  onResultRef.current = onResult;
+
+  useEffect(() => {
+    let stream = null;
+    let interval = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        interval = setInterval(() => {
+          const decoded = decodeQrFromVideo(videoRef.current, canvasRef.current);
+          if (decoded) {
+            clearInterval(interval);
+            interval = null;
+            onResultRef.current(decoded);
+          }
+        }, 300);
+      } catch (err) {
+        console.error('Audit scanner camera error:', err);
+        setError('Camera unavailable. Search for the boat instead.');
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+      if (interval) clearInterval(interval);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  return (
+    <div className="space-y-2">
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : (
+        <video ref={videoRef} className="w-full rounded-lg bg-black aspect-video object-cover" playsInline muted />
+      )}
+      <canvas ref={canvasRef} style={{ display: 'none' }} />
+      <button
+        onClick={onCancel}
+        className="w-full px-4 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+      >
+        Stop scanning
+      </button>
+    </div>
+  );
+}
+
+export default YardAuditModal;
@@ -0,0 +1,56 @@
+import { useState, useCallback } from 'react';
+import { workPhasesService } from '../services/supabaseService';
+import { getPhaseRecord } from '../utils/workflowHelpers';
+
+/**
+ * Custom hook for a boat's work phase records (assignee, due date, completion stamp)
+ * Keeps freshly saved records locally so the modal updates before the
+ * realtime reload brings them back on the boat.
+ *
+ * @param {Object} boat - The boat object (customer or inventory)
+ * @param {Object} currentUser - Signed-in user, recorded as the editor / completer
+ * @returns {Object} { getRecord, updateDetails, recordCompletion }
+ */
+export function usePhaseRecords(boat, currentUser) {
+  const [savedRecords, setSavedRecords] = useState({});
+
+  const getRecord = useCallback(
+    (phaseKey, scope) => savedRecords[`${scope}:${phaseKey}`] || getPhaseRecord(boat, phaseKey, scope),
+    [boat, savedRecords]
+  );
+
+  const save = useCallback(async (phaseKey, scope, request) => {
+    const target = { boatId: boat.id, isInventory: boat.isInventory === true, scope, phaseKey };
+    const record = await request(target);
+    if (record) {
+      setSavedRecords(prev => ({ ...prev, [`${scope}:${phaseKey}`]: record }));
+    }
+    return record;
+  }, [boat.id, boat.isInventory]);
+
+  // Set assignee and/or due date - changes: { assignedTo, dueDate }
+  const updateDetails = useCallback(async (phaseKey, scope, changes) => {
+    try {
+      return await save(phaseKey, scope, target => workPhasesService.setDetails(target, changes, currentUser?.id));
+    } catch (err) {
+      console.error('[usePhaseRecords] Error saving phase details:', err);
+      alert('Failed to save phase assignment. Please try again.');
+      return null;
+    }
+  }, [save, currentUser?.id]);
+
+  // Stamp who completed the phase (or clear the stamp when unchecked)
+  // The phase flag itself is saved by the caller; a failed stamp is logged, not fatal
+  const recordCompletion = useCallback(async (phaseKey, scope, complete) => {
+    try {
+      return await save(phaseKey, scope, target => workPhasesService.recordCompletion(target, complete, currentUser?.id));
+    } catch (err) {
+      console.error('[usePhaseRecords] Error recording phase completion:', err);
+      return null;
+    }
+  }, [save, currentUser?.id]);
+
+  return { getRecord, updateDetails, recordCompletion };
+}
+
+export default usePhaseRecords;
@@ -0,0 +1,46 @@
+import { useMemo, useEffect, useRef, useCallback } from 'react';
+import { useOffline } from '../OfflineProvider';
+
+/**
+ * Custom hook for boat notes written while offline
+ * Notes are queued through OfflineProvider and shown in the thread, marked as
+ * waiting, until the queue replays them; then onSynced reloads the real notes.
+ *
+ * @param {Object} boat - The boat object (customer or inventory)
+ * @param {boolean} isInventory - Whether notes go to the inventory boat
+ * @param {Object} currentUser - Signed-in user, shown as the author
+ * @param {Function} onSynced - Called when queued notes for this boat have been sent
+ * @returns {Object} { isOnline, queuedNotes, queueNote }
+ */
+export function useQueuedNotes(boat, isInventory, currentUser, onSynced) {
+  const { isOnline, pendingChanges, conflicts, queueChange } = useOffline();
+
+  // Shaped like boat_notes rows so the thread renders them the same way
+  const queuedNotes = useMemo(() => [...pendingChanges, ...conflicts]
+    .filter(op => op.type === 'addNote' && op.payload.boatId === boat?.id)
+    .map(op => ({
+      id: `queued-${op.id}`,
+      user_id: currentUser?.id,
+      user: currentUser,
+      message: op.payload.message,
+      created_at: op.queuedAt,
+      queued: true,
+    })), [pendingChanges, conflicts, boat?.id, currentUser]);
+
+  const queueNote = useCallback((message) => queueChange(
+    'addNote',
+    { boatId: boat.id, isInventory, message },
+    `Note on ${boat.name || 'boat'}`
+  ), [queueChange, boat?.id, boat?.name, isInventory]);
+
+  // Reload once this boat's queue drains
+  const queuedCountRef = useRef(queuedNotes.length);
+  useEffect(() => {
+    if (queuedCountRef.current > 0 && queuedNotes.length < queuedCountRef.current) onSynced?.();
+    queuedCountRef.current = queuedNotes.length;
+  }, [queuedNotes.length, onSynced]);
+
+  return { isOnline, queuedNotes, queueNote };
+}
+
+export default useQueuedNotes;
@@ -11,11 +11,17 @@ import { useState, useCallback, useRef } from 'react';
  * - Original card stays in place (with placeholder styling)
  * - Drop detection uses elementFromPoint to find target column
  *
+ * Columns come from the request type pipelines, so a drop can be refused:
+ * getDropError returns why a request can't move to a status (wrong pipeline,
+ * role not allowed) and the drop is handed to onDropRejected instead.
+ *
  * @param {Object} options
  * @param {Function} options.onStatusChange - Callback when request status changes (requestId, newStatus)
+ * @param {Function} [options.getDropError] - (request, newStatus) => reason string, or null if allowed
+ * @param {Function} [options.onDropRejected] - Callback when a drop is refused (request, newStatus, reason)
  * @returns {Object} Drag-and-drop handlers and state
  */
-export function useRequestDragDrop({ onStatusChange }) {
+export function useRequestDragDrop({ onStatusChange, getDropError, onDropRejected }) {
   const [draggingRequest, setDraggingRequest] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
 
@@ -38,6 +44,21 @@ export function useRequestDragDrop({ onStatusChange }) {
   const SCROLL_EDGE_THRESHOLD = 60;
   const SCROLL_SPEED = 8;
 
+  // Whether the request being dragged may be dropped on a column
+  const canDropOn = useCallback((status) => {
+    if (!draggingRequest || !getDropError || draggingRequest.status === status) return true;
+    return !getDropError(draggingRequest, status);
+  }, [draggingRequest, getDropError]);
+
+  // Refuse the drop if it isn't allowed; returns true when refused
+  const rejectDrop = useCallback((request, newStatus) => {
+    const reason = getDropError ? getDropError(request, newStatus) : null;
+    if (!reason) return false;
+    console.log('[useRequestDragDrop] Drop refused:', { requestId: request.id, newStatus, reason });
+    if (onDropRejected) onDropRejected(request, newStatus, reason);
+    return true;
+  }, [getDropError, onDropRejected]);
+
   // ============================================================================
   // CLONE MANAGEMENT
   // ============================================================================
@@ -248,7 +269,9 @@ export function useRequestDragDrop({ onStatusChange }) {
       const newStatus = column.dataset.status;
       console.log('[useRequestDragDrop] Touch drop on column:', { newStatus });
 
-      if (newStatus !== draggingRequest.status) {
+      if (newStatus !== draggingRequest.status && rejectDrop(draggingRequest, newStatus)) {
+        removeDragClone();
+      } else if (newStatus !== draggingRequest.status) {
         // Animate clone to target column
         animateDragCloneToTarget(column);
 
@@ -272,7 +295,7 @@ export function useRequestDragDrop({ onStatusChange }) {
 
     setDraggingRequest(null);
     setIsDragging(false);
-  }, [draggingRequest, onStatusChange, animateDragCloneToTarget, removeDragClone]);
+  }, [draggingRequest, onStatusChange, rejectDrop, animateDragCloneToTarget, removeDragClone]);
 
   // ============================================================================
   // HTML5 DRAG HANDLERS (for desktop)
@@ -309,7 +332,7 @@ export function useRequestDragDrop({ onStatusChange }) {
       return;
     }
 
-    if (draggingRequest.status !== newStatus) {
+    if (draggingRequest.status !== newStatus && !rejectDrop(draggingRequest, newStatus)) {
       console.log('[useRequestDragDrop] HTML5 drop:', { requestId, newStatus });
       if (onStatusChange) {
         try {
@@ -322,7 +345,7 @@ export function useRequestDragDrop({ onStatusChange }) {
 
     setDraggingRequest(null);
     setIsDragging(false);
-  }, [draggingRequest, onStatusChange]);
+  }, [draggingRequest, onStatusChange, rejectDrop]);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -332,6 +355,7 @@ export function useRequestDragDrop({ onStatusChange }) {
   return {
     draggingRequest,
     isDragging,
+    canDropOn,
     // Touch handlers
     handleTouchStart,
     handleTouchMove,
@@ -2,10 +2,13 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import { AuthProvider, ProtectedRoute } from './AuthProvider.jsx'
+import { WorkflowProvider } from './WorkflowProvider.jsx'
+import { RequestTypesProvider } from './RequestTypesProvider.jsx'
+import { OfflineProvider } from './OfflineProvider.jsx'
 import AppContainer from './AppContainer.jsx'
 import './index.css'
 
-// Register service worker for push notifications
+// Register service worker for push notifications and the offline app shell
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
     navigator.serviceWorker.register('/sw.js')
@@ -19,7 +22,13 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <BrowserRouter>
       <AuthProvider>
         <ProtectedRoute>
-          <AppContainer />
+          <OfflineProvider>
+            <WorkflowProvider>
+              <RequestTypesProvider>
+                <AppContainer />
+              </RequestTypesProvider>
+            </WorkflowProvider>
+          </OfflineProvider>
         </ProtectedRoute>
       </AuthProvider>
     </BrowserRouter>
@@ -1,15 +1,17 @@
 // ============================================================================
 // ALERTS VIEW
 // ============================================================================
-// Page showing user notifications/alerts for @mentions
-// Users can see who mentioned them and navigate to the source
+// Page showing user notifications/alerts for @mentions, changes to
+// estimates they approved and service requests close to or past an SLA.
+// Users can navigate to the source from each alert
 // ============================================================================
 
 import { useState, useEffect, useCallback } from 'react';
-import { Bell, BellRing, Check, CheckCheck, Ship, MessageSquare, Clock, Wrench, ExternalLink, X } from 'lucide-react';
+import { Bell, BellRing, Check, CheckCheck, Ship, MessageSquare, Clock, Wrench, ExternalLink, X, DollarSign, Timer } from 'lucide-react';
 import { usePermissions } from '../hooks/usePermissions';
 import { notificationsService } from '../services/supabaseService';
 import { usePushNotifications } from '../hooks/usePushNotifications';
+import { useRequestTypes } from '../RequestTypesProvider';
 
 // Time ago helper
 function getTimeAgo(date) {
@@ -32,10 +34,13 @@ const SOURCE_CONFIG = {
   'boat_note': { label: 'Boat Note', icon: Ship, color: 'text-blue-600 bg-blue-100' },
   'inventory_boat_note': { label: 'Inventory Note', icon: Ship, color: 'text-purple-600 bg-purple-100' },
   'request_message': { label: 'Request Message', icon: Wrench, color: 'text-orange-600 bg-orange-100' },
+  'estimate_approval': { label: 'Estimates Changed', icon: DollarSign, color: 'text-amber-600 bg-amber-100' },
+  'service_request': { label: 'Request SLA', icon: Timer, color: 'text-red-600 bg-red-100' },
 };
 
 // Notification card component
 function NotificationCard({ notification, onMarkRead, onNavigate }) {
+  const { getRequestType } = useRequestTypes();
   const config = SOURCE_CONFIG[notification.source_type] || {};
   const Icon = config.icon || MessageSquare;
   const isRead = !!notification.read_at;
@@ -48,7 +53,7 @@ function NotificationCard({ notification, onMarkRead, onNavigate }) {
     const ib = notification.inventory_boat;
     sourceDescription = `${ib.year || ''} ${ib.make || ''} ${ib.model || ''}`.trim() || `Stock #${ib.stock_number}`;
   } else if (notification.request) {
-    sourceDescription = notification.request.type === 'rigging' ? 'Rigging Request' : 'Prep Request';
+    sourceDescription = `${getRequestType(notification.request.type).label} Request`;
   }
 
   const handleClick = () => {
@@ -84,10 +89,24 @@ function NotificationCard({ notification, onMarkRead, onNavigate }) {
             )}
           </div>
 
-          <p className="text-sm text-slate-900 font-medium">
-            <span className="text-blue-600">{notification.created_by_user?.name || 'Someone'}</span>
-            {' '}mentioned you
-          </p>
+          {notification.type === 'estimates_changed' ? (
+            <p className="text-sm text-slate-900 font-medium">
+              Estimates you approved have changed
+            </p>
+          ) : notification.type === 'sla_warning' ? (
+            <p className="text-sm text-slate-900 font-medium">
+              A request is close to missing its SLA
+            </p>
+          ) : notification.type === 'sla_breached' ? (
+            <p className="text-sm text-red-700 font-medium">
+              A request has missed its SLA
+            </p>
+          ) : (
+            <p className="text-sm text-slate-900 font-medium">
+              <span className="text-blue-600">{notification.created_by_user?.name || 'Someone'}</span>
+              {' '}mentioned you
+            </p>
+          )}
 
           {sourceDescription && (
             <p className="text-xs text-slate-500 mt-0.5">
@@ -283,7 +302,7 @@ export function AlertsView({
             {showRead ? 'No notifications yet' : 'No unread notifications'}
           </p>
           <p className="text-sm text-slate-400 mt-1">
-            You'll see alerts here when someone @mentions you
+            You'll see alerts here when someone @mentions you, estimates you approved change or a request you manage nears its SLA
           </p>
         </div>
       ) : (
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { Search, Plus, X, Package, Map, Edit2, Trash2, Users, Shield, Building2 } from 'lucide-react';
+import { Search, Plus, X, Package, Map, Edit2, Trash2, Users, Building2 } from 'lucide-react';
 import { useRemoveBoat } from '../hooks/useRemoveBoat';
 import { BoatDetailsModal } from '../components/modals/BoatDetailsModal';
 import { BoatModal } from '../components/modals/BoatModal';
@@ -10,7 +10,19 @@ import { boatsService } from '../services/supabaseService';
 import { findBoatLocationData, useBoatLocation } from '../components/BoatComponents';
 import { CustomerBoatCard } from '../components/SharedComponents';
 import { applyAllFilters } from '../utils/boatFilters';
-import { getActiveSeason } from '../utils/seasonHelpers';
+import { isPhaseComplete, getWorkflowCategory, getStatusOptions } from '../utils/workflowHelpers';
+import { useWorkflows } from '../WorkflowProvider';
+import { PhaseIcon } from '../components/BoatComponents';
+
+// Colors for the "Work Needed" stat buttons, cycled in workflow order
+const PHASE_STAT_COLORS = [
+  { active: 'border-orange-400 bg-orange-50', hover: 'hover:border-orange-300', icon: 'bg-orange-100 text-orange-600' },
+  { active: 'border-blue-400 bg-blue-50', hover: 'hover:border-blue-300', icon: 'bg-blue-100 text-blue-600' },
+  { active: 'border-purple-400 bg-purple-50', hover: 'hover:border-purple-300', icon: 'bg-purple-100 text-purple-600' },
+  { active: 'border-teal-400 bg-teal-50', hover: 'hover:border-teal-300', icon: 'bg-teal-100 text-teal-600' },
+  { active: 'border-amber-400 bg-amber-50', hover: 'hover:border-amber-300', icon: 'bg-amber-100 text-amber-600' },
+  { active: 'border-pink-400 bg-pink-50', hover: 'hover:border-pink-300', icon: 'bg-pink-100 text-pink-600' }
+];
 
 // Removed local component definitions - now imported from separate files
 // - CustomerBoatCard: imported from ../components/SharedComponents
@@ -22,6 +34,7 @@ export function BoatsView({ boats, locations, sites = [], users = [], onUpdateBo
   const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterWorkPhase, setFilterWorkPhase] = useState('all');
+  const { workflows } = useWorkflows();
   const [filterLocations, setFilterLocations] = useState([]);
   const [filterSites, setFilterSites] = useState([]);
   const [showArchived, setShowArchived] = useState(false);
@@ -92,19 +105,29 @@ export function BoatsView({ boats, locations, sites = [], users = [], onUpdateBo
     return true;
   });
 
-  // Convert filterWorkPhase to match centralized filter format
-  let workPhaseFilter = filterWorkPhase;
-  if (filterWorkPhase === 'needs-mechanicals') workPhaseFilter = 'mechanicals';
-  else if (filterWorkPhase === 'needs-clean') workPhaseFilter = 'clean';
-  else if (filterWorkPhase === 'needs-fiberglass') workPhaseFilter = 'fiberglass';
-  else if (filterWorkPhase === 'needs-warranty') workPhaseFilter = 'warranty';
-  else if (filterWorkPhase === 'all-complete' || filterWorkPhase === 'all') workPhaseFilter = 'all';
+  // Phases offered as filters: customer phases, then any storage-only ones
+  const workPhases = [...workflows.customer.phases];
+  workflows.storage.phases.forEach(phase => {
+    if (!workPhases.some(p => p.key === phase.key)) workPhases.push(phase);
+  });
+  const statusOptions = getStatusOptions(workflows.customer);
+
+  // Count of active boats still needing a phase (only boats whose workflow has it)
+  const countNeedingPhase = (phaseKey) => boats.filter(b =>
+    b.status !== 'archived' &&
+    workflows[getWorkflowCategory(b)].phases.some(p => p.key === phaseKey) &&
+    !isPhaseComplete(b, phaseKey)
+  ).length;
+
+  // Convert filterWorkPhase ('needs-<phase>') to match centralized filter format
+  const workPhaseFilter = filterWorkPhase.startsWith('needs-') ? filterWorkPhase.slice('needs-'.length) : 'all';
 
   // Apply centralized filters
   const filteredBoats = applyAllFilters(nonArchivedFiltered, {
     searchQuery,
     status: filterStatus,
     workPhase: workPhaseFilter,
+    workflows,
     locations: filterLocations.length > 0 ? filterLocations : null,
     sites: filterSites.length > 0 ? filterSites : null
   }, locations);
@@ -183,116 +206,31 @@ export function BoatsView({ boats, locations, sites = [], users = [], onUpdateBo
           <div className="bg-gradient-to-r from-slate-50 to-blue-50 rounded-xl p-4 border border-slate-200">
             <h3 className="text-sm font-semibold text-slate-700 mb-3">Work Needed</h3>
             <div className="grid grid-cols-3 gap-4">
-              <button
-                onClick={() => setFilterWorkPhase(filterWorkPhase === 'needs-mechanicals' ? 'all' : 'needs-mechanicals')}
-                className={`p-3 rounded-lg border-2 transition-all ${
-                  filterWorkPhase === 'needs-mechanicals'
-                    ? 'border-orange-400 bg-orange-50'
-                    : 'border-slate-200 bg-white hover:border-orange-300'
-                }`}
-              >
-                <div className="flex items-center justify-between mb-1">
-                  <span className="text-xs font-medium text-slate-600">Mechanicals</span>
-                  <div className="w-6 h-6 bg-orange-100 rounded-full flex items-center justify-center">
-                    <svg className="w-4 h-4 text-orange-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                    </svg>
-                  </div>
-                </div>
-                <p className="text-2xl font-bold text-slate-900">
-                  {boats.filter(b => {
-                    if (b.status === 'archived') return false;
-                    if (b.storageBoat) {
-                      const activeSeason = getActiveSeason(b);
-                      return !b[`${activeSeason}MechanicalsComplete`];
-                    }
-                    return !b.mechanicalsComplete;
-                  }).length}
-                </p>
-              </button>
-
-              <button
-                onClick={() => setFilterWorkPhase(filterWorkPhase === 'needs-clean' ? 'all' : 'needs-clean')}
-                className={`p-3 rounded-lg border-2 transition-all ${
-                  filterWorkPhase === 'needs-clean'
-                    ? 'border-blue-400 bg-blue-50'
-                    : 'border-slate-200 bg-white hover:border-blue-300'
-                }`}
-              >
-                <div className="flex items-center justify-between mb-1">
-                  <span className="text-xs font-medium text-slate-600">Clean</span>
-                  <div className="w-6 h-6 bg-blue-100 rounded-full flex items-center justify-center">
-                    <svg className="w-4 h-4 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z" />
-                    </svg>
-                  </div>
-                </div>
-                <p className="text-2xl font-bold text-slate-900">
-                  {boats.filter(b => {
-                    if (b.status === 'archived') return false;
-                    if (b.storageBoat) {
-                      const activeSeason = getActiveSeason(b);
-                      return !b[`${activeSeason}CleanComplete`];
-                    }
-                    return !b.cleanComplete;
-                  }).length}
-                </p>
-              </button>
-
-              <button
-                onClick={() => setFilterWorkPhase(filterWorkPhase === 'needs-fiberglass' ? 'all' : 'needs-fiberglass')}
-                className={`p-3 rounded-lg border-2 transition-all ${
-                  filterWorkPhase === 'needs-fiberglass'
-                    ? 'border-purple-400 bg-purple-50'
-                    : 'border-slate-200 bg-white hover:border-purple-300'
-                }`}
-              >
-                <div className="flex items-center justify-between mb-1">
-                  <span className="text-xs font-medium text-slate-600">Fiberglass</span>
-                  <div className="w-6 h-6 bg-purple-100 rounded-full flex items-center justify-center">
-                    <svg className="w-4 h-4 text-purple-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" />
-                    </svg>
-                  </div>
-                </div>
-                <p className="text-2xl font-bold text-slate-900">
-                  {boats.filter(b => {
-                    if (b.status === 'archived') return false;
-                    if (b.storageBoat) {
-                      const activeSeason = getActiveSeason(b);
-                      return !b[`${activeSeason}FiberglassComplete`];
-                    }
-                    return !b.fiberglassComplete;
-                  }).length}
-                </p>
-              </button>
-
-              <button
-                onClick={() => setFilterWorkPhase(filterWorkPhase === 'needs-warranty' ? 'all' : 'needs-warranty')}
-                className={`p-3 rounded-lg border-2 transition-all ${
-                  filterWorkPhase === 'needs-warranty'
-                    ? 'border-teal-400 bg-teal-50'
-                    : 'border-slate-200 bg-white hover:border-teal-300'
-                }`}
-              >
-                <div className="flex items-center justify-between mb-1">
-                  <span className="text-xs font-medium text-slate-600">Warranty</span>
-                  <div className="w-6 h-6 bg-teal-100 rounded-full flex items-center justify-center">
-                    <Shield className="w-4 h-4 text-teal-600" />
-                  </div>
-                </div>
-                <p className="text-2xl font-bold text-slate-900">
-                  {boats.filter(b => {
-                    if (b.status === 'archived') return false;
-                    if (b.storageBoat) {
-                      const activeSeason = getActiveSeason(b);
-                      return !b[`${activeSeason}WarrantyComplete`];
-                    }
-                    return !b.warrantyComplete;
-                  }).length}
-                </p>
-              </button>
+              {workPhases.map((phase, index) => {
+                const filterValue = `needs-${phase.key}`;
+                const colors = PHASE_STAT_COLORS[index % PHASE_STAT_COLORS.length];
+                return (
+                  <button
+                    key={phase.key}
+                    onClick={() => setFilterWorkPhase(filterWorkPhase === filterValue ? 'all' : filterValue)}
+                    className={`p-3 rounded-lg border-2 transition-all ${
+                      filterWorkPhase === filterValue
+                        ? colors.active
+                        : `border-slate-200 bg-white ${colors.hover}`
+                    }`}
+                  >
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-xs font-medium text-slate-600">{phase.label}</span>
+                      <div className={`w-6 h-6 rounded-full flex items-center justify-center ${colors.icon}`}>
+                        <PhaseIcon icon={phase.icon} className="w-4 h-4" />
+                      </div>
+                    </div>
+                    <p className="text-2xl font-bold text-slate-900">
+                      {countNeedingPhase(phase.key)}
+                    </p>
+                  </button>
+                );
+              })}
             </div>
           </div>
 
@@ -578,11 +516,9 @@ export function BoatsView({ boats, locations, sites = [], users = [], onUpdateBo
                   className="flex-1 px-4 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="all">All Statuses</option>
-                  <option value="needs-approval">Needs Approval</option>
-                  <option value="needs-parts">Needs Parts</option>
-                  <option value="parts-kit-pulled">Parts Kit Pulled</option>
-                  <option value="on-deck">On Deck</option>
-                  <option value="all-work-complete">All Work Complete</option>
+                  {statusOptions.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
                 </select>
                 <select
                   value={filterWorkPhase}
@@ -590,11 +526,9 @@ export function BoatsView({ boats, locations, sites = [], users = [], onUpdateBo
                   className="flex-1 px-4 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="all">All Work Phases</option>
-                  <option value="needs-mechanicals">Needs Mechanicals</option>
-                  <option value="needs-clean">Needs Clean</option>
-                  <option value="needs-fiberglass">Needs Fiberglass</option>
-                  <option value="needs-warranty">Needs Warranty</option>
-                  <option value="all-complete">All Phases Complete</option>
+                  {workPhases.map(phase => (
+                    <option key={phase.key} value={`needs-${phase.key}`}>Needs {phase.label}</option>
+                  ))}
                 </select>
               </div>
               {(filterStatus !== 'all' || filterWorkPhase !== 'all' || searchQuery || filterLocations.length > 0) && (
@@ -638,7 +572,7 @@ export function BoatsView({ boats, locations, sites = [], users = [], onUpdateBo
                     )}
                     {filterWorkPhase !== 'all' && (
                       <span className="text-blue-800">
-                        {filterStatus !== 'all' && '•'} <strong>Work:</strong> {filterWorkPhase.replace(/-/g, ' ').replace('needs ', '')}
+                        {filterStatus !== 'all' && '•'} <strong>Work:</strong> {workPhases.find(p => `needs-${p.key}` === filterWorkPhase)?.label || workPhaseFilter}
                       </span>
                     )}
                     {filterLocations.length > 0 && (
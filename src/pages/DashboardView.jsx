@@ -4,9 +4,12 @@ import { useRemoveBoat } from '../hooks/useRemoveBoat';
 import { BoatDetailsModal } from '../components/modals/BoatDetailsModal';
 import { InventoryBoatDetailsModal } from '../components/modals/InventoryBoatDetailsModal';
 import { SummaryCard, StatusCard, CustomerBoatCard } from '../components/SharedComponents';
+import { COMPLETE_STATUS, getStatusOptions } from '../utils/workflowHelpers';
+import { useWorkflows } from '../WorkflowProvider';
 
 export function DashboardView({ boats, locations, sites = [], users = [], onNavigate, onUpdateBoats, onUpdateLocations, onMoveBoat: onMoveBoatFromContainer }) {
   const [viewingBoat, setViewingBoat] = useState(null);
+  const { workflows } = useWorkflows();
 
   // Use unified remove boat hook
   const { removeBoat } = useRemoveBoat({
@@ -29,13 +32,8 @@ export function DashboardView({ boats, locations, sites = [], users = [], onNavi
     }
   }, [boats]);
 
-  const statusCounts = {
-    needsApproval: boats.filter(b => b.status === 'needs-approval').length,
-    needsParts: boats.filter(b => b.status === 'needs-parts').length,
-    partsKitPulled: boats.filter(b => b.status === 'parts-kit-pulled').length,
-    onDeck: boats.filter(b => b.status === 'on-deck').length,
-    allWorkComplete: boats.filter(b => b.status === 'all-work-complete').length,
-  };
+  // Status cards follow the customer workflow's order and labels
+  const statusOptions = getStatusOptions(workflows.customer);
 
   const totalBoats = boats.filter(b => b.status !== 'archived').length;
   const totalLocations = locations.length;
@@ -73,90 +71,28 @@ export function DashboardView({ boats, locations, sites = [], users = [], onNavi
   };
 
   const handleMoveBoat = async (boat, targetLocation, targetSlot) => {
-    // For inventory boats, use AppContainer's handleMoveBoat directly
-    if (boat.isInventory && onMoveBoatFromContainer) {
-      try {
-        await onMoveBoatFromContainer(boat.id, targetLocation?.id || null, targetSlot || null, true);
-        
-        // Update viewing boat state
-        if (targetLocation) {
-          setViewingBoat({
-            ...boat,
-            location: targetLocation.name,
-            slot: targetSlot,
-            currentLocation: targetLocation,
-            currentSlot: targetSlot
-          });
-        } else {
-          setViewingBoat(null);
-        }
-      } catch (error) {
-        console.error('Error moving inventory boat:', error);
-        alert('Failed to move boat. Please try again.');
-      }
-      return;
-    }
-    
-    // For regular boats, use the existing logic
-    let updatedLocations = [...locations];
-    
-    // Remove from current location
-    if (boat.location) {
-      const currentLoc = locations.find(l => l.name === boat.location);
-      if (currentLoc) {
-        if (currentLoc.type === 'pool') {
-          const poolBoats = currentLoc.pool_boats || currentLoc.poolBoats || [];
-          const updatedLoc = {
-            ...currentLoc,
-            pool_boats: poolBoats.filter(id => id !== boat.id),
-          };
-          updatedLocations = updatedLocations.map(l => l.id === currentLoc.id ? updatedLoc : l);
-        } else {
-          const updatedLoc = { ...currentLoc, boats: { ...currentLoc.boats } };
-          const slotKey = Object.keys(updatedLoc.boats).find(k => updatedLoc.boats[k] === boat.id);
-          if (slotKey) delete updatedLoc.boats[slotKey];
-          updatedLocations = updatedLocations.map(l => l.id === currentLoc.id ? updatedLoc : l);
-        }
-      }
-    }
-    
-    // Add to new location
-    let updatedBoat = { ...boat };
-    if (targetLocation) {
-      if (targetLocation.type === 'pool') {
-        const poolBoats = targetLocation.pool_boats || targetLocation.poolBoats || [];
-        const updatedLoc = {
-          ...targetLocation,
-          pool_boats: [...poolBoats, boat.id],
-        };
-        updatedLocations = updatedLocations.map(l => l.id === targetLocation.id ? updatedLoc : l);
-        updatedBoat.location = targetLocation.name;
-        updatedBoat.slot = 'pool';
+    // Customer and inventory boats both go through AppContainer's atomic move
+    try {
+      await onMoveBoatFromContainer(boat.id, targetLocation?.id || null, targetSlot || null, boat.isInventory === true);
+
+      // Update viewing boat state
+      if (targetLocation) {
+        const slot = targetLocation.type === 'pool' ? 'pool' : targetSlot;
+        setViewingBoat({
+          ...boat,
+          location: targetLocation.name,
+          slot,
+          currentLocation: targetLocation,
+          currentSlot: slot
+        });
       } else {
-        const currentTargetLoc = updatedLocations.find(l => l.id === targetLocation.id);
-        const updatedLoc = {
-          ...currentTargetLoc,
-          boats: { ...currentTargetLoc.boats, [targetSlot]: boat.id }
-        };
-        updatedLocations = updatedLocations.map(l => l.id === targetLocation.id ? updatedLoc : l);
-        updatedBoat.location = targetLocation.name;
-        updatedBoat.slot = targetSlot;  // Use 0-indexed slot directly (matches database)
+        setViewingBoat(null);
       }
-    } else {
-      updatedBoat.location = null;
-      updatedBoat.slot = null;
+    } catch (error) {
+      console.error('Error moving boat:', error);
+      // Conflicts explain who moved the boat / filled the slot
+      alert(error.code === 'VERSION_CONFLICT' ? error.message : 'Failed to move boat. Please try again.');
     }
-    
-    await onUpdateLocations(updatedLocations);
-    onUpdateBoats(boats.map(b => b.id === boat.id ? updatedBoat : b));
-    
-    // Update viewing boat with new location info
-    const newLocation = targetLocation ? updatedLocations.find(l => l.id === targetLocation.id) : null;
-    setViewingBoat({
-      ...updatedBoat,
-      currentLocation: newLocation,
-      currentSlot: targetSlot
-    });
   };
 
   return (
@@ -192,7 +128,7 @@ export function DashboardView({ boats, locations, sites = [], users = [], onNavi
         />
         <SummaryCard 
           title="Work Complete" 
-          value={statusCounts.allWorkComplete} 
+          value={boats.filter(b => b.status === COMPLETE_STATUS).length} 
           icon={Package} 
           color="green"
         />
@@ -202,11 +138,14 @@ export function DashboardView({ boats, locations, sites = [], users = [], onNavi
       <div className="bg-white rounded-xl shadow-md p-6 border border-slate-200">
         <h3 className="text-xl font-bold text-slate-900 mb-6">Boat Status Overview</h3>
         <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
-          <StatusCard status="needs-approval" count={statusCounts.needsApproval} label="Needs Approval" />
-          <StatusCard status="needs-parts" count={statusCounts.needsParts} label="Needs Parts" />
-          <StatusCard status="parts-kit-pulled" count={statusCounts.partsKitPulled} label="Parts Kit Pulled" />
-          <StatusCard status="on-deck" count={statusCounts.onDeck} label="On Deck" />
-          <StatusCard status="all-work-complete" count={statusCounts.allWorkComplete} label="All Work Complete" />
+          {statusOptions.map(option => (
+            <StatusCard
+              key={option.key}
+              status={option.key}
+              count={boats.filter(b => b.status === option.key).length}
+              label={option.label}
+            />
+          ))}
         </div>
       </div>
 
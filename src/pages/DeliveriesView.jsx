@@ -0,0 +1,345 @@
+// ============================================================================
+// DELIVERIES VIEW
+// ============================================================================
+// Sold inventory units on their way to the customer. A delivery is opened
+// automatically when Dockmaster marks a unit sold (S / HS); the team sets the
+// delivery date and customer, works through the checklist, and marks it
+// delivered - which turns the inventory boat into a customer boat with its
+// slot, notes and history. Reads boat_deliveries.
+// ============================================================================
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Truck, CheckCircle, Circle, Calendar, RefreshCw, MapPin, AlertTriangle } from 'lucide-react';
+import { deliveriesService, DELIVERY_STATUSES, subscriptions } from '../services/supabaseService';
+import { toDateKey, formatDate } from '../utils/dates';
+
+const TABS = [
+  { key: 'open', label: 'Open' },
+  { key: DELIVERY_STATUSES.DELIVERED, label: 'Delivered' },
+  { key: DELIVERY_STATUSES.CANCELLED, label: 'Cancelled' },
+];
+
+const STATUS_BADGES = {
+  [DELIVERY_STATUSES.PENDING]: { label: 'Needs date', className: 'bg-amber-100 text-amber-800' },
+  [DELIVERY_STATUSES.SCHEDULED]: { label: 'Scheduled', className: 'bg-blue-100 text-blue-700' },
+  [DELIVERY_STATUSES.DELIVERED]: { label: 'Delivered', className: 'bg-green-100 text-green-700' },
+  [DELIVERY_STATUSES.CANCELLED]: { label: 'Cancelled', className: 'bg-slate-100 text-slate-600' },
+};
+
+const isOpen = (delivery) =>
+  delivery.status === DELIVERY_STATUSES.PENDING || delivery.status === DELIVERY_STATUSES.SCHEDULED;
+
+// Text field saved on blur (empty saves null)
+function DeliveryTextField({ label, value, placeholder, disabled, onSave }) {
+  const [draft, setDraft] = useState(value || '');
+
+  useEffect(() => setDraft(value || ''), [value]);
+
+  return (
+    <label className="block text-sm">
+      <span className="text-slate-600">{label}</span>
+      <input
+        type="text"
+        value={draft}
+        disabled={disabled}
+        onChange={e => setDraft(e.target.value)}
+        onBlur={() => draft !== (value || '') && onSave(draft.trim() || null)}
+        placeholder={placeholder}
+        className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg disabled:bg-slate-50"
+      />
+    </label>
+  );
+}
+
+// One sold unit: details, checklist and the hand-over button
+function DeliveryCard({ delivery, inventoryBoat, currentUserId, onChanged }) {
+  const [notes, setNotes] = useState(delivery.notes || '');
+  const [saving, setSaving] = useState(false);
+  const [completing, setCompleting] = useState(false);
+
+  useEffect(() => setNotes(delivery.notes || ''), [delivery.notes]);
+
+  const open = isOpen(delivery);
+  const checklist = delivery.checklist || [];
+  const doneCount = checklist.filter(item => item.done).length;
+  const ready = open && doneCount === checklist.length;
+  const overdue = open && delivery.delivery_date && delivery.delivery_date < toDateKey(new Date());
+  const badge = STATUS_BADGES[delivery.status] || STATUS_BADGES[DELIVERY_STATUSES.PENDING];
+
+  const save = async (updates) => {
+    setSaving(true);
+    try {
+      onChanged(await deliveriesService.update(delivery.id, updates, currentUserId));
+    } catch (error) {
+      console.error('[Deliveries] Error saving delivery:', error);
+      alert(`Couldn't save the delivery: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (itemKey) => {
+    setSaving(true);
+    try {
+      onChanged(await deliveriesService.toggleItem(delivery, itemKey));
+    } catch (error) {
+      console.error('[Deliveries] Error updating checklist:', error);
+      alert(`Couldn't update the checklist: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleComplete = async () => {
+    if (!confirm(`Mark ${delivery.boat_name || 'this boat'} delivered? It becomes a customer boat${delivery.customer_name ? ` for ${delivery.customer_name}` : ''}.`)) return;
+    setCompleting(true);
+    try {
+      const { delivery: updated } = await deliveriesService.completeDelivery(delivery, currentUserId);
+      onChanged(updated);
+    } catch (error) {
+      console.error('[Deliveries] Error completing delivery:', error);
+      alert(`Couldn't complete the delivery: ${error.message}`);
+    } finally {
+      setCompleting(false);
+    }
+  };
+
+  return (
+    <div className={`bg-white rounded-xl shadow-sm border p-5 space-y-4 ${overdue ? 'border-red-300' : 'border-slate-200'}`}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="min-w-0">
+          <h3 className="text-lg font-semibold text-slate-900 truncate">{delivery.boat_name || 'Unnamed boat'}</h3>
+          <p className="text-sm text-slate-600">
+            {[delivery.model, delivery.hull_id && `Hull ${delivery.hull_id}`, delivery.sales_status].filter(Boolean).join(' · ')}
+          </p>
+          <p className="text-xs text-slate-500 mt-1">Sold {formatDate(delivery.sold_at)}</p>
+        </div>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>{badge.label}</span>
+      </div>
+
+      {open && (
+        <div className="flex items-center gap-1.5 text-sm text-slate-600">
+          <MapPin className="w-4 h-4 flex-shrink-0" />
+          {inventoryBoat
+            ? (inventoryBoat.location ? `${inventoryBoat.location}${inventoryBoat.slot ? ` · ${inventoryBoat.slot}` : ''}` : 'Not in a location')
+            : 'No longer in the inventory feed'}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block text-sm">
+          <span className="text-slate-600">Delivery date</span>
+          <input
+            type="date"
+            value={delivery.delivery_date || ''}
+            disabled={!open || saving}
+            onChange={e => save({ delivery_date: e.target.value || null })}
+            className={`mt-1 w-full px-3 py-2 border rounded-lg disabled:bg-slate-50 ${overdue ? 'border-red-300 text-red-700' : 'border-slate-300'}`}
+          />
+        </label>
+        <DeliveryTextField
+          label="Customer"
+          value={delivery.customer_name}
+          placeholder="Customer name"
+          disabled={!open || saving}
+          onSave={value => save({ customer_name: value })}
+        />
+        <DeliveryTextField
+          label="Dockmaster customer ID"
+          value={delivery.customer_id}
+          placeholder="Optional"
+          disabled={!open || saving}
+          onSave={value => save({ customer_id: value })}
+        />
+        <DeliveryTextField
+          label="Dockmaster boat ID (customer's)"
+          value={delivery.customer_dockmaster_boat_id}
+          placeholder="Optional"
+          disabled={!open || saving}
+          onSave={value => save({ customer_dockmaster_boat_id: value })}
+        />
+      </div>
+
+      {overdue && (
+        <p className="flex items-center gap-1.5 text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4" />
+          Delivery date has passed
+        </p>
+      )}
+
+      <div>
+        <p className="text-sm font-medium text-slate-700 mb-2">Checklist ({doneCount}/{checklist.length})</p>
+        <ul className="space-y-1">
+          {checklist.map(item => (
+            <li key={item.key}>
+              <button
+                onClick={() => handleToggle(item.key)}
+                disabled={!open || saving}
+                className="flex w-full items-center gap-2 px-2 py-1.5 rounded-lg text-left text-sm hover:bg-slate-50 disabled:hover:bg-transparent disabled:cursor-default"
+              >
+                {item.done
+                  ? <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" />
+                  : <Circle className="w-5 h-5 text-slate-300 flex-shrink-0" />}
+                <span className={item.done ? 'text-slate-500 line-through' : 'text-slate-900'}>{item.label}</span>
+                {item.done && item.done_at && (
+                  <span className="ml-auto text-xs text-slate-400">{formatDate(item.done_at)}</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <label className="block text-sm">
+        <span className="text-slate-600">Notes</span>
+        <textarea
+          value={notes}
+          disabled={!open || saving}
+          onChange={e => setNotes(e.target.value)}
+          onBlur={() => notes !== (delivery.notes || '') && save({ notes: notes.trim() || null })}
+          rows={2}
+          className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg disabled:bg-slate-50"
+        />
+      </label>
+
+      {open ? (
+        <button
+          onClick={handleComplete}
+          disabled={!ready || completing}
+          title={ready ? '' : 'Finish the checklist first'}
+          className="flex w-full items-center justify-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          <Truck className="w-4 h-4" />
+          {completing ? 'Converting...' : 'Mark delivered'}
+        </button>
+      ) : delivery.status === DELIVERY_STATUSES.DELIVERED && (
+        <p className="text-sm text-green-700">
+          Delivered {formatDate(delivery.delivered_at)}{delivery.delivery_date ? ` (planned ${formatDate(delivery.delivery_date)})` : ''}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export function DeliveriesView({ inventoryBoats = [], currentUser }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [tab, setTab] = useState('open');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadDeliveries = useCallback(async () => {
+    setError('');
+    try {
+      setDeliveries(await deliveriesService.getAll({ includeClosed: true }));
+    } catch (err) {
+      console.error('[Deliveries] Error loading deliveries:', err);
+      setError('Could not load deliveries. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDeliveries();
+    const channel = subscriptions.subscribeToDeliveries(() => loadDeliveries());
+    return () => subscriptions.unsubscribe(channel);
+  }, [loadDeliveries]);
+
+  // Keeps the list on screen while it reloads
+  const handleRefresh = async () => {
+    if (refreshing) return;
+    setRefreshing(true);
+    try {
+      await loadDeliveries();
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleChanged = useCallback((updated) => {
+    setDeliveries(prev => prev.map(d => (d.id === updated.id ? updated : d)));
+  }, []);
+
+  const inventoryById = useMemo(() => {
+    const map = {};
+    inventoryBoats.forEach(b => { map[b.id] = b; });
+    return map;
+  }, [inventoryBoats]);
+
+  const counts = useMemo(() => ({
+    open: deliveries.filter(isOpen).length,
+    [DELIVERY_STATUSES.DELIVERED]: deliveries.filter(d => d.status === DELIVERY_STATUSES.DELIVERED).length,
+    [DELIVERY_STATUSES.CANCELLED]: deliveries.filter(d => d.status === DELIVERY_STATUSES.CANCELLED).length,
+  }), [deliveries]);
+
+  // Open: by delivery date, undated last; closed: most recent first
+  const visible = useMemo(() => {
+    if (tab === 'open') return deliveries.filter(isOpen);
+    return deliveries
+      .filter(d => d.status === tab)
+      .sort((a, b) => (b.delivered_at || b.updated_at).localeCompare(a.delivered_at || a.updated_at));
+  }, [deliveries, tab]);
+
+  return (
+    <div className="space-y-6 animate-slide-in">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Deliveries</h2>
+          <p className="text-slate-600">Sold units from Dockmaster, from sale to hand-over</p>
+        </div>
+        <button
+          onClick={handleRefresh}
+          disabled={loading || refreshing}
+          className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading || refreshing ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        {TABS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              tab === key ? 'bg-blue-600 text-white' : 'bg-white border border-slate-300 text-slate-700 hover:bg-slate-50'
+            }`}
+          >
+            {label} ({counts[key]})
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {loading ? (
+        <p className="text-slate-500">Loading deliveries...</p>
+      ) : visible.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 text-center">
+          <Calendar className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+          <p className="text-slate-600">
+            {tab === 'open' ? 'No deliveries waiting. Units marked sold in Dockmaster show up here.' : 'Nothing here yet.'}
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-4">
+          {visible.map(delivery => (
+            <DeliveryCard
+              key={delivery.id}
+              delivery={delivery}
+              inventoryBoat={inventoryById[delivery.inventory_boat_id]}
+              currentUserId={currentUser?.id}
+              onChanged={handleChanged}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeliveriesView;
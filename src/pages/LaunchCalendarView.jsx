@@ -0,0 +1,560 @@
+// ============================================================================
+// LAUNCH CALENDAR VIEW
+// ============================================================================
+// Spring launches and fall haul-outs for storage boats on a month calendar.
+// Storage boats not yet scheduled for the season are dragged onto a day;
+// scheduled moves are dragged to reschedule. Each site has a daily capacity
+// (sites.daily_launch_capacity) and days over it are flagged, as are launches
+// for boats whose season work isn't finished (getActiveSeason). Clicking a day
+// opens its run sheet - boat, current slot, destination - ready to print.
+// Reads launch_schedule, plus storage_contracts for the requested dates.
+// ============================================================================
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { CalendarDays, ChevronLeft, ChevronRight, Printer, AlertTriangle, Trash2 } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { launchScheduleService, storageContractsService, subscriptions } from '../services/supabaseService';
+import { findBoatLocationData } from '../components/BoatComponents';
+import { getStorageSeason } from '../utils/storageContracts';
+import {
+  LAUNCH_KINDS, LAUNCH_KIND_LABELS, CONTRACT_DATE_FIELDS,
+  getMonthWeeks, getScheduleConflicts, countByDayAndSite,
+} from '../utils/launchSchedule';
+import { toDateKey } from '../utils/dates';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MAX_CHIPS = 4;
+
+const KIND_CHIP_CLASSES = {
+  launch: 'bg-blue-100 text-blue-800 border-blue-200',
+  haul_out: 'bg-orange-100 text-orange-800 border-orange-200',
+};
+
+// Only the run sheet is printed
+const printStyles = `
+@media print {
+  body * { visibility: hidden; }
+  .print-run-sheet, .print-run-sheet * { visibility: visible; }
+  .print-run-sheet { position: absolute; left: 0; top: 0; width: 100%; }
+  .no-print { display: none !important; }
+  @page { margin: 0.5in; size: landscape; }
+}
+`;
+
+function formatDay(dateKey) {
+  return new Date(`${dateKey}T00:00:00`).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+function formatShortDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// Haul-outs in the fall, launches the rest of the year
+const defaultKindFor = (date) => (date.getMonth() >= 7 ? 'haul_out' : 'launch');
+
+export function LaunchCalendarView({ boats = [], locations = [], sites = [], onUpdateSite }) {
+  const { canManageLocations, currentUser } = usePermissions();
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [entries, setEntries] = useState([]);
+  const [seasonEntries, setSeasonEntries] = useState([]);
+  const [contracts, setContracts] = useState([]);
+  const [kindFilter, setKindFilter] = useState('all');
+  const [siteFilter, setSiteFilter] = useState('');
+  const [unscheduledKind, setUnscheduledKind] = useState(() => defaultKindFor(new Date()));
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [dragOverDay, setDragOverDay] = useState(null);
+  const [error, setError] = useState('');
+
+  const weeks = useMemo(() => getMonthWeeks(month.getFullYear(), month.getMonth()), [month]);
+  const rangeStart = toDateKey(weeks[0][0]);
+  const rangeEnd = toDateKey(weeks[weeks.length - 1][6]);
+  const season = getStorageSeason(month);
+  const todayKey = toDateKey(new Date());
+
+  const loadSchedule = useCallback(async () => {
+    setError('');
+    try {
+      const [rangeRows, seasonRows, contractRows] = await Promise.all([
+        launchScheduleService.getRange(rangeStart, rangeEnd),
+        launchScheduleService.getBySeason(season),
+        storageContractsService.getBySeason(season),
+      ]);
+      setEntries(rangeRows);
+      setSeasonEntries(seasonRows);
+      setContracts(contractRows);
+    } catch (err) {
+      console.error('[LaunchCalendar] Error loading schedule:', err);
+      setError('Could not load the schedule. Please try again.');
+    }
+  }, [rangeStart, rangeEnd, season]);
+
+  useEffect(() => {
+    loadSchedule();
+    const channel = subscriptions.subscribeToLaunchSchedule(() => loadSchedule());
+    return () => subscriptions.unsubscribe(channel);
+  }, [loadSchedule]);
+
+  const boatsById = useMemo(() => {
+    const map = {};
+    boats.forEach(b => { map[b.id] = b; });
+    return map;
+  }, [boats]);
+
+  const sitesById = useMemo(() => {
+    const map = {};
+    sites.forEach(s => { map[s.id] = s; });
+    return map;
+  }, [sites]);
+
+  const getBoatSiteId = useCallback(
+    (boat) => (boat ? findBoatLocationData(boat, locations).location?.site_id || null : null),
+    [locations]
+  );
+
+  const counts = useMemo(() => countByDayAndSite(entries), [entries]);
+
+  // Sites over their daily capacity on a day: [{ site, count, capacity }]
+  const getOverCapacity = useCallback((dateKey) => Object.entries(counts[dateKey] || {})
+    .map(([siteId, count]) => ({ site: sitesById[siteId], count, capacity: sitesById[siteId]?.daily_launch_capacity }))
+    .filter(({ site, count, capacity }) => site && capacity !== null && capacity !== undefined && count > capacity),
+  [counts, sitesById]);
+
+  const visibleEntries = useMemo(() => entries.filter(entry =>
+    entry.status !== 'cancelled' &&
+    (kindFilter === 'all' || entry.kind === kindFilter) &&
+    (!siteFilter || entry.site_id === siteFilter)
+  ), [entries, kindFilter, siteFilter]);
+
+  const entriesByDay = useMemo(() => {
+    const map = {};
+    visibleEntries.forEach(entry => {
+      (map[entry.scheduled_date] || (map[entry.scheduled_date] = [])).push(entry);
+    });
+    return map;
+  }, [visibleEntries]);
+
+  // Storage boats with no move of this kind yet this season, by requested date
+  const unscheduledBoats = useMemo(() => {
+    const scheduled = new Set(seasonEntries
+      .filter(entry => entry.kind === unscheduledKind && entry.status !== 'cancelled')
+      .map(entry => entry.boat_id));
+    const requested = {};
+    contracts.filter(c => c.status !== 'cancelled').forEach(c => {
+      requested[c.boat_id] = c[CONTRACT_DATE_FIELDS[unscheduledKind]];
+    });
+    return boats
+      .filter(boat => boat.storageBoat && boat.status !== 'archived' && !scheduled.has(boat.id))
+      .filter(boat => !siteFilter || getBoatSiteId(boat) === siteFilter)
+      .map(boat => ({ boat, requestedDate: requested[boat.id] || null }))
+      .sort((a, b) => (a.requestedDate || '9999').localeCompare(b.requestedDate || '9999') || (a.boat.name || '').localeCompare(b.boat.name || ''));
+  }, [boats, seasonEntries, contracts, unscheduledKind, siteFilter, getBoatSiteId]);
+
+  // Over a site's capacity - ask before adding one more
+  // (the day is read fresh; it may be outside the month on screen)
+  const confirmCapacity = async (dateKey, siteId, movingEntryId = null) => {
+    const site = sitesById[siteId];
+    const capacity = site?.daily_launch_capacity;
+    if (capacity === null || capacity === undefined) return true;
+    const dayEntries = await launchScheduleService.getRange(dateKey, dateKey);
+    const alreadyThere = dayEntries.filter(e =>
+      e.scheduled_date === dateKey && e.site_id === siteId && e.status !== 'cancelled' && e.id !== movingEntryId
+    ).length;
+    if (alreadyThere < capacity) return true;
+    return confirm(`${site.name} already has ${alreadyThere} of ${capacity} moves on ${formatShortDate(dateKey)}. Schedule anyway?`);
+  };
+
+  const scheduleBoat = async (boatId, dateKey) => {
+    const boat = boatsById[boatId];
+    const siteId = getBoatSiteId(boat);
+    try {
+      if (!(await confirmCapacity(dateKey, siteId))) return;
+      await launchScheduleService.schedule({
+        boat_id: boatId,
+        kind: unscheduledKind,
+        season: getStorageSeason(new Date(`${dateKey}T00:00:00`)),
+        scheduled_date: dateKey,
+        site_id: siteId,
+      }, currentUser?.id);
+      await loadSchedule();
+    } catch (err) {
+      console.error('[LaunchCalendar] Error scheduling boat:', err);
+      alert(`Couldn't schedule ${boat?.name || 'the boat'}: ${err.message}`);
+    }
+  };
+
+  const rescheduleEntry = async (entryId, dateKey) => {
+    const entry = entries.find(e => e.id === entryId);
+    if (!entry || entry.scheduled_date === dateKey) return;
+    try {
+      if (!(await confirmCapacity(dateKey, entry.site_id, entry.id))) return;
+      await launchScheduleService.update(entry.id, {
+        scheduled_date: dateKey,
+        season: getStorageSeason(new Date(`${dateKey}T00:00:00`)),
+      }, currentUser?.id);
+      await loadSchedule();
+    } catch (err) {
+      console.error('[LaunchCalendar] Error rescheduling:', err);
+      alert(`Couldn't move it to ${formatShortDate(dateKey)}: ${err.message}`);
+    }
+  };
+
+  const updateEntry = async (entry, updates) => {
+    try {
+      const updated = await launchScheduleService.update(entry.id, updates, currentUser?.id);
+      setEntries(prev => prev.map(e => (e.id === updated.id ? updated : e)));
+    } catch (err) {
+      console.error('[LaunchCalendar] Error updating move:', err);
+      alert(`Couldn't save: ${err.message}`);
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    if (!confirm(`Take ${boatsById[entry.boat_id]?.name || 'this boat'} off the schedule?`)) return;
+    try {
+      await launchScheduleService.delete(entry.id);
+      await loadSchedule();
+    } catch (err) {
+      console.error('[LaunchCalendar] Error removing move:', err);
+      alert(`Couldn't remove it: ${err.message}`);
+    }
+  };
+
+  const handleDrop = (e, dateKey) => {
+    e.preventDefault();
+    setDragOverDay(null);
+    if (!canManageLocations) return;
+    try {
+      const payload = JSON.parse(e.dataTransfer.getData('text/plain'));
+      if (payload.entryId) rescheduleEntry(payload.entryId, dateKey);
+      else if (payload.boatId) scheduleBoat(payload.boatId, dateKey);
+    } catch {
+      // Not one of ours
+    }
+  };
+
+  const startDrag = (e, payload) => {
+    e.dataTransfer.setData('text/plain', JSON.stringify(payload));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const saveCapacity = async (site, value) => {
+    const capacity = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+    if (capacity === (site.daily_launch_capacity ?? null)) return;
+    try {
+      await onUpdateSite(site.id, { daily_launch_capacity: capacity });
+    } catch (err) {
+      alert(`Couldn't save the capacity: ${err.message}`);
+    }
+  };
+
+  const handlePrint = () => {
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'run-sheet-print-styles';
+    styleSheet.textContent = printStyles;
+    document.head.appendChild(styleSheet);
+
+    window.print();
+
+    setTimeout(() => {
+      document.getElementById('run-sheet-print-styles')?.remove();
+    }, 1000);
+  };
+
+  const shiftMonth = (delta) => {
+    setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+    setSelectedDay(null);
+  };
+
+  // Run sheet rows: by site, haul-outs first
+  const runSheet = useMemo(() => {
+    if (!selectedDay) return [];
+    return (entriesByDay[selectedDay] || [])
+      .map(entry => {
+        const boat = boatsById[entry.boat_id];
+        const { location, slotId } = boat ? findBoatLocationData(boat, locations) : {};
+        return {
+          entry,
+          boat,
+          from: location ? `${location.name}${slotId && slotId !== 'pool' ? ` · ${slotId}` : ''}` : '—',
+          siteName: sitesById[entry.site_id]?.name || '',
+          conflicts: getScheduleConflicts(boat, entry.kind),
+        };
+      })
+      .sort((a, b) => a.siteName.localeCompare(b.siteName) || LAUNCH_KINDS.indexOf(a.entry.kind) - LAUNCH_KINDS.indexOf(b.entry.kind));
+  }, [selectedDay, entriesByDay, boatsById, sitesById, locations]);
+
+  return (
+    <div className="space-y-6 animate-slide-in">
+      <div className="flex flex-wrap items-start justify-between gap-4 no-print">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Launch Calendar</h2>
+          <p className="text-slate-600">Spring launches and fall haul-outs for storage boats · season {season}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={kindFilter} onChange={e => setKindFilter(e.target.value)} className="px-3 py-2 border border-slate-300 rounded-lg bg-white">
+            <option value="all">Launches & haul-outs</option>
+            <option value="launch">Launches only</option>
+            <option value="haul_out">Haul-outs only</option>
+          </select>
+          {sites.length > 0 && (
+            <select value={siteFilter} onChange={e => setSiteFilter(e.target.value)} className="px-3 py-2 border border-slate-300 rounded-lg bg-white">
+              <option value="">All sites</option>
+              {sites.map(site => <option key={site.id} value={site.id}>{site.name}</option>)}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 no-print">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-[1fr_300px] gap-6 no-print">
+        {/* Month grid */}
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+            <button onClick={() => shiftMonth(-1)} className="p-2 rounded-lg hover:bg-slate-100" title="Previous month">
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <h3 className="text-lg font-semibold text-slate-900">
+              {month.toLocaleDateString([], { month: 'long', year: 'numeric' })}
+            </h3>
+            <button onClick={() => shiftMonth(1)} className="p-2 rounded-lg hover:bg-slate-100" title="Next month">
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-7 text-xs font-medium text-slate-500 border-b border-slate-200">
+            {WEEKDAYS.map(day => <div key={day} className="px-2 py-1">{day}</div>)}
+          </div>
+          <div className="grid grid-cols-7">
+            {weeks.flat().map(date => {
+              const dateKey = toDateKey(date);
+              const dayEntries = entriesByDay[dateKey] || [];
+              const overCapacity = getOverCapacity(dateKey);
+              const inMonth = date.getMonth() === month.getMonth();
+              return (
+                <div
+                  key={dateKey}
+                  onClick={() => setSelectedDay(dateKey)}
+                  onDragOver={e => { if (canManageLocations) { e.preventDefault(); setDragOverDay(dateKey); } }}
+                  onDragLeave={() => setDragOverDay(prev => (prev === dateKey ? null : prev))}
+                  onDrop={e => handleDrop(e, dateKey)}
+                  className={`min-h-[110px] p-1.5 border-b border-r border-slate-100 cursor-pointer text-xs ${
+                    inMonth ? 'bg-white' : 'bg-slate-50 text-slate-400'
+                  } ${selectedDay === dateKey ? 'ring-2 ring-inset ring-blue-500' : ''} ${
+                    dragOverDay === dateKey ? 'bg-blue-50' : ''
+                  } ${overCapacity.length > 0 ? 'bg-red-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <span className={`font-medium ${dateKey === todayKey ? 'px-1.5 rounded-full bg-blue-600 text-white' : ''}`}>{date.getDate()}</span>
+                    {overCapacity.length > 0 && (
+                      <span className="flex items-center gap-0.5 text-red-700" title={overCapacity.map(o => `${o.site.name}: ${o.count}/${o.capacity}`).join(', ')}>
+                        <AlertTriangle className="w-3 h-3" /> Over
+                      </span>
+                    )}
+                  </div>
+                  <div className="space-y-0.5">
+                    {dayEntries.slice(0, MAX_CHIPS).map(entry => {
+                      const boat = boatsById[entry.boat_id];
+                      const hasConflict = getScheduleConflicts(boat, entry.kind).length > 0;
+                      return (
+                        <div
+                          key={entry.id}
+                          draggable={canManageLocations && entry.status === 'scheduled'}
+                          onDragStart={e => startDrag(e, { entryId: entry.id })}
+                          className={`flex items-center gap-1 px-1 py-0.5 rounded border truncate ${KIND_CHIP_CLASSES[entry.kind]} ${
+                            entry.status === 'done' ? 'opacity-50 line-through' : ''
+                          }`}
+                          title={`${LAUNCH_KIND_LABELS[entry.kind]}: ${boat?.name || 'Removed boat'}`}
+                        >
+                          {hasConflict && <AlertTriangle className="w-3 h-3 text-red-600 flex-shrink-0" />}
+                          <span className="truncate">{boat?.name || 'Removed boat'}</span>
+                        </div>
+                      );
+                    })}
+                    {dayEntries.length > MAX_CHIPS && (
+                      <p className="text-slate-500">+{dayEntries.length - MAX_CHIPS} more</p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Unscheduled boats + capacity */}
+        <div className="space-y-4">
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200">
+            <div className="px-4 py-3 border-b border-slate-200">
+              <h3 className="font-semibold text-slate-900 mb-2">Not scheduled ({unscheduledBoats.length})</h3>
+              <div className="flex gap-1">
+                {LAUNCH_KINDS.map(kind => (
+                  <button
+                    key={kind}
+                    onClick={() => setUnscheduledKind(kind)}
+                    className={`flex-1 px-2 py-1 rounded-lg text-sm ${
+                      unscheduledKind === kind ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+                    }`}
+                  >
+                    {LAUNCH_KIND_LABELS[kind]}
+                  </button>
+                ))}
+              </div>
+              {canManageLocations && <p className="text-xs text-slate-500 mt-2">Drag a boat onto a day to schedule it</p>}
+            </div>
+            <ul className="max-h-[420px] overflow-y-auto divide-y divide-slate-100">
+              {unscheduledBoats.length === 0 ? (
+                <li className="px-4 py-3 text-sm text-slate-500">Every storage boat is scheduled for {season}.</li>
+              ) : unscheduledBoats.map(({ boat, requestedDate }) => (
+                <li
+                  key={boat.id}
+                  draggable={canManageLocations}
+                  onDragStart={e => startDrag(e, { boatId: boat.id })}
+                  className={`px-4 py-2 text-sm ${canManageLocations ? 'cursor-grab hover:bg-slate-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium text-slate-900 truncate">{boat.name}</span>
+                    {requestedDate && canManageLocations && (
+                      <button
+                        onClick={() => scheduleBoat(boat.id, requestedDate)}
+                        className="text-xs text-blue-600 hover:text-blue-700 whitespace-nowrap"
+                        title="Schedule on the date in the storage contract"
+                      >
+                        {formatShortDate(requestedDate)}
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-xs text-slate-500 truncate">{boat.owner}{boat.location ? ` · ${boat.location}` : ''}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {canManageLocations && sites.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
+              <h3 className="font-semibold text-slate-900 mb-1">Daily capacity</h3>
+              <p className="text-xs text-slate-500 mb-3">Launches + haul-outs per day; blank for no limit</p>
+              <div className="space-y-2">
+                {sites.map(site => (
+                  <label key={site.id} className="flex items-center justify-between gap-2 text-sm">
+                    <span className="text-slate-700 truncate">{site.name}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      defaultValue={site.daily_launch_capacity ?? ''}
+                      onBlur={e => saveCapacity(site, e.target.value)}
+                      className="w-20 px-2 py-1 border border-slate-300 rounded-lg text-right"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Run sheet for the selected day */}
+      {selectedDay && (
+        <div className="print-run-sheet bg-white rounded-xl shadow-sm border border-slate-200">
+          <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-b border-slate-200">
+            <div>
+              <h3 className="text-lg font-semibold text-slate-900">Run sheet · {formatDay(selectedDay)}</h3>
+              {getOverCapacity(selectedDay).map(({ site, count, capacity }) => (
+                <p key={site.id} className="text-sm text-red-700">{site.name}: {count} moves, capacity {capacity}</p>
+              ))}
+            </div>
+            <button
+              onClick={handlePrint}
+              disabled={runSheet.length === 0}
+              className="no-print flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              <Printer className="w-4 h-4" />
+              Print
+            </button>
+          </div>
+          {runSheet.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-slate-500 flex items-center gap-2">
+              <CalendarDays className="w-4 h-4" />
+              Nothing scheduled{kindFilter !== 'all' || siteFilter ? ' matching the filters' : ''}.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-left text-slate-600">
+                  <tr>
+                    <th className="px-4 py-2 font-medium">Move</th>
+                    <th className="px-4 py-2 font-medium">Boat</th>
+                    <th className="px-4 py-2 font-medium">Owner</th>
+                    <th className="px-4 py-2 font-medium">From (slot)</th>
+                    <th className="px-4 py-2 font-medium">Destination</th>
+                    <th className="px-4 py-2 font-medium">Check</th>
+                    <th className="px-4 py-2 font-medium">Done</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {runSheet.map(({ entry, boat, from, siteName, conflicts }) => (
+                    <tr key={entry.id}>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        {LAUNCH_KIND_LABELS[entry.kind]}
+                        {siteName && <p className="text-xs text-slate-500">{siteName}</p>}
+                      </td>
+                      <td className="px-4 py-2">
+                        {boat?.name || 'Removed boat'}
+                        {boat?.hullId && <p className="text-xs text-slate-500">{boat.hullId}</p>}
+                      </td>
+                      <td className="px-4 py-2">{boat?.owner || '—'}</td>
+                      <td className="px-4 py-2">{from}</td>
+                      <td className="px-4 py-2">
+                        {canManageLocations ? (
+                          <>
+                            <input
+                              key={`${entry.id}-${entry.destination || ''}`}
+                              type="text"
+                              list="launch-destinations"
+                              defaultValue={entry.destination || ''}
+                              onBlur={e => e.target.value.trim() !== (entry.destination || '') && updateEntry(entry, { destination: e.target.value.trim() || null })}
+                              placeholder={entry.kind === 'launch' ? 'Slip / dock' : 'Storage location'}
+                              className="no-print w-full px-2 py-1 border border-slate-300 rounded-lg"
+                            />
+                            <span className="hidden print:inline">{entry.destination || ''}</span>
+                          </>
+                        ) : (entry.destination || '—')}
+                      </td>
+                      <td className="px-4 py-2 text-red-700">
+                        {conflicts.length > 0 ? conflicts.join('; ') : <span className="text-slate-400">OK</span>}
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={entry.status === 'done'}
+                            disabled={!canManageLocations}
+                            onChange={e => updateEntry(entry, { status: e.target.checked ? 'done' : 'scheduled' })}
+                            className="w-4 h-4"
+                          />
+                          {canManageLocations && entry.status === 'scheduled' && (
+                            <button onClick={() => removeEntry(entry)} className="no-print p-1 text-slate-400 hover:text-red-600" title="Remove from schedule">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <datalist id="launch-destinations">
+                {locations.map(location => <option key={location.id} value={location.name} />)}
+              </datalist>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LaunchCalendarView;
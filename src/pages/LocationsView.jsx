@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Plus, X, Edit2, Trash2, ChevronDown, ChevronRight, Building2, Settings, Grid, Map, Package } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { Plus, X, Edit2, Trash2, ChevronDown, ChevronRight, Building2, Settings, Grid, Map, Package, QrCode, ClipboardCheck, List, MapPin } from 'lucide-react';
 import { usePermissions } from '../hooks/usePermissions';
 import { useRemoveBoat } from '../hooks/useRemoveBoat';
 import { useAssignBoat } from '../hooks/useAssignBoat';
@@ -9,12 +10,15 @@ import { InventoryBoatDetailsModal } from '../components/modals/InventoryBoatDet
 import { BoatAssignmentModal } from '../components/modals/BoatAssignmentModal';
 import { EditLocationModal } from '../components/modals/EditLocationModal';
 import { SiteManagementModal } from '../components/modals/SiteManagementModal';
+import { QrLabelsModal } from '../components/modals/QrLabelsModal';
+import { YardAuditModal } from '../components/modals/YardAuditModal';
 import { PoolLocation } from '../components/locations/PoolLocation';
 import { LocationGrid, MaximizedLocationModal } from '../components/locations/LocationGrid';
 import { LocationSection } from '../components/locations/LocationSection';
+import { SiteMap } from '../components/locations/SiteMap';
 import { boatLifecycleService } from '../services/supabaseService';
 
-export function LocationsView({ locations, sites = [], boats, users = [], onUpdateLocations, onUpdateBoats, onMoveBoat: onMoveBoatFromContainer, onAddSite, onUpdateSite, onDeleteSite, onReorderSites }) {
+export function LocationsView({ locations, sites = [], boats, users = [], onUpdateLocations, onUpdateBoats, onMoveBoat: onMoveBoatFromContainer, onUpdateLocationPlacement, onAddSite, onUpdateSite, onDeleteSite, onReorderSites }) {
   // Get permissions from centralized hook
   const { canManageLocations } = usePermissions();
 
@@ -26,12 +30,16 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
   const [editingLocation, setEditingLocation] = useState(null);
   const [showBoatAssignModal, setShowBoatAssignModal] = useState(false);
   const [showSiteManagement, setShowSiteManagement] = useState(false);
+  const [showQrLabels, setShowQrLabels] = useState(false);
+  const [showYardAudit, setShowYardAudit] = useState(false);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [selectedSlot, setSelectedSlot] = useState(null);
   const [viewingBoat, setViewingBoat] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [maximizedLocation, setMaximizedLocation] = useState(null);
   const [expandedSites, setExpandedSites] = useState(new Set()); // Start collapsed for faster initial render
+  const [mapPoolId, setMapPoolId] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
   const mouseYRef = useRef(0);
 
   // Use unified remove boat hook
@@ -384,6 +392,34 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
   // Group locations by site, then by type within each site
   const sortedSites = [...sites].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
 
+  // Map view lives in the URL (?view=map&site=<id>) so a location can be linked to
+  const isMapView = searchParams.get('view') === 'map';
+  const mapSite = sortedSites.find(s => s.id === searchParams.get('site')) || sortedSites[0] || null;
+  const mapPool = locations.find(l => l.id === mapPoolId) || null;
+
+  const showMapView = (siteId) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('view', 'map');
+    if (siteId) params.set('site', siteId);
+    setSearchParams(params, { replace: true });
+  };
+
+  const showListView = () => {
+    const params = new URLSearchParams(searchParams);
+    params.delete('view');
+    params.delete('site');
+    setSearchParams(params, { replace: true });
+  };
+
+  // Drill in from the map: grids open maximized, pools in their own modal
+  const handleOpenFromMap = (location) => {
+    if (location.type === 'pool') {
+      setMapPoolId(location.id);
+    } else {
+      setMaximizedLocation(location);
+    }
+  };
+
   const locationsBySite = sortedSites.map(site => {
     const siteLocations = locations.filter(l => l.site_id === site.id);
     return {
@@ -420,7 +456,40 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
           <h2 className="text-3xl font-bold text-slate-900 mb-2">Storage Locations</h2>
           <p className="text-slate-600">Manage boat storage facilities and site organization</p>
         </div>
-        <div className="flex items-center gap-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex items-center bg-white rounded-lg border border-slate-300 shadow-md p-1">
+            <button
+              onClick={showListView}
+              className={`flex items-center gap-1.5 px-3 py-1 rounded-md text-sm font-medium transition-colors ${!isMapView ? 'bg-blue-600 text-white' : 'text-slate-700 hover:bg-slate-100'}`}
+            >
+              <List className="w-4 h-4" />
+              List
+            </button>
+            <button
+              onClick={() => showMapView(mapSite?.id)}
+              className={`flex items-center gap-1.5 px-3 py-1 rounded-md text-sm font-medium transition-colors ${isMapView ? 'bg-blue-600 text-white' : 'text-slate-700 hover:bg-slate-100'}`}
+            >
+              <MapPin className="w-4 h-4" />
+              Site Map
+            </button>
+          </div>
+
+          <button
+            onClick={() => setShowQrLabels(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-white hover:bg-slate-50 text-slate-700 font-medium rounded-lg border border-slate-300 transition-colors shadow-md"
+          >
+            <QrCode className="w-5 h-5" />
+            Print Labels
+          </button>
+
+          <button
+            onClick={() => setShowYardAudit(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-white hover:bg-slate-50 text-slate-700 font-medium rounded-lg border border-slate-300 transition-colors shadow-md"
+          >
+            <ClipboardCheck className="w-5 h-5" />
+            Yard Audit
+          </button>
+
           {/* Only show to managers/admins */}
           {canManageLocations && (
             <button
@@ -445,62 +514,231 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
         </div>
       </div>
 
-      {/* Instructions Banner */}
-      <div className="bg-blue-50 border border-blue-200 rounded-xl p-4">
-        <div className="flex items-start gap-3">
-          <div className="w-8 h-8 bg-blue-500 rounded-lg flex items-center justify-center flex-shrink-0 mt-0.5">
-            <svg className="w-5 h-5 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-            </svg>
+      {/* Site Map */}
+      {isMapView && (
+        mapSite ? (
+          <div className="space-y-4">
+            {sortedSites.length > 1 && (
+              <div className="flex flex-wrap gap-2">
+                {sortedSites.map(site => (
+                  <button
+                    key={site.id}
+                    onClick={() => showMapView(site.id)}
+                    className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${site.id === mapSite.id ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'}`}
+                  >
+                    <Building2 className="w-4 h-4" />
+                    {site.name}
+                  </button>
+                ))}
+              </div>
+            )}
+            <SiteMap
+              site={mapSite}
+              locations={locations.filter(l => l.site_id === mapSite.id)}
+              boats={boats}
+              canEdit={canManageLocations}
+              onOpenLocation={handleOpenFromMap}
+              onUpdatePlacement={onUpdateLocationPlacement}
+              onUpdateSite={onUpdateSite}
+            />
           </div>
-          <div className="flex-1">
-            <h4 className="font-semibold text-blue-900 mb-1">How to use:</h4>
-            <ul className="text-sm text-blue-800 space-y-1">
-              <li>• <strong>Drag & Drop:</strong> Drag boats from unassigned or between slots to organize</li>
-              <li>• <strong>Click Boats:</strong> Click on any boat to view details and remove from location</li>
-              <li>• <strong>Click Empty Slots:</strong> Click empty slots to assign a boat</li>
-            </ul>
+        ) : (
+          <div className="bg-white rounded-xl shadow-md p-12 border border-slate-200 text-center">
+            <Building2 className="w-16 h-16 text-slate-300 mx-auto mb-4" />
+            <p className="text-slate-500">Add a site to lay out its map</p>
           </div>
-        </div>
-      </div>
-
-      {/* Locations Grouped by Site */}
-      {locationsBySite.map(({ site, racks, parking, workshops, pools }) => {
-        const isExpanded = expandedSites.has(site.id);
-        const totalLocations = racks.length + parking.length + workshops.length + pools.length;
+        )
+      )}
 
-        if (totalLocations === 0) return null;
+      {!isMapView && (
+        <>
+          {/* Instructions Banner */}
+          <div className="bg-blue-50 border border-blue-200 rounded-xl p-4">
+            <div className="flex items-start gap-3">
+              <div className="w-8 h-8 bg-blue-500 rounded-lg flex items-center justify-center flex-shrink-0 mt-0.5">
+                <svg className="w-5 h-5 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+              </div>
+              <div className="flex-1">
+                <h4 className="font-semibold text-blue-900 mb-1">How to use:</h4>
+                <ul className="text-sm text-blue-800 space-y-1">
+                  <li>• <strong>Drag & Drop:</strong> Drag boats from unassigned or between slots to organize</li>
+                  <li>• <strong>Click Boats:</strong> Click on any boat to view details and remove from location</li>
+                  <li>• <strong>Click Empty Slots:</strong> Click empty slots to assign a boat</li>
+                </ul>
+              </div>
+            </div>
+          </div>
 
-        return (
-          <div key={site.id} className="space-y-4">
-            {/* Site Header */}
-            <div
-              className="bg-gradient-to-r from-indigo-50 to-indigo-100 border-2 border-indigo-200 rounded-xl p-4 cursor-pointer hover:shadow-md transition-shadow"
-              onClick={() => toggleSiteExpansion(site.id)}
-            >
-              <div className="flex items-center gap-3">
-                <ChevronDown
-                  className={`w-6 h-6 text-indigo-600 transition-transform flex-shrink-0 ${isExpanded ? 'rotate-180' : ''}`}
-                />
-                <div className="w-10 h-10 bg-gradient-to-br from-indigo-500 to-indigo-600 rounded-lg flex items-center justify-center flex-shrink-0">
-                  <Building2 className="w-6 h-6 text-white" />
+          {/* Locations Grouped by Site */}
+          {locationsBySite.map(({ site, racks, parking, workshops, pools }) => {
+            const isExpanded = expandedSites.has(site.id);
+            const totalLocations = racks.length + parking.length + workshops.length + pools.length;
+
+            if (totalLocations === 0) return null;
+
+            return (
+              <div key={site.id} className="space-y-4">
+                {/* Site Header */}
+                <div
+                  className="bg-gradient-to-r from-indigo-50 to-indigo-100 border-2 border-indigo-200 rounded-xl p-4 cursor-pointer hover:shadow-md transition-shadow"
+                  onClick={() => toggleSiteExpansion(site.id)}
+                >
+                  <div className="flex items-center gap-3">
+                    <ChevronDown
+                      className={`w-6 h-6 text-indigo-600 transition-transform flex-shrink-0 ${isExpanded ? 'rotate-180' : ''}`}
+                    />
+                    <div className="w-10 h-10 bg-gradient-to-br from-indigo-500 to-indigo-600 rounded-lg flex items-center justify-center flex-shrink-0">
+                      <Building2 className="w-6 h-6 text-white" />
+                    </div>
+                    <div>
+                      <h3 className="text-2xl font-bold text-slate-900">{site.name}</h3>
+                      <p className="text-sm text-slate-600">{totalLocations} location{totalLocations !== 1 ? 's' : ''}</p>
+                    </div>
+                  </div>
                 </div>
-                <div>
-                  <h3 className="text-2xl font-bold text-slate-900">{site.name}</h3>
-                  <p className="text-sm text-slate-600">{totalLocations} location{totalLocations !== 1 ? 's' : ''}</p>
+
+                {/* Site Locations (collapsible) */}
+                {isExpanded && (
+                  <div className="space-y-6 pl-4 border-l-4 border-indigo-200">
+                    {racks.length > 0 && (
+                      <LocationSection
+                        title="Rack Buildings"
+                        icon={Grid}
+                        color="blue"
+                        locations={racks}
+                        boats={boats}
+                        onSlotClick={handleSlotClick}
+                        onBoatClick={(boat) => setViewingBoat(boat)}
+                        onEdit={canManageLocations ? setEditingLocation : undefined}
+                        onDelete={canManageLocations ? handleDeleteLocation : undefined}
+                        onDragStart={handleDragStart}
+                        onDrop={handleGridDrop}
+                        onDragEnd={handleDragEnd}
+                        draggingBoat={draggingBoat}
+                        draggingFrom={draggingFrom}
+                        onMaximize={setMaximizedLocation}
+                        canManageLocations={canManageLocations}
+                        onTouchStart={handleTouchStart}
+                        onTouchMove={handleTouchMove}
+                        onTouchEnd={handleTouchEnd}
+                      />
+                    )}
+
+                    {parking.length > 0 && (
+                      <LocationSection
+                        title="Parking Lots"
+                        icon={Map}
+                        color="purple"
+                        locations={parking}
+                        boats={boats}
+                        onSlotClick={handleSlotClick}
+                        onBoatClick={(boat) => setViewingBoat(boat)}
+                        onEdit={canManageLocations ? setEditingLocation : undefined}
+                        onDelete={canManageLocations ? handleDeleteLocation : undefined}
+                        onDragStart={handleDragStart}
+                        onDrop={handleGridDrop}
+                        onDragEnd={handleDragEnd}
+                        draggingBoat={draggingBoat}
+                        draggingFrom={draggingFrom}
+                        onMaximize={setMaximizedLocation}
+                        canManageLocations={canManageLocations}
+                        onTouchStart={handleTouchStart}
+                        onTouchMove={handleTouchMove}
+                        onTouchEnd={handleTouchEnd}
+                      />
+                    )}
+
+                    {workshops.length > 0 && (
+                      <LocationSection
+                        title="Service Workshops"
+                        icon={Settings}
+                        color="orange"
+                        locations={workshops}
+                        boats={boats}
+                        onSlotClick={handleSlotClick}
+                        onBoatClick={(boat) => setViewingBoat(boat)}
+                        onEdit={canManageLocations ? setEditingLocation : undefined}
+                        onDelete={canManageLocations ? handleDeleteLocation : undefined}
+                        onDragStart={handleDragStart}
+                        onDrop={handleGridDrop}
+                        onDragEnd={handleDragEnd}
+                        draggingBoat={draggingBoat}
+                        draggingFrom={draggingFrom}
+                        onMaximize={setMaximizedLocation}
+                        canManageLocations={canManageLocations}
+                        onTouchStart={handleTouchStart}
+                        onTouchMove={handleTouchMove}
+                        onTouchEnd={handleTouchEnd}
+                      />
+                    )}
+
+                    {pools.length > 0 && (
+                      <div>
+                        <div className="flex items-center gap-3 mb-4">
+                          <div className="w-10 h-10 bg-gradient-to-br from-teal-500 to-teal-600 rounded-lg flex items-center justify-center">
+                            <Package className="w-6 h-6 text-white" />
+                          </div>
+                          <h3 className="text-2xl font-bold text-slate-900">Pools</h3>
+                        </div>
+                        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                          {pools.map(pool => (
+                            <PoolLocation
+                              key={pool.id}
+                              location={pool}
+                              boats={boats}
+                              onEdit={canManageLocations ? () => setEditingLocation(pool) : undefined}
+                              onDelete={canManageLocations ? () => handleDeleteLocation(pool.id) : undefined}
+                              onDragStart={handleDragStart}
+                              onDrop={handlePoolDrop}
+                              onDragEnd={handleDragEnd}
+                              isDragging={!!draggingBoat}
+                              onBoatClick={(boat) => {
+                                setViewingBoat(boat);
+                              }}
+                              onAddBoat={() => {
+                                setSelectedLocation(pool);
+                                setSelectedSlot('pool');
+                                setShowBoatAssignModal(true);
+                              }}
+                              canManageLocations={canManageLocations}
+                              onTouchStart={handleTouchStart}
+                              onTouchMove={handleTouchMove}
+                              onTouchEnd={handleTouchEnd}
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {/* Unassigned Locations (no site) */}
+          {unassignedLocations.length > 0 && (
+            <div className="space-y-4">
+              <div className="bg-gradient-to-r from-slate-50 to-slate-100 border-2 border-slate-300 rounded-xl p-4">
+                <div className="flex items-center gap-3">
+                  <div className="w-10 h-10 bg-gradient-to-br from-slate-400 to-slate-500 rounded-lg flex items-center justify-center">
+                    <Map className="w-6 h-6 text-white" />
+                  </div>
+                  <div>
+                    <h3 className="text-2xl font-bold text-slate-900">Unassigned Locations</h3>
+                    <p className="text-sm text-slate-600">{unassignedLocations.length} location{unassignedLocations.length !== 1 ? 's' : ''} without a site</p>
+                  </div>
                 </div>
               </div>
-            </div>
 
-            {/* Site Locations (collapsible) */}
-            {isExpanded && (
-              <div className="space-y-6 pl-4 border-l-4 border-indigo-200">
-                {racks.length > 0 && (
+              <div className="space-y-6 pl-4 border-l-4 border-slate-300">
+                {unassignedRacks.length > 0 && (
                   <LocationSection
                     title="Rack Buildings"
                     icon={Grid}
                     color="blue"
-                    locations={racks}
+                    locations={unassignedRacks}
                     boats={boats}
                     onSlotClick={handleSlotClick}
                     onBoatClick={(boat) => setViewingBoat(boat)}
@@ -510,7 +748,6 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                     onDrop={handleGridDrop}
                     onDragEnd={handleDragEnd}
                     draggingBoat={draggingBoat}
-                    draggingFrom={draggingFrom}
                     onMaximize={setMaximizedLocation}
                     canManageLocations={canManageLocations}
                     onTouchStart={handleTouchStart}
@@ -519,12 +756,12 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                   />
                 )}
 
-                {parking.length > 0 && (
+                {unassignedParking.length > 0 && (
                   <LocationSection
                     title="Parking Lots"
                     icon={Map}
                     color="purple"
-                    locations={parking}
+                    locations={unassignedParking}
                     boats={boats}
                     onSlotClick={handleSlotClick}
                     onBoatClick={(boat) => setViewingBoat(boat)}
@@ -534,7 +771,6 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                     onDrop={handleGridDrop}
                     onDragEnd={handleDragEnd}
                     draggingBoat={draggingBoat}
-                    draggingFrom={draggingFrom}
                     onMaximize={setMaximizedLocation}
                     canManageLocations={canManageLocations}
                     onTouchStart={handleTouchStart}
@@ -543,12 +779,12 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                   />
                 )}
 
-                {workshops.length > 0 && (
+                {unassignedWorkshops.length > 0 && (
                   <LocationSection
                     title="Service Workshops"
                     icon={Settings}
                     color="orange"
-                    locations={workshops}
+                    locations={unassignedWorkshops}
                     boats={boats}
                     onSlotClick={handleSlotClick}
                     onBoatClick={(boat) => setViewingBoat(boat)}
@@ -558,7 +794,6 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                     onDrop={handleGridDrop}
                     onDragEnd={handleDragEnd}
                     draggingBoat={draggingBoat}
-                    draggingFrom={draggingFrom}
                     onMaximize={setMaximizedLocation}
                     canManageLocations={canManageLocations}
                     onTouchStart={handleTouchStart}
@@ -567,7 +802,7 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                   />
                 )}
 
-                {pools.length > 0 && (
+                {unassignedPools.length > 0 && (
                   <div>
                     <div className="flex items-center gap-3 mb-4">
                       <div className="w-10 h-10 bg-gradient-to-br from-teal-500 to-teal-600 rounded-lg flex items-center justify-center">
@@ -576,7 +811,7 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                       <h3 className="text-2xl font-bold text-slate-900">Pools</h3>
                     </div>
                     <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
-                      {pools.map(pool => (
+                      {unassignedPools.map(pool => (
                         <PoolLocation
                           key={pool.id}
                           location={pool}
@@ -605,148 +840,22 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
                   </div>
                 )}
               </div>
-            )}
-          </div>
-        );
-      })}
-
-      {/* Unassigned Locations (no site) */}
-      {unassignedLocations.length > 0 && (
-        <div className="space-y-4">
-          <div className="bg-gradient-to-r from-slate-50 to-slate-100 border-2 border-slate-300 rounded-xl p-4">
-            <div className="flex items-center gap-3">
-              <div className="w-10 h-10 bg-gradient-to-br from-slate-400 to-slate-500 rounded-lg flex items-center justify-center">
-                <Map className="w-6 h-6 text-white" />
-              </div>
-              <div>
-                <h3 className="text-2xl font-bold text-slate-900">Unassigned Locations</h3>
-                <p className="text-sm text-slate-600">{unassignedLocations.length} location{unassignedLocations.length !== 1 ? 's' : ''} without a site</p>
-              </div>
             </div>
-          </div>
-
-          <div className="space-y-6 pl-4 border-l-4 border-slate-300">
-            {unassignedRacks.length > 0 && (
-              <LocationSection
-                title="Rack Buildings"
-                icon={Grid}
-                color="blue"
-                locations={unassignedRacks}
-                boats={boats}
-                onSlotClick={handleSlotClick}
-                onBoatClick={(boat) => setViewingBoat(boat)}
-                onEdit={canManageLocations ? setEditingLocation : undefined}
-                onDelete={canManageLocations ? handleDeleteLocation : undefined}
-                onDragStart={handleDragStart}
-                onDrop={handleGridDrop}
-                onDragEnd={handleDragEnd}
-                draggingBoat={draggingBoat}
-                onMaximize={setMaximizedLocation}
-                canManageLocations={canManageLocations}
-                onTouchStart={handleTouchStart}
-                onTouchMove={handleTouchMove}
-                onTouchEnd={handleTouchEnd}
-              />
-            )}
-
-            {unassignedParking.length > 0 && (
-              <LocationSection
-                title="Parking Lots"
-                icon={Map}
-                color="purple"
-                locations={unassignedParking}
-                boats={boats}
-                onSlotClick={handleSlotClick}
-                onBoatClick={(boat) => setViewingBoat(boat)}
-                onEdit={canManageLocations ? setEditingLocation : undefined}
-                onDelete={canManageLocations ? handleDeleteLocation : undefined}
-                onDragStart={handleDragStart}
-                onDrop={handleGridDrop}
-                onDragEnd={handleDragEnd}
-                draggingBoat={draggingBoat}
-                onMaximize={setMaximizedLocation}
-                canManageLocations={canManageLocations}
-                onTouchStart={handleTouchStart}
-                onTouchMove={handleTouchMove}
-                onTouchEnd={handleTouchEnd}
-              />
-            )}
-
-            {unassignedWorkshops.length > 0 && (
-              <LocationSection
-                title="Service Workshops"
-                icon={Settings}
-                color="orange"
-                locations={unassignedWorkshops}
-                boats={boats}
-                onSlotClick={handleSlotClick}
-                onBoatClick={(boat) => setViewingBoat(boat)}
-                onEdit={canManageLocations ? setEditingLocation : undefined}
-                onDelete={canManageLocations ? handleDeleteLocation : undefined}
-                onDragStart={handleDragStart}
-                onDrop={handleGridDrop}
-                onDragEnd={handleDragEnd}
-                draggingBoat={draggingBoat}
-                onMaximize={setMaximizedLocation}
-                canManageLocations={canManageLocations}
-                onTouchStart={handleTouchStart}
-                onTouchMove={handleTouchMove}
-                onTouchEnd={handleTouchEnd}
-              />
-            )}
-
-            {unassignedPools.length > 0 && (
-              <div>
-                <div className="flex items-center gap-3 mb-4">
-                  <div className="w-10 h-10 bg-gradient-to-br from-teal-500 to-teal-600 rounded-lg flex items-center justify-center">
-                    <Package className="w-6 h-6 text-white" />
-                  </div>
-                  <h3 className="text-2xl font-bold text-slate-900">Pools</h3>
-                </div>
-                <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
-                  {unassignedPools.map(pool => (
-                    <PoolLocation
-                      key={pool.id}
-                      location={pool}
-                      boats={boats}
-                      onEdit={canManageLocations ? () => setEditingLocation(pool) : undefined}
-                      onDelete={canManageLocations ? () => handleDeleteLocation(pool.id) : undefined}
-                      onDragStart={handleDragStart}
-                      onDrop={handlePoolDrop}
-                      onDragEnd={handleDragEnd}
-                      isDragging={!!draggingBoat}
-                      onBoatClick={(boat) => {
-                        setViewingBoat(boat);
-                      }}
-                      onAddBoat={() => {
-                        setSelectedLocation(pool);
-                        setSelectedSlot('pool');
-                        setShowBoatAssignModal(true);
-                      }}
-                      canManageLocations={canManageLocations}
-                      onTouchStart={handleTouchStart}
-                      onTouchMove={handleTouchMove}
-                      onTouchEnd={handleTouchEnd}
-                    />
-                  ))}
-                </div>
-              </div>
-            )}
-          </div>
-        </div>
-      )}
+          )}
 
-      {locations.length === 0 && (
-        <div className="bg-white rounded-xl shadow-md p-12 border border-slate-200 text-center">
-          <Map className="w-16 h-16 text-slate-300 mx-auto mb-4" />
-          <p className="text-slate-500 mb-4">No storage locations yet</p>
-          <button
-            onClick={() => setShowAddLocation(true)}
-            className="px-6 py-2 bg-green-600 hover:bg-green-700 text-white font-medium rounded-lg transition-colors"
-          >
-            Create First Location
-          </button>
-        </div>
+          {locations.length === 0 && (
+            <div className="bg-white rounded-xl shadow-md p-12 border border-slate-200 text-center">
+              <Map className="w-16 h-16 text-slate-300 mx-auto mb-4" />
+              <p className="text-slate-500 mb-4">No storage locations yet</p>
+              <button
+                onClick={() => setShowAddLocation(true)}
+                className="px-6 py-2 bg-green-600 hover:bg-green-700 text-white font-medium rounded-lg transition-colors"
+              >
+                Create First Location
+              </button>
+            </div>
+          )}
+        </>
       )}
 
       {/* Modals */}
@@ -829,6 +938,39 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
         />
       )}
 
+      {/* Pool opened from the site map */}
+      {mapPool && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={() => setMapPoolId(null)}>
+          <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto relative" onClick={(e) => e.stopPropagation()}>
+            <button
+              onClick={() => setMapPoolId(null)}
+              className="absolute top-3 right-3 z-10 p-1.5 bg-white/90 hover:bg-white rounded-lg shadow"
+              title="Close"
+            >
+              <X className="w-5 h-5 text-slate-700" />
+            </button>
+            <PoolLocation
+              location={mapPool}
+              boats={boats}
+              onDragStart={handleDragStart}
+              onDrop={handlePoolDrop}
+              onDragEnd={handleDragEnd}
+              isDragging={!!draggingBoat}
+              onBoatClick={(boat) => setViewingBoat(boat)}
+              onAddBoat={() => {
+                setSelectedLocation(mapPool);
+                setSelectedSlot('pool');
+                setShowBoatAssignModal(true);
+              }}
+              canManageLocations={canManageLocations}
+              onTouchStart={handleTouchStart}
+              onTouchMove={handleTouchMove}
+              onTouchEnd={handleTouchEnd}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Site Management Modal */}
       {showSiteManagement && (
         <SiteManagementModal
@@ -841,6 +983,26 @@ export function LocationsView({ locations, sites = [], boats, users = [], onUpda
           onClose={() => setShowSiteManagement(false)}
         />
       )}
+
+      {/* QR Label Printing Modal */}
+      {showQrLabels && (
+        <QrLabelsModal
+          boats={boats}
+          locations={locations}
+          sites={sites}
+          onClose={() => setShowQrLabels(false)}
+        />
+      )}
+
+      {/* Yard Audit Modal */}
+      {showYardAudit && (
+        <YardAuditModal
+          locations={locations}
+          sites={sites}
+          boats={boats}
+          onClose={() => setShowYardAudit(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,385 @@
+// ============================================================================
+// MOVEMENT HISTORY VIEW
+// ============================================================================
+// Every recorded boat move (boat_movements) across all boats, with filters,
+// a per-boat timeline and CSV export for insurance and dispute questions
+// ============================================================================
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { History, Download, Filter, X, ArrowRight, Search, RefreshCw, MapPin } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { boatMovementsService } from '../services/supabaseService';
+import { formatSlotLabel } from '../components/locations/locationUtils';
+import { toCsv, downloadCsv } from '../utils/csvExport';
+
+const RESULT_LIMIT = 1000;
+
+const EMPTY_FILTERS = {
+  movedBy: '',
+  fromDate: '',
+  toDate: '',
+  siteId: '',
+  locationName: '',
+  boatType: '',
+  boatSearch: '',
+};
+
+// "Shop A (2-3)", "Unassigned" when the boat left the board
+function formatPlace(location, slot) {
+  if (!location) return 'Unassigned';
+  if (!slot || slot === 'pool') return location;
+  return `${location} (${formatSlotLabel(slot)})`;
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString([], {
+    month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+// Readable boat label - inventory boats are often unnamed
+function getBoatLabel(boat) {
+  if (!boat) return null;
+  return boat.name || `${boat.year || ''} ${boat.make || ''} ${boat.model || ''}`.trim() || boat.stockNumber || boat.stock_number || null;
+}
+
+// Per-boat timeline panel
+function BoatTimeline({ boatId, boatLabel, onClose }) {
+  const [moves, setMoves] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    boatMovementsService.getForBoat(boatId, 500)
+      .then(data => { if (!cancelled) setMoves(data); })
+      .catch(err => console.error('[MovementHistory] Error loading timeline:', err))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [boatId]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 bg-slate-50 border-b border-slate-200">
+        <div className="min-w-0">
+          <p className="text-xs text-slate-500 uppercase tracking-wide">Timeline</p>
+          <h3 className="font-semibold text-slate-900 truncate">{boatLabel}</h3>
+        </div>
+        <button onClick={onClose} className="p-1.5 hover:bg-slate-200 rounded-lg transition-colors" title="Close timeline">
+          <X className="w-4 h-4 text-slate-600" />
+        </button>
+      </div>
+
+      <div className="p-4 max-h-[70vh] overflow-y-auto">
+        {loading ? (
+          <p className="text-sm text-slate-500">Loading...</p>
+        ) : moves.length === 0 ? (
+          <p className="text-sm text-slate-500">No moves recorded for this boat.</p>
+        ) : (
+          <ol className="relative border-l-2 border-blue-200 ml-2 space-y-4">
+            {moves.map((move, idx) => (
+              <li key={move.id} className="ml-4">
+                <span className={`absolute -left-[7px] w-3 h-3 rounded-full ${idx === 0 ? 'bg-blue-600' : 'bg-blue-300'}`} />
+                <p className="text-xs text-slate-500">{formatDateTime(move.movedAt)}</p>
+                <p className="text-sm text-slate-900 flex items-center gap-1 flex-wrap">
+                  <span>{formatPlace(move.fromLocation, move.fromSlot)}</span>
+                  <ArrowRight className="w-3 h-3 text-slate-400" />
+                  <span className="font-medium">{formatPlace(move.toLocation, move.toSlot)}</span>
+                </p>
+                <p className="text-xs text-slate-500">
+                  {move.movedByUser?.name || move.movedByUser?.email || 'Unknown user'}
+                </p>
+                {move.notes && <p className="text-xs text-slate-600 italic mt-0.5">{move.notes}</p>}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function MovementHistoryView({ boats = [], locations = [], sites = [], users = [] }) {
+  const { canManageLocations } = usePermissions();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedBoatId, setSelectedBoatId] = useState(null);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => {
+      const next = { ...prev, [key]: value };
+      // Picking a different site clears a location from another site
+      if (key === 'siteId') next.locationName = '';
+      return next;
+    });
+  };
+
+  const siteLocations = useMemo(() => (
+    filters.siteId ? locations.filter(l => l.site_id === filters.siteId) : locations
+  ), [locations, filters.siteId]);
+
+  const boatsById = useMemo(() => {
+    const map = {};
+    boats.forEach(b => { map[b.id] = b; });
+    return map;
+  }, [boats]);
+
+  const loadMovements = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      let locationNames = null;
+      if (filters.locationName) {
+        locationNames = [filters.locationName];
+      } else if (filters.siteId) {
+        locationNames = siteLocations.map(l => l.name);
+      }
+
+      const data = await boatMovementsService.search({
+        movedBy: filters.movedBy || null,
+        from: filters.fromDate ? new Date(`${filters.fromDate}T00:00:00`).toISOString() : null,
+        to: filters.toDate ? new Date(`${filters.toDate}T23:59:59.999`).toISOString() : null,
+        locationNames,
+        boatType: filters.boatType || null,
+        limit: RESULT_LIMIT,
+      });
+      setMovements(data);
+    } catch (err) {
+      console.error('[MovementHistory] Error loading movements:', err);
+      setError('Could not load movement history. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters.movedBy, filters.fromDate, filters.toDate, filters.locationName, filters.siteId, filters.boatType, siteLocations]);
+
+  useEffect(() => {
+    if (canManageLocations) loadMovements();
+  }, [loadMovements, canManageLocations]);
+
+  // Boat name search runs client-side - names aren't stored on boat_movements
+  const rows = useMemo(() => {
+    const query = filters.boatSearch.trim().toLowerCase();
+    return movements
+      .map(move => ({
+        ...move,
+        boatLabel: getBoatLabel(boatsById[move.boatId]) || `Removed boat (${String(move.boatId).slice(0, 8)})`,
+        hullId: boatsById[move.boatId]?.hullId || boatsById[move.boatId]?.hull_id || '',
+      }))
+      .filter(move => !query ||
+        move.boatLabel.toLowerCase().includes(query) ||
+        move.hullId.toLowerCase().includes(query));
+  }, [movements, boatsById, filters.boatSearch]);
+
+  const handleExport = () => {
+    const csv = toCsv(rows, [
+      { header: 'Moved At', value: m => new Date(m.movedAt).toISOString() },
+      { header: 'Boat', value: m => m.boatLabel },
+      { header: 'Hull ID', value: m => m.hullId },
+      { header: 'Boat Type', value: m => m.boatType },
+      { header: 'From Location', value: m => m.fromLocation },
+      { header: 'From Slot', value: m => m.fromSlot ? formatSlotLabel(m.fromSlot) : '' },
+      { header: 'To Location', value: m => m.toLocation },
+      { header: 'To Slot', value: m => m.toSlot ? formatSlotLabel(m.toSlot) : '' },
+      { header: 'Moved By', value: m => m.movedByUser?.name || m.movedByUser?.email || '' },
+      { header: 'Notes', value: m => m.notes },
+      { header: 'Boat ID', value: m => m.boatId },
+    ]);
+    downloadCsv(`boat-movements-${new Date().toISOString().split('T')[0]}.csv`, csv);
+  };
+
+  const hasFilters = Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key]);
+  const selectedBoatLabel = rows.find(r => r.boatId === selectedBoatId)?.boatLabel
+    || getBoatLabel(boatsById[selectedBoatId]) || 'Boat';
+
+  if (!canManageLocations) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 text-center">
+        <History className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+        <p className="text-slate-600">Movement history is available to managers and admins.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-slide-in">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Movement History</h2>
+          <p className="text-slate-600">Every recorded boat move across all locations</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={loadMovements}
+            disabled={loading}
+            className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={rows.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2 text-slate-700">
+            <Filter className="w-4 h-4" />
+            <span className="text-sm font-semibold">Filters</span>
+          </div>
+          {hasFilters && (
+            <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-sm text-blue-600 hover:text-blue-700">
+              Clear all
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 xl:grid-cols-7 gap-3">
+          <div className="relative xl:col-span-2">
+            <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={filters.boatSearch}
+              onChange={(e) => updateFilter('boatSearch', e.target.value)}
+              placeholder="Boat name or hull ID"
+              className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <select
+            value={filters.movedBy}
+            onChange={(e) => updateFilter('movedBy', e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All users</option>
+            {users.map(u => (
+              <option key={u.id} value={u.id}>{u.name || u.email}</option>
+            ))}
+          </select>
+          <select
+            value={filters.siteId}
+            onChange={(e) => updateFilter('siteId', e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All sites</option>
+            {sites.map(site => (
+              <option key={site.id} value={site.id}>{site.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.locationName}
+            onChange={(e) => updateFilter('locationName', e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All locations</option>
+            {siteLocations.map(loc => (
+              <option key={loc.id} value={loc.name}>{loc.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.boatType}
+            onChange={(e) => updateFilter('boatType', e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All boat types</option>
+            <option value="customer">Customer</option>
+            <option value="inventory">Inventory</option>
+          </select>
+          <div className="flex items-center gap-2 sm:col-span-2 lg:col-span-4 xl:col-span-7">
+            <label className="text-sm text-slate-600">From</label>
+            <input
+              type="date"
+              value={filters.fromDate}
+              onChange={(e) => updateFilter('fromDate', e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <label className="text-sm text-slate-600">To</label>
+            <input
+              type="date"
+              value={filters.toDate}
+              onChange={(e) => updateFilter('toDate', e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className={`grid gap-6 ${selectedBoatId ? 'lg:grid-cols-3' : ''}`}>
+        {/* Results */}
+        <div className={`bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden ${selectedBoatId ? 'lg:col-span-2' : ''}`}>
+          <div className="px-4 py-3 border-b border-slate-200 text-sm text-slate-600">
+            {loading ? 'Loading...' : `${rows.length} move${rows.length === 1 ? '' : 's'}`}
+            {!loading && movements.length >= RESULT_LIMIT && (
+              <span className="text-amber-600 ml-2">Showing the latest {RESULT_LIMIT} - narrow the filters to see older moves</span>
+            )}
+          </div>
+          {!loading && rows.length === 0 ? (
+            <div className="p-8 text-center text-slate-500">
+              <MapPin className="w-8 h-8 text-slate-300 mx-auto mb-2" />
+              No moves match these filters.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-left text-slate-600">
+                  <tr>
+                    <th className="px-4 py-2 font-medium">When</th>
+                    <th className="px-4 py-2 font-medium">Boat</th>
+                    <th className="px-4 py-2 font-medium">From</th>
+                    <th className="px-4 py-2 font-medium">To</th>
+                    <th className="px-4 py-2 font-medium">Moved By</th>
+                    <th className="px-4 py-2 font-medium">Notes</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {rows.map(move => (
+                    <tr key={move.id} className={`hover:bg-slate-50 ${move.boatId === selectedBoatId ? 'bg-blue-50' : ''}`}>
+                      <td className="px-4 py-2 whitespace-nowrap text-slate-600">{formatDateTime(move.movedAt)}</td>
+                      <td className="px-4 py-2">
+                        <button
+                          onClick={() => setSelectedBoatId(move.boatId)}
+                          className="text-blue-600 hover:text-blue-800 font-medium text-left"
+                          title="Show timeline"
+                        >
+                          {move.boatLabel}
+                        </button>
+                        <span className={`ml-2 text-xs px-1.5 py-0.5 rounded ${move.boatType === 'inventory' ? 'bg-purple-100 text-purple-700' : 'bg-slate-100 text-slate-600'}`}>
+                          {move.boatType === 'inventory' ? 'Inventory' : 'Customer'}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-slate-700">{formatPlace(move.fromLocation, move.fromSlot)}</td>
+                      <td className="px-4 py-2 text-slate-900 font-medium">{formatPlace(move.toLocation, move.toSlot)}</td>
+                      <td className="px-4 py-2 text-slate-700">{move.movedByUser?.name || move.movedByUser?.email || '—'}</td>
+                      <td className="px-4 py-2 text-slate-500 max-w-xs truncate" title={move.notes || ''}>{move.notes || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {selectedBoatId && (
+          <BoatTimeline
+            boatId={selectedBoatId}
+            boatLabel={selectedBoatLabel}
+            onClose={() => setSelectedBoatId(null)}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MovementHistoryView;
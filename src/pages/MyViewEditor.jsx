@@ -353,98 +353,30 @@ export function MyViewEditor({ locations, sites = [], boats, users = [], userPre
 
   const handleMoveBoat = async (boat, targetLocation, targetSlot) => {
     setIsProcessing(true);
-    
-    // For inventory boats, use AppContainer's handleMoveBoat directly
-    if (boat.isInventory && onMoveBoatFromContainer) {
-      try {
-        await onMoveBoatFromContainer(boat.id, targetLocation?.id || null, targetSlot || null, true);
-        
-        // Update viewing boat state
-        if (targetLocation) {
-          setViewingBoat({
-            ...boat,
-            location: targetLocation.name,
-            slot: targetSlot,
-            currentLocation: targetLocation,
-            currentSlot: targetSlot
-          });
-        } else {
-          setViewingBoat(null);
-        }
-      } catch (error) {
-        console.error('Error moving inventory boat:', error);
-        alert('Failed to move boat. Please try again.');
-      }
-      setIsProcessing(false);
-      return;
-    }
-    
-    // For regular boats, use the existing logic
-    let updatedLocations = [...locations];
-    
-    // Remove from current location
-    if (boat.location) {
-      const currentLoc = locations.find(l => l.name === boat.location);
-      if (currentLoc) {
-        if (currentLoc.type === 'pool') {
-          const poolBoats = currentLoc.pool_boats || currentLoc.poolBoats || [];
-          const updatedLoc = {
-            ...currentLoc,
-            pool_boats: poolBoats.filter(id => id !== boat.id),
-          };
-          updatedLocations = updatedLocations.map(l => l.id === currentLoc.id ? updatedLoc : l);
-        } else {
-          const updatedLoc = { ...currentLoc, boats: { ...currentLoc.boats } };
-          const slotKey = Object.keys(updatedLoc.boats).find(k => updatedLoc.boats[k] === boat.id);
-          if (slotKey) delete updatedLoc.boats[slotKey];
-          updatedLocations = updatedLocations.map(l => l.id === currentLoc.id ? updatedLoc : l);
-        }
-      }
-    }
-    
-    // Add to new location
-    let updatedBoat = { ...boat };
-    if (targetLocation) {
-      if (targetLocation.type === 'pool') {
-        const poolBoats = targetLocation.pool_boats || targetLocation.poolBoats || [];
-        const updatedLoc = {
-          ...targetLocation,
-          pool_boats: [...poolBoats, boat.id],
-        };
-        updatedLocations = updatedLocations.map(l => l.id === targetLocation.id ? updatedLoc : l);
-        updatedBoat.location = targetLocation.name;
-        updatedBoat.slot = 'pool';
+
+    // Customer and inventory boats both go through AppContainer's atomic move
+    try {
+      await onMoveBoatFromContainer(boat.id, targetLocation?.id || null, targetSlot || null, boat.isInventory === true);
+
+      // Update viewing boat state
+      if (targetLocation) {
+        const slot = targetLocation.type === 'pool' ? 'pool' : targetSlot;
+        setViewingBoat({
+          ...boat,
+          location: targetLocation.name,
+          slot,
+          currentLocation: targetLocation,
+          currentSlot: slot
+        });
       } else {
-        const currentTargetLoc = updatedLocations.find(l => l.id === targetLocation.id);
-        const updatedLoc = {
-          ...currentTargetLoc,
-          boats: { ...currentTargetLoc.boats, [targetSlot]: boat.id }
-        };
-        updatedLocations = updatedLocations.map(l => l.id === targetLocation.id ? updatedLoc : l);
-        updatedBoat.location = targetLocation.name;
-        updatedBoat.slot = targetSlot;  // Use 0-indexed slot directly (matches database)
+        setViewingBoat(null);
       }
-    } else {
-      updatedBoat.location = null;
-      updatedBoat.slot = null;
-    }
-    
-    try {
-      await onUpdateLocations(updatedLocations);
-      await onUpdateBoats(boats.map(b => b.id === boat.id ? updatedBoat : b));
-      
-      // Update viewing boat with new location info
-      const newLocation = targetLocation ? updatedLocations.find(l => l.id === targetLocation.id) : null;
-      setViewingBoat({
-        ...updatedBoat,
-        currentLocation: newLocation,
-        currentSlot: targetSlot
-      });
     } catch (error) {
       console.error('Error moving boat:', error);
-      alert('Failed to move boat. Please try again.');
+      // Conflicts explain who moved the boat / filled the slot
+      alert(error.code === 'VERSION_CONFLICT' ? error.message : 'Failed to move boat. Please try again.');
     }
-    
+
     setIsProcessing(false);
   };
 
@@ -2,41 +2,60 @@
 // REQUESTS VIEW
 // ============================================================================
 // Page for viewing and managing service requests between sales and service teams
-// Sales Managers can create rigging/prep requests linked to inventory boats
-// Service team can mark complete, sales confirms completion
-// Supports drag-and-drop between status columns
+// Sales Managers can create requests (rigging, prep, warranty, ...) linked to
+// inventory boats. Service team works through the request's checklist and
+// marks it complete, sales confirms completion
+// Columns come from the request type pipelines (see utils/requestPipelines);
+// supports drag-and-drop between them where the user's role allows.
+// The Schedule view books requests onto a day and technician against each
+// tech's capacity (see RequestScheduleBoard). Cards flag requests close to or
+// past their type's SLAs (see utils/requestSla)
 // ============================================================================
 
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { Plus, Filter, MessageSquare, Wrench, CheckCircle, Clock, Archive, Calendar, AlertCircle } from 'lucide-react';
+import { Plus, Filter, MessageSquare, Archive, AlertCircle, ListChecks, Calendar, Columns, CalendarDays, Timer } from 'lucide-react';
 import { usePermissions } from '../hooks/usePermissions';
 import { useRequestDragDrop } from '../hooks/useRequestDragDrop';
+import { useRequestTypes } from '../RequestTypesProvider';
 import { RequestModal } from '../components/modals/RequestModal';
 import { RequestDetailModal } from '../components/modals/RequestDetailModal';
-
-// Status configuration - order matters for the kanban board
-const STATUS_CONFIG = {
-  'open': { label: 'Open', color: 'bg-yellow-100 text-yellow-800 border-yellow-300', borderColor: 'border-yellow-400', icon: Clock, iconColor: 'text-yellow-600', bgHover: 'bg-yellow-50' },
-  'scheduled': { label: 'Scheduled', color: 'bg-cyan-100 text-cyan-800 border-cyan-300', borderColor: 'border-cyan-400', icon: Calendar, iconColor: 'text-cyan-600', bgHover: 'bg-cyan-50' },
-  'service-complete': { label: 'Service Complete', color: 'bg-blue-100 text-blue-800 border-blue-300', borderColor: 'border-blue-400', icon: Wrench, iconColor: 'text-blue-600', bgHover: 'bg-blue-50' },
-  'closed': { label: 'Closed', color: 'bg-green-100 text-green-800 border-green-300', borderColor: 'border-green-400', icon: CheckCircle, iconColor: 'text-green-600', bgHover: 'bg-green-50' },
+import { RequestStageIcon } from '../components/RequestStageIcon';
+import { RequestScheduleBoard } from '../components/RequestScheduleBoard';
+import { getOpenRequiredItems } from '../utils/requestChecklists';
+import { STAGE_COLORS, TYPE_COLORS, FIRST_STAGE, CLOSED_STAGE, SERVICE_COMPLETE_STAGE, mergeStages, getTransitionError } from '../utils/requestPipelines';
+import { SCHEDULED_STAGE, isScheduledAfterDeadline } from '../utils/requestScheduling';
+import { getSlaStatus, getWorstSla, formatSlaDuration } from '../utils/requestSla';
+
+// Full class strings so Tailwind keeps them
+const BOARD_GRID_COLUMNS = {
+  3: 'lg:grid-cols-3',
+  4: 'lg:grid-cols-4',
+  5: 'lg:grid-cols-5',
+  6: 'lg:grid-cols-6',
 };
 
-// Ordered list of statuses for the kanban columns
-const STATUS_ORDER = ['open', 'scheduled', 'service-complete', 'closed'];
+// The request's SLA clock most in need of attention, if any
+const getRequestSlaAlert = (request, requestType) => getWorstSla(
+  getSlaStatus(request, request.status_history, requestType.statuses.map(s => s.key), requestType.sla)
+);
 
-const TYPE_CONFIG = {
-  'rigging': { label: 'Rigging', color: 'bg-purple-100 text-purple-800' },
-  'prep': { label: 'Prep', color: 'bg-orange-100 text-orange-800' },
+const EMPTY_COLUMN_TEXT = {
+  [FIRST_STAGE]: 'No open requests',
+  [SERVICE_COMPLETE_STAGE]: 'None awaiting confirmation',
+  [CLOSED_STAGE]: 'No closed requests',
 };
 
 // Request Card Component with drag and touch support
 function RequestCard({ request, onClick, onDragStart, onDragEnd, onTouchStart, onTouchMove, onTouchEnd }) {
-  const statusConfig = STATUS_CONFIG[request.status] || STATUS_CONFIG['open'];
-  const typeConfig = TYPE_CONFIG[request.type] || TYPE_CONFIG['rigging'];
-  const StatusIcon = statusConfig.icon;
+  const { getRequestType } = useRequestTypes();
+  const requestType = getRequestType(request.type);
+  const stage = requestType.statuses.find(s => s.key === request.status) || requestType.statuses[0];
+  const stageColors = STAGE_COLORS[stage.color];
   const messageCount = request.messages?.length || 0;
+  const slaAlert = getRequestSlaAlert(request, requestType);
+  const checklist = request.checklist || [];
+  const checklistDone = checklist.filter(item => item.done).length;
   const boatName = request.inventory_boat
     ? `${request.inventory_boat.year || ''} ${request.inventory_boat.make || ''} ${request.inventory_boat.model || ''}`.trim()
     : 'No boat linked';
@@ -68,12 +87,12 @@ function RequestCard({ request, onClick, onDragStart, onDragEnd, onTouchStart, o
         <div className="flex-1 min-w-0">
           {/* Type and Status badges */}
           <div className="flex items-center gap-2 mb-2">
-            <span className={`px-2 py-0.5 rounded text-xs font-medium ${typeConfig.color}`}>
-              {typeConfig.label}
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${TYPE_COLORS[requestType.color]}`}>
+              {requestType.label}
             </span>
-            <span className={`px-2 py-0.5 rounded text-xs font-medium border ${statusConfig.color}`}>
-              <StatusIcon className="w-3 h-3 inline mr-1" />
-              {statusConfig.label}
+            <span className={`px-2 py-0.5 rounded text-xs font-medium border ${stageColors.color}`}>
+              <RequestStageIcon stage={stage.key} className="w-3 h-3 inline mr-1" />
+              {stage.label}
             </span>
           </div>
 
@@ -90,6 +109,18 @@ function RequestCard({ request, onClick, onDragStart, onDragEnd, onTouchStart, o
           {/* Description preview */}
           <p className="text-sm text-slate-600 mt-2 line-clamp-2">{request.description}</p>
 
+          {/* Booked day and technician */}
+          {request.scheduled_date && (
+            <div className={`mt-2 flex items-center gap-1.5 text-xs font-medium ${isScheduledAfterDeadline(request) ? 'text-red-600' : 'text-cyan-700'}`}>
+              <Calendar className="w-3.5 h-3.5" />
+              {new Date(`${request.scheduled_date}T00:00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+              {request.technician?.name && <span>· {request.technician.name}</span>}
+              {isScheduledAfterDeadline(request) && (
+                <span className="text-red-500 font-semibold">(After deadline)</span>
+              )}
+            </div>
+          )}
+
           {/* Deadline date if set */}
           {request.deadline_date && (
             <div className={`mt-2 flex items-center gap-1.5 text-xs font-medium ${
@@ -105,6 +136,17 @@ function RequestCard({ request, onClick, onDragStart, onDragEnd, onTouchStart, o
             </div>
           )}
 
+          {/* SLA about to run out or already missed */}
+          {slaAlert && (
+            <div className={`mt-2 flex items-center gap-1.5 text-xs font-medium ${slaAlert.state === 'breached' ? 'text-red-600' : 'text-amber-600'}`}>
+              <Timer className="w-3.5 h-3.5" />
+              {slaAlert.label}:
+              {slaAlert.state === 'breached'
+                ? <span className="text-red-500 font-semibold">{formatSlaDuration(Date.now() - slaAlert.dueAt)} over SLA</span>
+                : <span>{formatSlaDuration(slaAlert.dueAt - Date.now())} left</span>}
+            </div>
+          )}
+
           {/* Footer info */}
           <div className="flex items-center gap-4 mt-3 text-xs text-slate-500">
             <span>By {request.creator?.name || 'Unknown'}</span>
@@ -115,6 +157,12 @@ function RequestCard({ request, onClick, onDragStart, onDragEnd, onTouchStart, o
                 {messageCount}
               </span>
             )}
+            {checklist.length > 0 && (
+              <span className={`flex items-center gap-1 ${checklistDone === checklist.length ? 'text-green-600' : ''}`}>
+                <ListChecks className="w-3 h-3" />
+                {checklistDone}/{checklist.length}
+              </span>
+            )}
           </div>
         </div>
       </div>
@@ -123,9 +171,9 @@ function RequestCard({ request, onClick, onDragStart, onDragEnd, onTouchStart, o
 }
 
 // Kanban Column Component with drop and touch support
-function KanbanColumn({ status, requests, onSelectRequest, onDragStart, onDragEnd, onDragOver, onDrop, isDragOver, onTouchStart, onTouchMove, onTouchEnd }) {
-  const config = STATUS_CONFIG[status];
-  const StatusIcon = config.icon;
+function KanbanColumn({ stage, requests, onSelectRequest, onDragStart, onDragEnd, onDragOver, onDrop, isDragOver, isDropBlocked, onTouchStart, onTouchMove, onTouchEnd }) {
+  const status = stage.key;
+  const config = STAGE_COLORS[stage.color];
 
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -141,13 +189,13 @@ function KanbanColumn({ status, requests, onSelectRequest, onDragStart, onDragEn
   return (
     <div
       data-status={status}
-      className={`space-y-3 min-h-[200px] rounded-lg transition-colors ${isDragOver ? config.bgHover : ''}`}
+      className={`space-y-3 min-h-[200px] rounded-lg transition-all ${isDropBlocked ? 'opacity-40' : isDragOver ? config.bgHover : ''}`}
       onDragOver={handleDragOver}
       onDrop={handleDrop}
     >
       <div className={`flex items-center gap-2 pb-2 border-b-2 ${config.borderColor}`}>
-        <StatusIcon className={`w-5 h-5 ${config.iconColor}`} />
-        <h2 className="font-semibold text-slate-900">{config.label}</h2>
+        <RequestStageIcon stage={status} className={`w-5 h-5 ${config.iconColor}`} />
+        <h2 className="font-semibold text-slate-900">{stage.label}</h2>
         <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${config.color}`}>
           {requests.length}
         </span>
@@ -155,10 +203,7 @@ function KanbanColumn({ status, requests, onSelectRequest, onDragStart, onDragEn
       <div className="space-y-3">
         {requests.length === 0 ? (
           <p className="text-sm text-slate-500 text-center py-8">
-            {status === 'open' ? 'No open requests' :
-             status === 'scheduled' ? 'Nothing scheduled' :
-             status === 'service-complete' ? 'None awaiting confirmation' :
-             'No closed requests'}
+            {EMPTY_COLUMN_TEXT[status] || `Nothing in ${stage.label.toLowerCase()}`}
           </p>
         ) : (
           requests.map(request => (
@@ -192,22 +237,40 @@ export function RequestsView({
   onAttachFile,
   onRemoveAttachment,
   onApproveEstimates,
+  onReloadUsers,
 }) {
   const { canCreateRequests } = usePermissions();
+  const { requestTypes, getRequestType } = useRequestTypes();
 
   // State
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [selectedRequestId, setSelectedRequestId] = useState(null);
-  const [filterType, setFilterType] = useState('all'); // all, rigging, prep
+  const [filterType, setFilterType] = useState('all'); // all, or a request type key
   const [searchParams, setSearchParams] = useSearchParams();
   const [filterStatus, setFilterStatus] = useState('active'); // active, closed, all
-  const [filterDueDate, setFilterDueDate] = useState('all'); // all, has-deadline, overdue, this-week, this-month
+  const [filterDueDate, setFilterDueDate] = useState('all'); // all, has-deadline, overdue, sla-at-risk, this-week, this-month
   const [showArchived, setShowArchived] = useState(false);
+  const [viewMode, setViewMode] = useState('board'); // board, schedule
+
+  // Why a request can't move to a stage: its pipeline and the user's role,
+  // then the checklist gate for service-complete
+  const getMoveError = useCallback((request, newStatus) => {
+    const transitionError = getTransitionError(getRequestType(request.type), request, newStatus, currentUser);
+    if (transitionError) return transitionError;
+    if (newStatus === SERVICE_COMPLETE_STAGE) {
+      const openItems = getOpenRequiredItems(request.checklist);
+      if (openItems.length > 0) {
+        return `Finish the required checklist items first: ${openItems.map(item => item.label).join(', ')}`;
+      }
+    }
+    return null;
+  }, [getRequestType, currentUser]);
 
   // Drag and drop with touch support
   const {
     draggingRequest,
     isDragging,
+    canDropOn,
     handleTouchStart,
     handleTouchMove,
     handleTouchEnd,
@@ -220,7 +283,9 @@ export function RequestsView({
       if (onUpdateRequest) {
         await onUpdateRequest(requestId, { status: newStatus });
       }
-    }
+    },
+    getDropError: getMoveError,
+    onDropRejected: (request, newStatus, reason) => alert(reason),
   });
 
   // Get the selected request from the requests array (ensures fresh data)
@@ -270,6 +335,9 @@ export function RequestsView({
         if (filterDueDate === 'overdue') {
           if (!deadline || deadline >= today || req.status === 'closed') return false;
         }
+        if (filterDueDate === 'sla-at-risk') {
+          if (req.status === 'closed' || !getRequestSlaAlert(req, getRequestType(req.type))) return false;
+        }
         if (filterDueDate === 'this-week') {
           if (!deadline || deadline < today || deadline > endOfWeek) return false;
         }
@@ -283,16 +351,22 @@ export function RequestsView({
 
       return true;
     });
-  }, [requests, filterType, filterStatus, filterDueDate, showArchived]);
+  }, [requests, filterType, filterStatus, filterDueDate, showArchived, getRequestType]);
+
+  // Columns: the selected type's pipeline, or every type's stages merged
+  const boardStages = useMemo(() => (
+    filterType === 'all' ? mergeStages(requestTypes) : getRequestType(filterType).statuses
+  ), [filterType, requestTypes, getRequestType]);
 
-  // Group by status for kanban-style view
+  // Group by status for kanban-style view; a status no column shows
+  // (e.g. a stage an admin removed) lands in the first column
   const groupedRequests = useMemo(() => {
-    const groups = {};
-    STATUS_ORDER.forEach(status => {
-      groups[status] = filteredRequests.filter(r => r.status === status);
+    const groups = Object.fromEntries(boardStages.map(stage => [stage.key, []]));
+    filteredRequests.forEach(request => {
+      (groups[request.status] || groups[FIRST_STAGE]).push(request);
     });
     return groups;
-  }, [filteredRequests]);
+  }, [filteredRequests, boardStages]);
 
   // Handlers
   const handleCreateRequest = async (requestData) => {
@@ -305,6 +379,26 @@ export function RequestsView({
     setShowCreateModal(false);
   };
 
+  // Book a request onto a day and technician, or take it off the schedule
+  // (scheduled_date null). Open requests move to the Scheduled stage when
+  // booked and back to Open when unbooked, where their pipeline and the
+  // user's role allow it
+  const handleSchedule = async (request, schedule) => {
+    const updates = { ...schedule };
+    const requestType = getRequestType(request.type);
+    if (schedule.scheduled_date && request.status === FIRST_STAGE
+        && !getTransitionError(requestType, request, SCHEDULED_STAGE, currentUser)) {
+      updates.status = SCHEDULED_STAGE;
+    }
+    if (!schedule.scheduled_date && request.status === SCHEDULED_STAGE
+        && !getTransitionError(requestType, request, FIRST_STAGE, currentUser)) {
+      updates.status = FIRST_STAGE;
+    }
+    if (onUpdateRequest) {
+      await onUpdateRequest(request.id, updates);
+    }
+  };
+
   const handleSelectRequest = (request) => {
     setSelectedRequestId(request.id);
   };
@@ -338,19 +432,38 @@ export function RequestsView({
         <div>
           <h1 className="text-2xl font-bold text-slate-900">Service Requests</h1>
           <p className="text-slate-600 text-sm mt-1">
-            Sales-to-service collaboration for rigging and prep work
+            Sales-to-service collaboration for rigging, prep and repair work
           </p>
         </div>
 
-        {canCreateRequests && (
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
-          >
-            <Plus className="w-5 h-5" />
-            New Request
-          </button>
-        )}
+        <div className="flex items-center gap-3">
+          <div className="flex rounded-lg border border-slate-300 overflow-hidden">
+            <button
+              onClick={() => setViewMode('board')}
+              className={`flex items-center gap-1.5 px-3 py-2 text-sm font-medium ${viewMode === 'board' ? 'bg-slate-800 text-white' : 'bg-white text-slate-700 hover:bg-slate-50'}`}
+            >
+              <Columns className="w-4 h-4" />
+              Board
+            </button>
+            <button
+              onClick={() => setViewMode('schedule')}
+              className={`flex items-center gap-1.5 px-3 py-2 text-sm font-medium ${viewMode === 'schedule' ? 'bg-slate-800 text-white' : 'bg-white text-slate-700 hover:bg-slate-50'}`}
+            >
+              <CalendarDays className="w-4 h-4" />
+              Schedule
+            </button>
+          </div>
+
+          {canCreateRequests && (
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+            >
+              <Plus className="w-5 h-5" />
+              New Request
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
@@ -364,8 +477,9 @@ export function RequestsView({
           className="px-3 py-1.5 bg-white border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
         >
           <option value="all">All Types</option>
-          <option value="rigging">Rigging</option>
-          <option value="prep">Prep</option>
+          {requestTypes.map(type => (
+            <option key={type.key} value={type.key}>{type.label}</option>
+          ))}
         </select>
 
         {/* Status Filter */}
@@ -387,6 +501,7 @@ export function RequestsView({
         >
           <option value="all">All Due Dates</option>
           <option value="overdue">Overdue</option>
+          <option value="sla-at-risk">SLA at Risk</option>
           <option value="this-week">Due This Week</option>
           <option value="this-month">Due This Month</option>
           <option value="has-deadline">Has Deadline</option>
@@ -411,25 +526,39 @@ export function RequestsView({
         </span>
       </div>
 
-      {/* Kanban Board - 4 columns */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-        {STATUS_ORDER.map(status => (
-          <KanbanColumn
-            key={status}
-            status={status}
-            requests={groupedRequests[status]}
-            onSelectRequest={handleSelectRequest}
-            onDragStart={handleDragStart}
-            onDragEnd={handleDragEnd}
-            onDragOver={handleDragOver}
-            onDrop={handleDrop}
-            isDragOver={isDragging && draggingRequest?.status !== status}
-            onTouchStart={handleTouchStart}
-            onTouchMove={handleTouchMove}
-            onTouchEnd={handleTouchEnd}
-          />
-        ))}
-      </div>
+      {/* Week schedule by technician */}
+      {viewMode === 'schedule' && (
+        <RequestScheduleBoard
+          requests={filteredRequests}
+          users={users}
+          onSchedule={handleSchedule}
+          onSelectRequest={handleSelectRequest}
+          onReloadUsers={onReloadUsers}
+        />
+      )}
+
+      {/* Kanban Board - one column per stage */}
+      {viewMode === 'board' && (
+        <div className={`grid grid-cols-1 md:grid-cols-2 ${BOARD_GRID_COLUMNS[Math.min(boardStages.length, 6)]} gap-6`}>
+          {boardStages.map(stage => (
+            <KanbanColumn
+              key={stage.key}
+              stage={stage}
+              requests={groupedRequests[stage.key]}
+              onSelectRequest={handleSelectRequest}
+              onDragStart={handleDragStart}
+              onDragEnd={handleDragEnd}
+              onDragOver={handleDragOver}
+              onDrop={handleDrop}
+              isDragOver={isDragging && draggingRequest?.status !== stage.key}
+              isDropBlocked={isDragging && !canDropOn(stage.key)}
+              onTouchStart={handleTouchStart}
+              onTouchMove={handleTouchMove}
+              onTouchEnd={handleTouchEnd}
+            />
+          ))}
+        </div>
+      )}
 
       {/* Create Request Modal */}
       {showCreateModal && (
@@ -455,6 +584,12 @@ export function RequestsView({
               await onUpdateRequest(requestId, { status: newStatus });
             }
           }}
+          onSchedule={handleSchedule}
+          onAssignManager={async (requestId, managerId) => {
+            if (onUpdateRequest) {
+              await onUpdateRequest(requestId, { manager_id: managerId });
+            }
+          }}
           onAttachFile={onAttachFile}
           onRemoveAttachment={onRemoveAttachment}
           onApproveEstimates={onApproveEstimates}
@@ -1,14 +1,39 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Camera, Search, X, Package, Map, Users, Edit2, ZoomIn, ZoomOut } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { Camera, Search, X, Package, Map, Users, Edit2, ZoomIn, ZoomOut, QrCode, ScanLine, Nfc } from 'lucide-react';
 import { supabase } from '../supabaseClient';
-import { boatsService, inventoryBoatsService, boatLifecycleService } from '../services/supabaseService';
+import { boatsService, inventoryBoatsService, boatIdentityService, boatLifecycleService, moveBoatWithHistory } from '../services/supabaseService';
+import { usePermissions } from '../hooks/usePermissions';
+import { findFirstAvailableSlot, formatSlotLabel } from '../components/locations/locationUtils';
+import { parseQrValue, decodeQrFromVideo } from '../utils/qrCodes';
+import { isNfcSupported, scanNfcTag, buildBoatTagUrl, getBoatIdFromRecords } from '../utils/nfcTags';
+import { validateHullId, decodeHullId, checkHullIdYear } from '../utils/hullId';
+import { recognizeHullIdOnDevice, warmUpOfflineOcr, terminateOfflineOcr } from '../utils/offlineOcr';
+
+// After the OCR edge function fails, use on-device OCR for this long before trying it again
+const DEVICE_OCR_RETRY_MS = 60000;
+
+export function ScanView({ boats, locations, onUpdateBoats }) {
+  const { currentUser } = usePermissions();
+  const [searchParams, setSearchParams] = useSearchParams();
 
-export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations }) {
   const [selectedBoat, setSelectedBoat] = useState(null);
   const [selectedLocation, setSelectedLocation] = useState('');
   const [selectedSlot, setSelectedSlot] = useState('');
   const [showLocationPicker, setShowLocationPicker] = useState(false);
 
+  // Scan mode: 'hull' reads Hull ID tags via OCR, 'qr' reads printed boat tags and slot placards,
+  // 'nfc' reads/writes NFC boat tags
+  const [scanMode, setScanMode] = useState('hull');
+  const [scannedSlot, setScannedSlot] = useState(null); // { location, slotId } from a slot placard
+  const [isMoving, setIsMoving] = useState(false);
+
+  // NFC states
+  const [nfcStatus, setNfcStatus] = useState(''); // '' | 'scanning' | 'writing'
+  const [unassignedTag, setUnassignedTag] = useState(null); // Serial of a scanned tag not linked to any boat
+  const nfcAbortRef = useRef(null);
+  const nfcSupported = isNfcSupported();
+
   // Camera and OCR states
   const [isCameraActive, setIsCameraActive] = useState(false);
   const [isCameraReady, setIsCameraReady] = useState(false);
@@ -19,6 +44,8 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
   const [isLoading, setIsLoading] = useState(false);
   const [scanStatus, setScanStatus] = useState(''); // For showing scan progress
   const [lastScanTime, setLastScanTime] = useState(0);
+  const [ocrSource, setOcrSource] = useState(''); // 'cloud' (Google Vision) or 'device' (tesseract)
+  const deviceOcrUntilRef = useRef(0);
 
   // Manual search states
   const [showManualSearch, setShowManualSearch] = useState(false);
@@ -228,6 +255,39 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
     return null;
   };
 
+  // Recognize a Hull ID - Google Vision edge function first, on-device OCR when it's unreachable
+  const runHullOcr = async (imageDataUrl) => {
+    const preferDevice = !navigator.onLine || Date.now() < deviceOcrUntilRef.current;
+
+    if (!preferDevice) {
+      try {
+        const { data, error } = await supabase.functions.invoke('ocr-hull-id', {
+          body: { imageBase64: imageDataUrl }
+        });
+
+        if (error) throw new Error(error.message || 'OCR service error');
+        if (!data.success) throw new Error(data.error || 'Failed to process image');
+
+        setOcrSource('cloud');
+        return data;
+      } catch (error) {
+        console.log('[OCR] Edge function unavailable, falling back to on-device OCR:', error.message);
+        deviceOcrUntilRef.current = Date.now() + DEVICE_OCR_RETRY_MS;
+      }
+    }
+
+    const data = await recognizeHullIdOnDevice(imageDataUrl);
+    setOcrSource('device');
+    return data;
+  };
+
+  // Free the on-device OCR worker when leaving the page
+  useEffect(() => {
+    return () => {
+      terminateOfflineOcr();
+    };
+  }, []);
+
   // Auto-scan function that runs periodically
   const performAutoScan = async () => {
     // Skip if already processing or not ready
@@ -245,19 +305,9 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
         return;
       }
 
-      // Call the edge function for OCR
-      const { data, error } = await supabase.functions.invoke('ocr-hull-id', {
-        body: { imageBase64: imageDataUrl }
-      });
+      const data = await runHullOcr(imageDataUrl);
 
-      if (error) {
-        console.log('Auto-scan OCR error:', error.message);
-        setScanStatus('Scanning...');
-        isProcessingRef.current = false;
-        return;
-      }
-
-      if (!data.success || !data.text) {
+      if (!data.text) {
         setScanStatus('Point at Hull ID tag...');
         isProcessingRef.current = false;
         return;
@@ -266,9 +316,8 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
       const cleanedText = data.text;
       const confidence = data.confidence || 0;
 
-      // Hull ID format: 12 characters (3 letters + 5 alphanumeric + 1 letter + 3 digits)
-      // Only proceed if we have exactly 12 chars and good confidence
-      if (cleanedText.length === 12 && confidence >= 70) {
+      // Only proceed once the text is a well-formed HIN with good confidence
+      if (validateHullId(cleanedText).valid && confidence >= 70) {
         console.log('Auto-scan found valid Hull ID:', cleanedText, 'confidence:', confidence);
 
         // Stop scanning and process the result
@@ -297,10 +346,13 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
 
   // Start auto-scanning when camera is ready
   useEffect(() => {
-    if (isCameraReady && !scanIntervalRef.current) {
+    if (isCameraReady && scanMode === 'hull' && !scanIntervalRef.current) {
       console.log('[AutoScan] Starting auto-scan interval');
       setScanStatus('Point at Hull ID tag...');
 
+      // Load the on-device OCR fallback now, while there's still a connection to fetch language data
+      warmUpOfflineOcr();
+
       // Start scanning every 2 seconds
       scanIntervalRef.current = setInterval(() => {
         performAutoScan();
@@ -316,28 +368,305 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
         scanIntervalRef.current = null;
       }
     };
-  }, [isCameraReady]);
+  }, [isCameraReady, scanMode]);
 
-  // OCR processing using Google Cloud Vision via Edge Function
-  const processImage = async (imageDataUrl) => {
-    setIsProcessing(true);
-    setOcrResult('');
+  // QR mode: decode the camera frame on-device until a code is found
+  useEffect(() => {
+    if (!isCameraReady || scanMode !== 'qr' || scanIntervalRef.current) return;
+
+    console.log('[QrScan] Starting QR decode interval');
+    setScanStatus('Point at a QR label...');
+
+    scanIntervalRef.current = setInterval(() => {
+      if (isProcessingRef.current || !isCameraReadyRef.current) return;
+
+      const decoded = decodeQrFromVideo(videoRef.current, canvasRef.current);
+      if (decoded) {
+        console.log('[QrScan] Decoded:', decoded);
+        isProcessingRef.current = true;
+        stopCamera();
+        handleQrResult(decoded).finally(() => {
+          isProcessingRef.current = false;
+        });
+      }
+    }, 300);
+
+    return () => {
+      if (scanIntervalRef.current) {
+        clearInterval(scanIntervalRef.current);
+        scanIntervalRef.current = null;
+      }
+    };
+  }, [isCameraReady, scanMode]);
+
+  // Handle a decoded QR label - boat tag selects the boat, slot placard offers a move
+  const handleQrResult = async (text) => {
+    const parsed = parseQrValue(text);
+    if (!parsed) return;
+
+    if (parsed.type === 'slot') {
+      const location = locations.find(l => l.id === parsed.locationId);
+      if (!location) {
+        alert('This placard belongs to a location that no longer exists.');
+        return;
+      }
+      setScannedSlot({ location, slotId: parsed.slotId });
+      return;
+    }
 
     try {
-      // Call the edge function for OCR
-      const { data, error } = await supabase.functions.invoke('ocr-hull-id', {
-        body: { imageBase64: imageDataUrl }
-      });
+      setIsLoading(true);
+
+      const foundBoat = await boatIdentityService.findByQrCode(parsed.qrCode);
+
+      if (foundBoat) {
+        setSelectedBoat(foundBoat);
+        setScannedSlot(null);
+        setShowLocationPicker(true);
+        setOcrResult(`✓ Found: ${foundBoat.name}${foundBoat.status === 'archived' ? ' (ARCHIVED)' : ''}`);
+      } else {
+        alert(`No boat found for QR code ${parsed.qrCode}. Try manual search.`);
+        setShowManualSearch(true);
+      }
+    } catch (error) {
+      console.error('QR lookup error:', error);
+      alert('Error looking up QR code. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Open a boat by ID (slot occupant, NFC tag record, or ?boat= link)
+  const openBoatById = async (boatId) => {
+    try {
+      setIsLoading(true);
+      // Tags written before a boat was sold still open it - the ID carries over
+      const occupant = await boatIdentityService.findById(boatId);
+      if (occupant) {
+        setSelectedBoat(occupant);
+        setScannedSlot(null);
+        setShowLocationPicker(true);
+      }
+    } catch (error) {
+      console.error('Error loading boat:', error);
+      alert('Could not load this boat.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Move the selected boat into the slot from the scanned placard
+  const handleMoveToScannedSlot = async () => {
+    if (!selectedBoat || !scannedSlot) return;
+
+    const { location } = scannedSlot;
+    const targetSlot = scannedSlot.slotId || findFirstAvailableSlot(location);
+
+    if (!targetSlot) {
+      alert(`No available slots in ${location.name}`);
+      return;
+    }
 
-      if (error) {
-        console.error('OCR function error:', error);
-        throw new Error(error.message || 'OCR service error');
+    const isArchived = selectedBoat.status === 'archived';
+    if (isArchived) {
+      const confirmed = window.confirm(
+        `"${selectedBoat.name}" is currently archived.\n\n` +
+        `Moving it to a location will unarchive it and set status to "Needs Approval".\n\n` +
+        `Do you want to continue?`
+      );
+      if (!confirmed) return;
+    }
+
+    setIsMoving(true);
+    try {
+      const isInventory = selectedBoat.isInventory || selectedBoat.boatType === 'inventory';
+
+      if (isArchived && !isInventory) {
+        await boatLifecycleService.unarchiveBoat(selectedBoat.id, { targetStatus: 'needs-approval' });
       }
 
-      if (!data.success) {
-        throw new Error(data.error || 'Failed to process image');
+      await moveBoatWithHistory(selectedBoat.id, location.id, targetSlot, currentUser?.id, isInventory);
+
+      alert(`✓ ${selectedBoat.name} moved to ${location.name} (${formatSlotLabel(targetSlot)})`);
+      handleReset();
+    } catch (error) {
+      console.error('Error moving boat to scanned slot:', error);
+      alert(`Failed to move boat: ${error.message}`);
+    } finally {
+      setIsMoving(false);
+    }
+  };
+
+  // Tag links (<origin>/scan?boat=<id>) open the boat straight away
+  useEffect(() => {
+    const boatId = searchParams.get('boat');
+    if (!boatId) return;
+
+    openBoatById(boatId);
+    searchParams.delete('boat');
+    setSearchParams(searchParams, { replace: true });
+  }, [searchParams]);
+
+  // Cancel any pending NFC scan/write
+  const stopNfc = () => {
+    if (nfcAbortRef.current) {
+      nfcAbortRef.current.abort();
+      nfcAbortRef.current = null;
+    }
+    setNfcStatus('');
+  };
+
+  // Stop listening for tags when leaving the page
+  useEffect(() => {
+    return () => nfcAbortRef.current?.abort();
+  }, []);
+
+  // Look up a tag serial in whichever table the boat lives in
+  const findBoatByNfcTag = (serial) => boatIdentityService.findByNfcTag(serial);
+
+  // NFC mode: wait for a tag and open the boat it belongs to
+  const startNfcScan = async () => {
+    stopNfc();
+    setUnassignedTag(null);
+    const controller = new AbortController();
+    nfcAbortRef.current = controller;
+    setNfcStatus('scanning');
+
+    try {
+      const { serialNumber, records } = await scanNfcTag(controller.signal);
+      controller.abort();
+      setIsLoading(true);
+
+      const foundBoat = await findBoatByNfcTag(serialNumber);
+      if (foundBoat) {
+        setSelectedBoat(foundBoat);
+        setShowLocationPicker(true);
+        setOcrResult(`✓ Found: ${foundBoat.name}${foundBoat.status === 'archived' ? ' (ARCHIVED)' : ''}`);
+        return;
+      }
+
+      // Tag was written for a boat but never linked (or the link was released)
+      const recordBoatId = getBoatIdFromRecords(records);
+      if (recordBoatId) {
+        await openBoatById(recordBoatId);
+        return;
+      }
+
+      setUnassignedTag(serialNumber);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('NFC scan error:', error);
+      alert(error.name === 'NotAllowedError'
+        ? 'NFC permission was denied. Allow NFC for this site and try again.'
+        : `Could not read NFC tag: ${error.message}`);
+    } finally {
+      if (nfcAbortRef.current === controller) nfcAbortRef.current = null;
+      setNfcStatus('');
+      setIsLoading(false);
+    }
+  };
+
+  // Link a tag serial to a boat in whichever table the boat lives in. Boats
+  // from the board carry the tag as nfcTag, search results as nfc_tag
+  const assignTagToBoat = async (boat, serial) => {
+    const isInventory = boat.isInventory || boat.boatType === 'inventory';
+    const service = isInventory ? inventoryBoatsService : boatsService;
+    const updated = await service.assignNfcTag(boat.id, serial);
+    const nfcTag = updated?.nfc_tag ?? serial;
+    setSelectedBoat(prev => (prev?.id === boat.id ? { ...prev, nfc_tag: nfcTag, nfcTag } : prev));
+    return updated;
+  };
+
+  // Write the selected boat's link onto a tag and assign the tag to the boat
+  const handleWriteNfcTag = async () => {
+    if (!selectedBoat) return;
+
+    stopNfc();
+    const controller = new AbortController();
+    nfcAbortRef.current = controller;
+    setNfcStatus('writing');
+
+    try {
+      const { serialNumber, records, reader } = await scanNfcTag(controller.signal);
+
+      // Refuse tags already linked to a different boat (either table)
+      const owner = await findBoatByNfcTag(serialNumber);
+      if (owner && owner.id !== selectedBoat.id) {
+        alert(`This tag is already assigned to ${owner.name}. Release it from that boat first.`);
+        return;
+      }
+
+      const recordBoatId = getBoatIdFromRecords(records);
+      if (records.length > 0 && recordBoatId !== selectedBoat.id) {
+        const confirmed = window.confirm('This tag already has data on it. Overwrite it?');
+        if (!confirmed) return;
       }
 
+      await reader.write(
+        { records: [{ recordType: 'url', data: buildBoatTagUrl(selectedBoat.id) }] },
+        { signal: controller.signal }
+      );
+      await assignTagToBoat(selectedBoat, serialNumber);
+
+      alert(`✓ NFC tag ${serialNumber} linked to ${selectedBoat.name}`);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('NFC write error:', error);
+      alert(`Failed to write NFC tag: ${error.message}`);
+    } finally {
+      controller.abort();
+      if (nfcAbortRef.current === controller) nfcAbortRef.current = null;
+      setNfcStatus('');
+    }
+  };
+
+  // Link the last scanned (unassigned) tag to the selected boat without rewriting it
+  const handleLinkScannedTag = async () => {
+    if (!selectedBoat || !unassignedTag) return;
+
+    try {
+      setIsLoading(true);
+      await assignTagToBoat(selectedBoat, unassignedTag);
+      alert(`✓ NFC tag ${unassignedTag} linked to ${selectedBoat.name}`);
+      setUnassignedTag(null);
+    } catch (error) {
+      console.error('Error linking NFC tag:', error);
+      alert(`Failed to link NFC tag: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Switch scan mode (stops the camera so the right scanner starts next time)
+  const handleScanModeChange = (mode) => {
+    if (mode === scanMode) return;
+    stopCamera();
+    stopNfc();
+    setCapturedImage(null);
+    setOcrResult('');
+    setScannedSlot(null);
+    setUnassignedTag(null);
+    setScanMode(mode);
+  };
+
+  // From the boat card: go scan the placard of the slot it's being moved to
+  const handleScanPlacardForBoat = () => {
+    setScanMode('qr');
+    setScannedSlot(null);
+    setShowLocationPicker(false);
+    setCapturedImage(null);
+    setOcrResult('');
+    startCamera();
+  };
+
+  // OCR processing using Google Cloud Vision via Edge Function (on-device fallback)
+  const processImage = async (imageDataUrl) => {
+    setIsProcessing(true);
+    setOcrResult('');
+
+    try {
+      const data = await runHullOcr(imageDataUrl);
+
       const cleanedText = data.text || '';
       const confidence = data.confidence || 0;
 
@@ -365,13 +694,8 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
     try {
       setIsLoading(true);
 
-      // Search in customer boats
-      let foundBoat = await boatsService.getByHullId(hullId);
-
-      // If not found, search in inventory boats
-      if (!foundBoat) {
-        foundBoat = await inventoryBoatsService.getByHullId(hullId);
-      }
+      // Customer, storage or unsold inventory boat
+      const foundBoat = await boatIdentityService.findByHullId(hullId);
 
       if (foundBoat) {
         // Found boat - show location picker (with archived warning)
@@ -516,94 +840,41 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
     const location = locations.find(l => l.name === selectedLocation);
     if (!location) return;
 
-    // Remove from old location if exists
-    if (selectedBoat.location) {
-      const oldLocation = locations.find(l => l.name === selectedBoat.location);
-      if (oldLocation && selectedBoat.slot) {
-        const updatedOldLocation = {
-          ...oldLocation,
-          boats: { ...oldLocation.boats }
-        };
-        delete updatedOldLocation.boats[selectedBoat.slot];
-        await onUpdateLocations(locations.map(l => l.id === oldLocation.id ? updatedOldLocation : l));
-      }
+    // If no slot selected, find first available ('pool' for pools)
+    const finalSlot = selectedSlot || findFirstAvailableSlot(location);
+    if (!finalSlot) {
+      alert('No available slots in this location');
+      return;
     }
 
-    // Assign to new location
-    let finalSlot = selectedSlot;
-    
-    // If no slot selected, find first available
-    if (!finalSlot) {
-      const isUShape = location.layout === 'u-shaped';
-      let foundSlot = null;
-      
-      for (let row = 0; row < location.rows && !foundSlot; row++) {
-        for (let col = 0; col < location.columns && !foundSlot; col++) {
-          const slotId = `${row}-${col}`;
-          
-          // Check if slot is valid for U-shaped
-          if (isUShape) {
-            const isLeftEdge = col === 0;
-            const isRightEdge = col === location.columns - 1;
-            const isBottomRow = row === location.rows - 1;
-            const isPerimeter = isLeftEdge || isRightEdge || isBottomRow;
-            
-            if (!isPerimeter) continue;
-          }
+    try {
+      const isInventory = selectedBoat.isInventory || selectedBoat.boatType === 'inventory';
 
-          if (!(location.boats && location.boats[slotId])) {
-            foundSlot = slotId;
-          }
-        }
+      // Use centralized service to unarchive if needed
+      if (isArchived && !isInventory) {
+        await boatLifecycleService.unarchiveBoat(selectedBoat.id, { targetStatus: 'needs-approval' });
       }
-      
-      if (foundSlot) {
-        finalSlot = foundSlot;
-      } else {
-        alert('No available slots in this location');
-        return;
-      }
-    }
 
-    // Update location with boat
-    const updatedLocation = {
-      ...location,
-      boats: {
-        ...location.boats,
-        [finalSlot]: selectedBoat.id
-      }
-    };
+      // Atomic move - frees the old slot and fails if someone else just took this one
+      await moveBoatWithHistory(selectedBoat.id, location.id, finalSlot, currentUser?.id, isInventory);
 
-    // Use centralized service to unarchive if needed
-    let updatedBoat;
-    if (isArchived) {
-      // Boat is archived - use service to unarchive and place
-      updatedBoat = await boatLifecycleService.unarchiveBoat(selectedBoat.id, {
-        targetStatus: 'needs-approval',
-        location: location.name,
-        slot: finalSlot
-      });
-    } else {
-      // Boat is not archived - just update location
-      updatedBoat = await boatsService.update(selectedBoat.id, {
-        location: location.name,
-        slot: finalSlot
-      });
+      // Reload all boats to get fresh data from database
+      const refreshedBoats = await boatsService.getAll();
+      onUpdateBoats(refreshedBoats);
+    } catch (error) {
+      console.error('Error moving boat:', error);
+      alert(`Failed to move boat: ${error.message}`);
+      return;
     }
 
-    await onUpdateLocations(locations.map(l => l.id === location.id ? updatedLocation : l));
-
-    // Reload all boats to get fresh data from database
-    const refreshedBoats = await boatsService.getAll();
-    onUpdateBoats(refreshedBoats);
-
     // Show success and reset
-    alert(`✓ ${selectedBoat.name} moved to ${location.name} (${finalSlot})`);
+    alert(`✓ ${selectedBoat.name} moved to ${location.name} (${formatSlotLabel(finalSlot)})`);
     handleReset();
   };
 
   const handleReset = () => {
     stopCamera();
+    stopNfc();
     setSelectedBoat(null);
     setSelectedLocation('');
     setSelectedSlot('');
@@ -612,23 +883,217 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
     setOcrResult('');
     setOcrConfidence(0);
     setSearchResults([]);
+    setScannedSlot(null);
+    setUnassignedTag(null);
   };
 
   return (
     <div className="space-y-6 animate-slide-in">
       <div>
-        <h2 className="text-3xl font-bold text-slate-900 mb-2">Scan Hull ID Tag</h2>
-        <p className="text-slate-600">Use your camera to scan the boat's Hull ID tag</p>
+        <h2 className="text-3xl font-bold text-slate-900 mb-2">
+          {scanMode === 'qr' ? 'Scan QR Label' : scanMode === 'nfc' ? 'Scan NFC Tag' : 'Scan Hull ID Tag'}
+        </h2>
+        <p className="text-slate-600">
+          {scanMode === 'qr'
+            ? 'Scan a boat tag to find the boat, or a slot placard to move a boat there'
+            : scanMode === 'nfc'
+              ? "Tap your phone on a boat's NFC tag"
+              : "Use your camera to scan the boat's Hull ID tag"}
+        </p>
       </div>
 
+      {/* Scan Mode Toggle */}
       {!showLocationPicker && (
+        <div className="flex border border-slate-300 rounded-lg overflow-hidden w-full sm:w-auto sm:inline-flex">
+          <button
+            onClick={() => handleScanModeChange('hull')}
+            className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium transition-colors ${
+              scanMode === 'hull' ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'
+            }`}
+          >
+            <ScanLine className="w-4 h-4" />
+            Hull ID
+          </button>
+          <button
+            onClick={() => handleScanModeChange('qr')}
+            className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium transition-colors ${
+              scanMode === 'qr' ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'
+            }`}
+          >
+            <QrCode className="w-4 h-4" />
+            QR Label
+          </button>
+          <button
+            onClick={() => handleScanModeChange('nfc')}
+            className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium transition-colors ${
+              scanMode === 'nfc' ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'
+            }`}
+          >
+            <Nfc className="w-4 h-4" />
+            NFC
+          </button>
+        </div>
+      )}
+
+      {/* NFC Reader */}
+      {!showLocationPicker && scanMode === 'nfc' && (
+        <div className="bg-white rounded-xl shadow-md p-6 border border-slate-200">
+          {!nfcSupported ? (
+            <div className="text-center py-8">
+              <Nfc className="w-16 h-16 text-slate-300 mx-auto mb-4" />
+              <p className="font-semibold text-slate-900 mb-2">NFC isn't available on this device</p>
+              <p className="text-sm text-slate-600 max-w-sm mx-auto">
+                Reading and writing NFC tags needs Chrome on Android. Use QR Label or Hull ID scanning instead,
+                or search for the boat below.
+              </p>
+              <button
+                onClick={() => setShowManualSearch(true)}
+                className="mt-6 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Search Manually
+              </button>
+            </div>
+          ) : nfcStatus === 'scanning' ? (
+            <div className="text-center py-8">
+              <Nfc className="w-16 h-16 text-blue-500 mx-auto mb-4 animate-pulse" />
+              <p className="text-slate-600 mb-6">Hold your phone against the boat's NFC tag...</p>
+              <button
+                onClick={stopNfc}
+                className="px-6 py-3 bg-slate-500 text-white rounded-lg hover:bg-slate-600 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : unassignedTag ? (
+            <div className="py-4 space-y-4">
+              <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg">
+                <p className="font-semibold text-amber-900">This tag isn't linked to a boat</p>
+                <p className="text-sm text-amber-800 mt-1">
+                  Tag <span className="font-mono">{unassignedTag}</span> — search for the boat below to link it.
+                </p>
+              </div>
+              <button
+                onClick={startNfcScan}
+                className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Scan Another Tag
+              </button>
+            </div>
+          ) : (
+            <div className="text-center py-8">
+              <Nfc className="w-16 h-16 text-blue-500 mx-auto mb-4" />
+              <p className="text-slate-600 mb-6">Tap a boat's NFC tag to look it up</p>
+              <button
+                onClick={startNfcScan}
+                disabled={isLoading}
+                className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-slate-300 transition-colors"
+              >
+                Start NFC Scan
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Boat waiting to be placed - shown while scanning for a slot placard */}
+      {!showLocationPicker && selectedBoat && scanMode === 'qr' && (
+        <div className="bg-blue-50 border border-blue-200 rounded-xl p-4 flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <p className="text-xs text-blue-700 font-medium uppercase tracking-wide">Moving</p>
+            <p className="font-bold text-slate-900 truncate">{selectedBoat.name}</p>
+            <p className="text-sm text-slate-600">
+              {selectedBoat.location ? `Currently at ${selectedBoat.location} (${formatSlotLabel(selectedBoat.slot)})` : 'Not assigned'}
+            </p>
+          </div>
+          <button
+            onClick={handleReset}
+            className="p-2 hover:bg-blue-100 rounded-lg transition-colors flex-shrink-0"
+            title="Cancel move"
+          >
+            <X className="w-5 h-5 text-slate-600" />
+          </button>
+        </div>
+      )}
+
+      {/* Scanned Slot Placard */}
+      {!showLocationPicker && scannedSlot && (() => {
+        const { location, slotId } = scannedSlot;
+        const occupantId = slotId && slotId !== 'pool' ? location.boats?.[slotId] : null;
+        const occupant = occupantId ? boats.find(b => b.id === occupantId) : null;
+        const isOccupiedByOther = occupantId && occupantId !== selectedBoat?.id;
+
+        return (
+          <div className="bg-white rounded-xl shadow-md border border-slate-200 p-6 space-y-4">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="text-sm text-slate-600">Slot Placard</p>
+                <p className="text-2xl font-bold text-slate-900">{location.name}</p>
+                <p className="text-slate-600">
+                  {slotId ? `Slot ${formatSlotLabel(slotId)}` : 'First open slot'}
+                </p>
+              </div>
+              <button
+                onClick={() => setScannedSlot(null)}
+                className="p-2 hover:bg-slate-100 rounded-lg transition-colors"
+              >
+                <X className="w-5 h-5 text-slate-600" />
+              </button>
+            </div>
+
+            {occupantId && (
+              <div className="p-3 bg-slate-50 border border-slate-200 rounded-lg flex items-center justify-between gap-3">
+                <p className="text-sm text-slate-700">
+                  Occupied by <strong>{occupant?.name || 'another boat'}</strong>
+                </p>
+                <button
+                  onClick={() => openBoatById(occupantId)}
+                  disabled={isLoading}
+                  className="text-sm text-blue-600 hover:underline disabled:text-slate-400"
+                >
+                  View boat
+                </button>
+              </div>
+            )}
+
+            {selectedBoat ? (
+              <button
+                onClick={handleMoveToScannedSlot}
+                disabled={isMoving || isOccupiedByOther}
+                className="w-full px-6 py-4 bg-green-600 hover:bg-green-700 disabled:bg-slate-300 disabled:cursor-not-allowed text-white font-bold text-lg rounded-lg transition-colors shadow-md"
+              >
+                {isMoving ? 'Moving...' : `✓ Move ${selectedBoat.name} here`}
+              </button>
+            ) : (
+              <p className="text-sm text-slate-500">
+                Scan a boat tag first, then scan this placard to move the boat here.
+              </p>
+            )}
+
+            <button
+              onClick={() => {
+                setScannedSlot(null);
+                startCamera();
+              }}
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Scan Again
+            </button>
+          </div>
+        );
+      })()}
+
+      {!showLocationPicker && !scannedSlot && (scanMode !== 'nfc' || showManualSearch || unassignedTag) && (
         <div className="bg-white rounded-xl shadow-md p-6 border border-slate-200">
           {/* Camera View - Initial State */}
-          {!capturedImage && !isCameraActive && (
+          {scanMode !== 'nfc' && !capturedImage && !isCameraActive && (
             <div className="text-center py-8">
-              <Camera className="w-16 h-16 text-blue-500 mx-auto mb-4" />
+              {scanMode === 'qr'
+                ? <QrCode className="w-16 h-16 text-blue-500 mx-auto mb-4" />
+                : <Camera className="w-16 h-16 text-blue-500 mx-auto mb-4" />}
               <p className="text-slate-600 mb-6">
-                Point your camera at the boat's Hull ID tag
+                {scanMode === 'qr'
+                  ? 'Point your camera at a boat tag or slot placard'
+                  : "Point your camera at the boat's Hull ID tag"}
               </p>
               <button
                 onClick={startCamera}
@@ -652,7 +1117,20 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
                 className="w-full rounded-lg"
               />
 
+              {/* QR mode overlay - QR codes are decoded from the whole frame */}
+              {scanMode === 'qr' && (
+                <div className="absolute inset-0 pointer-events-none flex items-center justify-center">
+                  <div className="w-1/2 aspect-square max-w-xs border-4 border-blue-400 rounded-2xl" />
+                  <div className="absolute bottom-6 left-0 right-0 text-center">
+                    <div className="inline-block px-4 py-2 rounded-full text-white text-sm font-medium bg-black/70">
+                      {scanStatus || 'Initializing camera...'}
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Focus box overlay */}
+              {scanMode === 'hull' && (
               <div className="absolute inset-0 pointer-events-none">
                 {/* Dark overlay with transparent center */}
                 <div className="absolute inset-0 flex items-center justify-center">
@@ -689,6 +1167,7 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
                     scanStatus.includes('Detected') ? 'bg-green-600' : 'bg-black/70'
                   }`}>
                     {scanStatus || 'Initializing camera...'}
+                    {ocrSource === 'device' && ' • Offline OCR'}
                   </div>
                 </div>
 
@@ -699,6 +1178,7 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
                   </div>
                 </div>
               </div>
+              )}
 
               {/* Zoom controls - only show if device supports zoom */}
               {supportsZoom && zoomCapabilities && (
@@ -743,6 +1223,7 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
 
               {/* Manual capture and cancel buttons */}
               <div className="mt-4 flex gap-2 justify-center">
+                {scanMode === 'hull' && (
                 <button
                   onClick={() => {
                     const imageDataUrl = captureImage(false);
@@ -755,6 +1236,7 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
                 >
                   Capture Now
                 </button>
+                )}
                 <button
                   onClick={stopCamera}
                   className="px-6 py-3 bg-slate-500 text-white rounded-lg hover:bg-slate-600 transition-colors"
@@ -777,15 +1259,26 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
           {capturedImage && !isProcessing && (
             <div>
               <img src={capturedImage} alt="Captured" className="w-full rounded-lg mb-4" />
-              {ocrResult && (
-                <div className="bg-slate-50 p-4 rounded-lg mb-4">
-                  <p className="text-sm text-slate-600">Detected Hull ID:</p>
-                  <p className="text-2xl font-mono font-bold text-slate-900">{ocrResult}</p>
-                  <p className="text-xs text-slate-500 mt-1">
-                    Confidence: {Math.round(ocrConfidence)}%
-                  </p>
-                </div>
-              )}
+              {ocrResult && (() => {
+                const hinCheck = validateHullId(ocrResult);
+                return (
+                  <div className="bg-slate-50 p-4 rounded-lg mb-4">
+                    <p className="text-sm text-slate-600">Detected Hull ID:</p>
+                    <p className="text-2xl font-mono font-bold text-slate-900">{ocrResult}</p>
+                    <p className="text-xs text-slate-500 mt-1">
+                      Confidence: {Math.round(ocrConfidence)}%
+                      {ocrSource === 'device' && ' • Read on-device (offline)'}
+                    </p>
+                    {hinCheck.valid ? (
+                      <p className="text-xs text-slate-600 mt-1">
+                        Model year {hinCheck.decoded.modelYear} • Built {hinCheck.decoded.productionMonthName} {hinCheck.decoded.productionYear} • MIC {hinCheck.decoded.manufacturerCode}
+                      </p>
+                    ) : !ocrResult.startsWith('✓') && (
+                      <p className="text-xs text-orange-600 mt-1">⚠ {hinCheck.error}</p>
+                    )}
+                  </div>
+                );
+              })()}
               <button
                 onClick={() => {
                   setCapturedImage(null);
@@ -800,7 +1293,7 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
           )}
 
           {/* Manual Search Fallback */}
-          {showManualSearch && (
+          {(showManualSearch || unassignedTag) && (
             <div className="mt-6 border-t border-slate-200 pt-6">
               <h3 className="text-lg font-semibold mb-3">Search by Hull ID or Serial</h3>
               <div className="relative mb-4">
@@ -966,9 +1459,94 @@ export function ScanView({ boats, locations, onUpdateBoats, onUpdateLocations })
                 >
                   ✓ Confirm Move to {selectedLocation || 'Location'}
                 </button>
+
+                <button
+                  onClick={handleScanPlacardForBoat}
+                  disabled={isLoading}
+                  className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-white hover:bg-slate-50 border-2 border-blue-500 text-blue-700 font-semibold rounded-lg transition-colors"
+                >
+                  <QrCode className="w-5 h-5" />
+                  Scan Slot Placard Instead
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-lg font-bold text-slate-900 mb-4">NFC Tag</h4>
+              <div className="space-y-3">
+                <div className="p-4 bg-slate-50 rounded-lg border border-slate-200 flex items-center gap-3">
+                  <Nfc className="w-5 h-5 text-slate-500" />
+                  {selectedBoat.nfc_tag ? (
+                    <span className="font-mono font-semibold text-slate-900">{selectedBoat.nfc_tag}</span>
+                  ) : (
+                    <span className="text-slate-500">No tag assigned</span>
+                  )}
+                </div>
+
+                {unassignedTag && (
+                  <button
+                    onClick={handleLinkScannedTag}
+                    disabled={isLoading}
+                    className="w-full px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white font-semibold rounded-lg transition-colors"
+                  >
+                    Link Scanned Tag <span className="font-mono">{unassignedTag}</span>
+                  </button>
+                )}
+
+                {nfcSupported ? (
+                  nfcStatus === 'writing' ? (
+                    <div className="flex items-center justify-between gap-3 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                      <p className="text-sm text-blue-800">Hold your phone against the tag to write it...</p>
+                      <button
+                        onClick={stopNfc}
+                        className="px-3 py-1.5 text-sm bg-white border border-slate-300 rounded-lg hover:bg-slate-50 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={handleWriteNfcTag}
+                      disabled={isLoading}
+                      className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-white hover:bg-slate-50 border-2 border-slate-300 text-slate-700 font-semibold rounded-lg transition-colors"
+                    >
+                      <Nfc className="w-5 h-5" />
+                      {selectedBoat.nfc_tag ? 'Write Replacement NFC Tag' : 'Write NFC Tag'}
+                    </button>
+                  )
+                ) : (
+                  <p className="text-xs text-slate-500">
+                    Writing NFC tags needs Chrome on Android.
+                  </p>
+                )}
               </div>
             </div>
 
+            {(() => {
+              const hin = selectedBoat.hull_id || selectedBoat.hullId;
+              if (!hin) return null;
+
+              const decoded = decodeHullId(hin);
+              const yearWarning = checkHullIdYear(hin, selectedBoat.year);
+
+              return (
+                <div className="p-4 bg-slate-50 rounded-lg border border-slate-200">
+                  <p className="text-sm text-slate-600 mb-1">Hull ID</p>
+                  <p className="font-mono font-semibold text-slate-900">{hin}</p>
+                  {decoded ? (
+                    <p className="text-xs text-slate-600 mt-1">
+                      Model year {decoded.modelYear} • Built {decoded.productionMonthName} {decoded.productionYear}
+                    </p>
+                  ) : (
+                    <p className="text-xs text-orange-600 mt-1">⚠ Not a valid HIN format</p>
+                  )}
+                  {yearWarning && (
+                    <p className="text-xs text-orange-600 mt-1">⚠ {yearWarning}</p>
+                  )}
+                </div>
+              );
+            })()}
+
             <div className="pt-4 border-t border-slate-200">
               <h4 className="text-sm font-semibold text-slate-700 mb-2">Boat Information</h4>
               <div className="grid grid-cols-2 gap-3 text-sm">
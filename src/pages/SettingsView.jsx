@@ -6,6 +6,9 @@ import { usersService } from '../services/supabaseService';
 import { usePermissions } from '../hooks/usePermissions';
 import { UserModal } from '../components/modals/UserModal';
 import { PushNotificationSettings } from '../components/PushNotificationSettings';
+import { WorkflowEditor } from '../components/WorkflowEditor';
+import { RequestTypeEditor } from '../components/RequestTypeEditor';
+import { RequestTemplateEditor } from '../components/RequestTemplateEditor';
 
 export function SettingsView({ dockmasterConfig, onSaveConfig, users, onUpdateUsers, onReloadUsers }) {
   // Get permissions from centralized hook
@@ -154,6 +157,36 @@ export function SettingsView({ dockmasterConfig, onSaveConfig, users, onUpdateUs
               >
                 Dockmaster API
               </button>
+              <button
+                onClick={() => setActiveTab('workflows')}
+                className={`flex-1 px-6 py-3 font-medium transition-colors ${
+                  activeTab === 'workflows'
+                    ? 'bg-blue-50 text-blue-700 border-b-2 border-blue-600'
+                    : 'text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                Workflows
+              </button>
+              <button
+                onClick={() => setActiveTab('request-types')}
+                className={`flex-1 px-6 py-3 font-medium transition-colors ${
+                  activeTab === 'request-types'
+                    ? 'bg-blue-50 text-blue-700 border-b-2 border-blue-600'
+                    : 'text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                Request Types
+              </button>
+              <button
+                onClick={() => setActiveTab('request-templates')}
+                className={`flex-1 px-6 py-3 font-medium transition-colors ${
+                  activeTab === 'request-templates'
+                    ? 'bg-blue-50 text-blue-700 border-b-2 border-blue-600'
+                    : 'text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                Request Templates
+              </button>
             </>
           )}
         </div>
@@ -379,6 +412,27 @@ export function SettingsView({ dockmasterConfig, onSaveConfig, users, onUpdateUs
               </div>
             </div>
           )}
+
+          {activeTab === 'workflows' && isAdmin && (
+            <div>
+              <h3 className="text-xl font-bold text-slate-900 mb-6">Work Phases & Statuses</h3>
+              <WorkflowEditor />
+            </div>
+          )}
+
+          {activeTab === 'request-types' && isAdmin && (
+            <div>
+              <h3 className="text-xl font-bold text-slate-900 mb-6">Request Types & Pipelines</h3>
+              <RequestTypeEditor />
+            </div>
+          )}
+
+          {activeTab === 'request-templates' && isAdmin && (
+            <div>
+              <h3 className="text-xl font-bold text-slate-900 mb-6">Request Templates & Checklists</h3>
+              <RequestTemplateEditor />
+            </div>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,243 @@
+// ============================================================================
+// STORAGE BILLING VIEW
+// ============================================================================
+// Season billing summary for the office: every storage contract for a season
+// with its storage charge (length x rate) and add-ons, totals by storage type,
+// storage boats still missing a contract, and a CSV export. Reads
+// storage_contracts; contracts are written from the boat details modal.
+// ============================================================================
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { DollarSign, Download, RefreshCw, AlertTriangle } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { storageContractsService } from '../services/supabaseService';
+import { SummaryCard } from '../components/SharedComponents';
+import { LOCATION_TYPE_LABELS } from '../components/locations/locationConstants';
+import {
+  STORAGE_TYPES, STORAGE_TYPE_LABELS, CONTRACT_STATUS_LABELS,
+  getStorageSeason, getSeasonOptions, getContractTotals, formatMoney,
+} from '../utils/storageContracts';
+import { toCsv, downloadCsv } from '../utils/csvExport';
+import { formatDate } from '../utils/dates';
+
+// Same colors as the matching location types (LOCATION_TYPE_COLORS)
+const SUMMARY_COLORS = { indoor: 'orange', outdoor: 'purple', rack: 'blue' };
+
+const CSV_COLUMNS = [
+  { header: 'Season', value: row => row.season },
+  { header: 'Owner', value: row => row.boat?.owner || '' },
+  { header: 'Customer ID', value: row => row.boat?.customer_id || '' },
+  { header: 'Boat', value: row => row.boat?.name || '' },
+  { header: 'Model', value: row => row.boat?.model || '' },
+  { header: 'Hull ID', value: row => row.boat?.hull_id || '' },
+  { header: 'Storage Type', value: row => STORAGE_TYPE_LABELS[row.storage_type] || row.storage_type },
+  { header: 'Location Type', value: row => LOCATION_TYPE_LABELS[row.location_type] || row.location_type || '' },
+  { header: 'Length (ft)', value: row => row.length_ft ?? '' },
+  { header: 'Rate per Foot', value: row => Number(row.rate_per_foot).toFixed(2) },
+  { header: 'Storage Charge', value: row => row.totals.storage.toFixed(2) },
+  { header: 'Add-ons', value: row => (row.add_ons || []).map(a => `${a.label} (${Number(a.price).toFixed(2)})`).join('; ') },
+  { header: 'Add-on Charge', value: row => row.totals.addOns.toFixed(2) },
+  { header: 'Total', value: row => row.totals.total.toFixed(2) },
+  { header: 'Haul-out', value: row => row.haul_out_date || '' },
+  { header: 'Launch', value: row => row.launch_date || '' },
+  { header: 'Status', value: row => CONTRACT_STATUS_LABELS[row.status] || row.status },
+  { header: 'Notes', value: row => row.notes || '' },
+];
+
+export function StorageBillingView({ boats = [] }) {
+  const { canSeeCost } = usePermissions();
+  const [season, setSeason] = useState(getStorageSeason);
+  const [contracts, setContracts] = useState([]);
+  const [includeCancelled, setIncludeCancelled] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadContracts = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setContracts(await storageContractsService.getBySeason(season));
+    } catch (err) {
+      console.error('[StorageBilling] Error loading contracts:', err);
+      setError('Could not load storage contracts. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [season]);
+
+  useEffect(() => {
+    if (canSeeCost) loadContracts();
+  }, [loadContracts, canSeeCost]);
+
+  // Billed rows, by owner
+  const rows = useMemo(() => contracts
+    .filter(contract => includeCancelled || contract.status !== 'cancelled')
+    .map(contract => ({ ...contract, totals: getContractTotals(contract) }))
+    .sort((a, b) => (a.boat?.owner || '').localeCompare(b.boat?.owner || '')),
+  [contracts, includeCancelled]);
+
+  const summary = useMemo(() => {
+    const byType = {};
+    STORAGE_TYPES.forEach(type => { byType[type] = { count: 0, total: 0 }; });
+    let storage = 0;
+    let addOns = 0;
+    rows.filter(row => row.status === 'active').forEach(row => {
+      byType[row.storage_type].count += 1;
+      byType[row.storage_type].total += row.totals.total;
+      storage += row.totals.storage;
+      addOns += row.totals.addOns;
+    });
+    return { byType, storage, addOns, total: storage + addOns };
+  }, [rows]);
+
+  // Storage boats on the board with nothing to bill this season
+  const missingContracts = useMemo(() => {
+    const contracted = new Set(contracts.filter(c => c.status !== 'cancelled').map(c => c.boat_id));
+    return boats.filter(boat => boat.storageBoat && boat.status !== 'archived' && !contracted.has(boat.id));
+  }, [boats, contracts]);
+
+  const handleExport = () => {
+    downloadCsv(`storage-billing-${season}.csv`, toCsv(rows, CSV_COLUMNS));
+  };
+
+  if (!canSeeCost) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 text-center">
+        <DollarSign className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+        <p className="text-slate-600">Storage billing is available to managers and admins.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-slide-in">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Storage Billing</h2>
+          <p className="text-slate-600">Storage contracts and charges for the season</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={season}
+            onChange={e => setSeason(e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg bg-white"
+          >
+            {getSeasonOptions().map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <button
+            onClick={loadContracts}
+            disabled={loading}
+            className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={rows.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <SummaryCard title="Season Total" value={formatMoney(summary.total)} subtitle={`${formatMoney(summary.addOns)} in add-ons`} icon={DollarSign} color="green" />
+        {STORAGE_TYPES.map(type => (
+          <SummaryCard
+            key={type}
+            title={STORAGE_TYPE_LABELS[type]}
+            value={formatMoney(summary.byType[type].total)}
+            subtitle={`${summary.byType[type].count} contract${summary.byType[type].count === 1 ? '' : 's'}`}
+            icon={DollarSign}
+            color={SUMMARY_COLORS[type]}
+          />
+        ))}
+      </div>
+
+      {error && (
+        <div className="px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {missingContracts.length > 0 && (
+        <div className="px-4 py-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-900">
+          <p className="flex items-center gap-2 font-medium">
+            <AlertTriangle className="w-4 h-4" />
+            {missingContracts.length} storage boat{missingContracts.length === 1 ? ' has' : 's have'} no contract for {season}
+          </p>
+          <p className="mt-1">{missingContracts.map(boat => `${boat.name}${boat.owner ? ` (${boat.owner})` : ''}`).join(', ')}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+          <p className="text-sm text-slate-600">{rows.length} contract{rows.length === 1 ? '' : 's'}</p>
+          <label className="flex items-center gap-2 text-sm text-slate-600">
+            <input type="checkbox" checked={includeCancelled} onChange={e => setIncludeCancelled(e.target.checked)} className="w-4 h-4" />
+            Show cancelled
+          </label>
+        </div>
+        {loading ? (
+          <p className="p-6 text-slate-500">Loading contracts...</p>
+        ) : rows.length === 0 ? (
+          <p className="p-6 text-slate-500">No storage contracts for {season}. Contracts are added from a storage boat's details.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-600">
+                <tr>
+                  <th className="px-4 py-2 font-medium">Owner</th>
+                  <th className="px-4 py-2 font-medium">Boat</th>
+                  <th className="px-4 py-2 font-medium">Storage</th>
+                  <th className="px-4 py-2 font-medium text-right">Length × Rate</th>
+                  <th className="px-4 py-2 font-medium">Add-ons</th>
+                  <th className="px-4 py-2 font-medium text-right">Total</th>
+                  <th className="px-4 py-2 font-medium">Haul-out / Launch</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {rows.map(row => (
+                  <tr key={row.id} className={row.status === 'active' ? '' : 'text-slate-400'}>
+                    <td className="px-4 py-2">
+                      {row.boat?.owner || '—'}
+                      {row.status !== 'active' && <span className="ml-2 text-xs">({CONTRACT_STATUS_LABELS[row.status]})</span>}
+                    </td>
+                    <td className="px-4 py-2">
+                      <p>{row.boat?.name || 'Removed boat'}</p>
+                      {row.boat?.hull_id && <p className="text-xs text-slate-500">{row.boat.hull_id}</p>}
+                    </td>
+                    <td className="px-4 py-2">
+                      {STORAGE_TYPE_LABELS[row.storage_type]}
+                      {row.location_type && <p className="text-xs text-slate-500">{LOCATION_TYPE_LABELS[row.location_type] || row.location_type}</p>}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      {row.length_ft ? `${Number(row.length_ft)} ft × ${formatMoney(row.rate_per_foot)}` : '—'}
+                      <p className="text-xs text-slate-500">{formatMoney(row.totals.storage)}</p>
+                    </td>
+                    <td className="px-4 py-2">
+                      {(row.add_ons || []).length > 0 ? (
+                        <>
+                          {row.add_ons.map(a => a.label).join(', ')}
+                          <p className="text-xs text-slate-500">{formatMoney(row.totals.addOns)}</p>
+                        </>
+                      ) : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-right font-semibold whitespace-nowrap">{formatMoney(row.totals.total)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {formatDate(row.haul_out_date)}
+                      <p className="text-xs text-slate-500">{formatDate(row.launch_date)}</p>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StorageBillingView;
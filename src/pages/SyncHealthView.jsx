@@ -0,0 +1,334 @@
+// ============================================================================
+// SYNC HEALTH VIEW
+// ============================================================================
+// Admin dashboard for the Dockmaster syncs: last run, duration and record
+// count per job, errors over the last two weeks, stale warnings when a job
+// hasn't succeeded on schedule, and buttons to run a job by hand.
+// Reads sync_status (latest run per job) and sync_status_history; the run log
+// below the jobs (sync_runs) lists per-record failures that can be retried.
+// ============================================================================
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Activity, AlertTriangle, CheckCircle, XCircle, RefreshCw, Play, Clock } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { syncStatusService, subscriptions } from '../services/supabaseService';
+import { SyncRunLog } from '../components/SyncRunLog';
+import { toDateKey } from '../utils/dates';
+import { SYNC_JOBS, STALE_MULTIPLIER, isSyncJobStale, formatSyncDuration, formatSyncAge } from '../utils/syncJobs';
+
+const HISTORY_DAYS = 14;
+const RECENT_ERROR_LIMIT = 5;
+
+function formatDateTime(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString([], {
+    month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+function formatInterval(minutes) {
+  if (minutes >= 24 * 60) return `${Math.round(minutes / (24 * 60))} d`;
+  if (minutes >= 60) return `${Math.round(minutes / 60)} h`;
+  return `${minutes} min`;
+}
+
+// Oldest-first list of the last HISTORY_DAYS day keys
+function getDayKeys() {
+  const keys = [];
+  for (let i = HISTORY_DAYS - 1; i >= 0; i--) {
+    const day = new Date();
+    day.setDate(day.getDate() - i);
+    keys.push(toDateKey(day));
+  }
+  return keys;
+}
+
+const STATUS_BADGES = {
+  success: { label: 'OK', className: 'bg-green-100 text-green-700', icon: CheckCircle },
+  error: { label: 'Error', className: 'bg-red-100 text-red-700', icon: XCircle },
+  in_progress: { label: 'Running', className: 'bg-blue-100 text-blue-700', icon: RefreshCw },
+};
+
+function dayBarClass(day) {
+  if (!day || day.runs === 0) return 'bg-slate-200';
+  if (day.errors === 0) return 'bg-green-500';
+  if (day.errors === day.runs) return 'bg-red-500';
+  return 'bg-amber-400';
+}
+
+export function SyncHealthView({ onSyncInventory, onSyncInternalWorkOrders }) {
+  const { isAdmin } = usePermissions();
+  const [statuses, setStatuses] = useState({});
+  const [historySummary, setHistorySummary] = useState([]);
+  const [recentErrors, setRecentErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [runningJobId, setRunningJobId] = useState(null);
+  const [runResults, setRunResults] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const [runLogReloadToken, setRunLogReloadToken] = useState(0);
+
+  const loadData = useCallback(async () => {
+    setError('');
+    try {
+      const since = new Date();
+      since.setDate(since.getDate() - HISTORY_DAYS);
+      const [statusRows, summaryRows, errorRows] = await Promise.all([
+        syncStatusService.getAll(),
+        syncStatusService.getHistorySummary(since.toISOString()),
+        Promise.all(SYNC_JOBS.map(job => syncStatusService.getRecentErrors(job.id, since.toISOString(), RECENT_ERROR_LIMIT))),
+      ]);
+      const byId = {};
+      statusRows.forEach(row => { byId[row.id] = row; });
+      setStatuses(byId);
+      setHistorySummary(summaryRows);
+      setRecentErrors(Object.fromEntries(SYNC_JOBS.map((job, i) => [job.id, errorRows[i]])));
+      setNow(Date.now());
+      setRunLogReloadToken(token => token + 1);
+    } catch (err) {
+      console.error('[SyncHealth] Error loading sync status:', err);
+      setError('Could not load sync status. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    loadData();
+
+    // Reload whenever a job reports in; keep "x min ago" ages ticking
+    const channel = subscriptions.subscribeToSyncStatus(() => loadData());
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => {
+      subscriptions.unsubscribe(channel);
+      clearInterval(interval);
+    };
+  }, [isAdmin, loadData]);
+
+  // Per-job day buckets, error counts and recent errors (days are totalled
+  // by the database - see get_sync_history_summary)
+  const historyByJob = useMemo(() => {
+    const result = {};
+    SYNC_JOBS.forEach(job => {
+      result[job.id] = { days: {}, runs: 0, errors: 0, totalDuration: 0, timedRuns: 0, recentErrors: recentErrors[job.id] || [] };
+    });
+    historySummary.forEach(row => {
+      const entry = result[row.job_id];
+      if (!entry) return;
+      entry.days[row.day] = { runs: row.runs, errors: row.errors };
+      entry.runs += row.runs;
+      entry.errors += row.errors;
+      entry.totalDuration += Number(row.total_duration_ms);
+      entry.timedRuns += row.timed_runs;
+    });
+    return result;
+  }, [historySummary, recentErrors]);
+
+  const dayKeys = useMemo(() => getDayKeys(), [now]);
+
+  const jobsNeedingAttention = SYNC_JOBS.filter(job =>
+    statuses[job.id]?.status === 'error' || isSyncJobStale(job, statuses[job.id], now)
+  ).length;
+
+  const runJob = async (job) => {
+    if (job.confirmMessage && !window.confirm(job.confirmMessage)) return;
+
+    setRunningJobId(job.id);
+    setRunResults(prev => ({ ...prev, [job.id]: null }));
+    try {
+      let result;
+      if (job.action === 'inventory') {
+        result = await onSyncInventory(true);
+      } else if (job.action === 'internalWorkOrders') {
+        result = await onSyncInternalWorkOrders(true);
+      } else {
+        result = await syncStatusService.runFunction(job.functionName);
+        if (result?.success === false) throw new Error(result.error || 'Sync reported a failure');
+      }
+      setRunResults(prev => ({ ...prev, [job.id]: { ok: true, text: result?.message || 'Finished' } }));
+    } catch (err) {
+      console.error(`[SyncHealth] Error running ${job.id}:`, err);
+      setRunResults(prev => ({ ...prev, [job.id]: { ok: false, text: err.message || 'Sync failed' } }));
+    } finally {
+      setRunningJobId(null);
+      loadData();
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 text-center">
+        <Activity className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+        <p className="text-slate-600">Sync health is available to admins.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-slide-in">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Sync Health</h2>
+          <p className="text-slate-600">Dockmaster sync jobs - last runs, errors over the last {HISTORY_DAYS} days, and manual syncs</p>
+        </div>
+        <button
+          onClick={() => { setLoading(true); loadData(); }}
+          disabled={loading}
+          className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {!loading && (
+        jobsNeedingAttention > 0 ? (
+          <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            {jobsNeedingAttention} of {SYNC_JOBS.length} sync jobs need attention
+          </div>
+        ) : (
+          <div className="flex items-center gap-2 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+            <CheckCircle className="w-4 h-4 flex-shrink-0" />
+            All sync jobs are running on schedule
+          </div>
+        )
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        {SYNC_JOBS.map(job => {
+          const status = statuses[job.id];
+          const jobHistory = historyByJob[job.id];
+          const stale = !loading && isSyncJobStale(job, status, now);
+          const badge = STATUS_BADGES[status?.status];
+          const BadgeIcon = badge?.icon;
+          const isRunning = runningJobId === job.id;
+          const runResult = runResults[job.id];
+          const avgDuration = jobHistory.timedRuns > 0 ? Math.round(jobHistory.totalDuration / jobHistory.timedRuns) : null;
+
+          return (
+            <div key={job.id} className={`bg-white rounded-xl shadow-sm border p-4 space-y-4 ${stale || status?.status === 'error' ? 'border-amber-300' : 'border-slate-200'}`}>
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <h3 className="font-semibold text-slate-900">{job.label}</h3>
+                    {badge ? (
+                      <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>
+                        <BadgeIcon className="w-3 h-3" />
+                        {badge.label}
+                      </span>
+                    ) : (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-600">
+                        {status ? status.status : 'No runs yet'}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-slate-500 mt-1">{job.description}</p>
+                </div>
+                <button
+                  onClick={() => runJob(job)}
+                  disabled={runningJobId !== null}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors flex-shrink-0"
+                >
+                  {isRunning ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                  {isRunning ? 'Running...' : job.actionLabel}
+                </button>
+              </div>
+
+              {stale && (
+                <div className="flex items-start gap-2 p-2 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+                  <Clock className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>
+                    {status?.last_success
+                      ? `No successful run for ${formatSyncAge(status.last_success, now).replace(' ago', '')}`
+                      : 'Has never completed successfully'}
+                    {' '}- expected every {formatInterval(job.expectedEveryMinutes)} (warning after {STALE_MULTIPLIER}x)
+                  </span>
+                </div>
+              )}
+
+              {runResult && (
+                <div className={`p-2 rounded-lg text-sm ${runResult.ok ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-700'}`}>
+                  {runResult.ok ? 'Manual run finished' : 'Manual run failed'}: {runResult.text}
+                </div>
+              )}
+
+              <dl className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+                <div>
+                  <dt className="text-slate-500">Last run</dt>
+                  <dd className="text-slate-900" title={formatDateTime(status?.updated_at)}>{formatSyncAge(status?.updated_at, now)}</dd>
+                </div>
+                <div>
+                  <dt className="text-slate-500">Last success</dt>
+                  <dd className="text-slate-900" title={formatDateTime(status?.last_success)}>{formatSyncAge(status?.last_success, now)}</dd>
+                </div>
+                <div>
+                  <dt className="text-slate-500">Duration</dt>
+                  <dd className="text-slate-900" title={avgDuration !== null ? `Average ${formatSyncDuration(avgDuration)}` : undefined}>
+                    {formatSyncDuration(status?.last_duration_ms)}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-slate-500">Records</dt>
+                  <dd className="text-slate-900">{status?.records_synced ?? '—'}</dd>
+                </div>
+              </dl>
+
+              {status?.status === 'error' && status.error_message && (
+                <div className="p-2 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 break-words">
+                  {status.error_message}
+                </div>
+              )}
+
+              {/* Runs per day, oldest to newest */}
+              <div>
+                <div className="flex items-center justify-between text-xs text-slate-500 mb-1">
+                  <span>Last {HISTORY_DAYS} days</span>
+                  <span>
+                    {jobHistory.runs} run{jobHistory.runs === 1 ? '' : 's'}
+                    {jobHistory.errors > 0 && <span className="text-red-600"> · {jobHistory.errors} error{jobHistory.errors === 1 ? '' : 's'}</span>}
+                  </span>
+                </div>
+                <div className="flex gap-1">
+                  {dayKeys.map(key => {
+                    const day = jobHistory.days[key];
+                    return (
+                      <div
+                        key={key}
+                        className={`flex-1 h-6 rounded ${dayBarClass(day)}`}
+                        title={`${key}: ${day?.runs || 0} runs, ${day?.errors || 0} errors`}
+                      />
+                    );
+                  })}
+                </div>
+              </div>
+
+              {jobHistory.recentErrors.length > 0 && (
+                <details className="text-sm">
+                  <summary className="cursor-pointer text-slate-600 hover:text-slate-900">Recent errors</summary>
+                  <ul className="mt-2 space-y-1">
+                    {jobHistory.recentErrors.map(run => (
+                      <li key={run.id} className="flex gap-3">
+                        <span className="text-slate-500 whitespace-nowrap">{formatDateTime(run.recorded_at)}</span>
+                        <span className="text-red-700 break-words min-w-0">{run.error_message || 'Unknown error'}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <SyncRunLog reloadToken={runLogReloadToken} />
+    </div>
+  );
+}
+
+export default SyncHealthView;
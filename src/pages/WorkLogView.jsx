@@ -0,0 +1,380 @@
+// ============================================================================
+// WORK LOG VIEW
+// ============================================================================
+// Work phases checked off across all boats (who and when), plus open phase
+// assignments with due dates - e.g. "clean phases done by Sam this week" or
+// "what's overdue for Alex". Reads work_phase_records.
+// ============================================================================
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { ClipboardCheck, Download, Filter, Search, RefreshCw } from 'lucide-react';
+import { usePermissions } from '../hooks/usePermissions';
+import { useWorkflows } from '../WorkflowProvider';
+import { workPhasesService } from '../services/supabaseService';
+import { WORKFLOW_CATEGORIES, isPhaseOverdue } from '../utils/workflowHelpers';
+import { SEASON_LABELS } from '../utils/seasonHelpers';
+import { formatPhaseDueDate } from '../components/BoatComponents';
+import { toCsv, downloadCsv } from '../utils/csvExport';
+import { toDateKey } from '../utils/dates';
+
+const RESULT_LIMIT = 1000;
+
+const SCOPE_LABELS = { ...SEASON_LABELS, prep: 'Prep', rigging: 'Rigging', current: '' };
+
+// Monday-to-Sunday week containing the date, shifted by whole weeks
+function getWeekRange(weeksAgo = 0) {
+  const start = new Date();
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7) - weeksAgo * 7);
+  const end = new Date(start);
+  end.setDate(start.getDate() + 6);
+  return { fromDate: toDateKey(start), toDate: toDateKey(end) };
+}
+
+const getDefaultFilters = () => ({
+  mode: 'completed',
+  phaseKey: '',
+  userId: '',
+  boatType: '',
+  boatSearch: '',
+  overdueOnly: false,
+  ...getWeekRange(0),
+});
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString([], {
+    month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+// Readable boat label - inventory boats are often unnamed
+function getBoatLabel(boat) {
+  if (!boat) return null;
+  return boat.name || `${boat.year || ''} ${boat.make || ''} ${boat.model || ''}`.trim() || boat.stockNumber || boat.stock_number || null;
+}
+
+export function WorkLogView({ boats = [], users = [] }) {
+  const { canManageLocations } = usePermissions();
+  const { workflows } = useWorkflows();
+  const [filters, setFilters] = useState(getDefaultFilters);
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const isCompletedMode = filters.mode === 'completed';
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  // Every phase any workflow uses, for the phase filter and labels
+  const phaseLabels = useMemo(() => {
+    const labels = {};
+    WORKFLOW_CATEGORIES.forEach(category => {
+      workflows[category].phases.forEach(phase => {
+        if (!labels[phase.key]) labels[phase.key] = phase.label;
+      });
+    });
+    return labels;
+  }, [workflows]);
+
+  const boatsById = useMemo(() => {
+    const map = {};
+    boats.forEach(b => { map[b.id] = b; });
+    return map;
+  }, [boats]);
+
+  const loadRecords = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await workPhasesService.search({
+        open: !isCompletedMode,
+        phaseKey: filters.phaseKey || null,
+        completedBy: isCompletedMode ? (filters.userId || null) : null,
+        assignedTo: !isCompletedMode ? (filters.userId || null) : null,
+        completedFrom: isCompletedMode && filters.fromDate ? new Date(`${filters.fromDate}T00:00:00`).toISOString() : null,
+        completedTo: isCompletedMode && filters.toDate ? new Date(`${filters.toDate}T23:59:59.999`).toISOString() : null,
+        boatType: filters.boatType || null,
+        limit: RESULT_LIMIT,
+      });
+      setRecords(data);
+    } catch (err) {
+      console.error('[WorkLog] Error loading phase records:', err);
+      setError('Could not load the work log. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [isCompletedMode, filters.phaseKey, filters.userId, filters.fromDate, filters.toDate, filters.boatType]);
+
+  useEffect(() => {
+    if (canManageLocations) loadRecords();
+  }, [loadRecords, canManageLocations]);
+
+  // Boat search and the overdue filter run client-side
+  const rows = useMemo(() => {
+    const query = filters.boatSearch.trim().toLowerCase();
+    return records
+      .filter(record => isCompletedMode || record.assignedTo || record.dueDate)
+      .map(record => ({
+        ...record,
+        boatLabel: getBoatLabel(boatsById[record.boatId]) || `Removed boat (${String(record.boatId).slice(0, 8)})`,
+        hullId: boatsById[record.boatId]?.hullId || boatsById[record.boatId]?.hull_id || '',
+        phaseLabel: phaseLabels[record.phaseKey] || record.phaseKey,
+        overdue: isPhaseOverdue(record, false),
+      }))
+      .filter(record => isCompletedMode || !filters.overdueOnly || record.overdue)
+      .filter(record => !query ||
+        record.boatLabel.toLowerCase().includes(query) ||
+        record.hullId.toLowerCase().includes(query));
+  }, [records, boatsById, phaseLabels, filters.boatSearch, filters.overdueOnly, isCompletedMode]);
+
+  // Per-person totals for the completed list
+  const totalsByUser = useMemo(() => {
+    if (!isCompletedMode) return [];
+    const totals = {};
+    rows.forEach(record => {
+      const name = record.completer?.name || 'Unknown';
+      totals[name] = (totals[name] || 0) + 1;
+    });
+    return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+  }, [rows, isCompletedMode]);
+
+  const handleExport = () => {
+    const csv = toCsv(rows, [
+      { header: 'Phase', value: r => r.phaseLabel },
+      { header: 'Scope', value: r => SCOPE_LABELS[r.scope] ?? r.scope },
+      { header: 'Boat', value: r => r.boatLabel },
+      { header: 'Hull ID', value: r => r.hullId },
+      { header: 'Boat Type', value: r => r.boatType },
+      { header: 'Assigned To', value: r => r.assignee?.name || '' },
+      { header: 'Due Date', value: r => r.dueDate || '' },
+      { header: 'Completed By', value: r => r.completer?.name || '' },
+      { header: 'Completed At', value: r => r.completedAt ? new Date(r.completedAt).toISOString() : '' },
+      { header: 'Boat ID', value: r => r.boatId },
+    ]);
+    downloadCsv(`work-log-${filters.mode}-${new Date().toISOString().split('T')[0]}.csv`, csv);
+  };
+
+  if (!canManageLocations) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 text-center">
+        <ClipboardCheck className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+        <p className="text-slate-600">The work log is available to managers and admins.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-slide-in">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Work Log</h2>
+          <p className="text-slate-600">Who finished which work phases, and what's assigned and due</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={loadRecords}
+            disabled={loading}
+            className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={rows.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Mode */}
+      <div className="flex gap-2">
+        {[
+          { mode: 'completed', label: 'Completed' },
+          { mode: 'open', label: 'Assigned & Due' },
+        ].map(({ mode, label }) => (
+          <button
+            key={mode}
+            onClick={() => updateFilter('mode', mode)}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              filters.mode === mode
+                ? 'bg-blue-600 text-white'
+                : 'bg-white border border-slate-300 text-slate-700 hover:bg-slate-50'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2 text-slate-700">
+            <Filter className="w-4 h-4" />
+            <span className="text-sm font-semibold">Filters</span>
+          </div>
+          <button onClick={() => setFilters({ ...getDefaultFilters(), mode: filters.mode })} className="text-sm text-blue-600 hover:text-blue-700">
+            Reset
+          </button>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          <div className="relative">
+            <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={filters.boatSearch}
+              onChange={(e) => updateFilter('boatSearch', e.target.value)}
+              placeholder="Boat name or hull ID"
+              className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <select
+            value={filters.phaseKey}
+            onChange={(e) => updateFilter('phaseKey', e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All phases</option>
+            {Object.entries(phaseLabels).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.userId}
+            onChange={(e) => updateFilter('userId', e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">{isCompletedMode ? 'Completed by anyone' : 'Assigned to anyone'}</option>
+            {users.map(u => (
+              <option key={u.id} value={u.id}>{u.name || u.email}</option>
+            ))}
+          </select>
+          <select
+            value={filters.boatType}
+            onChange={(e) => updateFilter('boatType', e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All boat types</option>
+            <option value="customer">Customer</option>
+            <option value="inventory">Inventory</option>
+          </select>
+          {isCompletedMode ? (
+            <div className="flex flex-wrap items-center gap-2 sm:col-span-2 lg:col-span-4">
+              <label className="text-sm text-slate-600">From</label>
+              <input
+                type="date"
+                value={filters.fromDate}
+                onChange={(e) => updateFilter('fromDate', e.target.value)}
+                className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <label className="text-sm text-slate-600">To</label>
+              <input
+                type="date"
+                value={filters.toDate}
+                onChange={(e) => updateFilter('toDate', e.target.value)}
+                className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={() => setFilters(prev => ({ ...prev, ...getWeekRange(0) }))}
+                className="px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-lg"
+              >
+                This week
+              </button>
+              <button
+                onClick={() => setFilters(prev => ({ ...prev, ...getWeekRange(1) }))}
+                className="px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-lg"
+              >
+                Last week
+              </button>
+            </div>
+          ) : (
+            <label className="flex items-center gap-2 text-sm text-slate-700 sm:col-span-2 lg:col-span-4">
+              <input
+                type="checkbox"
+                checked={filters.overdueOnly}
+                onChange={(e) => updateFilter('overdueOnly', e.target.checked)}
+                className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+              />
+              Overdue only
+            </label>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {/* Per-person totals */}
+      {isCompletedMode && totalsByUser.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {totalsByUser.map(([name, count]) => (
+            <span key={name} className="px-3 py-1 bg-green-50 border border-green-200 text-green-800 text-sm rounded-full">
+              {name}: <strong>{count}</strong>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Results */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="px-4 py-3 border-b border-slate-200 text-sm text-slate-600">
+          {loading ? 'Loading...' : `${rows.length} phase${rows.length === 1 ? '' : 's'}`}
+          {!loading && records.length >= RESULT_LIMIT && (
+            <span className="text-amber-600 ml-2">Showing the first {RESULT_LIMIT} - narrow the filters to see more</span>
+          )}
+        </div>
+        {!loading && rows.length === 0 ? (
+          <div className="p-8 text-center text-slate-500">
+            <ClipboardCheck className="w-8 h-8 text-slate-300 mx-auto mb-2" />
+            {isCompletedMode ? 'No phases completed for these filters.' : 'No open phase assignments for these filters.'}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-600">
+                <tr>
+                  <th className="px-4 py-2 font-medium">Phase</th>
+                  <th className="px-4 py-2 font-medium">Boat</th>
+                  <th className="px-4 py-2 font-medium">Assigned To</th>
+                  <th className="px-4 py-2 font-medium">Due</th>
+                  {isCompletedMode && <th className="px-4 py-2 font-medium">Completed By</th>}
+                  {isCompletedMode && <th className="px-4 py-2 font-medium">Completed</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {rows.map(record => (
+                  <tr key={record.id} className="hover:bg-slate-50">
+                    <td className="px-4 py-2 text-slate-900 font-medium">
+                      {record.phaseLabel}
+                      {SCOPE_LABELS[record.scope] && (
+                        <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-slate-100 text-slate-600">{SCOPE_LABELS[record.scope]}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">
+                      <span className="text-slate-900">{record.boatLabel}</span>
+                      <span className={`ml-2 text-xs px-1.5 py-0.5 rounded ${record.boatType === 'inventory' ? 'bg-purple-100 text-purple-700' : 'bg-slate-100 text-slate-600'}`}>
+                        {record.boatType === 'inventory' ? 'Inventory' : 'Customer'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-slate-700">{record.assignee?.name || '—'}</td>
+                    <td className={`px-4 py-2 whitespace-nowrap ${!isCompletedMode && record.overdue ? 'text-red-600 font-medium' : 'text-slate-600'}`}>
+                      {record.dueDate ? formatPhaseDueDate(record.dueDate) : '—'}
+                      {!isCompletedMode && record.overdue && ' (overdue)'}
+                    </td>
+                    {isCompletedMode && <td className="px-4 py-2 text-slate-700">{record.completer?.name || '—'}</td>}
+                    {isCompletedMode && <td className="px-4 py-2 whitespace-nowrap text-slate-600">{formatDateTime(record.completedAt)}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WorkLogView;
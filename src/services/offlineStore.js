@@ -0,0 +1,147 @@
+// ============================================================================
+// OFFLINE STORE
+// ============================================================================
+// IndexedDB storage for working without a connection (back lot, rack buildings):
+//   - snapshots: last good copy of boats / inventory / locations / profile,
+//     used when a load fails because the device is offline
+//   - queue: boat moves and boat updates (phase toggles, notes) made offline,
+//     replayed in order by OfflineProvider when the connection comes back
+//
+// Every method fails soft - a browser without IndexedDB (private mode) just
+// works online-only, as before.
+// ============================================================================
+
+const DB_NAME = 'bbg-offline'
+const DB_VERSION = 1
+const SNAPSHOTS = 'snapshots'
+const QUEUE = 'queue'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+          db.createObjectStore(SNAPSHOTS, { keyPath: 'key' })
+        }
+        if (!db.objectStoreNames.contains(QUEUE)) {
+          db.createObjectStore(QUEUE, { keyPath: 'id', autoIncrement: true })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+// Run one request against a store and resolve with its result
+async function withStore(storeName, mode, run) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = run(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// Supabase surfaces a dropped connection as a fetch TypeError, in the error
+// message of a PostgrestError, or (Safari) as "Load failed"
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true
+  const message = `${error?.message || ''} ${error?.details || ''}`
+  return /Failed to fetch|NetworkError|Load failed|Network request failed/i.test(message)
+}
+
+export const offlineStore = {
+  // Save the latest good copy of a dataset
+  async saveSnapshot(key, data) {
+    try {
+      await withStore(SNAPSHOTS, 'readwrite', store => store.put({ key, data, savedAt: new Date().toISOString() }))
+    } catch (error) {
+      console.warn(`[offlineStore] Could not save ${key} snapshot:`, error)
+    }
+  },
+
+  // Get a saved dataset: { key, data, savedAt } or null
+  async getSnapshot(key) {
+    try {
+      return (await withStore(SNAPSHOTS, 'readonly', store => store.get(key))) || null
+    } catch (error) {
+      console.warn(`[offlineStore] Could not read ${key} snapshot:`, error)
+      return null
+    }
+  },
+
+  // Add a change to the queue - op: { type, payload, userId }
+  async enqueue(op) {
+    return withStore(QUEUE, 'readwrite', store => store.add({
+      ...op,
+      status: 'pending',
+      queuedAt: new Date().toISOString(),
+      conflict: null,
+    }))
+  },
+
+  // Get every queued change, oldest first
+  async getQueue() {
+    try {
+      return (await withStore(QUEUE, 'readonly', store => store.getAll())) || []
+    } catch (error) {
+      console.warn('[offlineStore] Could not read queue:', error)
+      return []
+    }
+  },
+
+  // Replace a queued change (e.g. to mark it as a conflict)
+  async updateQueued(op) {
+    await withStore(QUEUE, 'readwrite', store => store.put(op))
+  },
+
+  // Drop a queued change once it's applied or discarded
+  async removeQueued(id) {
+    await withStore(QUEUE, 'readwrite', store => store.delete(id))
+  },
+
+  // Forget cached data on sign-out; queued changes are kept unless clearQueue
+  // (OfflineProvider only replays them for the user who made them)
+  async clear({ clearQueue = false } = {}) {
+    try {
+      await withStore(SNAPSHOTS, 'readwrite', store => store.clear())
+      if (clearQueue) await withStore(QUEUE, 'readwrite', store => store.clear())
+    } catch (error) {
+      console.warn('[offlineStore] Could not clear offline data:', error)
+    }
+  },
+}
+
+// Load through the snapshot cache: fresh data when online (and save it),
+// the last snapshot when the request fails for lack of a connection
+// Returns { data, fromCache, savedAt }
+export async function cachedFetch(key, fetcher) {
+  try {
+    const data = await fetcher()
+    offlineStore.saveSnapshot(key, data)
+    return { data, fromCache: false, savedAt: null }
+  } catch (error) {
+    if (!isNetworkError(error)) throw error
+    const snapshot = await offlineStore.getSnapshot(key)
+    if (!snapshot) throw error
+    console.log(`[offlineStore] Offline - using ${key} saved at ${snapshot.savedAt}`)
+    return { data: snapshot.data, fromCache: true, savedAt: snapshot.savedAt }
+  }
+}
+
+export default offlineStore
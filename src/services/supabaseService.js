@@ -6,6 +6,10 @@
 // ============================================================================
 
 import { supabase } from '../supabaseClient'
+import { formatSlotLabel } from '../components/locations/locationUtils'
+import { computeEstimatesHash, snapshotEstimates } from '../utils/estimateDiff'
+import { sumEstimateHours } from '../utils/requestScheduling'
+import { normalizeNfcSerial } from '../utils/nfcTags'
 
 // ============================================================================
 // AUTHENTICATION OPERATIONS
@@ -103,16 +107,107 @@ export const authService = {
   },
 }
 
+// ============================================================================
+// BOAT IDENTITY
+// ============================================================================
+// A boat keeps one ID for life. Unsold inventory lives in inventory_boats,
+// customer and storage boats in boats; selling an inventory boat
+// (boatIdentityService.sellInventoryBoat) creates its customer row under the
+// same ID, so its slot, notes, movements, phase records and prep work orders
+// stay attached. role says where a boat is now:
+
+export const BOAT_ROLES = {
+  INVENTORY: 'inventory',
+  CUSTOMER: 'customer',
+  STORAGE: 'storage',
+}
+
+// Role of a boat row from either table (isInventory is set on inventory rows by the loaders)
+export const getBoatRole = (boat) => {
+  if (!boat) return null
+  if (boat.role) return boat.role
+  if (boat.isInventory) return BOAT_ROLES.INVENTORY
+  return (boat.storage_boat ?? boat.storageBoat) ? BOAT_ROLES.STORAGE : BOAT_ROLES.CUSTOMER
+}
+
+// boat_type used by slot_assignments and boat_movements ('inventory' | 'customer')
+export const getBoatType = (boat) =>
+  getBoatRole(boat) === BOAT_ROLES.INVENTORY ? 'inventory' : 'customer'
+
+// Lookups, NFC tags and slot moves - the same for both boat tables
+// scope narrows lookups (inventory skips rows already sold)
+function boatTableMethods(table, boatType, scope = query => query) {
+  const findOne = async (column, value) => {
+    const { data, error } = await scope(supabase.from(table).select('*').eq(column, value))
+
+    if (error) throw error
+    return data && data.length > 0 ? data[0] : null
+  }
+
+  return {
+    // Get boat by QR code
+    async getByQrCode(qrCode) {
+      return findOne('qr_code', qrCode)
+    },
+
+    // Get boat by NFC tag
+    async getByNfcTag(nfcTag) {
+      return findOne('nfc_tag', normalizeNfcSerial(nfcTag))
+    },
+
+    // Get boat by Hull ID
+    async getByHullId(hullId) {
+      return findOne('hull_id', hullId)
+    },
+
+    // Assign NFC tag to boat - a tag belongs to one boat, whichever table it's in
+    async assignNfcTag(boatId, nfcTag) {
+      const serial = normalizeNfcSerial(nfcTag)
+      const existing = await boatIdentityService.findByNfcTag(serial)
+      if (existing && existing.id !== boatId) {
+        throw new Error('NFC tag is already assigned to another boat')
+      }
+
+      return this.update(boatId, { nfc_tag: serial })
+    },
+
+    // Release NFC tag from boat
+    async releaseNfcTag(boatId) {
+      return this.update(boatId, { nfc_tag: null })
+    },
+
+    // Assign boat to location slot (fails if the slot is taken)
+    async assignToSlot(boatId, locationId, slotId) {
+      return this.moveToSlot(boatId, locationId, slotId)
+    },
+
+    // Remove boat from location slot
+    async removeFromSlot(boatId, expectedVersion = null) {
+      await slotAssignmentsService.remove(boatId, boatType, expectedVersion)
+      return this.getById(boatId)
+    },
+
+    // Move boat from one slot to another (handles same or different locations)
+    // Runs as one transaction in the database - see slotAssignmentsService.move
+    async moveToSlot(boatId, toLocationId, toSlotId, expectedVersion = null) {
+      await slotAssignmentsService.move(boatId, boatType, toLocationId, toSlotId, expectedVersion)
+      return this.getById(boatId)
+    },
+  }
+}
+
 // ============================================================================
 // BOATS OPERATIONS (Customer Boats)
 // ============================================================================
 
 export const boatsService = {
-  // Get all boats
+  ...boatTableMethods('boats', 'customer'),
+
+  // Get all boats (with their work phase assignments/completion stamps)
   async getAll() {
     const { data, error } = await supabase
       .from('boats')
-      .select('*')
+      .select(`*, phase_records:work_phase_records(${PHASE_RECORD_COLUMNS})`)
       .order('created_at', { ascending: false })
 
     if (error) throw error
@@ -131,39 +226,6 @@ export const boatsService = {
     return data
   },
 
-  // Get boat by QR code
-  async getByQrCode(qrCode) {
-    const { data, error } = await supabase
-      .from('boats')
-      .select('*')
-      .eq('qr_code', qrCode)
-
-    if (error) throw error
-    return data && data.length > 0 ? data[0] : null
-  },
-
-  // Get boat by NFC tag
-  async getByNfcTag(nfcTag) {
-    const { data, error } = await supabase
-      .from('boats')
-      .select('*')
-      .eq('nfc_tag', nfcTag)
-
-    if (error) throw error
-    return data && data.length > 0 ? data[0] : null
-  },
-
-  // Get boat by Hull ID
-  async getByHullId(hullId) {
-    const { data, error } = await supabase
-      .from('boats')
-      .select('*')
-      .eq('hull_id', hullId)
-
-    if (error) throw error
-    return data && data.length > 0 ? data[0] : null
-  },
-
   // Create new boat
   async create(boatData) {
     const { data, error } = await supabase
@@ -239,22 +301,6 @@ export const boatsService = {
     return data || []
   },
 
-  // Assign NFC tag to boat
-  async assignNfcTag(boatId, nfcTag) {
-    // First check if tag is already assigned
-    const existing = await this.getByNfcTag(nfcTag)
-    if (existing && existing.id !== boatId) {
-      throw new Error('NFC tag is already assigned to another boat')
-    }
-
-    return this.update(boatId, { nfc_tag: nfcTag })
-  },
-
-  // Release NFC tag from boat
-  async releaseNfcTag(boatId) {
-    return this.update(boatId, { nfc_tag: null })
-  },
-
   // Archive boat (set to archived status)
   async archive(boatId) {
     return this.update(boatId, {
@@ -265,28 +311,7 @@ export const boatsService = {
 
   // Release boat (archive + remove from location)
   async release(boatId) {
-    const boat = await this.getById(boatId)
-
-    // Remove from location if assigned
-    if (boat.location && boat.slot) {
-      const { data: locations } = await supabase
-        .from('locations')
-        .select('*')
-        .eq('name', boat.location)
-
-      if (locations && locations.length > 0) {
-        const location = locations[0]
-        const updatedBoats = { ...location.boats }
-        delete updatedBoats[boat.slot]
-
-        await supabase
-          .from('locations')
-          .update({ boats: updatedBoats })
-          .eq('id', location.id)
-      }
-    }
-
-    // Archive the boat
+    await slotAssignmentsService.remove(boatId, 'customer')
     return this.archive(boatId)
   },
 
@@ -319,184 +344,6 @@ export const boatsService = {
 
     return this.create(boatData)
   },
-
-  // Assign boat to location slot (updates both boat and location)
-  async assignToSlot(boatId, locationId, slotId) {
-    // Get location
-    const { data: location, error: locError } = await supabase
-      .from('locations')
-      .select('*')
-      .eq('id', locationId)
-      .single()
-
-    if (locError) throw locError
-
-    // Check if slot is occupied
-    if (location.boats && location.boats[slotId]) {
-      throw new Error('Slot is already occupied')
-    }
-
-    // Get boat
-    const boat = await this.getById(boatId)
-
-    // Remove from old location if exists
-    if (boat.location && boat.slot) {
-      await this.removeFromSlot(boatId)
-    }
-
-    // Update location with new boat
-    const updatedBoats = { ...location.boats, [slotId]: boatId }
-    await supabase
-      .from('locations')
-      .update({ boats: updatedBoats })
-      .eq('id', locationId)
-
-    // Update boat with new location/slot
-    return this.update(boatId, {
-      location: location.name,
-      slot: slotId,
-    })
-  },
-
-  // Remove boat from location slot
-  async removeFromSlot(boatId) {
-    const boat = await this.getById(boatId)
-
-    if (!boat.location || !boat.slot) {
-      return boat // Already unassigned
-    }
-
-    // Find and update location
-    const { data: locations } = await supabase
-      .from('locations')
-      .select('*')
-      .eq('name', boat.location)
-
-    if (locations && locations.length > 0) {
-      const location = locations[0]
-
-      if (location.type === 'pool') {
-        // Pool location - remove from pool_boats array - use String() for consistent comparison
-        const updatedPoolBoats = (location.pool_boats || []).filter(id => String(id) !== String(boatId))
-        await supabase
-          .from('locations')
-          .update({ pool_boats: updatedPoolBoats })
-          .eq('id', location.id)
-      } else {
-        // Grid location - remove from boats object
-        const updatedBoats = { ...location.boats }
-        delete updatedBoats[boat.slot]
-        await supabase
-          .from('locations')
-          .update({ boats: updatedBoats })
-          .eq('id', location.id)
-      }
-    }
-
-    // Update boat
-    return this.update(boatId, {
-      location: null,
-      slot: null,
-    })
-  },
-
-  // Move boat from one slot to another (handles same or different locations)
-  async moveToSlot(boatId, toLocationId, toSlotId) {
-    // Verify target location exists
-    const { error: locError } = await supabase
-      .from('locations')
-      .select('id')
-      .eq('id', toLocationId)
-      .single()
-
-    if (locError) throw locError
-
-    // Remove from ALL locations where this boat might exist (more robust than relying on boat.location)
-    // This ensures the boat is removed even if boat.location is stale or incorrect
-    const { data: allLocations } = await supabase
-      .from('locations')
-      .select('*')
-      .order('id', { ascending: true })
-
-    if (allLocations) {
-      for (const loc of allLocations) {
-        let needsUpdate = false
-        let updatedLocation = { ...loc }
-
-        // Handle grid-type locations - use String() for consistent comparison
-        if (loc.boats) {
-          const slotKey = Object.keys(loc.boats).find(key => String(loc.boats[key]) === String(boatId))
-          if (slotKey) {
-            console.log('[Boats] Found boat in grid location:', loc.name, 'slot:', slotKey, '- removing it')
-            updatedLocation.boats = { ...loc.boats }
-            delete updatedLocation.boats[slotKey]
-            needsUpdate = true
-          }
-        }
-
-        // Handle pool-type locations - use String() for consistent comparison
-        if (loc.type === 'pool' && loc.pool_boats && loc.pool_boats.some(id => String(id) === String(boatId))) {
-          console.log('[Boats] Found boat in pool location:', loc.name, '- removing it')
-          updatedLocation.pool_boats = loc.pool_boats.filter(id => String(id) !== String(boatId))
-          needsUpdate = true
-        }
-
-        // Only update if changes were made
-        if (needsUpdate) {
-          const updateData = {}
-          if (updatedLocation.boats) updateData.boats = updatedLocation.boats
-          if (updatedLocation.pool_boats) updateData.pool_boats = updatedLocation.pool_boats
-
-          await supabase
-            .from('locations')
-            .update(updateData)
-            .eq('id', loc.id)
-        }
-      }
-    }
-
-    // Re-fetch target location to get current state after removal
-    // This is critical for same-location moves (e.g., moving to adjacent cell)
-    const { data: freshLocation, error: freshLocError } = await supabase
-      .from('locations')
-      .select('*')
-      .eq('id', toLocationId)
-      .single()
-
-    if (freshLocError) throw freshLocError
-
-    // Add to target location based on type
-    if (freshLocation.type === 'pool') {
-      // Pool location - add to pool_boats array
-      const currentPoolBoats = freshLocation.pool_boats || []
-      const updatedPoolBoats = [...currentPoolBoats, boatId]
-      await supabase
-        .from('locations')
-        .update({ pool_boats: updatedPoolBoats })
-        .eq('id', toLocationId)
-
-      return this.update(boatId, {
-        location: freshLocation.name,
-        slot: 'pool',
-      })
-    } else {
-      // Grid location - check slot availability and add to boats object
-      if (freshLocation.boats && freshLocation.boats[toSlotId]) {
-        throw new Error('Target slot is already occupied')
-      }
-
-      const updatedNewBoats = { ...freshLocation.boats, [toSlotId]: boatId }
-      await supabase
-        .from('locations')
-        .update({ boats: updatedNewBoats })
-        .eq('id', toLocationId)
-
-      return this.update(boatId, {
-        location: freshLocation.name,
-        slot: toSlotId,
-      })
-    }
-  },
 }
 
 // ============================================================================
@@ -573,14 +420,17 @@ export const boatLifecycleService = {
    * - If boat doesn't exist: creates new with status 'needs-approval'
    * - Prevents duplicates by comprehensive matching
    *
+   * - With inventoryBoatId: that inventory boat is the one being sold, no matching
+   *
    * @param {Object} boatData - Boat data to import
-   * @param {Object} options - { preserveLocation: boolean, targetStatus: string }
+   * @param {Object} options - { preserveLocation: boolean, targetStatus: string, inventoryBoatId: string }
    * @returns {Object} - Created or updated boat
    */
   async importOrUpdateBoat(boatData, options = {}) {
     const {
       preserveLocation = false,
-      targetStatus = this.STATUSES.NEEDS_APPROVAL
+      targetStatus = this.STATUSES.NEEDS_APPROVAL,
+      inventoryBoatId = null
     } = options;
 
     // Clean and prepare boat data
@@ -595,40 +445,24 @@ export const boatLifecycleService = {
     };
 
     // Search for existing boat
-    const existing = await this.findExistingBoat({
-      dockmasterId: cleanData.dockmaster_id,
-      hullId: cleanData.hull_id
-    });
+    const existing = inventoryBoatId
+      ? { boat: { id: inventoryBoatId }, source: 'inventory_boats' }
+      : await this.findExistingBoat({
+          dockmasterId: cleanData.dockmaster_id,
+          hullId: cleanData.hull_id
+        });
 
     if (existing) {
       // FOUND: Update existing boat
       const { boat: existingBoat, source } = existing;
 
-      // If found in inventory_boats, we need to move it to boats table
+      // Found in inventory: it's been sold - same boat, now a customer boat
+      // (keeps its ID, slot, tags, notes and movement history)
       if (source === 'inventory_boats') {
-        // Create in boats table (this is a "promotion" from inventory)
-        const newBoatData = {
+        return await boatIdentityService.sellInventoryBoat(existingBoat.id, {
           ...cleanData,
-          qr_code: `QR-${Date.now()}`,
-          nfc_tag: null,
           status: targetStatus,
-          location: null,
-          slot: null,
-          archived_date: null,
-        };
-
-        const { data: newBoat, error } = await supabase
-          .from('boats')
-          .insert([newBoatData])
-          .select();
-
-        if (error) throw error;
-
-        // Optionally delete from inventory_boats to prevent confusion
-        // (Commented out to preserve inventory history)
-        // await supabase.from('inventory_boats').delete().eq('id', existingBoat.id);
-
-        return newBoat[0];
+        });
       }
 
       // Found in boats table - update it
@@ -706,7 +540,7 @@ export const boatLifecycleService = {
    * - Sets status to 'archived'
    * - Sets archivedDate to now
    * - Clears location and slot
-   * - NOTE: Caller must handle removing from location.boats object
+   * - Clearing location also frees its slot (release_slot_assignment trigger)
    *
    * @param {string} boatId - Boat ID to archive
    * @returns {Object} - Updated boat
@@ -756,12 +590,19 @@ export const boatLifecycleService = {
 // INVENTORY BOATS OPERATIONS (Dockmaster API Boats)
 // ============================================================================
 
+// Inventory lookups skip boats already sold (they're found as customer boats)
+const unsold = query => query.is('customer_boat_id', null)
+
 export const inventoryBoatsService = {
-  // Get all inventory boats
+  ...boatTableMethods('inventory_boats', 'inventory', unsold),
+
+  // Get all inventory boats (with their work phase assignments/completion stamps)
+  // Boats already sold are customer boats now and left out
   async getAll() {
     const { data, error } = await supabase
       .from('inventory_boats')
-      .select('*')
+      .select(`*, phase_records:work_phase_records(${PHASE_RECORD_COLUMNS})`)
+      .is('customer_boat_id', null)
       .order('created_at', { ascending: false })
 
     if (error) throw error
@@ -791,17 +632,6 @@ export const inventoryBoatsService = {
     return data && data.length > 0 ? data[0] : null
   },
 
-  // Get boat by Hull ID
-  async getByHullId(hullId) {
-    const { data, error } = await supabase
-      .from('inventory_boats')
-      .select('*')
-      .eq('hull_id', hullId)
-
-    if (error) throw error
-    return data && data.length > 0 ? data[0] : null
-  },
-
   // Create new inventory boat
   async create(boatData) {
     const { data, error } = await supabase
@@ -872,7 +702,22 @@ export const inventoryBoatsService = {
 
     // Only delete boats on full sync (incremental sync only returns today's changes)
     if (fullSync) {
-      const toDelete = existing.filter(b => !existingIds.has(b.dockmaster_id))
+      let toDelete = existing.filter(b => !existingIds.has(b.dockmaster_id))
+
+      // A unit that goes Sold Delivered (SD) drops out of the feed before the
+      // yard has finished its delivery - keep it until the delivery is closed
+      if (toDelete.length > 0) {
+        const { data: openDeliveries, error: deliveriesError } = await supabase
+          .from('boat_deliveries')
+          .select('inventory_boat_id')
+          .in('inventory_boat_id', toDelete.map(b => b.id))
+          .in('status', ['pending', 'scheduled'])
+
+        if (deliveriesError) throw deliveriesError
+        const delivering = new Set((openDeliveries || []).map(d => d.inventory_boat_id))
+        toDelete = toDelete.filter(b => !delivering.has(b.id))
+      }
+
       if (toDelete.length > 0) {
         console.log(`Deleting ${toDelete.length} boats no longer in Dockmaster`)
         const deleteIds = toDelete.map(b => b.id)
@@ -945,226 +790,435 @@ export const inventoryBoatsService = {
     if (error) throw error
     return data || []
   },
+}
+
+// ============================================================================
+// BOAT IDENTITY LOOKUPS
+// ============================================================================
+// boat_identities lists every boat once - unsold inventory plus customer and
+// storage boats - with its role (see BOAT IDENTITY above)
+
+// Full row of a boat_identities match, tagged with its role
+async function loadIdentity(identity) {
+  if (!identity) return null
+  const isInventory = identity.role === BOAT_ROLES.INVENTORY
+  const boat = await (isInventory ? inventoryBoatsService : boatsService).getById(identity.id)
+  return { ...boat, role: identity.role, isInventory }
+}
+
+export const boatIdentityService = {
+  // Find a boat by any identifying column of boat_identities, in whichever table it lives now
+  async findBy(column, value) {
+    const { data, error } = await supabase
+      .from('boat_identities')
+      .select('id, role')
+      .eq(column, value)
+      .order('created_at', { ascending: false })
+      .limit(1)
+
+    if (error) throw error
+    return loadIdentity(data?.[0])
+  },
+
+  async findById(id) {
+    return this.findBy('id', id)
+  },
 
-  // Assign NFC tag to inventory boat
-  async assignNfcTag(boatId, nfcTag) {
-    const { data: existing, error } = await supabase
+  async findByQrCode(qrCode) {
+    return this.findBy('qr_code', qrCode)
+  },
+
+  async findByNfcTag(nfcTag) {
+    return this.findBy('nfc_tag', normalizeNfcSerial(nfcTag))
+  },
+
+  async findByHullId(hullId) {
+    return this.findBy('hull_id', hullId)
+  },
+
+  // Sell an inventory boat: it becomes a customer boat under the same ID, keeping
+  // its slot, tags and history. customer: boats columns (owner, customer_id,
+  // dockmaster_id, work_order_number, status...); inventory values fill the rest.
+  // Selling a boat twice returns the customer boat from the first time.
+  async sellInventoryBoat(inventoryBoatId, customer = {}) {
+    const { data, error } = await supabase.rpc('sell_inventory_boat', {
+      p_inventory_boat_id: inventoryBoatId,
+      p_customer: customer,
+    })
+
+    if (error) throw error
+    return data
+  },
+
+  // The inventory record a customer boat was sold from, or null
+  async getSoldFrom(boatId) {
+    const { data, error } = await supabase
       .from('inventory_boats')
+      .select('id, dockmaster_id, sales_status, sold_at, created_at')
+      .eq('customer_boat_id', boatId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  },
+}
+
+// Check or uncheck one item of a row's JSONB checklist (boat_deliveries,
+// service_requests) in the database, so ticks made at the same time by
+// someone else aren't overwritten. done_by is the signed-in user, set by the
+// database. Returns the updated row.
+async function setChecklistItem(table, row, itemKey) {
+  const item = (row.checklist || []).find(i => i.key === itemKey)
+  const { data, error } = await supabase.rpc('set_checklist_item', {
+    p_table: table,
+    p_id: row.id,
+    p_item_key: itemKey,
+    p_done: !item?.done,
+  })
+
+  if (error) throw error
+  return data
+}
+
+// ============================================================================
+// BOAT DELIVERIES SERVICE
+// ============================================================================
+// One delivery per sold inventory unit, opened by the database when the
+// inventory sync sees it flip to S / HS (see boat_deliveries migration)
+
+export const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  SCHEDULED: 'scheduled',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+}
+
+export const deliveriesService = {
+  // Get deliveries, open ones by delivery date (undated last)
+  async getAll({ includeClosed = false } = {}) {
+    let query = supabase
+      .from('boat_deliveries')
       .select('*')
-      .eq('nfc_tag', nfcTag)
+      .order('delivery_date', { ascending: true, nullsFirst: false })
+      .order('sold_at', { ascending: true })
 
-    // If we found a boat with this tag and it's not the current boat, throw error
-    if (existing && existing.length > 0 && existing[0].id !== boatId) {
-      throw new Error('NFC tag is already assigned to another boat')
+    if (!includeClosed) {
+      query = query.in('status', [DELIVERY_STATUSES.PENDING, DELIVERY_STATUSES.SCHEDULED])
     }
 
-    return this.update(boatId, { nfc_tag: nfcTag })
-  },
-
-  // Release NFC tag
-  async releaseNfcTag(boatId) {
-    return this.update(boatId, { nfc_tag: null })
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
   },
 
-  // Assign to location slot
-  async assignToSlot(boatId, locationId, slotId) {
-    const { data: location, error: locError } = await supabase
-      .from('locations')
+  // Open delivery for an inventory boat, or null
+  async getByInventoryBoatId(inventoryBoatId) {
+    const { data, error } = await supabase
+      .from('boat_deliveries')
       .select('*')
-      .eq('id', locationId)
-      .single()
+      .eq('inventory_boat_id', inventoryBoatId)
+      .in('status', [DELIVERY_STATUSES.PENDING, DELIVERY_STATUSES.SCHEDULED])
+      .maybeSingle()
 
-    if (locError) throw locError
+    if (error) throw error
+    return data
+  },
 
-    if (location.boats && location.boats[slotId]) {
-      throw new Error('Slot is already occupied')
+  // Update delivery details (date, customer, notes); a date makes it scheduled
+  async update(id, updates, userId = null) {
+    const changes = { ...updates, updated_at: new Date().toISOString(), updated_by: userId }
+    if ('delivery_date' in updates) {
+      changes.status = updates.delivery_date ? DELIVERY_STATUSES.SCHEDULED : DELIVERY_STATUSES.PENDING
     }
 
-    const boat = await this.getById(boatId)
+    const { data, error } = await supabase
+      .from('boat_deliveries')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
 
-    // Remove from old location if exists
-    if (boat.location && boat.slot) {
-      await this.removeFromSlot(boatId)
+  // Check or uncheck one checklist item
+  async toggleItem(delivery, itemKey) {
+    return setChecklistItem('boat_deliveries', delivery, itemKey)
+  },
+
+  // Hand the boat over: the inventory boat becomes a customer boat (same ID,
+  // slot, notes and history) and the delivery is closed
+  async completeDelivery(delivery, userId = null) {
+    const pending = (delivery.checklist || []).filter(item => !item.done)
+    if (pending.length > 0) {
+      throw new Error(`Checklist not finished: ${pending.map(item => item.label).join(', ')}`)
     }
 
-    // Update location
-    const updatedBoats = { ...location.boats, [slotId]: boatId }
-    await supabase
-      .from('locations')
-      .update({ boats: updatedBoats })
-      .eq('id', locationId)
+    // delivery.dockmaster_id is the inventory unit's ID, not the customer
+    // boat's - the customer IDs are only set if the team entered them
+    const boatData = {
+      name: delivery.boat_name,
+      model: delivery.model,
+      hullId: delivery.hull_id,
+      dockmasterId: delivery.customer_dockmaster_boat_id || null,
+      owner: delivery.customer_name,
+      customerId: delivery.customer_id || null,
+    }
 
-    // Update boat
-    return this.update(boatId, {
-      location: location.name,
-      slot: slotId,
+    // Converted by ID while the unit is still in inventory - matching by hull or
+    // Dockmaster ID could land on another boat record first
+    const boat = await boatLifecycleService.importOrUpdateBoat(boatData, {
+      preserveLocation: true,
+      targetStatus: boatLifecycleService.STATUSES.ALL_WORK_COMPLETE,
+      inventoryBoatId: delivery.inventory_boat_id,
     })
+
+    const now = new Date().toISOString()
+    const { data, error } = await supabase
+      .from('boat_deliveries')
+      .update({
+        status: DELIVERY_STATUSES.DELIVERED,
+        boat_id: boat.id,
+        delivered_at: now,
+        delivered_by: userId,
+        updated_at: now,
+        updated_by: userId,
+      })
+      .eq('id', delivery.id)
+      .select()
+      .single()
+
+    if (error) throw error
+    return { delivery: data, boat }
   },
+}
 
-  // Remove from slot
-  async removeFromSlot(boatId) {
-    console.log('[removeFromSlot] Starting removal for boat:', boatId)
+// ============================================================================
+// STORAGE CONTRACTS SERVICE
+// ============================================================================
+// One contract per storage boat per season (see storage_contracts migration)
 
-    // Fetch all locations to find which one contains this boat
-    const { data: allLocations } = await supabase
-      .from('locations')
+export const storageContractsService = {
+  // Get a season's contracts with their boat, for the billing summary
+  async getBySeason(season) {
+    const { data, error } = await supabase
+      .from('storage_contracts')
+      .select('*, boat:boats(id, name, model, hull_id, owner, customer_id, location, slot, storage_boat, status)')
+      .eq('season', season)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  },
+
+  // Get a boat's contracts, newest season first
+  async getForBoat(boatId) {
+    const { data, error } = await supabase
+      .from('storage_contracts')
       .select('*')
+      .eq('boat_id', boatId)
+      .order('season', { ascending: false })
 
-    console.log('[removeFromSlot] Searching through all locations for boat:', boatId)
-
-    // Search through all locations to find where this boat is
-    for (const location of allLocations || []) {
-      let foundInLocation = false
-
-      if (location.type === 'pool') {
-        // Check pool_boats array - use String() for consistent comparison
-        const poolBoats = location.pool_boats || []
-        if (poolBoats.some(id => String(id) === String(boatId))) {
-          console.log('[removeFromSlot] Found boat in pool location:', location.name)
-          foundInLocation = true
-          const updatedPoolBoats = poolBoats.filter(id => String(id) !== String(boatId))
-          await supabase
-            .from('locations')
-            .update({ pool_boats: updatedPoolBoats })
-            .eq('id', location.id)
-          console.log('[removeFromSlot] Removed from pool_boats')
-        }
-      } else {
-        // Check boats object for grid locations - use String() for consistent comparison
-        const boats = location.boats || {}
-        const slotWithBoat = Object.keys(boats).find(slot => String(boats[slot]) === String(boatId))
-        if (slotWithBoat) {
-          console.log('[removeFromSlot] Found boat in grid location:', location.name, 'slot:', slotWithBoat)
-          foundInLocation = true
-          const updatedBoats = { ...boats }
-          delete updatedBoats[slotWithBoat]
-          await supabase
-            .from('locations')
-            .update({ boats: updatedBoats })
-            .eq('id', location.id)
-          console.log('[removeFromSlot] Removed from boats object')
-        }
-      }
+    if (error) throw error
+    return data || []
+  },
 
-      if (foundInLocation) {
-        break // Found and removed, no need to check other locations
-      }
+  // Create or update the boat's contract for contract.season
+  async save(contract, userId = null) {
+    const now = new Date().toISOString()
+    const row = {
+      ...contract,
+      updated_at: now,
+      updated_by: userId,
+      ...(contract.id ? {} : { created_by: userId }),
     }
 
-    // Always clear the boat's location and slot fields
-    console.log('[removeFromSlot] Clearing boat location and slot fields')
-    const result = await this.update(boatId, {
-      location: null,
-      slot: null,
-    })
-    console.log('[removeFromSlot] Removal complete:', result)
-    return result
+    const { data, error } = await supabase
+      .from('storage_contracts')
+      .upsert(row, { onConflict: 'boat_id,season' })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
   },
 
-  // Move to slot
-  async moveToSlot(boatId, toLocationId, toSlotId) {
-    // First, fetch target location to validate it exists
-    const { data: toLocation, error: locError } = await supabase
-      .from('locations')
-      .select('*')
-      .eq('id', toLocationId)
-      .single()
+  // Delete a contract
+  async delete(id) {
+    const { error } = await supabase
+      .from('storage_contracts')
+      .delete()
+      .eq('id', id)
 
-    if (locError) throw locError
+    if (error) throw error
+  },
+}
 
-    const boat = await this.getById(boatId)
+// ============================================================================
+// LAUNCH SCHEDULE SERVICE
+// ============================================================================
+// Launches and haul-outs per storage boat per season (see launch_schedule migration)
 
-    // Remove from ALL locations where this boat might exist (more robust than relying on boat.location)
-    // Force fresh data by using order() which bypasses some caching
-    const { data: allLocations } = await supabase
-      .from('locations')
+export const launchScheduleService = {
+  // Get scheduled moves between two dates (YYYY-MM-DD, inclusive)
+  async getRange(fromDate, toDate) {
+    const { data, error } = await supabase
+      .from('launch_schedule')
       .select('*')
-      .order('id', { ascending: true })
-
-    if (allLocations) {
-      for (const loc of allLocations) {
-        let needsUpdate = false
-        let updatedLocation = { ...loc }
-
-        // Handle grid-type locations - use String() for consistent comparison
-        if (loc.boats) {
-          const slotKey = Object.keys(loc.boats).find(key => String(loc.boats[key]) === String(boatId))
-          if (slotKey) {
-            console.log('[Inventory] Found boat in grid location:', loc.name, 'slot:', slotKey, '- removing it')
-            updatedLocation.boats = { ...loc.boats }
-            delete updatedLocation.boats[slotKey]
-            needsUpdate = true
-          }
-        }
+      .gte('scheduled_date', fromDate)
+      .lte('scheduled_date', toDate)
+      .order('scheduled_date', { ascending: true })
 
-        // Handle pool-type locations - use String() for consistent comparison
-        if (loc.type === 'pool' && loc.pool_boats && loc.pool_boats.some(id => String(id) === String(boatId))) {
-          console.log('[Inventory] Found boat in pool location:', loc.name, '- removing it')
-          updatedLocation.pool_boats = loc.pool_boats.filter(id => String(id) !== String(boatId))
-          needsUpdate = true
-        }
+    if (error) throw error
+    return data || []
+  },
 
-        // Only update if changes were made
-        if (needsUpdate) {
-          const updateData = {}
-          if (updatedLocation.boats) updateData.boats = updatedLocation.boats
-          if (updatedLocation.pool_boats) updateData.pool_boats = updatedLocation.pool_boats
+  // Get a season's moves (to know which boats still need scheduling)
+  async getBySeason(season) {
+    const { data, error } = await supabase
+      .from('launch_schedule')
+      .select('*')
+      .eq('season', season)
 
-          await supabase
-            .from('locations')
-            .update(updateData)
-            .eq('id', loc.id)
-        }
-      }
+    if (error) throw error
+    return data || []
+  },
+
+  // Schedule a boat's launch or haul-out for entry.season (replaces an existing one)
+  async schedule(entry, userId = null) {
+    const { data, error } = await supabase
+      .from('launch_schedule')
+      .upsert({
+        ...entry,
+        status: 'scheduled',
+        created_by: userId,
+        updated_by: userId,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'boat_id,kind,season' })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
+
+  // Update a scheduled move (date, site, destination, notes, status)
+  async update(id, updates, userId = null) {
+    const changes = { ...updates, updated_by: userId, updated_at: new Date().toISOString() }
+    if (updates.status === 'done') {
+      changes.completed_at = changes.updated_at
+      changes.completed_by = userId
+    } else if (updates.status) {
+      changes.completed_at = null
+      changes.completed_by = null
     }
 
-    // Refetch target location to get fresh data after removals
-    const { data: freshToLocation, error: refetchError } = await supabase
-      .from('locations')
-      .select('*')
-      .eq('id', toLocationId)
+    const { data, error } = await supabase
+      .from('launch_schedule')
+      .update(changes)
+      .eq('id', id)
+      .select()
       .single()
 
-    if (refetchError) throw refetchError
-
-    // Add to target location based on type
-    if (freshToLocation.type === 'pool') {
-      // Pool location - add to pool_boats array
-      const currentPoolBoats = freshToLocation.pool_boats || []
-
-      // Only add if not already present (safety check)
-      if (!currentPoolBoats.includes(boatId)) {
-        const updatedPoolBoats = [...currentPoolBoats, boatId]
-        await supabase
-          .from('locations')
-          .update({ pool_boats: updatedPoolBoats })
-          .eq('id', toLocationId)
-      } else {
-        console.log('[Inventory] Boat already in target pool, skipping add')
-      }
+    if (error) throw error
+    return data
+  },
 
-      return this.update(boatId, {
-        location: freshToLocation.name,
-        slot: 'pool',
-      })
-    } else {
-      // Grid location - check slot availability and add to boats object
-      if (freshToLocation.boats && freshToLocation.boats[toSlotId]) {
-        throw new Error('Target slot is already occupied')
-      }
+  // Remove a move from the schedule
+  async delete(id) {
+    const { error } = await supabase
+      .from('launch_schedule')
+      .delete()
+      .eq('id', id)
+
+    if (error) throw error
+  },
+}
 
-      const updatedNewBoats = { ...freshToLocation.boats, [toSlotId]: boatId }
-      await supabase
-        .from('locations')
-        .update({ boats: updatedNewBoats })
-        .eq('id', toLocationId)
+// ============================================================================
+// SLOT ASSIGNMENTS (which boat is in which slot)
+// ============================================================================
+// Occupancy lives in the slot_assignments table, not on the location row.
+// The database enforces one boat per grid slot and one slot per boat, and
+// move_boat_to_slot swaps a boat's assignment and its location/slot fields in
+// a single transaction, so two people dragging at once can't double-book.
 
-      return this.update(boatId, {
-        location: freshToLocation.name,
-        slot: toSlotId,
-      })
-    }
+export const slotAssignmentsService = {
+  // Get every assignment (oldest first, so pools keep their arrival order)
+  async getAll() {
+    const { data, error } = await supabase
+      .from('slot_assignments')
+      .select('*')
+      .order('assigned_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
   },
+
+  // Move a boat into a slot ('pool' for pool locations), freeing wherever it was
+  // Throws 'Target slot is already occupied' (23505) if another boat holds the slot,
+  // or 'Boat was moved by someone else' (40001) if expectedVersion is stale
+  async move(boatId, boatType, locationId, slotId, expectedVersion = null) {
+    const { data, error } = await supabase.rpc('move_boat_to_slot', {
+      p_boat_id: boatId,
+      p_boat_type: boatType,
+      p_location_id: locationId,
+      p_slot_id: slotId,
+      p_expected_version: expectedVersion,
+    })
+
+    if (error) throw error
+    return data
+  },
+
+  // Take a boat out of the yard (no location)
+  async remove(boatId, boatType, expectedVersion = null) {
+    return this.move(boatId, boatType, null, null, expectedVersion)
+  },
+
+  // Empty every slot in a location and unassign those boats
+  async clearLocation(locationId) {
+    const { data, error } = await supabase.rpc('clear_location_slots', {
+      p_location_id: locationId,
+    })
+
+    if (error) throw error
+    return data
+  },
+}
+
+// Error for a write that lost a race with another device
+// code is 'VERSION_CONFLICT'; conflict carries whatever detail the caller could find
+export const createVersionConflict = (message, conflict = null) => {
+  const error = new Error(message)
+  error.code = 'VERSION_CONFLICT'
+  error.conflict = conflict
+  return error
+}
+
+// Columns for location reads - occupancy is joined in from slot_assignments
+const LOCATION_COLUMNS = '*, slot_assignments(slot_id, boat_id, assigned_at)'
+
+// Turn joined assignment rows back into the boats map / pool_boats array the UI uses
+const withOccupancy = (location) => {
+  if (!location) return location
+  const { slot_assignments: assignments = [], ...rest } = location
+  const boats = {}
+  const poolBoats = []
+
+  const ordered = [...(assignments || [])]
+    .sort((a, b) => new Date(a.assigned_at) - new Date(b.assigned_at))
+
+  ordered.forEach(({ slot_id, boat_id }) => {
+    if (slot_id === 'pool') {
+      poolBoats.push(boat_id)
+    } else {
+      boats[slot_id] = boat_id
+    }
+  })
+
+  return { ...rest, boats, pool_boats: poolBoats }
 }
 
 // ============================================================================
@@ -1176,23 +1230,23 @@ export const locationsService = {
   async getAll() {
     const { data, error } = await supabase
       .from('locations')
-      .select('*')
+      .select(LOCATION_COLUMNS)
       .order('name', { ascending: true })
 
     if (error) throw error
-    return data || []
+    return (data || []).map(withOccupancy)
   },
 
   // Get single location
   async getById(id) {
     const { data, error } = await supabase
       .from('locations')
-      .select('*')
+      .select(LOCATION_COLUMNS)
       .eq('id', id)
       .single()
 
     if (error) throw error
-    return data
+    return withOccupancy(data)
   },
 
   // Create location
@@ -1200,22 +1254,47 @@ export const locationsService = {
     const { data, error } = await supabase
       .from('locations')
       .insert([locationData])
-      .select()
+      .select(LOCATION_COLUMNS)
 
     if (error) throw error
-    return data && data.length > 0 ? data[0] : null
+    return data && data.length > 0 ? withOccupancy(data[0]) : null
   },
 
   // Update location
-  async update(id, updates) {
-    const { data, error } = await supabase
+  // With expectedVersion, the write only applies if nobody else edited it since
+  async update(id, updates, expectedVersion = null) {
+    let query = supabase
       .from('locations')
       .update(updates)
       .eq('id', id)
-      .select()
+
+    if (expectedVersion != null) {
+      query = query.eq('version', expectedVersion)
+    }
+
+    const { data, error } = await query.select(LOCATION_COLUMNS)
 
     if (error) throw error
-    return data && data.length > 0 ? data[0] : null
+    if (expectedVersion != null && (!data || data.length === 0)) {
+      throw createVersionConflict('This location was changed by someone else. Reloaded the latest version - please make your edit again.')
+    }
+    return data && data.length > 0 ? withOccupancy(data[0]) : null
+  },
+
+  // Place a location on its site map ({ x, y, widthFt, heightFt, rotation } in feet)
+  // Pass null to take it off the map
+  async updateMapPlacement(id, placement) {
+    const updates = placement
+      ? {
+          map_x: placement.x,
+          map_y: placement.y,
+          map_width_ft: placement.widthFt,
+          map_height_ft: placement.heightFt,
+          map_rotation: placement.rotation || 0,
+        }
+      : { map_x: null, map_y: null, map_width_ft: null, map_height_ft: null, map_rotation: 0 }
+
+    return this.update(id, updates)
   },
 
   // Delete location
@@ -1240,11 +1319,11 @@ export const locationsService = {
   async getByName(name) {
     const { data, error } = await supabase
       .from('locations')
-      .select('*')
+      .select(LOCATION_COLUMNS)
       .eq('name', name)
 
     if (error) throw error
-    return data && data.length > 0 ? data[0] : null
+    return data && data.length > 0 ? withOccupancy(data[0]) : null
   },
 
   // Get all boats at a location (returns full boat objects)
@@ -1252,13 +1331,13 @@ export const locationsService = {
     const location = await this.getById(locationId)
     if (!location || !location.boats) return []
 
-    const boatIds = Object.values(location.boats)
+    const boatIds = [...Object.values(location.boats), ...location.pool_boats]
     return boatsData.filter(boat => boatIds.includes(boat.id))
   },
 
   // Clear all boats from location (emergency use)
   async clearAllBoats(locationId) {
-    return this.update(locationId, { boats: {} })
+    return slotAssignmentsService.clearLocation(locationId)
   },
 }
 
@@ -1371,12 +1450,12 @@ export const sitesService = {
   async getLocationsForSite(siteId) {
     const { data, error } = await supabase
       .from('locations')
-      .select('*')
+      .select(LOCATION_COLUMNS)
       .eq('site_id', siteId)
       .order('name', { ascending: true })
 
     if (error) throw error
-    return data || []
+    return (data || []).map(withOccupancy)
   },
 }
 
@@ -1488,6 +1567,18 @@ export const usersService = {
     return data || []
   },
 
+  // Set how many hours a technician can be booked per day
+  async updateCapacity(userId, dailyCapacityHours) {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ daily_capacity_hours: dailyCapacityHours })
+      .eq('id', userId)
+      .select()
+
+    if (error) throw error
+    return data && data.length > 0 ? data[0] : null
+  },
+
   // Update user role
   async updateRole(userId, role) {
     const { data, error } = await supabase
@@ -1501,6 +1592,144 @@ export const usersService = {
   },
 }
 
+// ============================================================================
+// WORKFLOW DEFINITIONS (work phases and statuses per boat category)
+// ============================================================================
+
+export const workflowService = {
+  // Get all definitions, keyed by category ('customer', 'storage', 'inventory')
+  async getAll() {
+    const { data, error } = await supabase
+      .from('workflow_definitions')
+      .select('*')
+
+    if (error) throw error
+    return Object.fromEntries((data || []).map(row => [row.category, row]))
+  },
+
+  // Save one category's definition (admins only, enforced by RLS)
+  async save(category, { phases, statuses }, userId = null) {
+    const { data, error } = await supabase
+      .from('workflow_definitions')
+      .upsert(
+        {
+          category,
+          phases,
+          statuses,
+          updated_at: new Date().toISOString(),
+          updated_by: userId,
+        },
+        { onConflict: 'category' }
+      )
+      .select()
+
+    if (error) throw error
+    return data && data.length > 0 ? data[0] : null
+  },
+}
+
+// ============================================================================
+// WORK PHASE RECORDS (assignee, due date and completion stamp per phase)
+// ============================================================================
+
+const PHASE_RECORD_COLUMNS = `
+  *,
+  assignee:users!work_phase_records_assigned_to_fkey(id, name),
+  completer:users!work_phase_records_completed_by_fkey(id, name)
+`
+
+// Map a work_phase_records row to camelCase
+export const toPhaseRecord = (r) => ({
+  id: r.id,
+  boatId: r.boat_id || r.inventory_boat_id,
+  boatType: r.inventory_boat_id ? 'inventory' : 'customer',
+  scope: r.scope,
+  phaseKey: r.phase_key,
+  assignedTo: r.assigned_to,
+  assignee: r.assignee,
+  dueDate: r.due_date,
+  completedAt: r.completed_at,
+  completedBy: r.completed_by,
+  completer: r.completer,
+  updatedAt: r.updated_at,
+})
+
+// Row identity for a boat's phase - customer and inventory boats live in different tables
+const phaseRecordTarget = ({ boatId, isInventory, scope, phaseKey }) => ({
+  row: {
+    [isInventory ? 'inventory_boat_id' : 'boat_id']: boatId,
+    scope,
+    phase_key: phaseKey,
+  },
+  onConflict: isInventory ? 'inventory_boat_id,scope,phase_key' : 'boat_id,scope,phase_key',
+})
+
+export const workPhasesService = {
+  // Set assignee and/or due date for a phase - changes: { assignedTo, dueDate }
+  async setDetails(target, changes, userId = null) {
+    const { row, onConflict } = phaseRecordTarget(target)
+    if ('assignedTo' in changes) row.assigned_to = changes.assignedTo || null
+    if ('dueDate' in changes) row.due_date = changes.dueDate || null
+
+    const { data, error } = await supabase
+      .from('work_phase_records')
+      .upsert({ ...row, updated_at: new Date().toISOString(), updated_by: userId }, { onConflict })
+      .select(PHASE_RECORD_COLUMNS)
+
+    if (error) throw error
+    return data && data.length > 0 ? toPhaseRecord(data[0]) : null
+  },
+
+  // Stamp (or clear) who completed a phase and when
+  async recordCompletion(target, complete, userId = null) {
+    const { row, onConflict } = phaseRecordTarget(target)
+    const now = new Date().toISOString()
+
+    const { data, error } = await supabase
+      .from('work_phase_records')
+      .upsert({
+        ...row,
+        completed_at: complete ? now : null,
+        completed_by: complete ? userId : null,
+        updated_at: now,
+        updated_by: userId,
+      }, { onConflict })
+      .select(PHASE_RECORD_COLUMNS)
+
+    if (error) throw error
+    return data && data.length > 0 ? toPhaseRecord(data[0]) : null
+  },
+
+  // Search phase records across all boats
+  // filters: { phaseKey, completedBy, assignedTo, completedFrom, completedTo (ISO timestamps),
+  //            open (true = not completed), dueBefore (YYYY-MM-DD), boatType, limit }
+  async search({ phaseKey = null, completedBy = null, assignedTo = null, completedFrom = null, completedTo = null, open = false, dueBefore = null, boatType = null, limit = 1000 } = {}) {
+    let query = supabase
+      .from('work_phase_records')
+      .select(PHASE_RECORD_COLUMNS)
+      .limit(limit)
+
+    if (open) {
+      query = query.is('completed_at', null).order('due_date', { ascending: true, nullsFirst: false })
+    } else {
+      query = query.not('completed_at', 'is', null).order('completed_at', { ascending: false })
+    }
+    if (phaseKey) query = query.eq('phase_key', phaseKey)
+    if (completedBy) query = query.eq('completed_by', completedBy)
+    if (assignedTo) query = query.eq('assigned_to', assignedTo)
+    if (completedFrom) query = query.gte('completed_at', completedFrom)
+    if (completedTo) query = query.lte('completed_at', completedTo)
+    if (dueBefore) query = query.lte('due_date', dueBefore)
+    if (boatType === 'customer') query = query.not('boat_id', 'is', null)
+    if (boatType === 'inventory') query = query.not('inventory_boat_id', 'is', null)
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return (data || []).map(toPhaseRecord)
+  },
+}
+
 // ============================================================================
 // SERVICE REQUESTS (Sales-to-Service Collaboration)
 // ============================================================================
@@ -1512,10 +1741,13 @@ export const requestsService = {
       .from('service_requests')
       .select(`
         *,
-        inventory_boat:inventory_boats(id, name, make, model, year, hull_id, stock_number, dockmaster_id, color),
+        inventory_boat:inventory_boats(id, name, make, model, year, hull_id, stock_number, dockmaster_id, color, estimates_approved_by, estimates_approved_at, estimates_approval_hash),
         creator:users!service_requests_created_by_fkey(id, name),
         service_completer:users!service_requests_service_completed_by_fkey(id, name),
         confirmer:users!service_requests_confirmed_by_fkey(id, name),
+        technician:users!service_requests_technician_id_fkey(id, name),
+        manager:users!service_requests_manager_id_fkey(id, name),
+        status_history:request_status_history(*, user:users!request_status_history_changed_by_fkey(id, name)),
         estimates_approver:users!service_requests_estimates_approved_by_fkey(id, name),
         messages:request_messages(*, user:users(id, name)),
         attachments:request_attachments(*, uploaded_by:users(id, name))
@@ -1547,10 +1779,13 @@ export const requestsService = {
       .from('service_requests')
       .select(`
         *,
-        inventory_boat:inventory_boats(id, name, make, model, year, hull_id, stock_number, dockmaster_id, color),
+        inventory_boat:inventory_boats(id, name, make, model, year, hull_id, stock_number, dockmaster_id, color, estimates_approved_by, estimates_approved_at, estimates_approval_hash),
         creator:users!service_requests_created_by_fkey(id, name),
         service_completer:users!service_requests_service_completed_by_fkey(id, name),
         confirmer:users!service_requests_confirmed_by_fkey(id, name),
+        technician:users!service_requests_technician_id_fkey(id, name),
+        manager:users!service_requests_manager_id_fkey(id, name),
+        status_history:request_status_history(*, user:users!request_status_history_changed_by_fkey(id, name)),
         messages:request_messages(*, user:users(id, name)),
         attachments:request_attachments(*, uploaded_by:users(id, name))
       `)
@@ -1580,10 +1815,13 @@ export const requestsService = {
       .from('service_requests')
       .select(`
         *,
-        inventory_boat:inventory_boats(id, name, make, model, year, hull_id, stock_number, dockmaster_id, color),
+        inventory_boat:inventory_boats(id, name, make, model, year, hull_id, stock_number, dockmaster_id, color, estimates_approved_by, estimates_approved_at, estimates_approval_hash),
         creator:users!service_requests_created_by_fkey(id, name),
         service_completer:users!service_requests_service_completed_by_fkey(id, name),
         confirmer:users!service_requests_confirmed_by_fkey(id, name),
+        technician:users!service_requests_technician_id_fkey(id, name),
+        manager:users!service_requests_manager_id_fkey(id, name),
+        status_history:request_status_history(*, user:users!request_status_history_changed_by_fkey(id, name)),
         messages:request_messages(*, user:users(id, name)),
         attachments:request_attachments(*, uploaded_by:users(id, name))
       `)
@@ -1644,6 +1882,11 @@ export const requestsService = {
     return data?.[0]
   },
 
+  // Check or uncheck one checklist item
+  async toggleChecklistItem(request, itemKey) {
+    return setChecklistItem('service_requests', request, itemKey)
+  },
+
   // Confirm complete (by original requester)
   async confirmComplete(id, userId) {
     const { data, error } = await supabase
@@ -1661,14 +1904,9 @@ export const requestsService = {
   },
 
   // Approve estimates (sales manager only)
-  // Stores approval on inventory_boats table (single source of truth)
-  async approveEstimates(requestId, userId, hash) {
-    const approvalData = {
-      estimates_approved_by: userId,
-      estimates_approved_at: new Date().toISOString(),
-      estimates_approval_hash: hash
-    }
-
+  // Stores approval on inventory_boats table (single source of truth), with a
+  // snapshot of the approved estimates in estimate_approvals
+  async approveEstimates(requestId, userId, estimates) {
     // Get the request to find the inventory_boat_id
     const { data: request, error: fetchError } = await supabase
       .from('service_requests')
@@ -1682,15 +1920,7 @@ export const requestsService = {
       throw new Error('Request has no linked inventory boat')
     }
 
-    // Update only the inventory_boat (single source of truth)
-    const { data, error } = await supabase
-      .from('inventory_boats')
-      .update(approvalData)
-      .eq('id', request.inventory_boat_id)
-      .select()
-
-    if (error) throw error
-    return data?.[0]
+    return estimateApprovalsService.approve(request.inventory_boat_id, estimates, userId)
   },
 
   // Add message to request
@@ -1871,6 +2101,26 @@ export const estimatesService = {
     return data || []
   },
 
+  // Estimated labor hours per boat, keyed by dockmaster_id (for request scheduling)
+  async getHoursForInventoryBoats(dockmasterIds) {
+    const ids = [...new Set(dockmasterIds.filter(Boolean).map(String))]
+    if (ids.length === 0) return {}
+
+    const { data, error } = await supabase
+      .from('work_orders')
+      .select('rigging_id, operations:work_order_operations(estimated_labor_hours, total_labor_hours)')
+      .eq('is_estimate', true)
+      .in('rigging_id', ids)
+
+    if (error) throw error
+
+    const hours = {}
+    for (const estimate of (data || [])) {
+      hours[estimate.rigging_id] = (hours[estimate.rigging_id] || 0) + sumEstimateHours([estimate])
+    }
+    return hours
+  },
+
   // Trigger manual sync (calls edge function)
   async sync() {
     const { data, error } = await supabase.functions.invoke('dockmaster-estimates-incremental')
@@ -1893,6 +2143,283 @@ export const estimatesService = {
   }
 }
 
+// ============================================================================
+// REQUEST TYPES (request types and their status pipelines)
+// ============================================================================
+
+export const requestTypesService = {
+  // Get all types, in board order
+  async getAll() {
+    const { data, error } = await supabase
+      .from('request_types')
+      .select('*')
+      .order('sort_order')
+      .order('label')
+
+    if (error) throw error
+    return data || []
+  },
+
+  // Create or update a type (admins only, enforced by RLS)
+  async save({ key, label, color, statuses, sla, sort_order, is_active }, userId = null) {
+    const { data, error } = await supabase
+      .from('request_types')
+      .upsert(
+        {
+          key,
+          label,
+          color,
+          statuses,
+          sla,
+          sort_order,
+          is_active,
+          updated_at: new Date().toISOString(),
+          updated_by: userId,
+        },
+        { onConflict: 'key' }
+      )
+      .select()
+
+    if (error) throw error
+    return data && data.length > 0 ? data[0] : null
+  },
+}
+
+// ============================================================================
+// REQUEST TEMPLATES (checklist items per request type, make and model)
+// ============================================================================
+
+export const requestTemplatesService = {
+  // Get all templates, by type then name
+  async getAll() {
+    const { data, error } = await supabase
+      .from('request_templates')
+      .select('*')
+      .order('request_type')
+      .order('name')
+
+    if (error) throw error
+    return data || []
+  },
+
+  // Create or update a template
+  async save(template, userId = null) {
+    const now = new Date().toISOString()
+    const row = {
+      name: template.name,
+      request_type: template.request_type,
+      make: template.make || null,
+      model: template.make ? (template.model || null) : null,
+      items: template.items,
+      is_active: template.is_active,
+      updated_by: userId,
+      updated_at: now,
+    }
+
+    const query = template.id
+      ? supabase.from('request_templates').update(row).eq('id', template.id)
+      : supabase.from('request_templates').insert([{ ...row, created_by: userId }])
+
+    const { data, error } = await query.select().single()
+
+    if (error) throw error
+    return data
+  },
+
+  // Delete a template (requests keep the checklist they were created with)
+  async delete(id) {
+    const { error } = await supabase
+      .from('request_templates')
+      .delete()
+      .eq('id', id)
+
+    if (error) throw error
+  }
+}
+
+// ============================================================================
+// ESTIMATE APPROVALS (snapshot of the estimates a sales manager approved)
+// ============================================================================
+
+export const estimateApprovalsService = {
+  // Latest approval for an inventory boat, with its snapshot
+  async getLatest(inventoryBoatId) {
+    const { data, error } = await supabase
+      .from('estimate_approvals')
+      .select('*, approver:users!estimate_approvals_approved_by_fkey(id, name)')
+      .eq('inventory_boat_id', inventoryBoatId)
+      .order('approved_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  },
+
+  // Approve the current estimates: snapshot them and update the boat's approval
+  // Returns the approval fields written to inventory_boats
+  async approve(inventoryBoatId, estimates, userId) {
+    const hash = computeEstimatesHash(estimates)
+    const approvedAt = new Date().toISOString()
+
+    const { error: snapshotError } = await supabase
+      .from('estimate_approvals')
+      .insert([{
+        inventory_boat_id: inventoryBoatId,
+        approved_by: userId,
+        approved_at: approvedAt,
+        approval_hash: hash,
+        snapshot: snapshotEstimates(estimates),
+        // Nothing to notify about until the estimates move off this hash
+        notified_hash: hash,
+      }])
+
+    if (snapshotError) throw snapshotError
+
+    const approvalData = {
+      estimates_approved_by: userId,
+      estimates_approved_at: approvedAt,
+      estimates_approval_hash: hash
+    }
+
+    const { error } = await supabase
+      .from('inventory_boats')
+      .update(approvalData)
+      .eq('id', inventoryBoatId)
+
+    if (error) throw error
+    return approvalData
+  }
+}
+
+// ============================================================================
+// SYNC STATUS (latest state per sync job, plus run history)
+// ============================================================================
+
+export const syncStatusService = {
+  // Get the latest status row for every sync job
+  async getAll() {
+    const { data, error } = await supabase
+      .from('sync_status')
+      .select('*')
+
+    if (error) throw error
+    return data || []
+  },
+
+  // Runs, errors and durations per job per local day since a date
+  // Rows: { job_id, day (YYYY-MM-DD), runs, errors, total_duration_ms, timed_runs }
+  async getHistorySummary(since) {
+    const { data, error } = await supabase.rpc('get_sync_history_summary', {
+      p_since: since,
+      p_time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    })
+
+    if (error) throw error
+    return data || []
+  },
+
+  // Most recent failed runs of one job since a date, newest first
+  async getRecentErrors(jobId, since, limit = 5) {
+    const { data, error } = await supabase
+      .from('sync_status_history')
+      .select('*')
+      .eq('job_id', jobId)
+      .eq('status', 'error')
+      .gte('recorded_at', since)
+      .order('recorded_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  },
+
+  // Record a run of a sync driven from the app (the inventory sync)
+  // run: { status, recordsSynced, errorMessage, durationMs }
+  async recordRun(jobId, { status, recordsSynced = null, errorMessage = null, durationMs = null }) {
+    const now = new Date().toISOString()
+    const row = {
+      id: jobId,
+      status,
+      records_synced: recordsSynced,
+      error_message: errorMessage,
+      last_duration_ms: durationMs,
+      updated_at: now,
+    }
+    if (status === 'success') {
+      row.last_sync = now
+      row.last_success = now
+    }
+
+    const { error } = await supabase
+      .from('sync_status')
+      .upsert(row, { onConflict: 'id' })
+
+    if (error) throw error
+  },
+
+  // Run a sync edge function now
+  async runFunction(functionName, body = {}) {
+    const { data, error } = await supabase.functions.invoke(functionName, { body })
+    if (error) throw error
+    return data
+  },
+}
+
+// Per-run log written by the sync edge functions, with the records that failed
+export const syncRunsService = {
+  // Get recent runs, newest first - optionally for one job
+  async getRuns({ jobId = null, limit = 50 } = {}) {
+    let query = supabase
+      .from('sync_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit)
+
+    if (jobId) query = query.eq('job_id', jobId)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  },
+
+  // Get the failed records of one run
+  async getRunErrors(runId) {
+    const { data, error } = await supabase
+      .from('sync_run_errors')
+      .select('*')
+      .eq('run_id', runId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  },
+
+  // Get failed records not yet fixed by a retry, newest first
+  async getUnresolvedErrors({ jobId = null, limit = 200 } = {}) {
+    let query = supabase
+      .from('sync_run_errors')
+      .select('*')
+      .is('resolved_at', null)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (jobId) query = query.eq('job_id', jobId)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  },
+
+  // Fetch a failed record from Dockmaster again and save it
+  // Returns { success, error, record } - record is the updated sync_run_errors row
+  async retryError(errorId) {
+    const { data, error } = await supabase.functions.invoke('sync-retry-record', { body: { errorId } })
+    if (error) throw error
+    return data
+  },
+}
+
 // ============================================================================
 // REAL-TIME SUBSCRIPTIONS (Optional - for live updates)
 // ============================================================================
@@ -1938,10 +2465,15 @@ export const subscriptions = {
         { event: '*', schema: 'public', table: 'boats' },
         callback
       )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'work_phase_records' },
+        callback
+      )
       .subscribe()
   },
 
-  // Subscribe to locations changes
+  // Subscribe to locations changes (including who is parked in which slot)
   subscribeToLocations(callback) {
     return supabase
       .channel('locations-changes')
@@ -1950,6 +2482,11 @@ export const subscriptions = {
         { event: '*', schema: 'public', table: 'locations' },
         callback
       )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'slot_assignments' },
+        callback
+      )
       .subscribe()
   },
 
@@ -1962,6 +2499,71 @@ export const subscriptions = {
         { event: '*', schema: 'public', table: 'inventory_boats' },
         callback
       )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'work_phase_records' },
+        callback
+      )
+      .subscribe()
+  },
+
+  // Subscribe to workflow definition changes (admin edits)
+  subscribeToWorkflows(callback) {
+    return supabase
+      .channel('workflow-definitions-changes')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'workflow_definitions' },
+        callback
+      )
+      .subscribe()
+  },
+
+  // Subscribe to request type / pipeline edits
+  subscribeToRequestTypes(callback) {
+    return supabase
+      .channel('request-types-changes')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'request_types' },
+        callback
+      )
+      .subscribe()
+  },
+
+  // Subscribe to sync job status changes
+  subscribeToSyncStatus(callback) {
+    return supabase
+      .channel('sync-status-changes')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'sync_status' },
+        callback
+      )
+      .subscribe()
+  },
+
+  // Subscribe to boat delivery changes
+  subscribeToDeliveries(callback) {
+    return supabase
+      .channel('boat-deliveries-changes')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'boat_deliveries' },
+        callback
+      )
+      .subscribe()
+  },
+
+  // Subscribe to launch / haul-out schedule changes
+  subscribeToLaunchSchedule(callback) {
+    return supabase
+      .channel('launch-schedule-changes')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'launch_schedule' },
+        callback
+      )
       .subscribe()
   },
 
@@ -1992,20 +2594,18 @@ export const subscriptions = {
 // HELPER FUNCTIONS
 // ============================================================================
 
-// Get all boats (combines regular boats and inventory boats)
+// Get all boats (customer, storage and unsold inventory), each tagged with its role
+// A sold boat appears once, as a customer boat
 export const getAllBoatsCombined = async () => {
   const [regularBoats, inventoryBoats] = await Promise.all([
     boatsService.getAll(),
     inventoryBoatsService.getAll()
   ])
 
-  // Add isInventory flag to inventory boats
-  const markedInventoryBoats = inventoryBoats.map(boat => ({
-    ...boat,
-    isInventory: true
-  }))
-
-  return [...regularBoats, ...markedInventoryBoats]
+  return [
+    ...regularBoats.map(boat => ({ ...boat, role: getBoatRole(boat) })),
+    ...inventoryBoats.map(boat => ({ ...boat, role: BOAT_ROLES.INVENTORY, isInventory: true })),
+  ]
 }
 
 // Convert database snake_case to camelCase (for consistency with current app)
@@ -2278,6 +2878,26 @@ export const boatShowsService = {
 // BOAT MOVEMENTS OPERATIONS (location history tracking)
 // ============================================================================
 
+const MOVEMENT_COLUMNS = `
+  *,
+  moved_by_user:users!boat_movements_moved_by_fkey(id, name, email)
+`
+
+// Map a boat_movements row to camelCase
+const toMovement = (m) => ({
+  id: m.id,
+  boatId: m.boat_id,
+  boatType: m.boat_type,
+  fromLocation: m.from_location,
+  fromSlot: m.from_slot,
+  toLocation: m.to_location,
+  toSlot: m.to_slot,
+  movedBy: m.moved_by,
+  movedByUser: m.moved_by_user,
+  movedAt: m.moved_at,
+  notes: m.notes,
+})
+
 export const boatMovementsService = {
   // Log a boat movement
   async logMovement({ boatId, boatType, fromLocation, fromSlot, toLocation, toSlot, movedBy, notes }) {
@@ -2303,28 +2923,39 @@ export const boatMovementsService = {
   async getForBoat(boatId, limit = 10) {
     const { data, error } = await supabase
       .from('boat_movements')
-      .select(`
-        *,
-        moved_by_user:users!boat_movements_moved_by_fkey(id, name, email)
-      `)
+      .select(MOVEMENT_COLUMNS)
       .eq('boat_id', boatId)
       .order('moved_at', { ascending: false })
       .limit(limit)
 
     if (error) throw error
-    return (data || []).map(m => ({
-      id: m.id,
-      boatId: m.boat_id,
-      boatType: m.boat_type,
-      fromLocation: m.from_location,
-      fromSlot: m.from_slot,
-      toLocation: m.to_location,
-      toSlot: m.to_slot,
-      movedBy: m.moved_by,
-      movedByUser: m.moved_by_user,
-      movedAt: m.moved_at,
-      notes: m.notes,
-    }))
+    return (data || []).map(toMovement)
+  },
+
+  // Search movements across all boats (most recent first)
+  // filters: { movedBy, from, to (ISO timestamps), locationNames (matches either end), boatType, limit }
+  async search({ movedBy = null, from = null, to = null, locationNames = null, boatType = null, limit = 1000 } = {}) {
+    let query = supabase
+      .from('boat_movements')
+      .select(MOVEMENT_COLUMNS)
+      .order('moved_at', { ascending: false })
+      .limit(limit)
+
+    if (movedBy) query = query.eq('moved_by', movedBy)
+    if (from) query = query.gte('moved_at', from)
+    if (to) query = query.lte('moved_at', to)
+    if (boatType) query = query.eq('boat_type', boatType)
+    if (locationNames) {
+      if (locationNames.length === 0) return []
+      // Quote names - they can contain spaces and commas
+      const list = locationNames.map(name => `"${name.replace(/"/g, '\\"')}"`).join(',')
+      query = query.or(`from_location.in.(${list}),to_location.in.(${list})`)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return (data || []).map(toMovement)
   },
 
   // Get last N movements for a boat (for quick "previous locations")
@@ -2435,12 +3066,13 @@ export const boatNotesService = {
 // Single source of truth for moving boats and logging movement history
 // Reads from database to ensure correct from_location/from_slot values
 
-export async function moveBoatWithHistory(boatId, toLocationId, toSlotId, userId, isInventory = false) {
+export async function moveBoatWithHistory(boatId, toLocationId, toSlotId, userId, isInventory = false, notes = null, expectedVersion = null) {
   // 1. Fetch current boat state from DATABASE (not React state)
   const tableName = isInventory ? 'inventory_boats' : 'boats'
+  const boatType = isInventory ? 'inventory' : 'customer'
   const { data: boat, error: fetchError } = await supabase
     .from(tableName)
-    .select('id, location, slot')
+    .select('id, name, location, slot, version')
     .eq('id', boatId)
     .single()
 
@@ -2449,6 +3081,11 @@ export async function moveBoatWithHistory(boatId, toLocationId, toSlotId, userId
   const fromLocation = boat.location || null
   const fromSlot = boat.slot || null
 
+  // The caller's copy is already stale - someone moved it since they loaded it
+  if (expectedVersion != null && boat.version !== expectedVersion) {
+    throw await describeMoveConflict({ code: '40001' }, boat, null, null)
+  }
+
   // 2. Get toLocation name
   let toLocation = null
   if (toLocationId) {
@@ -2460,34 +3097,75 @@ export async function moveBoatWithHistory(boatId, toLocationId, toSlotId, userId
     toLocation = loc?.name || null
   }
 
-  // 3. Perform the move
-  if (toLocationId) {
-    if (isInventory) {
-      await inventoryBoatsService.moveToSlot(boatId, toLocationId, toSlotId)
-    } else {
-      await boatsService.moveToSlot(boatId, toLocationId, toSlotId)
-    }
-  } else {
-    if (isInventory) {
-      await inventoryBoatsService.removeFromSlot(boatId)
-    } else {
-      await boatsService.removeFromSlot(boatId)
-    }
+  // 3. Perform the move - checked against the version we just read, so a move
+  //    landing between steps 1 and 3 is still caught
+  let result
+  try {
+    result = await slotAssignmentsService.move(boatId, boatType, toLocationId, toSlotId, boat.version)
+  } catch (error) {
+    throw await describeMoveConflict(error, boat, toLocation, toSlotId)
   }
 
   // 4. Log movement with correct values from database
-  await boatMovementsService.logMovement({
+  const movement = await boatMovementsService.logMovement({
     boatId,
-    boatType: isInventory ? 'inventory' : 'customer',
+    boatType,
     fromLocation,
     fromSlot,
     toLocation,
-    toSlot: toSlotId || null,
+    toSlot: result?.slot ?? toSlotId ?? null,
     movedBy: userId,
-    notes: null
+    notes
   })
 
-  return { fromLocation, fromSlot, toLocation, toSlot: toSlotId }
+  return {
+    fromLocation,
+    fromSlot,
+    toLocation,
+    toSlot: result?.slot ?? toSlotId ?? null,
+    version: result?.version ?? null,
+    movementId: movement?.id || null,
+  }
+}
+
+// Turn a rejected move into a VERSION_CONFLICT error that says who got there first
+// (from boat_movements). Errors that aren't conflicts are returned unchanged.
+async function describeMoveConflict(error, boat, toLocation, toSlotId) {
+  const describeMovement = (movement) => {
+    if (!movement) return null
+    const who = movement.movedByUser?.name || movement.movedByUser?.email || 'another user'
+    const when = new Date(movement.movedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    const where = movement.toLocation
+      ? `${movement.toLocation}${movement.toSlot && movement.toSlot !== 'pool' ? ` ${formatSlotLabel(movement.toSlot)}` : ''}`
+      : 'off the board'
+    return { who, when, where }
+  }
+
+  // Boat itself was moved by someone else
+  if (error?.code === '40001') {
+    const [movement] = await boatMovementsService.getForBoat(boat.id, 1).catch(() => [])
+    const info = describeMovement(movement)
+    const message = info
+      ? `${boat.name || 'This boat'} was moved by ${info.who} to ${info.where} at ${info.when}. Your move was not saved.`
+      : `${boat.name || 'This boat'} was moved by someone else. Your move was not saved.`
+    return createVersionConflict(message, { type: 'boat-moved', boatId: boat.id, movement: movement || null })
+  }
+
+  // Target slot was filled by another boat
+  if (error?.code === '23505') {
+    const occupantId = error.details || null
+    const [movement] = occupantId
+      ? await boatMovementsService.getForBoat(occupantId, 1).catch(() => [])
+      : []
+    const info = describeMovement(movement)
+    const slotName = `${toLocation || 'That location'}${toSlotId && toSlotId !== 'pool' ? ` ${formatSlotLabel(toSlotId)}` : ''}`
+    const message = info
+      ? `${slotName} was just filled by ${info.who} at ${info.when}. Your move was not saved.`
+      : `${slotName} was just filled by someone else. Your move was not saved.`
+    return createVersionConflict(message, { type: 'slot-taken', boatId: boat.id, occupantId, movement: movement || null })
+  }
+
+  return error
 }
 
 // ============================================================================
@@ -2650,16 +3328,28 @@ export default {
   boats: boatsService,
   boatLifecycle: boatLifecycleService,
   inventoryBoats: inventoryBoatsService,
+  boatIdentity: boatIdentityService,
+  deliveries: deliveriesService,
+  storageContracts: storageContractsService,
+  launchSchedule: launchScheduleService,
   locations: locationsService,
+  slotAssignments: slotAssignmentsService,
   sites: sitesService,
   preferences: preferencesService,
   dockmaster: dockmasterService,
   users: usersService,
+  workflows: workflowService,
+  workPhases: workPhasesService,
+  syncStatus: syncStatusService,
+  syncRuns: syncRunsService,
   boatShows: boatShowsService,
   boatMovements: boatMovementsService,
   boatNotes: boatNotesService,
   requests: requestsService,
   requestAttachments: requestAttachmentsService,
+  requestTypes: requestTypesService,
+  requestTemplates: requestTemplatesService,
+  estimateApprovals: estimateApprovalsService,
   notifications: notificationsService,
   moveBoatWithHistory,
   subscriptions,
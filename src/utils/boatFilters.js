@@ -1,4 +1,5 @@
-import { getActiveSeason, getDisplayStatus } from './seasonHelpers';
+import { getDisplayStatus } from './seasonHelpers';
+import { isPhaseComplete, getWorkflowCategory } from './workflowHelpers';
 
 /**
  * Centralized boat filtering utilities
@@ -30,22 +31,19 @@ export function filterByStatus(boats, filterStatus) {
  *
  * @param {Array} boats - Array of boat objects
  * @param {string} filterWorkPhase - Work phase to filter by ('mechanicals', 'clean', etc.), or 'all'
+ * @param {Object} workflows - Optional workflows by category; boats whose workflow
+ *   doesn't include the phase are left out
  * @returns {Array} - Filtered boat array (boats with incomplete specified phase)
  */
-export function filterByWorkPhase(boats, filterWorkPhase) {
+export function filterByWorkPhase(boats, filterWorkPhase, workflows) {
   if (filterWorkPhase === 'all') return boats;
 
   return boats.filter(boat => {
-    if (boat.storageBoat) {
-      // For storage boats, check active season's work phase
-      const activeSeason = getActiveSeason(boat);
-      const phaseKey = `${activeSeason}${filterWorkPhase.charAt(0).toUpperCase() + filterWorkPhase.slice(1)}Complete`;
-      return !boat[phaseKey];
+    if (workflows && !workflows[getWorkflowCategory(boat)]?.phases.some(p => p.key === filterWorkPhase)) {
+      return false;
     }
-
-    // Regular boats - check regular work phase
-    const phaseKey = `${filterWorkPhase}Complete`;
-    return !boat[phaseKey];
+    // Storage boats are checked against their active season
+    return !isPhaseComplete(boat, filterWorkPhase);
   });
 }
 
@@ -118,6 +116,7 @@ export function filterBySearch(boats, searchQuery) {
  * @param {string} filters.searchQuery - Search query string
  * @param {string} filters.status - Status filter value
  * @param {string} filters.workPhase - Work phase filter value
+ * @param {Object} filters.workflows - Workflows by category (for the work phase filter)
  * @param {Array} filters.locations - Location names to filter by
  * @param {Array} filters.sites - Site IDs to filter by
  * @param {Array} locations - Array of location objects (needed for site filtering)
@@ -138,7 +137,7 @@ export function applyAllFilters(boats, filters, locations = []) {
 
   // Apply work phase filter
   if (filters.workPhase) {
-    filtered = filterByWorkPhase(filtered, filters.workPhase);
+    filtered = filterByWorkPhase(filtered, filters.workPhase, filters.workflows);
   }
 
   // Apply location filter
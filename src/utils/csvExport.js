@@ -0,0 +1,52 @@
+/**
+ * CSV export helpers
+ *
+ * Builds RFC 4180 CSV (quoted where needed, CRLF line endings) and hands it to
+ * the browser as a download. A UTF-8 BOM is prepended so Excel opens accented
+ * names correctly.
+ */
+
+/**
+ * Escape one value for a CSV cell
+ *
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @returns {string}
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV string from rows
+ *
+ * @param {Array} rows - Source objects
+ * @param {Array} columns - [{ header, value: (row) => any }] in output order
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(col => escapeCell(col.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(col => escapeCell(col.value(row))).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+/**
+ * Download a CSV string as a file
+ *
+ * @param {string} filename - e.g. "movements-2026-10-19.csv"
+ * @param {string} csv - File contents
+ */
+export function downloadCsv(filename, csv) {
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
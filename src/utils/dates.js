@@ -0,0 +1,29 @@
+/**
+ * Calendar date helpers
+ *
+ * DATE columns (delivery_date, scheduled_date, launch dates...) come back as
+ * plain YYYY-MM-DD strings in the yard's local time; these turn Dates into the
+ * same form for comparing and bucketing, and format either kind for display.
+ */
+
+/**
+ * Local YYYY-MM-DD for a date
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Short date for display, e.g. "Oct 19, 2026"
+ *
+ * @param {string} value - Plain date (local) or timestamp (carries its own zone)
+ * @returns {string} - '—' when empty
+ */
+export function formatDate(value) {
+  if (!value) return '—';
+  const date = value.length === 10 ? new Date(`${value}T00:00:00`) : new Date(value);
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+}
@@ -0,0 +1,12 @@
+/**
+ * Estimate approval hash, snapshots and line diffs
+ *
+ * The implementation lives with the edge functions so the estimates sync
+ * notifies about exactly the changes the approval panel shows.
+ */
+export {
+  computeEstimatesHash,
+  snapshotEstimates,
+  diffEstimates,
+  summarizeEstimateDiff,
+} from '../../supabase/functions/_shared/estimateDiff.js';
@@ -0,0 +1,15 @@
+/**
+ * Hull ID (HIN) validation and decoding
+ *
+ * The implementation lives with the edge functions so the ocr-hull-id function
+ * and the web app apply exactly the same rules.
+ */
+export {
+  HIN_LENGTH,
+  normalizeHullId,
+  decodeHullId,
+  validateHullId,
+  isValidHullId,
+  checkHullIdYear,
+  extractHullIdFromText,
+} from '../../supabase/functions/_shared/hullId.js';
@@ -0,0 +1,91 @@
+/**
+ * Launch / haul-out scheduling utilities
+ *
+ * Each storage boat gets one haul-out (fall) and one launch (spring) per
+ * storage season. A scheduled move conflicts when the boat's season work
+ * isn't done yet (getActiveSeason) or its site is over its daily capacity.
+ */
+
+import { SEASON_LABELS, getActiveSeason } from './seasonHelpers';
+
+export const LAUNCH_KINDS = ['haul_out', 'launch'];
+
+export const LAUNCH_KIND_LABELS = {
+  haul_out: 'Haul-out',
+  launch: 'Launch',
+};
+
+// Contract date field holding the customer's requested date for each kind
+export const CONTRACT_DATE_FIELDS = {
+  haul_out: 'haul_out_date',
+  launch: 'launch_date',
+};
+
+/**
+ * Weeks (Monday first) covering a month, as arrays of 7 Dates
+ *
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @returns {Date[][]}
+ */
+export function getMonthWeeks(year, month) {
+  const first = new Date(year, month, 1);
+  const start = new Date(first);
+  start.setDate(1 - ((first.getDay() + 6) % 7));
+
+  const weeks = [];
+  const cursor = new Date(start);
+  while (weeks.length === 0 || cursor.getMonth() === month) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(new Date(cursor));
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+/**
+ * Season work that should be finished before the move
+ * - launch: fall and winter done (spring is the active season) and spring done
+ * - haul-out: only storage boats are hauled for the season
+ *
+ * @param {Object} boat - Boat (camelCase, with season statuses)
+ * @param {string} kind - 'launch' or 'haul_out'
+ * @returns {string[]} - Readable problems, empty when there are none
+ */
+export function getScheduleConflicts(boat, kind) {
+  if (!boat) return ['Boat no longer on the board'];
+  if (!boat.storageBoat) return ['Not marked as a storage boat'];
+
+  if (kind === 'launch') {
+    const activeSeason = getActiveSeason(boat);
+    if (activeSeason !== 'spring') {
+      return [`${SEASON_LABELS[activeSeason]} work isn't complete`];
+    }
+    if (boat.springStatus !== 'all-work-complete') {
+      return ['Spring work isn\'t complete'];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Scheduled moves per day and site, for capacity checks
+ *
+ * @param {Array} entries - launch_schedule rows
+ * @returns {Object} - { [date]: { [siteId|'none']: count } }
+ */
+export function countByDayAndSite(entries) {
+  const counts = {};
+  entries
+    .filter(entry => entry.status !== 'cancelled')
+    .forEach(entry => {
+      const day = counts[entry.scheduled_date] || (counts[entry.scheduled_date] = {});
+      const site = entry.site_id || 'none';
+      day[site] = (day[site] || 0) + 1;
+    });
+  return counts;
+}
@@ -0,0 +1,86 @@
+/**
+ * Web NFC helpers for boat tags
+ *
+ * Boats are linked to a tag by its hardware serial number (nfc_tag column).
+ * Tags we write also carry a URL record pointing back at the boat
+ * (<origin>/scan?boat=<id>) so a phone without the app open still lands on it.
+ *
+ * Web NFC (NDEFReader) is only available in Chrome on Android over HTTPS.
+ */
+
+/**
+ * Check whether this browser can read/write NFC tags
+ *
+ * @returns {boolean}
+ */
+export function isNfcSupported() {
+  return typeof window !== 'undefined' && 'NDEFReader' in window && window.isSecureContext;
+}
+
+/**
+ * Normalize a tag serial so typed-in and scanned values compare equal
+ *
+ * @param {string} serial - Serial as reported by the reader (e.g. "04:a2:3b:...")
+ * @returns {string} - Uppercase, trimmed serial
+ */
+export function normalizeNfcSerial(serial) {
+  return (serial || '').trim().toUpperCase();
+}
+
+/**
+ * Build the URL written onto a boat's tag
+ *
+ * @param {string} boatId - Boat UUID (customer or inventory)
+ * @returns {string} - Deep link into the scan page
+ */
+export function buildBoatTagUrl(boatId) {
+  return `${window.location.origin}/scan?boat=${encodeURIComponent(boatId)}`;
+}
+
+/**
+ * Pull a boat ID back out of a tag's NDEF records, if it was written by us
+ *
+ * @param {Array} records - NDEFRecord list from a reading event
+ * @returns {string|null} - Boat ID, or null for blank/foreign tags
+ */
+export function getBoatIdFromRecords(records = []) {
+  const decoder = new TextDecoder();
+
+  for (const record of records) {
+    if (record.recordType !== 'url' && record.recordType !== 'text') continue;
+    try {
+      const url = new URL(decoder.decode(record.data));
+      const boatId = url.searchParams.get('boat');
+      if (url.pathname === '/scan' && boatId) return boatId;
+    } catch {
+      // Not a URL - ignore
+    }
+  }
+  return null;
+}
+
+/**
+ * Wait for the next tag to be tapped
+ * Resolves with the reader as well so the caller can write to the same tag.
+ *
+ * @param {AbortSignal} signal - Aborts the scan (mode change, reset, unmount)
+ * @returns {Promise<Object>} - { serialNumber, records, reader }
+ */
+export async function scanNfcTag(signal) {
+  const reader = new window.NDEFReader();
+  await reader.scan({ signal });
+
+  return new Promise((resolve, reject) => {
+    reader.onreading = (event) => {
+      resolve({
+        serialNumber: normalizeNfcSerial(event.serialNumber),
+        records: event.message?.records || [],
+        reader,
+      });
+    };
+    reader.onreadingerror = () => {
+      reject(new Error('Could not read this tag. It may not be NDEF formatted.'));
+    };
+    signal?.addEventListener('abort', () => reject(new DOMException('NFC scan cancelled', 'AbortError')));
+  });
+}
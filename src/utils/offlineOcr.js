@@ -0,0 +1,89 @@
+import workerUrl from 'tesseract.js/dist/worker.min.js?url';
+import coreUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import { extractHullIdFromText, validateHullId } from './hullId';
+
+/**
+ * On-device Hull ID OCR (tesseract.js)
+ *
+ * Fallback for when the ocr-hull-id edge function can't be reached (yard wifi
+ * down, Google Vision key missing). The worker script and WASM core are bundled
+ * with the app; the English language data is downloaded once and then cached
+ * in IndexedDB by tesseract.js, so warmUpOfflineOcr() should run while online.
+ *
+ * Results go through the same HIN post-processing as the edge function and
+ * come back in the same shape: { success, text, rawText, confidence, valid, decoded }.
+ */
+
+const HIN_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-';
+
+let workerPromise = null;
+
+/**
+ * Get the shared tesseract worker, creating it on first use
+ *
+ * @returns {Promise<Object>} - Tesseract worker
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const { createWorker, PSM } = await import('tesseract.js');
+      const worker = await createWorker('eng', 1, { workerPath: workerUrl, corePath: coreUrl });
+      await worker.setParameters({
+        tessedit_char_whitelist: HIN_CHARACTERS,
+        tessedit_pageseg_mode: PSM.SINGLE_BLOCK,
+      });
+      return worker;
+    })().catch((error) => {
+      // Allow a retry (e.g. language data couldn't download the first time)
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Start loading the worker and language data in the background
+ * Safe to call repeatedly; failures are logged and retried on next use.
+ */
+export function warmUpOfflineOcr() {
+  getWorker().catch((error) => console.log('[OfflineOcr] Warm-up failed:', error.message));
+}
+
+/**
+ * Recognize a Hull ID on-device
+ *
+ * @param {string} imageDataUrl - Cropped tag image (data URL)
+ * @returns {Promise<Object>} - Same shape as the ocr-hull-id edge function response
+ */
+export async function recognizeHullIdOnDevice(imageDataUrl) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(imageDataUrl);
+
+  const { hullId, confidence, cleanedText } = extractHullIdFromText(data.text);
+  const validation = validateHullId(hullId);
+
+  return {
+    success: true,
+    text: hullId,
+    rawText: cleanedText,
+    confidence,
+    valid: validation.valid,
+    decoded: validation.decoded,
+  };
+}
+
+/**
+ * Shut down the worker to free memory (e.g. when leaving the scan page)
+ */
+export async function terminateOfflineOcr() {
+  if (!workerPromise) return;
+  const pending = workerPromise;
+  workerPromise = null;
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch {
+    // Worker never started - nothing to clean up
+  }
+}
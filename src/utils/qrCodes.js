@@ -0,0 +1,84 @@
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+
+/**
+ * QR code label utilities
+ *
+ * Two kinds of labels are printed and scanned:
+ * - Boat tags encode the boat's own qr_code value (e.g. BBG-LX3K9A, INV-12345)
+ * - Slot placards encode a location and optional slot: bbg-slot:<locationId>:<slotId>
+ *   A placard without a slot covers the whole location (pools, or "first free slot")
+ */
+
+export const SLOT_QR_PREFIX = 'bbg-slot:';
+
+/**
+ * Build the QR payload for a location/slot placard
+ *
+ * @param {string} locationId - Location UUID
+ * @param {string|null} slotId - Grid slot ('row-col'), 'pool', or null for the whole location
+ * @returns {string} - Placard payload
+ */
+export function buildSlotQrValue(locationId, slotId = null) {
+  return `${SLOT_QR_PREFIX}${locationId}${slotId ? `:${slotId}` : ''}`;
+}
+
+/**
+ * Parse a decoded QR payload into a boat tag or slot placard
+ *
+ * @param {string} value - Raw text decoded from the QR code
+ * @returns {Object|null} - { type: 'boat', qrCode } or { type: 'slot', locationId, slotId }, null if empty
+ */
+export function parseQrValue(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  if (text.toLowerCase().startsWith(SLOT_QR_PREFIX)) {
+    const [locationId, slotId] = text.slice(SLOT_QR_PREFIX.length).split(':');
+    if (!locationId) return null;
+    return { type: 'slot', locationId, slotId: slotId || null };
+  }
+
+  return { type: 'boat', qrCode: text };
+}
+
+/**
+ * Render a QR payload to a PNG data URL for on-screen preview and printing
+ *
+ * @param {string} value - Payload to encode
+ * @param {number} size - Width/height in pixels
+ * @returns {Promise<string>} - data:image/png;base64 URL
+ */
+export function generateQrDataUrl(value, size = 240) {
+  return QRCode.toDataURL(value, {
+    width: size,
+    margin: 1,
+    errorCorrectionLevel: 'M',
+  });
+}
+
+/**
+ * Decode a QR code from the current video frame
+ * Runs entirely on-device (no network), so it keeps working in the rack buildings
+ *
+ * @param {HTMLVideoElement} video - Playing camera video element
+ * @param {HTMLCanvasElement} canvas - Scratch canvas used to read the frame pixels
+ * @returns {string|null} - Decoded text, or null if no QR code was found
+ */
+export function decodeQrFromVideo(video, canvas) {
+  if (!video || !canvas || !video.videoWidth || !video.videoHeight) return null;
+
+  // Downscale large frames - jsQR is fast enough at ~800px and struggles on 1080p
+  const scale = Math.min(1, 800 / video.videoWidth);
+  const width = Math.round(video.videoWidth * scale);
+  const height = Math.round(video.videoHeight * scale);
+
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, width, height);
+
+  const imageData = context.getImageData(0, 0, width, height);
+  const result = jsQR(imageData.data, width, height, { inversionAttempts: 'dontInvert' });
+  return result?.data || null;
+}
@@ -0,0 +1,95 @@
+/**
+ * Service request templates and checklists
+ *
+ * Templates (request_templates) hold checklist items per request type,
+ * optionally narrowed to a make or a make + model. A new request gets the
+ * items of the most specific active template that matches its boat; required
+ * items must be done before the request can be marked service complete.
+ */
+
+import { toPhaseKey } from './workflowHelpers';
+
+/**
+ * Stable key for a new checklist item
+ *
+ * @param {string} label
+ * @param {Array} items - Existing items, to keep keys unique
+ * @returns {string}
+ */
+export function toItemKey(label, items = []) {
+  const base = toPhaseKey(label) || 'item';
+  let key = base;
+  let n = 2;
+  while (items.some(item => item.key === key)) {
+    key = `${base}-${n++}`;
+  }
+  return key;
+}
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+/**
+ * How closely a template fits a request: 3 = make + model, 2 = make, 1 = any
+ * boat of the type, 0 = doesn't apply
+ *
+ * @param {Object} template - request_templates row
+ * @param {string} type - Request type
+ * @param {Object} boat - Inventory boat (make, model)
+ * @returns {number}
+ */
+export function templateMatchScore(template, type, boat) {
+  if (!template.is_active || template.request_type !== type) return 0;
+  if (!template.make) return 1;
+  if (!sameText(template.make, boat?.make)) return 0;
+  if (!template.model) return 2;
+  return sameText(template.model, boat?.model) ? 3 : 0;
+}
+
+/**
+ * Most specific active template for a request type and boat
+ *
+ * @param {Array} templates - request_templates rows
+ * @param {string} type - Request type
+ * @param {Object} boat - Inventory boat
+ * @returns {Object|null}
+ */
+export function findTemplate(templates, type, boat) {
+  let best = null;
+  let bestScore = 0;
+  templates.forEach(template => {
+    const score = templateMatchScore(template, type, boat);
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Request checklist from a template's items, nothing checked off
+ *
+ * @param {Object|null} template
+ * @returns {Array} - [{ key, label, required, done, done_by, done_at }]
+ */
+export function buildChecklist(template) {
+  return (template?.items || []).map(item => ({
+    key: item.key,
+    label: item.label,
+    required: !!item.required,
+    done: false,
+    done_by: null,
+    done_at: null,
+  }));
+}
+
+/**
+ * Required items still open - the request can't be marked service complete
+ * while there are any
+ *
+ * @param {Array} checklist - service_requests.checklist
+ * @returns {Array}
+ */
+export function getOpenRequiredItems(checklist) {
+  return (checklist || []).filter(item => item.required && !item.done);
+}
@@ -0,0 +1,182 @@
+/**
+ * Service request types and their status pipelines
+ *
+ * Request types (rigging, prep, warranty, ...) are defined by admins in
+ * Settings → Request Types and stored in request_types. Each type has an
+ * ordered list of stages; the kanban board, the detail modal and drag-and-drop
+ * all read them from here instead of hard-coding the statuses.
+ *
+ * Every pipeline starts at 'open' and ends with 'service-complete' then
+ * 'closed' - the service-complete / confirm-complete hand-off, the checklist
+ * gate and the active/closed filters depend on those keys. Admins add stages
+ * in between (e.g. "Waiting on Parts") and choose which roles may move a
+ * request into each stage.
+ */
+
+import { toPhaseKey } from './workflowHelpers';
+import { normalizeSla } from './requestSla';
+
+export const FIRST_STAGE = 'open';
+export const SERVICE_COMPLETE_STAGE = 'service-complete';
+export const CLOSED_STAGE = 'closed';
+
+// Stages every pipeline has, with their default labels and colors
+export const FIXED_STAGES = {
+  [FIRST_STAGE]: { label: 'Open', color: 'yellow' },
+  [SERVICE_COMPLETE_STAGE]: { label: 'Service Complete', color: 'blue' },
+  [CLOSED_STAGE]: { label: 'Closed', color: 'green' },
+};
+
+export const USER_ROLES = [
+  { key: 'user', label: 'User' },
+  { key: 'service', label: 'Service' },
+  { key: 'sales', label: 'Sales' },
+  { key: 'manager', label: 'Manager' },
+  { key: 'sales-manager', label: 'Sales Manager' },
+  { key: 'admin', label: 'Admin' },
+];
+
+// Full class strings so Tailwind keeps them
+export const STAGE_COLORS = {
+  yellow: { color: 'bg-yellow-100 text-yellow-800 border-yellow-300', borderColor: 'border-yellow-400', iconColor: 'text-yellow-600', bgHover: 'bg-yellow-50' },
+  cyan: { color: 'bg-cyan-100 text-cyan-800 border-cyan-300', borderColor: 'border-cyan-400', iconColor: 'text-cyan-600', bgHover: 'bg-cyan-50' },
+  blue: { color: 'bg-blue-100 text-blue-800 border-blue-300', borderColor: 'border-blue-400', iconColor: 'text-blue-600', bgHover: 'bg-blue-50' },
+  green: { color: 'bg-green-100 text-green-800 border-green-300', borderColor: 'border-green-400', iconColor: 'text-green-600', bgHover: 'bg-green-50' },
+  amber: { color: 'bg-amber-100 text-amber-800 border-amber-300', borderColor: 'border-amber-400', iconColor: 'text-amber-600', bgHover: 'bg-amber-50' },
+  orange: { color: 'bg-orange-100 text-orange-800 border-orange-300', borderColor: 'border-orange-400', iconColor: 'text-orange-600', bgHover: 'bg-orange-50' },
+  red: { color: 'bg-red-100 text-red-800 border-red-300', borderColor: 'border-red-400', iconColor: 'text-red-600', bgHover: 'bg-red-50' },
+  purple: { color: 'bg-purple-100 text-purple-800 border-purple-300', borderColor: 'border-purple-400', iconColor: 'text-purple-600', bgHover: 'bg-purple-50' },
+  indigo: { color: 'bg-indigo-100 text-indigo-800 border-indigo-300', borderColor: 'border-indigo-400', iconColor: 'text-indigo-600', bgHover: 'bg-indigo-50' },
+  slate: { color: 'bg-slate-100 text-slate-800 border-slate-300', borderColor: 'border-slate-400', iconColor: 'text-slate-600', bgHover: 'bg-slate-50' },
+};
+
+export const TYPE_COLORS = {
+  purple: 'bg-purple-100 text-purple-800',
+  orange: 'bg-orange-100 text-orange-800',
+  red: 'bg-red-100 text-red-800',
+  blue: 'bg-blue-100 text-blue-800',
+  green: 'bg-green-100 text-green-800',
+  cyan: 'bg-cyan-100 text-cyan-800',
+  amber: 'bg-amber-100 text-amber-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  slate: 'bg-slate-100 text-slate-800',
+};
+
+const defaultStages = () => [
+  { key: FIRST_STAGE, label: 'Open', color: 'yellow', roles: [] },
+  { key: 'scheduled', label: 'Scheduled', color: 'cyan', roles: [] },
+  { key: SERVICE_COMPLETE_STAGE, label: 'Service Complete', color: 'blue', roles: [] },
+  { key: CLOSED_STAGE, label: 'Closed', color: 'green', roles: [] },
+];
+
+// Shipped types, used until request_types loads (or if it isn't there yet)
+export const DEFAULT_REQUEST_TYPES = [
+  { key: 'rigging', label: 'Rigging', color: 'purple', is_active: true, sort_order: 1, statuses: defaultStages() },
+  { key: 'prep', label: 'Prep', color: 'orange', is_active: true, sort_order: 2, statuses: defaultStages() },
+];
+
+const normalizeStage = (stage) => ({
+  key: stage.key,
+  label: stage.label || FIXED_STAGES[stage.key]?.label || stage.key,
+  color: STAGE_COLORS[stage.color] ? stage.color : (FIXED_STAGES[stage.key]?.color || 'slate'),
+  roles: Array.isArray(stage.roles) ? stage.roles : [],
+});
+
+/**
+ * Fill gaps in a stored type so callers can rely on its shape: open first,
+ * custom stages in stored order, then service-complete and closed
+ *
+ * @param {Object} definition - Row from request_types
+ * @returns {Object} - { key, label, color, is_active, sort_order, statuses, sla }
+ */
+export function normalizeRequestType(definition) {
+  const stored = (Array.isArray(definition.statuses) ? definition.statuses : []).filter(s => s && s.key);
+  const fixed = (key) => normalizeStage(stored.find(s => s.key === key) || { key });
+
+  return {
+    key: definition.key,
+    label: definition.label || definition.key,
+    color: TYPE_COLORS[definition.color] ? definition.color : 'slate',
+    is_active: definition.is_active !== false,
+    sort_order: definition.sort_order ?? 0,
+    statuses: [
+      fixed(FIRST_STAGE),
+      ...stored.filter(s => !FIXED_STAGES[s.key]).map(normalizeStage),
+      fixed(SERVICE_COMPLETE_STAGE),
+      fixed(CLOSED_STAGE),
+    ],
+    sla: normalizeSla(definition.sla),
+  };
+}
+
+/**
+ * Type for a request type key, with a plain default pipeline for keys that
+ * aren't defined (e.g. a deleted type that still has requests)
+ *
+ * @param {Array} requestTypes - Normalized types
+ * @param {string} key
+ * @returns {Object}
+ */
+export function findRequestType(requestTypes, key) {
+  return requestTypes.find(t => t.key === key)
+    || normalizeRequestType({ key, label: key, color: 'slate', statuses: defaultStages() });
+}
+
+/**
+ * Columns for a board showing several types: open, every custom stage in the
+ * order first seen, then service-complete and closed
+ *
+ * @param {Array} requestTypes - Normalized types on the board
+ * @returns {Array} - Stages
+ */
+export function mergeStages(requestTypes) {
+  const custom = [];
+  requestTypes.forEach(type => {
+    type.statuses
+      .filter(stage => !FIXED_STAGES[stage.key] && !custom.some(s => s.key === stage.key))
+      .forEach(stage => custom.push(stage));
+  });
+  const fixed = (key) => requestTypes.map(t => t.statuses.find(s => s.key === key)).find(Boolean) || normalizeStage({ key });
+  return [fixed(FIRST_STAGE), ...custom, fixed(SERVICE_COMPLETE_STAGE), fixed(CLOSED_STAGE)];
+}
+
+/**
+ * Why a request can't move to a stage, or null when it can
+ * - the stage must be in the request type's pipeline
+ * - the user's role must be allowed into the stage (admins always are;
+ *   the original requester can always confirm a request closed)
+ *
+ * @param {Object} requestType - Normalized type of the request
+ * @param {Object} request - service_requests row
+ * @param {string} toStatus - Target stage key
+ * @param {Object} user - Current user (id, role)
+ * @returns {string|null}
+ */
+export function getTransitionError(requestType, request, toStatus, user) {
+  const stage = requestType.statuses.find(s => s.key === toStatus);
+  if (!stage) return `${requestType.label} requests don't have a "${toStatus}" stage`;
+  if (user?.role === 'admin' || stage.roles.length === 0) return null;
+  if (stage.roles.includes(user?.role)) return null;
+  if (toStatus === CLOSED_STAGE && request.created_by === user?.id) return null;
+
+  const allowed = stage.roles.map(role => USER_ROLES.find(r => r.key === role)?.label || role).join(', ');
+  return `Only ${allowed} can move ${requestType.label} requests to ${stage.label}`;
+}
+
+/**
+ * Key for a new type or stage, unique among the existing ones
+ *
+ * @param {string} label
+ * @param {Array} existing - Items with a key
+ * @returns {string}
+ */
+export function toPipelineKey(label, existing = []) {
+  const base = toPhaseKey(label);
+  if (!base) return '';
+  let key = base;
+  let n = 2;
+  while (existing.some(item => item.key === key) || FIXED_STAGES[key]) {
+    key = `${base}-${n++}`;
+  }
+  return key;
+}
@@ -0,0 +1,133 @@
+/**
+ * Service request scheduling utilities
+ *
+ * A request is booked onto a day (scheduled_date) and a technician
+ * (technician_id). Its hours are the labor hours on its boat's Dockmaster
+ * estimate operations unless estimated_hours overrides them; a tech's booked
+ * hours per day are compared with users.daily_capacity_hours.
+ */
+
+export const DEFAULT_DAILY_CAPACITY = 8;
+
+// Stage an open request moves to when it's booked, if its pipeline has one
+export const SCHEDULED_STAGE = 'scheduled';
+
+/**
+ * Estimated labor hours on one estimate operation (actual hours if the
+ * estimate has none)
+ *
+ * @param {Object} operation - work_order_operations row
+ * @returns {number}
+ */
+export function getOperationHours(operation) {
+  return Number(operation.estimated_labor_hours ?? operation.total_labor_hours ?? 0) || 0;
+}
+
+/**
+ * Labor hours across a boat's estimates
+ *
+ * @param {Array} estimates - work_orders rows with operations
+ * @returns {number}
+ */
+export function sumEstimateHours(estimates) {
+  return (estimates || []).reduce(
+    (sum, estimate) => sum + (estimate.operations || []).reduce((opSum, op) => opSum + getOperationHours(op), 0),
+    0
+  );
+}
+
+/**
+ * Hours a request takes, and where the number came from
+ *
+ * @param {Object} request - service_requests row with inventory_boat
+ * @param {Object} estimateHours - Hours by Dockmaster ID
+ * @returns {{ hours: number, source: 'manual'|'estimates'|'none' }}
+ */
+export function getRequestHours(request, estimateHours = {}) {
+  if (request.estimated_hours !== null && request.estimated_hours !== undefined) {
+    return { hours: Number(request.estimated_hours), source: 'manual' };
+  }
+  const fromEstimates = estimateHours[request.inventory_boat?.dockmaster_id];
+  if (fromEstimates) return { hours: fromEstimates, source: 'estimates' };
+  return { hours: 0, source: 'none' };
+}
+
+/**
+ * Hours shown to one decimal place, e.g. "6.5h"
+ *
+ * @param {number} hours
+ * @returns {string}
+ */
+export function formatHours(hours) {
+  return `${Math.round(hours * 10) / 10}h`;
+}
+
+/**
+ * Monday of the week a date falls in
+ *
+ * @param {Date} date
+ * @returns {Date}
+ */
+export function startOfWeek(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * The 7 days (Monday first) of the week starting at weekStart
+ *
+ * @param {Date} weekStart
+ * @returns {Date[]}
+ */
+export function getWeekDays(weekStart) {
+  return Array.from({ length: 7 }, (_, i) => {
+    const day = new Date(weekStart);
+    day.setDate(weekStart.getDate() + i);
+    return day;
+  });
+}
+
+/**
+ * Whether a request is booked for a day after its deadline
+ *
+ * @param {Object} request
+ * @returns {boolean}
+ */
+export function isScheduledAfterDeadline(request) {
+  if (!request.scheduled_date || !request.deadline_date) return false;
+  return request.scheduled_date > request.deadline_date.slice(0, 10);
+}
+
+/**
+ * Technicians for the board: service users, plus anyone else a request is
+ * already booked to
+ *
+ * @param {Array} users - users rows
+ * @param {Array} requests - service_requests rows
+ * @returns {Array}
+ */
+export function getTechnicians(users, requests) {
+  const booked = new Set(requests.map(r => r.technician_id).filter(Boolean));
+  return users
+    .filter(user => user.role === 'service' || booked.has(user.id))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Booked requests and hours per technician per day
+ *
+ * @param {Array} requests - Scheduled requests
+ * @param {Object} estimateHours - Hours by Dockmaster ID
+ * @returns {Object} - { [`${technicianId || ''}|${dateKey}`]: { hours, requests } }
+ */
+export function getTechnicianLoad(requests, estimateHours = {}) {
+  const load = {};
+  requests.filter(r => r.scheduled_date).forEach(request => {
+    const key = `${request.technician_id || ''}|${request.scheduled_date}`;
+    const cell = load[key] || (load[key] = { hours: 0, requests: [] });
+    cell.hours += getRequestHours(request, estimateHours).hours;
+    cell.requests.push(request);
+  });
+  return load;
+}
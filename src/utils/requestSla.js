@@ -0,0 +1,15 @@
+/**
+ * Service request SLA clocks
+ *
+ * The implementation lives with the edge functions so the requests board
+ * flags exactly the requests the escalation job warns managers about.
+ */
+export {
+  SLA_CLOCKS,
+  DEFAULT_WARN_PERCENT,
+  SLA_MANAGER_ROLES,
+  normalizeSla,
+  getSlaStatus,
+  getWorstSla,
+  formatSlaDuration,
+} from '../../supabase/functions/_shared/requestSla.js';
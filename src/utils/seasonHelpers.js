@@ -6,6 +6,9 @@
  * - Fall is active if not complete
  * - Winter is active if Fall is complete but Winter is not
  * - Spring is active if both Fall and Winter are complete
+ *
+ * Which phases a season has (and whether they're done) comes from the storage
+ * workflow - see workflowHelpers.js.
  */
 
 export const SEASONS = ['fall', 'winter', 'spring'];
@@ -59,23 +62,6 @@ export function getDisplayStatus(boat) {
   return boat[`${activeSeason}Status`];
 }
 
-/**
- * Get work phases for a specific season
- *
- * @param {Object} boat - The boat object
- * @param {string} season - 'fall', 'winter', or 'spring'
- * @returns {Object} - Object with all work phase completion statuses
- */
-export function getSeasonWorkPhases(boat, season) {
-  return {
-    mechanicalsComplete: boat[`${season}MechanicalsComplete`],
-    cleanComplete: boat[`${season}CleanComplete`],
-    fiberglassComplete: boat[`${season}FiberglassComplete`],
-    warrantyComplete: boat[`${season}WarrantyComplete`],
-    invoicedComplete: boat[`${season}InvoicedComplete`],
-  };
-}
-
 /**
  * Get status for a specific season
  *
@@ -86,28 +72,3 @@ export function getSeasonWorkPhases(boat, season) {
 export function getSeasonStatus(boat, season) {
   return boat[`${season}Status`];
 }
-
-/**
- * Check if all work phases are complete for a season
- *
- * @param {Object} boat - The boat object
- * @param {string} season - 'fall', 'winter', or 'spring'
- * @returns {boolean} - True if all work phases for the season are complete
- */
-export function isSeasonComplete(boat, season) {
-  const phases = getSeasonWorkPhases(boat, season);
-  return Object.values(phases).every(complete => complete === true);
-}
-
-/**
- * Get a specific work phase value for a season
- *
- * @param {Object} boat - The boat object
- * @param {string} season - 'fall', 'winter', or 'spring'
- * @param {string} phase - 'mechanicals', 'clean', 'fiberglass', 'warranty', or 'invoiced'
- * @returns {boolean} - True if the work phase is complete
- */
-export function getSeasonWorkPhase(boat, season, phase) {
-  const capitalizedPhase = phase.charAt(0).toUpperCase() + phase.slice(1);
-  return boat[`${season}${capitalizedPhase}Complete`];
-}
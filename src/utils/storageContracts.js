@@ -0,0 +1,114 @@
+/**
+ * Storage contract utilities
+ *
+ * A storage season runs from fall haul-out to spring launch and is named by
+ * its two years, e.g. '2026-2027'. Contracts are priced by the foot for the
+ * storage type, plus add-ons; the storage type defaults from the type of
+ * location the boat's slot is in (LOCATION_TYPE_LABELS).
+ */
+
+import { LOCATION_TYPE_LABELS } from '../components/locations/locationConstants';
+
+export const STORAGE_TYPES = ['indoor', 'outdoor', 'rack'];
+
+export const STORAGE_TYPE_LABELS = {
+  indoor: 'Indoor',
+  outdoor: 'Outdoor',
+  rack: 'Rack',
+};
+
+// Default storage type for each location type
+export const LOCATION_TYPE_STORAGE = {
+  'rack-building': 'rack',
+  'parking-lot': 'outdoor',
+  'workshop': 'indoor',
+  'shop': 'indoor',
+  'pool': 'outdoor',
+};
+
+// Starting rate per foot for a new contract; the office can change it per contract
+export const DEFAULT_RATES_PER_FOOT = {
+  indoor: 95,
+  outdoor: 45,
+  rack: 120,
+};
+
+// Add-ons offered with storage, with their default price
+export const STORAGE_ADD_ONS = [
+  { key: 'shrink_wrap', label: 'Shrink wrap', price: 450 },
+  { key: 'winterization', label: 'Engine winterization', price: 350 },
+  { key: 'fuel_stabilizer', label: 'Fuel stabilizer', price: 40 },
+  { key: 'battery_service', label: 'Battery removal & charging', price: 95 },
+  { key: 'bottom_wash', label: 'Bottom wash', price: 150 },
+];
+
+export const CONTRACT_STATUS_LABELS = {
+  draft: 'Draft',
+  active: 'Active',
+  cancelled: 'Cancelled',
+};
+
+/**
+ * Season a date falls in - from August on it's the season starting that fall
+ *
+ * @param {Date} date
+ * @returns {string} - e.g. '2026-2027'
+ */
+export function getStorageSeason(date = new Date()) {
+  const startYear = date.getMonth() >= 7 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * The current season and a few either side, newest first, for season pickers
+ *
+ * @param {number} past - Seasons before the current one
+ * @returns {string[]}
+ */
+export function getSeasonOptions(past = 3) {
+  const startYear = Number(getStorageSeason().slice(0, 4));
+  const options = [];
+  for (let year = startYear + 1; year >= startYear - past; year--) {
+    options.push(`${year}-${year + 1}`);
+  }
+  return options;
+}
+
+/**
+ * Location type label and default storage type for a boat's current location
+ *
+ * @param {Object} boat - Boat with location (name)
+ * @param {Array} locations - All locations
+ * @returns {Object} - { locationType, locationTypeLabel, storageType }
+ */
+export function getBoatStorageLocation(boat, locations = []) {
+  const location = locations.find(l => l.name === boat?.location);
+  const locationType = location?.type || null;
+  return {
+    locationType,
+    locationTypeLabel: locationType ? (LOCATION_TYPE_LABELS[locationType] || locationType) : null,
+    storageType: LOCATION_TYPE_STORAGE[locationType] || null,
+  };
+}
+
+/**
+ * Price of a contract: storage (length x rate) and add-ons
+ *
+ * @param {Object} contract - storage_contracts row
+ * @returns {Object} - { storage, addOns, total }
+ */
+export function getContractTotals(contract) {
+  const storage = (Number(contract?.length_ft) || 0) * (Number(contract?.rate_per_foot) || 0);
+  const addOns = (contract?.add_ons || []).reduce((sum, addOn) => sum + (Number(addOn.price) || 0), 0);
+  return { storage, addOns, total: storage + addOns };
+}
+
+/**
+ * Dollar amount for display
+ *
+ * @param {number} amount
+ * @returns {string} - e.g. '$1,250.00'
+ */
+export function formatMoney(amount) {
+  return (Number(amount) || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
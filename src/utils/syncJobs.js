@@ -0,0 +1,102 @@
+/**
+ * Dockmaster sync job registry
+ *
+ * Each job writes one row to sync_status (id = job id) when it finishes;
+ * the Sync Health page lists them in this order. `expectedEveryMinutes` is how
+ * often the job is scheduled to run - a job whose last success is older than
+ * STALE_MULTIPLIER times that is flagged as stale.
+ *
+ * `action` is what the page's manual button does:
+ *   - 'inventory' / 'internalWorkOrders' - the full syncs the app already runs
+ *   - 'function' - invoke the edge function named in `functionName`
+ */
+
+export const STALE_MULTIPLIER = 3;
+
+export const SYNC_JOBS = [
+  {
+    id: 'inventory',
+    label: 'Inventory Boats',
+    description: 'Boat inventory from Dockmaster, run by the app while someone is signed in.',
+    expectedEveryMinutes: 30,
+    action: 'inventory',
+    actionLabel: 'Full sync'
+  },
+  {
+    id: 'internal_workorders',
+    label: 'Internal Work Orders',
+    description: 'Rigging and prep work orders for inventory boats.',
+    expectedEveryMinutes: 2,
+    action: 'internalWorkOrders',
+    actionLabel: 'Full sync'
+  },
+  {
+    id: 'workorders_incremental',
+    label: 'Work Orders (incremental)',
+    description: 'New and changed customer work orders and time entries.',
+    expectedEveryMinutes: 5,
+    action: 'function',
+    functionName: 'dockmaster-internal-workorders-incremental',
+    actionLabel: 'Run now'
+  },
+  {
+    id: 'estimates_incremental',
+    label: 'Estimates (incremental)',
+    description: 'New and changed estimates awaiting customer approval.',
+    expectedEveryMinutes: 2,
+    action: 'function',
+    functionName: 'dockmaster-estimates-incremental',
+    actionLabel: 'Run now'
+  },
+  {
+    id: 'cleanup_stale_workorders',
+    label: 'Stale Work Order Cleanup',
+    description: 'Removes work orders closed or deleted in Dockmaster.',
+    expectedEveryMinutes: 7 * 24 * 60,
+    action: 'function',
+    functionName: 'cleanup-stale-workorders',
+    actionLabel: 'Run now',
+    confirmMessage: 'Run the stale work order cleanup now? It checks every open work order against Dockmaster and can take a few minutes.'
+  }
+];
+
+/**
+ * Whether a job's last success is too old (or it has never succeeded)
+ * @param {Object} job - Entry from SYNC_JOBS
+ * @param {Object} status - The job's sync_status row, if any
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isSyncJobStale(job, status, now = Date.now()) {
+  if (!status?.last_success) return true;
+  const ageMs = now - new Date(status.last_success).getTime();
+  return ageMs > job.expectedEveryMinutes * STALE_MULTIPLIER * 60 * 1000;
+}
+
+/**
+ * Human duration for a run, e.g. "850 ms", "12.4 s", "3 min 5 s"
+ * @param {number|null} ms
+ * @returns {string}
+ */
+export function formatSyncDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 1000) return `${ms} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  const minutes = Math.floor(ms / 60000);
+  return `${minutes} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+/**
+ * Relative age, e.g. "4 min ago", "2 h ago", "3 d ago"
+ * @param {string|null} value - ISO timestamp
+ * @param {number} now - Current time in ms
+ * @returns {string}
+ */
+export function formatSyncAge(value, now = Date.now()) {
+  if (!value) return 'never';
+  const minutes = Math.round((now - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return `${Math.round(minutes / (24 * 60))} d ago`;
+}
@@ -0,0 +1,322 @@
+import { SEASONS, getActiveSeason } from './seasonHelpers';
+
+/**
+ * Work phase and status workflow utilities
+ *
+ * Which work phases a boat goes through, in what order, and which of them
+ * gate "All Work Complete" is defined per boat category by admins
+ * (Settings → Workflows, stored in workflow_definitions). Cards, filters and
+ * modals read the phase list from here instead of hard-coding it.
+ *
+ * Phases the app shipped with keep their boolean columns. Phases added by
+ * admins are stored in the boat's custom_phases, keyed by scope then phase:
+ *   { current: { 'shrink-wrap': true }, fall: { 'bottom-paint': false } }
+ *
+ * Scope is 'current' for customer boats, the season for storage boats and the
+ * work type ('prep' / 'rigging') for inventory boats.
+ */
+
+export const WORKFLOW_CATEGORIES = ['customer', 'storage', 'inventory'];
+
+export const WORKFLOW_CATEGORY_LABELS = {
+  customer: 'Customer Boats',
+  storage: 'Storage Boats',
+  inventory: 'Inventory Boats'
+};
+
+export const COMPLETE_STATUS = 'all-work-complete';
+
+// Phases backed by their own database columns
+export const BUILT_IN_PHASES = {
+  mechanicals: { label: 'Mechanicals', icon: 'wrench' },
+  clean: { label: 'Clean', icon: 'sparkles' },
+  fiberglass: { label: 'Fiberglass', icon: 'layers' },
+  warranty: { label: 'Warranty', icon: 'shield' },
+  invoiced: { label: 'Invoiced', icon: 'dollar' },
+  photographed: { label: 'Photographed', icon: 'camera' }
+};
+
+// Only the inventory table has photographed columns
+const BUILT_IN_KEYS_BY_CATEGORY = {
+  customer: ['mechanicals', 'clean', 'fiberglass', 'warranty', 'invoiced'],
+  storage: ['mechanicals', 'clean', 'fiberglass', 'warranty', 'invoiced'],
+  inventory: ['mechanicals', 'clean', 'fiberglass', 'warranty', 'invoiced', 'photographed']
+};
+
+// Icon names an admin can pick for a phase (rendered by PhaseIcon)
+export const PHASE_ICON_NAMES = ['wrench', 'sparkles', 'layers', 'shield', 'dollar', 'camera', 'paintbrush', 'package', 'snowflake', 'anchor', 'check'];
+
+// Status values are fixed (colors and season logic depend on them); labels,
+// order and visibility are editable. Locked ones can't be hidden.
+export const WORKFLOW_STATUSES = [
+  { key: 'needs-approval', label: 'Needs Approval', locked: true },
+  { key: 'needs-parts', label: 'Needs Parts' },
+  { key: 'parts-kit-pulled', label: 'Parts Kit Pulled' },
+  { key: 'on-deck', label: 'On Deck' },
+  { key: COMPLETE_STATUS, label: 'All Work Complete', locked: true }
+];
+
+const INVENTORY_SCOPES = ['prep', 'rigging'];
+
+/**
+ * Default (shipped) workflow for a category
+ *
+ * @param {string} category - 'customer', 'storage' or 'inventory'
+ * @returns {Object} - { category, phases, statuses }
+ */
+export function getDefaultWorkflow(category) {
+  return {
+    category,
+    phases: BUILT_IN_KEYS_BY_CATEGORY[category].map(key => ({
+      key,
+      label: BUILT_IN_PHASES[key].label,
+      icon: BUILT_IN_PHASES[key].icon,
+      requiredForComplete: true,
+      requires: []
+    })),
+    statuses: WORKFLOW_STATUSES.map(({ key, label }) => ({ key, label, enabled: true }))
+  };
+}
+
+/**
+ * Fill gaps in a stored definition so callers can rely on its shape
+ * Missing or empty definitions fall back to the defaults.
+ *
+ * @param {string} category - 'customer', 'storage' or 'inventory'
+ * @param {Object|null} definition - Row from workflow_definitions
+ * @returns {Object} - { category, phases, statuses }
+ */
+export function normalizeWorkflow(category, definition) {
+  const fallback = getDefaultWorkflow(category);
+  if (!definition || !Array.isArray(definition.phases) || definition.phases.length === 0) {
+    return fallback;
+  }
+
+  const phaseKeys = new Set(definition.phases.map(p => p.key));
+  const phases = definition.phases
+    .filter(p => p && p.key)
+    .map(p => ({
+      key: p.key,
+      label: p.label || BUILT_IN_PHASES[p.key]?.label || p.key,
+      icon: p.icon || BUILT_IN_PHASES[p.key]?.icon || 'check',
+      requiredForComplete: p.requiredForComplete !== false,
+      requires: (p.requires || []).filter(k => k !== p.key && phaseKeys.has(k))
+    }));
+
+  // Keep the stored order, append any status the definition doesn't mention
+  const stored = Array.isArray(definition.statuses) ? definition.statuses : [];
+  const statuses = [
+    ...stored.filter(s => WORKFLOW_STATUSES.some(w => w.key === s.key)),
+    ...fallback.statuses.filter(s => !stored.some(st => st.key === s.key))
+  ].map(s => {
+    const builtIn = WORKFLOW_STATUSES.find(w => w.key === s.key);
+    return {
+      key: s.key,
+      label: s.label || builtIn.label,
+      enabled: builtIn.locked ? true : s.enabled !== false
+    };
+  });
+
+  return { category, phases, statuses };
+}
+
+/**
+ * Which workflow category a boat follows
+ *
+ * @param {Object} boat - The boat object
+ * @returns {string} - 'customer', 'storage' or 'inventory'
+ */
+export function getWorkflowCategory(boat) {
+  if (boat.isInventory) return 'inventory';
+  if (boat.storageBoat) return 'storage';
+  return 'customer';
+}
+
+/**
+ * The scope a boat is currently working through
+ * Storage boats: active season. Inventory boats: prep until it's complete,
+ * then rigging. Customer boats: 'current'.
+ *
+ * @param {Object} boat - The boat object
+ * @returns {string} - Scope key
+ */
+export function getActiveScope(boat) {
+  if (boat.isInventory) {
+    return boat.prep_status === COMPLETE_STATUS ? 'rigging' : 'prep';
+  }
+  if (boat.storageBoat) return getActiveSeason(boat);
+  return 'current';
+}
+
+/**
+ * Is this phase stored in its own column for this scope?
+ *
+ * @param {string} phaseKey - Phase key
+ * @param {string} scope - Scope key
+ * @returns {boolean}
+ */
+export function isBuiltInPhase(phaseKey, scope) {
+  if (INVENTORY_SCOPES.includes(scope)) return BUILT_IN_KEYS_BY_CATEGORY.inventory.includes(phaseKey);
+  if (SEASONS.includes(scope)) return BUILT_IN_KEYS_BY_CATEGORY.storage.includes(phaseKey);
+  return BUILT_IN_KEYS_BY_CATEGORY.customer.includes(phaseKey);
+}
+
+// Column/property holding a built-in phase's completion for a scope
+function getBuiltInField(phaseKey, scope) {
+  const capitalized = phaseKey.charAt(0).toUpperCase() + phaseKey.slice(1);
+  if (INVENTORY_SCOPES.includes(scope)) return `${scope}_${phaseKey}_complete`;
+  if (SEASONS.includes(scope)) return `${scope}${capitalized}Complete`;
+  return `${phaseKey}Complete`;
+}
+
+/**
+ * Is a phase complete for a boat in the given scope?
+ *
+ * @param {Object} boat - The boat object
+ * @param {string} phaseKey - Phase key ('mechanicals', 'shrink-wrap', ...)
+ * @param {string} scope - Scope key (defaults to the boat's active scope)
+ * @returns {boolean}
+ */
+export function isPhaseComplete(boat, phaseKey, scope = getActiveScope(boat)) {
+  if (isBuiltInPhase(phaseKey, scope)) {
+    return boat[getBuiltInField(phaseKey, scope)] === true;
+  }
+  const customPhases = boat.customPhases || boat.custom_phases || {};
+  return customPhases[scope]?.[phaseKey] === true;
+}
+
+/**
+ * Fields to save to set a phase's completion
+ * Customer/storage boats get camelCase fields (mapped by AppContainer);
+ * inventory boats get snake_case columns (saved directly).
+ *
+ * @param {Object} boat - The boat object
+ * @param {string} phaseKey - Phase key
+ * @param {string} scope - Scope key
+ * @param {boolean} complete - New value
+ * @returns {Object} - Partial boat update
+ */
+export function getPhaseUpdate(boat, phaseKey, scope, complete) {
+  if (isBuiltInPhase(phaseKey, scope)) {
+    return { [getBuiltInField(phaseKey, scope)]: complete };
+  }
+
+  const customPhases = boat.customPhases || boat.custom_phases || {};
+  const updated = {
+    ...customPhases,
+    [scope]: { ...(customPhases[scope] || {}), [phaseKey]: complete }
+  };
+  return boat.isInventory ? { custom_phases: updated } : { customPhases: updated };
+}
+
+/**
+ * Phases that must be done before this one can be checked off
+ *
+ * @param {Object} boat - The boat object
+ * @param {Object} workflow - Normalized workflow
+ * @param {string} phaseKey - Phase being completed
+ * @param {string} scope - Scope key
+ * @returns {Array} - Phase definitions still outstanding
+ */
+export function getMissingPrerequisites(boat, workflow, phaseKey, scope) {
+  const phase = workflow.phases.find(p => p.key === phaseKey);
+  if (!phase) return [];
+  return phase.requires
+    .map(key => workflow.phases.find(p => p.key === key))
+    .filter(p => p && !isPhaseComplete(boat, p.key, scope));
+}
+
+/**
+ * Required phases not yet complete (these block "All Work Complete")
+ *
+ * @param {Object} boat - The boat object
+ * @param {Object} workflow - Normalized workflow
+ * @param {string} scope - Scope key
+ * @returns {Array} - Phase definitions still outstanding
+ */
+export function getIncompleteRequiredPhases(boat, workflow, scope = getActiveScope(boat)) {
+  return workflow.phases.filter(p => p.requiredForComplete && !isPhaseComplete(boat, p.key, scope));
+}
+
+/**
+ * Are all required phases complete?
+ *
+ * @param {Object} boat - The boat object
+ * @param {Object} workflow - Normalized workflow
+ * @param {string} scope - Scope key
+ * @returns {boolean}
+ */
+export function areRequiredPhasesComplete(boat, workflow, scope = getActiveScope(boat)) {
+  return getIncompleteRequiredPhases(boat, workflow, scope).length === 0;
+}
+
+/**
+ * Assignee / due date / completion stamp for a phase, if one was recorded
+ * (boat.phaseRecords, loaded from work_phase_records)
+ *
+ * @param {Object} boat - The boat object
+ * @param {string} phaseKey - Phase key
+ * @param {string} scope - Scope key (defaults to the boat's active scope)
+ * @returns {Object|null} - { assignedTo, assignee, dueDate, completedAt, completer, ... }
+ */
+export function getPhaseRecord(boat, phaseKey, scope = getActiveScope(boat)) {
+  return (boat.phaseRecords || []).find(r => r.phaseKey === phaseKey && r.scope === scope) || null;
+}
+
+/**
+ * Replace (or add) a phase record on a boat, for optimistic UI updates
+ *
+ * @param {Object} boat - The boat object
+ * @param {Object} record - Record returned by workPhasesService
+ * @returns {Array} - New phaseRecords array
+ */
+export function mergePhaseRecord(boat, record) {
+  const others = (boat.phaseRecords || []).filter(r => !(r.phaseKey === record.phaseKey && r.scope === record.scope));
+  return [...others, record];
+}
+
+/**
+ * Is an incomplete phase past its due date?
+ *
+ * @param {Object|null} record - Phase record
+ * @param {boolean} complete - Whether the phase is complete
+ * @returns {boolean}
+ */
+export function isPhaseOverdue(record, complete) {
+  if (complete || !record?.dueDate) return false;
+  const today = new Date();
+  const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  return record.dueDate < todayKey;
+}
+
+/**
+ * Statuses to offer, in the admin's order
+ *
+ * @param {Object} workflow - Normalized workflow
+ * @returns {Array} - [{ key, label }]
+ */
+export function getStatusOptions(workflow) {
+  return workflow.statuses.filter(s => s.enabled);
+}
+
+/**
+ * Display label for a status value
+ *
+ * @param {Object} workflow - Normalized workflow
+ * @param {string} status - Status key
+ * @returns {string}
+ */
+export function getStatusLabel(workflow, status) {
+  if (status === 'archived') return 'Released';
+  return workflow.statuses.find(s => s.key === status)?.label || status;
+}
+
+/**
+ * Phase key from an admin-entered label ("Shrink Wrap" → "shrink-wrap")
+ *
+ * @param {string} label - Phase label
+ * @returns {string}
+ */
+export function toPhaseKey(label) {
+  return label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,127 @@
+/**
+ * Yard audit reconciliation
+ *
+ * Compares what was physically found while walking a location against what the
+ * database says is there, and produces the list of discrepancies to fix.
+ *
+ * Discrepancy types:
+ * - missing:    Board has the boat in this location, but it wasn't found here
+ * - unexpected: Boat was found here, but the board has it unassigned
+ * - wrong-slot: Boat was found here, but the board has it in another slot/location
+ */
+
+import { formatSlotLabel } from '../components/locations/locationUtils';
+
+export const AUDIT_DISCREPANCY_LABELS = {
+  missing: 'Missing',
+  unexpected: 'Unexpected',
+  'wrong-slot': 'Wrong Slot',
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Build the discrepancy report for an audited location
+ *
+ * @param {Object} location - Location as currently stored (boats map / pool_boats)
+ * @param {Object} observedSlots - Grid: { slotId: boatId | null } for every audited slot
+ * @param {Array|null} observedPoolBoats - Pool: IDs of boats found in the pool (null if not a pool)
+ * @param {Array} boats - All boats (customer + inventory) as loaded in the app
+ * @returns {Object} - { discrepancies, confirmedCount, auditedCount }
+ */
+export function buildAuditReport(location, observedSlots, observedPoolBoats, boats) {
+  const findBoat = (id) => boats.find(b => sameId(b.id, id)) || null;
+  const discrepancies = [];
+  let confirmedCount = 0;
+
+  // Found here, but the board disagrees: unassigned on the board vs. somewhere else
+  const foundHere = (boatId, slotId) => {
+    const boat = findBoat(boatId);
+    discrepancies.push({
+      key: `found-${slotId}-${boatId}`,
+      type: boat?.location ? 'wrong-slot' : 'unexpected',
+      boatId,
+      boat,
+      slotId,
+      boardLocation: boat?.location || null,
+      boardSlot: boat?.slot || null,
+    });
+  };
+
+  const notFound = (boatId, slotId) => {
+    discrepancies.push({
+      key: `missing-${boatId}`,
+      type: 'missing',
+      boatId,
+      boat: findBoat(boatId),
+      slotId,
+      boardLocation: location.name,
+      boardSlot: slotId,
+    });
+  };
+
+  if (location.type === 'pool') {
+    const expected = location.pool_boats || location.poolBoats || [];
+    const observed = observedPoolBoats || [];
+
+    expected.forEach(boatId => {
+      if (observed.some(id => sameId(id, boatId))) {
+        confirmedCount++;
+      } else {
+        notFound(boatId, 'pool');
+      }
+    });
+    observed
+      .filter(boatId => !expected.some(id => sameId(id, boatId)))
+      .forEach(boatId => foundHere(boatId, 'pool'));
+
+    return { discrepancies, confirmedCount, auditedCount: expected.length + observed.length - confirmedCount };
+  }
+
+  const expected = location.boats || {};
+  const observedIds = Object.values(observedSlots).filter(Boolean);
+
+  Object.entries(observedSlots).forEach(([slotId, observedId]) => {
+    const expectedId = expected[slotId] || null;
+
+    if (expectedId && observedId && sameId(expectedId, observedId)) {
+      confirmedCount++;
+      return;
+    }
+    if (!expectedId && !observedId) {
+      confirmedCount++; // Confirmed empty
+      return;
+    }
+
+    if (observedId) foundHere(observedId, slotId);
+
+    // Only missing if it didn't turn up in another slot during this walk
+    if (expectedId && !observedIds.some(id => sameId(id, expectedId))) {
+      notFound(expectedId, slotId);
+    }
+  });
+
+  return { discrepancies, confirmedCount, auditedCount: Object.keys(observedSlots).length };
+}
+
+/**
+ * Describe a discrepancy in one line for the report and movement notes
+ *
+ * @param {Object} item - Discrepancy from buildAuditReport
+ * @param {Object} location - Audited location
+ * @returns {string}
+ */
+export function describeDiscrepancy(item, location) {
+  const here = `${location.name} ${formatSlotLabel(item.slotId)}`;
+
+  switch (item.type) {
+    case 'missing':
+      return `Not found at ${here}`;
+    case 'unexpected':
+      return `Found at ${here}, not on the board`;
+    case 'wrong-slot':
+      return `Found at ${here}, board has ${item.boardLocation} ${formatSlotLabel(item.boardSlot)}`;
+    default:
+      return here;
+  }
+}
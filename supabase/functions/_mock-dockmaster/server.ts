@@ -0,0 +1,152 @@
+// Local mock of the Dockmaster auth + API servers
+// Replays the recorded fixtures in ./fixtures so the sync functions can be run
+// and debugged without Dockmaster credentials or network access.
+//
+// Run:   deno run --allow-net --allow-read --allow-env supabase/functions/_mock-dockmaster/server.ts
+// Then serve the functions with DOCKMASTER_AUTH_URL / DOCKMASTER_API_URL pointing here
+// (see "Testing Dockmaster syncs offline" in the README).
+//
+// Env:
+//   MOCK_DOCKMASTER_PORT      - port to listen on (default 8787)
+//   MOCK_DOCKMASTER_USERNAME  - when set, /token only accepts this username
+//   MOCK_DOCKMASTER_FAILURES  - fail the first N calls to an endpoint, to exercise retries
+//                               e.g. "ListNewOrChanged=503x2,token=500x1"
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+
+const PORT = Number(Deno.env.get('MOCK_DOCKMASTER_PORT') ?? 8787)
+const USERNAME = Deno.env.get('MOCK_DOCKMASTER_USERNAME')
+const AUTH_TOKEN = 'mock-dockmaster-token'
+const SYSTEM_ID = 'MOCK'
+
+const fixturesDir = new URL('./fixtures/', import.meta.url)
+
+async function loadFixture(name: string): Promise<any[]> {
+  return JSON.parse(await Deno.readTextFile(new URL(`${name}.json`, fixturesDir)))
+}
+
+const fixtures = {
+  boats: await loadFixture('boats'),
+  inventory: await loadFixture('inventory'),
+  workOrders: await loadFixture('workorders'),
+  timeEntries: await loadFixture('time-entries'),
+  estimates: await loadFixture('estimates'),
+}
+
+// "ListNewOrChanged=503x2" -> first 2 calls answer 503
+const failures = new Map<string, { status: number, remaining: number }>()
+for (const rule of (Deno.env.get('MOCK_DOCKMASTER_FAILURES') ?? '').split(',').filter(Boolean)) {
+  const match = rule.trim().match(/^([\w/]+)=(\d{3})x(\d+)$/)
+  if (!match) {
+    console.warn(`Ignoring failure rule "${rule}" - expected Endpoint=STATUSxCOUNT`)
+    continue
+  }
+  failures.set(match[1], { status: Number(match[2]), remaining: Number(match[3]) })
+}
+
+const json = (data: unknown, status = 200) => new Response(JSON.stringify(data), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+})
+
+// Page of items in Dockmaster's { content, currentPage, maxPages } wrapper
+function paged(items: any[], page: number, pageSize: number) {
+  const size = pageSize > 0 ? pageSize : 100
+  return {
+    content: items.slice((page - 1) * size, page * size),
+    currentPage: page,
+    maxPages: Math.max(1, Math.ceil(items.length / size)),
+    totalCount: items.length,
+  }
+}
+
+// Summary rows as returned by list endpoints (no operations)
+const withoutOperations = ({ operations: _operations, ...rest }: any) => rest
+
+const readBody = async (req: Request) => {
+  try {
+    return await req.json()
+  } catch {
+    return {}
+  }
+}
+
+async function handleApi(path: string, params: URLSearchParams, req: Request): Promise<Response> {
+  const page = Number(params.get('Page') ?? 1)
+  const pageSize = Number(params.get('PageSize') ?? 100)
+
+  switch (path) {
+    case 'Boats/Search': {
+      const search = (params.get('SearchString') ?? '').toLowerCase()
+      return json(fixtures.boats.filter(boat => JSON.stringify(boat).toLowerCase().includes(search)))
+    }
+
+    case 'Boats/RetrieveBoat': {
+      const boat = fixtures.boats.find(b => String(b.id) === params.get('BoatId'))
+      return boat ? json(boat) : json({ message: 'Boat not found' }, 404)
+    }
+
+    case 'UnitSales/RetrieveBoatInventory': {
+      const { status } = await readBody(req)
+      return json(fixtures.inventory.filter(boat => !status || boat.status === status))
+    }
+
+    case 'Service/WorkOrders/ListForCustomer': {
+      const custId = params.get('CustId')
+      const status = params.get('Status')
+      return json(fixtures.workOrders
+        .filter(wo => String(wo.customerID) === custId && (!status || wo.status === status))
+        .map(withoutOperations))
+    }
+
+    case 'Service/WorkOrders/RetrieveList': {
+      const { woIds = [], detail = false } = await readBody(req)
+      const ids = new Set(woIds.map(String))
+      const found = fixtures.workOrders.filter(wo => ids.has(String(wo.id)))
+      return json(detail ? found : found.map(withoutOperations))
+    }
+
+    // Recorded changes are replayed whatever LastUpdate asks for
+    case 'Service/WorkOrders/ListNewOrChanged':
+      return json(paged(fixtures.workOrders, page, pageSize))
+
+    case 'Service/WorkOrders/ListTimeEntry':
+      return json(paged(fixtures.timeEntries, page, pageSize))
+
+    case 'Service/Estimates/RetrieveList': {
+      const body = await readBody(req)
+      return json(paged(fixtures.estimates, body.page ?? 1, body.pageSize ?? 100))
+    }
+
+    default:
+      return json({ message: `Mock has no fixture for ${path}` }, 404)
+  }
+}
+
+serve(async (req) => {
+  const url = new URL(req.url)
+  const path = url.pathname.replace(/^\/api\/v1\//, '').replace(/^\//, '')
+  console.log(`${req.method} ${url.pathname}${url.search}`)
+
+  // Injected failures, matched on the last path segment
+  const failure = failures.get(path.split('/').pop() ?? '')
+  if (failure && failure.remaining > 0) {
+    failure.remaining--
+    console.log(`  -> injected ${failure.status} (${failure.remaining} left)`)
+    return json({ message: 'Injected failure' }, failure.status)
+  }
+
+  if (path === 'token') {
+    const { UserName, Password } = await readBody(req)
+    if (!UserName || !Password || (USERNAME && UserName !== USERNAME)) {
+      return json({ message: 'Invalid credentials' }, 401)
+    }
+    return json({ authToken: AUTH_TOKEN, availableConnections: [{ systemId: SYSTEM_ID }] })
+  }
+
+  if (req.headers.get('Authorization') !== `Bearer ${AUTH_TOKEN}` || req.headers.get('X-DM_SYSTEM_ID') !== SYSTEM_ID) {
+    return json({ message: 'Unauthorized' }, 401)
+  }
+
+  return handleApi(path, url.searchParams, req)
+}, { port: PORT })
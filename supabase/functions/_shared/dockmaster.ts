@@ -0,0 +1,413 @@
+// Shared Dockmaster API client for the edge functions
+//
+// One place for authentication (with token caching), retry/backoff,
+// pagination and the Eastern-time date format Dockmaster expects, so each
+// sync function only deals with its own mapping and database writes.
+//
+// DOCKMASTER_AUTH_URL / DOCKMASTER_API_URL override the base URLs - point them
+// at the mock server in ../_mock-dockmaster to run the syncs offline.
+
+const AUTH_URL = (Deno.env.get('DOCKMASTER_AUTH_URL') ?? 'https://auth.dmeapi.com').replace(/\/$/, '')
+const API_URL = (Deno.env.get('DOCKMASTER_API_URL') ?? 'https://api.dmeapi.com').replace(/\/$/, '')
+
+// Tokens are reused across invocations while the function instance stays warm.
+// Dockmaster doesn't return an expiry, so refresh well inside the hour.
+const TOKEN_TTL_MS = 45 * 60 * 1000
+
+const MAX_ATTEMPTS = 3
+const BASE_RETRY_DELAY_MS = 500
+const MAX_RETRY_DELAY_MS = 10000
+
+// Pagination safety limit - a sync that needs more than this should narrow its window
+const DEFAULT_PAGE_SIZE = 100
+const DEFAULT_MAX_PAGES = 10
+
+// ============================================================================
+// RESPONSE TYPES (only the fields the syncs read; Dockmaster sends many more)
+// ============================================================================
+
+export interface DockmasterOperation {
+  id: string
+  opcode: string
+  opcodeDesc?: string
+  status?: string
+  type?: string
+  category?: string
+  flagLaborFinished?: boolean
+  totalCharges?: number
+  totalLaborHours?: number
+  estStartDate?: string
+  estCompleteDate?: string
+  timeEntries?: DockmasterTimeEntryDetail[]
+  [field: string]: any
+}
+
+export interface DockmasterWorkOrder {
+  id: string
+  customerID?: string
+  customerId?: string
+  customerName?: string
+  boatId?: string
+  riggingId?: string
+  riggingType?: string
+  isEstimate?: boolean
+  status?: string
+  title?: string
+  category?: string
+  creationDate?: string
+  totalWOCharges?: number
+  operations?: DockmasterOperation[]
+  [field: string]: any
+}
+
+export interface DockmasterTimeEntryDetail {
+  techId?: string
+  opCode?: string
+  date?: string  // MM/DD/YYYY
+  hours?: number
+  effHours?: number
+  startTime?: string
+  stopTime?: string
+  [field: string]: any
+}
+
+export interface DockmasterTimeEntry {
+  laborUID: string
+  workOrderId: string
+  techId?: string
+  departmentId?: string
+  operations?: DockmasterOperation[]
+  [field: string]: any
+}
+
+export interface DockmasterBoat {
+  id: string
+  [field: string]: any
+}
+
+export interface DockmasterInventoryBoat {
+  id: string
+  status?: string
+  serialNumber?: string
+  stockNumber?: string
+  boatModelInfo?: Record<string, any>
+  [field: string]: any
+}
+
+// Paged list endpoints answer with a bare array or one of these wrappers
+export type DockmasterListResponse<T> =
+  | T[]
+  | { content?: T[], items?: T[], data?: T[], currentPage?: number, maxPages?: number }
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+// A non-OK response from Dockmaster (after retries)
+export class DockmasterError extends Error {
+  status: number | null
+  details: string
+
+  constructor(message: string, status: number | null = null, details = '') {
+    super(message)
+    this.name = 'DockmasterError'
+    this.status = status
+    this.details = details
+  }
+}
+
+// No usable credentials in dockmaster_config
+export class DockmasterConfigError extends Error {
+  constructor(message = 'Dockmaster credentials not configured') {
+    super(message)
+    this.name = 'DockmasterConfigError'
+  }
+}
+
+// HTTP status a proxy function should answer with for a thrown error
+export function errorStatus(error: unknown): number {
+  if (error instanceof DockmasterConfigError) return 400
+  if (error instanceof DockmasterError && error.status) return error.status
+  return 500
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Pull the item array out of any list response shape
+export function unwrapList<T>(data: DockmasterListResponse<T> | null | undefined): T[] {
+  if (!data) return []
+  if (Array.isArray(data)) return data
+  return data.content || data.items || data.data || []
+}
+
+// Dockmaster works in Eastern time, not UTC
+// Returns { date: "YYYY-MM-DD", time: "HH:MM:SS.000" }
+export function toEasternDateTime(date: Date): { date: string, time: string } {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value])
+  )
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}.000`,
+  }
+}
+
+// Eastern timestamp for query-string filters: "YYYY-MM-DDTHH:MM:SS.000"
+export function toEasternTimestamp(date: Date): string {
+  const { date: day, time } = toEasternDateTime(date)
+  return `${day}T${time}`
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+const isRetryableStatus = (status: number) => status === 429 || status >= 500
+
+// Exponential backoff, honouring Retry-After when Dockmaster sends one
+function retryDelay(attempt: number, response?: Response): number {
+  const retryAfter = Number(response?.headers.get('Retry-After'))
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS)
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS)
+}
+
+// fetch with retries on network errors, 429 and 5xx
+async function fetchWithRetry(url: string, init: RequestInit, label: string): Promise<Response> {
+  for (let attempt = 1; ; attempt++) {
+    let response: Response | undefined
+    try {
+      response = await fetch(url, init)
+      if (response.ok || !isRetryableStatus(response.status) || attempt >= MAX_ATTEMPTS) {
+        return response
+      }
+      await response.body?.cancel()
+      console.warn(`Dockmaster ${label} returned ${response.status}, retrying (attempt ${attempt}/${MAX_ATTEMPTS})`)
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) {
+        throw new DockmasterError(`Dockmaster ${label} request failed: ${(error as Error).message}`)
+      }
+      console.warn(`Dockmaster ${label} request failed, retrying (attempt ${attempt}/${MAX_ATTEMPTS}):`, (error as Error).message)
+    }
+    await sleep(retryDelay(attempt, response))
+  }
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+interface CachedToken {
+  authToken: string
+  systemId: string
+  expiresAt: number
+}
+
+// Keyed by username; a token Dockmaster rejects (401) is dropped and fetched again
+const tokenCache = new Map<string, CachedToken>()
+
+interface RequestOptions {
+  query?: Record<string, string | number | boolean | null | undefined>
+  body?: unknown
+}
+
+interface PaginateOptions {
+  pageSize?: number
+  maxPages?: number
+}
+
+export class DockmasterClient {
+  private username: string
+  private password: string
+
+  constructor(username: string, password: string) {
+    this.username = username
+    this.password = password
+  }
+
+  // Get a bearer token and system ID, reusing a cached one while it's fresh
+  async authenticate(force = false): Promise<{ authToken: string, systemId: string }> {
+    const cached = tokenCache.get(this.username)
+    if (!force && cached && cached.expiresAt > Date.now()) {
+      return cached
+    }
+
+    const response = await fetchWithRetry(`${AUTH_URL}/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ UserName: this.username, Password: this.password }),
+    }, 'auth')
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error('Dockmaster auth failed:', response.status, errorText)
+      // No status: proxies shouldn't pass Dockmaster's 401 on as if the caller's session failed
+      throw new DockmasterError(`Authentication failed: ${response.status}`, null, errorText)
+    }
+
+    const authData = await response.json()
+    const authToken = authData.authToken
+    const systemId = authData.availableConnections?.[0]?.systemId
+
+    if (!authToken || !systemId) {
+      throw new DockmasterError('Authentication response missing token or systemId')
+    }
+
+    const token = { authToken, systemId, expiresAt: Date.now() + TOKEN_TTL_MS }
+    tokenCache.set(this.username, token)
+    return token
+  }
+
+  // Call an API path (e.g. "Service/WorkOrders/RetrieveList") and return the parsed JSON
+  // A 401 drops the cached token and retries once with a fresh one
+  async request<T>(method: 'GET' | 'POST', path: string, { query, body }: RequestOptions = {}): Promise<T> {
+    const url = new URL(`${API_URL}/api/v1/${path}`)
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== null && value !== undefined) url.searchParams.append(key, String(value))
+    }
+
+    for (let reauthenticated = false; ; reauthenticated = true) {
+      const { authToken, systemId } = await this.authenticate(reauthenticated)
+      const response = await fetchWithRetry(url.toString(), {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`,
+          'X-DM_SYSTEM_ID': systemId,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      }, path)
+
+      if (response.status === 401 && !reauthenticated) {
+        await response.body?.cancel()
+        tokenCache.delete(this.username)
+        continue
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text()
+        console.error(`Dockmaster ${path} error:`, response.status, errorText)
+        throw new DockmasterError(`Dockmaster API error: ${response.status}`, response.status, errorText)
+      }
+
+      const text = await response.text()
+      return (text ? JSON.parse(text) : null) as T
+    }
+  }
+
+  // Walk a paged endpoint until the last page (or maxPages), collecting items
+  async paginate<T>(
+    fetchPage: (page: number, pageSize: number) => Promise<DockmasterListResponse<T>>,
+    { pageSize = DEFAULT_PAGE_SIZE, maxPages = DEFAULT_MAX_PAGES }: PaginateOptions = {}
+  ): Promise<T[]> {
+    const items: T[] = []
+
+    for (let page = 1; page <= maxPages; page++) {
+      const data = await fetchPage(page, pageSize)
+      const pageItems = unwrapList(data)
+      items.push(...pageItems)
+
+      const hasMore = !Array.isArray(data) && data?.maxPages && data?.currentPage
+        ? data.currentPage < data.maxPages
+        : pageItems.length >= pageSize
+      if (!hasMore) return items
+    }
+
+    console.warn(`Dockmaster pagination stopped at ${maxPages} pages (${items.length} items)`)
+    return items
+  }
+
+  // ==========================================================================
+  // BOATS
+  // ==========================================================================
+
+  searchBoats(searchString: string): Promise<DockmasterBoat[]> {
+    return this.request('GET', 'Boats/Search', { query: { SearchString: searchString, DirectHit: 'false' } })
+  }
+
+  retrieveBoat(boatId: string): Promise<DockmasterBoat> {
+    return this.request('GET', 'Boats/RetrieveBoat', { query: { BoatId: boatId } })
+  }
+
+  // Boat inventory for one sales status, modified since a YYYY-MM-DD date
+  async retrieveBoatInventory(lastModifiedDate: string, status: string): Promise<DockmasterInventoryBoat[]> {
+    const data = await this.request<DockmasterListResponse<DockmasterInventoryBoat>>(
+      'POST', 'UnitSales/RetrieveBoatInventory', { body: { lastModifiedDate, status } }
+    )
+    return unwrapList(data)
+  }
+
+  // ==========================================================================
+  // WORK ORDERS, TIME ENTRIES & ESTIMATES
+  // ==========================================================================
+
+  // Work order summaries for a customer (no boat ID - use retrieveWorkOrders for detail)
+  async listWorkOrdersForCustomer(custId: string, status = 'O'): Promise<DockmasterWorkOrder[]> {
+    const data = await this.request<DockmasterListResponse<DockmasterWorkOrder>>(
+      'GET', 'Service/WorkOrders/ListForCustomer', { query: { CustId: custId, Status: status } }
+    )
+    return unwrapList(data)
+  }
+
+  // Batch retrieve work orders by ID (detail includes operations)
+  async retrieveWorkOrders(woIds: string[], detail = true): Promise<DockmasterWorkOrder[]> {
+    if (woIds.length === 0) return []
+    const data = await this.request<DockmasterListResponse<DockmasterWorkOrder>>(
+      'POST', 'Service/WorkOrders/RetrieveList', { body: { woIds, detail } }
+    )
+    return unwrapList(data)
+  }
+
+  // Work orders created or changed since a time, all pages
+  listChangedWorkOrders(since: Date, options?: PaginateOptions): Promise<DockmasterWorkOrder[]> {
+    return this.paginate((page, pageSize) => this.request('GET', 'Service/WorkOrders/ListNewOrChanged', {
+      query: { LastUpdate: toEasternTimestamp(since), Page: page, PageSize: pageSize },
+    }), options)
+  }
+
+  // Labor time entries between two times, with operation detail, all pages
+  listTimeEntries(start: Date, end: Date, options?: PaginateOptions): Promise<DockmasterTimeEntry[]> {
+    return this.paginate((page, pageSize) => this.request('GET', 'Service/WorkOrders/ListTimeEntry', {
+      query: {
+        StartDate: toEasternTimestamp(start),
+        EndDate: toEasternTimestamp(end),
+        Page: page,
+        PageSize: pageSize,
+        Detail: 'true',
+      },
+    }), options)
+  }
+
+  // Estimates (all statuses) updated since a time, with detail, all pages
+  retrieveEstimates(since: Date, options?: PaginateOptions): Promise<DockmasterWorkOrder[]> {
+    const { date: lastUpdateDate, time: lastUpdateTime } = toEasternDateTime(since)
+    return this.paginate((page, pageSize) => this.request('POST', 'Service/Estimates/RetrieveList', {
+      body: { lastUpdateDate, lastUpdateTime, status: '', woIds: [], detail: true, page, pageSize },
+    }), options)
+  }
+}
+
+// Build a client from the credentials saved in dockmaster_config
+export async function createDockmasterClient(supabase: any): Promise<DockmasterClient> {
+  const { data: config, error } = await supabase
+    .from('dockmaster_config')
+    .select('username, password')
+    .limit(1)
+    .single()
+
+  if (error || !config?.username || !config?.password) {
+    if (error) console.error('Dockmaster config error:', error)
+    throw new DockmasterConfigError()
+  }
+
+  return new DockmasterClient(config.username, config.password)
+}
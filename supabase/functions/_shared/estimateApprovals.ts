@@ -0,0 +1,88 @@
+// Estimate approval change notifications
+//
+// After an estimates sync, every approved inventory boat whose estimates no
+// longer match the approval hash gets one notification for its approver (in
+// the app's Alerts and as a push), with a summary of what changed. The approval
+// row's notified_hash records the estimates the approver was told about, so a
+// change is only notified once however many sync runs see it.
+
+import { computeEstimatesHash, diffEstimates, summarizeEstimateDiff } from './estimateDiff.js'
+
+// Notify approvers of inventory boats with these Dockmaster IDs whose approved
+// estimates have changed. Returns the number of notifications sent.
+export async function notifyChangedApprovals(supabase: any, dockmasterIds: string[]): Promise<number> {
+  const ids = [...new Set(dockmasterIds.filter(Boolean).map(String))]
+  if (ids.length === 0) return 0
+
+  const { data: boats, error } = await supabase
+    .from('inventory_boats')
+    .select('id, dockmaster_id, year, make, model, stock_number, estimates_approved_by, estimates_approval_hash')
+    .in('dockmaster_id', ids)
+    .not('estimates_approved_by', 'is', null)
+
+  if (error) throw new Error(`Error loading approved inventory boats: ${error.message}`)
+
+  let notified = 0
+  for (const boat of (boats || [])) {
+    const { data: estimates, error: estimatesError } = await supabase
+      .from('work_orders')
+      .select('*, operations:work_order_operations(*)')
+      .eq('is_estimate', true)
+      .eq('rigging_id', String(boat.dockmaster_id))
+
+    if (estimatesError) throw new Error(`Error loading estimates for ${boat.dockmaster_id}: ${estimatesError.message}`)
+
+    const currentHash = computeEstimatesHash(estimates)
+    if (currentHash === boat.estimates_approval_hash) continue
+
+    const { data: approval } = await supabase
+      .from('estimate_approvals')
+      .select('id, approval_hash, snapshot, notified_hash')
+      .eq('inventory_boat_id', boat.id)
+      .order('approved_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    // No approval row to record the notification on, or already notified about these estimates
+    if (!approval || approval.notified_hash === currentHash) continue
+
+    const summary = approval.snapshot && approval.approval_hash === boat.estimates_approval_hash
+      ? summarizeEstimateDiff(diffEstimates(approval.snapshot, estimates))
+      : 'Estimates changed since your approval'
+    const boatLabel = `${boat.year || ''} ${boat.make || ''} ${boat.model || ''}`.trim() || `Stock #${boat.stock_number}`
+
+    const { error: notifyError } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: boat.estimates_approved_by,
+        type: 'estimates_changed',
+        source_type: 'estimate_approval',
+        source_id: approval.id,
+        inventory_boat_id: boat.id,
+        message_preview: summary,
+        created_by: null,
+      })
+
+    if (notifyError) throw new Error(`Error creating estimate change notification: ${notifyError.message}`)
+
+    await supabase
+      .from('estimate_approvals')
+      .update({ notified_hash: currentHash, notified_at: new Date().toISOString() })
+      .eq('id', approval.id)
+
+    // Push is best-effort, the in-app alert is already stored
+    await supabase.functions.invoke('send-push-notification', {
+      body: {
+        userIds: [boat.estimates_approved_by],
+        title: `Estimates changed: ${boatLabel}`,
+        body: `${summary}. Review and re-approve.`,
+        url: `/inventory?openBoat=${boat.id}`,
+        tag: `estimates-changed-${boat.id}`,
+      }
+    }).catch((err: Error) => console.error('Failed to send push notification:', err))
+
+    notified++
+  }
+
+  return notified
+}
@@ -0,0 +1,162 @@
+/**
+ * ESTIMATE APPROVAL SNAPSHOTS AND DIFFS
+ * =====================================
+ *
+ * Shared by the web app (src/utils/estimateDiff.js re-exports this file) and
+ * the dockmaster-estimates-incremental edge function, so a change the sync
+ * notifies about is the same change the approval panel shows. Must stay plain
+ * JavaScript with no browser- or Deno-specific APIs.
+ *
+ * Estimates are work_orders rows (is_estimate = true) with their
+ * work_order_operations. An approval stores a snapshot of them; the diff
+ * compares that snapshot with the current estimates line by line (opcode).
+ */
+
+// Amounts closer than this are treated as equal (float noise from Dockmaster)
+const AMOUNT_EPSILON = 0.005;
+
+function toAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Operation amounts - estimated values first, same fallbacks as EstimateDetailsModal
+function operationAmounts(op) {
+  return {
+    labor: toAmount(op.estimated_labor ?? op.total_labor),
+    parts: toAmount(op.estimated_parts ?? op.total_parts),
+    charges: toAmount(op.estimated_charges ?? op.total_charges),
+    labor_hours: toAmount(op.estimated_labor_hours ?? op.total_labor_hours),
+  };
+}
+
+/**
+ * Hash of the estimates' ids and totals, stored as estimates_approval_hash.
+ * A different hash means the approval no longer matches Dockmaster.
+ *
+ * @param {Array} estimates - work_orders rows
+ * @returns {string|null}
+ */
+export function computeEstimatesHash(estimates) {
+  if (!estimates || estimates.length === 0) return null;
+  const sorted = [...estimates].sort((a, b) => a.id - b.id);
+  return sorted.map(e => `${e.id}:${e.total_charges || 0}`).join('|');
+}
+
+/**
+ * Compact copy of the estimates kept with an approval
+ *
+ * @param {Array} estimates - work_orders rows with operations
+ * @returns {Array} - [{ id, title, total_labor, total_parts, total_charges, operations: [...] }]
+ */
+export function snapshotEstimates(estimates) {
+  return (estimates || []).map(estimate => ({
+    id: String(estimate.id),
+    title: estimate.title || '',
+    total_labor: toAmount(estimate.total_labor),
+    total_parts: toAmount(estimate.total_parts),
+    total_charges: toAmount(estimate.total_charges),
+    operations: (estimate.operations || []).map(op => ({
+      opcode: op.opcode || '',
+      opcode_desc: op.opcode_desc || '',
+      ...operationAmounts(op),
+    })),
+  }));
+}
+
+// Lines keyed by estimate and opcode; a repeated opcode on one estimate gets a counter
+function indexLines(snapshot) {
+  const lines = new Map();
+  snapshot.forEach(estimate => {
+    const seen = {};
+    estimate.operations.forEach(op => {
+      seen[op.opcode] = (seen[op.opcode] || 0) + 1;
+      const key = `${estimate.id}|${op.opcode}|${seen[op.opcode]}`;
+      lines.set(key, { ...op, estimate_id: estimate.id, estimate_title: estimate.title });
+    });
+  });
+  return lines;
+}
+
+function changed(before, after) {
+  return Math.abs(before - after) >= AMOUNT_EPSILON;
+}
+
+/**
+ * Line-level diff between an approved snapshot and the current estimates
+ *
+ * @param {Array} approvedSnapshot - snapshotEstimates() output stored at approval
+ * @param {Array} currentEstimates - current work_orders rows with operations
+ * @returns {Object} - {
+ *   added: [line], removed: [line],
+ *   changed: [{ ...line, before: {labor, parts, charges}, after: {...} }],
+ *   addedEstimates: [estimate], removedEstimates: [estimate],
+ *   totalBefore, totalAfter, hasChanges
+ * }
+ */
+export function diffEstimates(approvedSnapshot, currentEstimates) {
+  const before = approvedSnapshot || [];
+  const after = snapshotEstimates(currentEstimates);
+
+  const beforeIds = new Set(before.map(e => e.id));
+  const afterIds = new Set(after.map(e => e.id));
+
+  const beforeLines = indexLines(before);
+  const afterLines = indexLines(after);
+
+  const added = [];
+  const removed = [];
+  const changedLines = [];
+
+  afterLines.forEach((line, key) => {
+    const previous = beforeLines.get(key);
+    if (!previous) {
+      added.push(line);
+    } else if (changed(previous.labor, line.labor) || changed(previous.parts, line.parts) || changed(previous.charges, line.charges)) {
+      changedLines.push({
+        ...line,
+        before: { labor: previous.labor, parts: previous.parts, charges: previous.charges },
+        after: { labor: line.labor, parts: line.parts, charges: line.charges },
+      });
+    }
+  });
+
+  beforeLines.forEach((line, key) => {
+    if (!afterLines.has(key)) removed.push(line);
+  });
+
+  const totalBefore = toAmount(before.reduce((sum, e) => sum + e.total_charges, 0));
+  const totalAfter = toAmount(after.reduce((sum, e) => sum + e.total_charges, 0));
+
+  const addedEstimates = after.filter(e => !beforeIds.has(e.id));
+  const removedEstimates = before.filter(e => !afterIds.has(e.id));
+
+  return {
+    added,
+    removed,
+    changed: changedLines,
+    addedEstimates,
+    removedEstimates,
+    totalBefore,
+    totalAfter,
+    hasChanges: added.length > 0 || removed.length > 0 || changedLines.length > 0 ||
+      addedEstimates.length > 0 || removedEstimates.length > 0 || changed(totalBefore, totalAfter),
+  };
+}
+
+/**
+ * One-line summary of a diff, for notifications
+ *
+ * @param {Object} diff - diffEstimates() output
+ * @returns {string}
+ */
+export function summarizeEstimateDiff(diff) {
+  const parts = [];
+  if (diff.added.length) parts.push(`${diff.added.length} line${diff.added.length === 1 ? '' : 's'} added`);
+  if (diff.removed.length) parts.push(`${diff.removed.length} removed`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} changed`);
+  const delta = toAmount(diff.totalAfter - diff.totalBefore);
+  if (delta !== 0) {
+    parts.push(`total ${delta > 0 ? '+' : '-'}$${Math.abs(delta).toLocaleString('en-US', { minimumFractionDigits: 2 })}`);
+  }
+  return parts.length ? parts.join(', ') : 'Estimates changed';
+}
@@ -0,0 +1,254 @@
+/**
+ * HULL IDENTIFICATION NUMBER (HIN) UTILITIES
+ * ==========================================
+ *
+ * Shared by the web app (src/utils/hullId.js re-exports this file) and the
+ * ocr-hull-id edge function, so it must stay plain JavaScript with no
+ * browser- or Deno-specific APIs.
+ *
+ * Supported format (US 33 CFR 181 since Aug 1984, and the EU/ISO 10087 CIN):
+ *
+ *   [CC-] MIC  SERIAL  M Y  YY
+ *         ABC  12345   D 4  05
+ *
+ * - CC:     Optional country prefix (US-, FR-, IT-, ...), printed on the tag but not part of the 12 characters
+ * - MIC:    Manufacturer identification code (usually 3 letters; some newer codes end in a digit, e.g. MB2)
+ * - SERIAL: 5 alphanumeric hull serial characters
+ * - M:      Production month letter, A = January ... L = December
+ * - Y:      Last digit of the production year
+ * - YY:     Model year
+ */
+
+export const HIN_LENGTH = 12;
+
+// MIC + serial + month letter + production year digit + model year
+const HIN_PATTERN = /^[A-Z]{2}[A-Z0-9][A-Z0-9]{5}[A-L][0-9]{3}$/;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Convert commonly confused digits to letters (OCR corrections)
+const DIGIT_TO_LETTER = {
+  '0': 'O',
+  '1': 'I',
+  '2': 'Z',
+  '5': 'S',
+  '8': 'B',
+};
+
+// Convert commonly confused letters to digits (OCR corrections)
+const LETTER_TO_DIGIT = {
+  'O': '0',
+  'I': '1',
+  'L': '1',
+  'Z': '2',
+  'S': '5',
+  'B': '8',
+};
+
+/**
+ * Normalize a hull ID as typed, printed or synced
+ * Uppercases, strips spaces/dashes and splits off a country prefix (US-ABC12345D405)
+ *
+ * @param {string} value - Raw hull ID
+ * @returns {Object} - { hullId, country } where hullId is the bare 12-character body when one is found
+ */
+export function normalizeHullId(value) {
+  const cleaned = (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+  // 14 characters = 2-letter country code + 12-character HIN
+  if (cleaned.length === HIN_LENGTH + 2 && /^[A-Z]{2}/.test(cleaned) && HIN_PATTERN.test(cleaned.slice(2))) {
+    return { hullId: cleaned.slice(2), country: cleaned.slice(0, 2) };
+  }
+
+  return { hullId: cleaned, country: null };
+}
+
+/**
+ * Resolve a 2-digit model year to a full year
+ * Anything more than a year ahead of today is treated as last century.
+ *
+ * @param {number} twoDigitYear - 0-99
+ * @param {number} currentYear - Reference year (defaults to now)
+ * @returns {number} - 4-digit year
+ */
+function expandModelYear(twoDigitYear, currentYear = new Date().getFullYear()) {
+  const year = 2000 + twoDigitYear;
+  return year > currentYear + 1 ? year - 100 : year;
+}
+
+/**
+ * Decode a hull ID into its parts
+ *
+ * @param {string} value - Raw hull ID (country prefix, spaces and dashes allowed)
+ * @returns {Object|null} - Decoded fields, or null if it isn't a valid HIN
+ */
+export function decodeHullId(value) {
+  const { hullId, country } = normalizeHullId(value);
+  if (!HIN_PATTERN.test(hullId)) return null;
+
+  const monthIndex = hullId.charCodeAt(8) - 'A'.charCodeAt(0);
+  const productionYearDigit = Number(hullId[9]);
+  const modelYear = expandModelYear(Number(hullId.slice(10, 12)));
+
+  // Production year ends in the given digit and falls at most a year after / nine years before the model year
+  const productionYear = modelYear + 1 - ((modelYear + 1 - productionYearDigit) % 10 + 10) % 10;
+
+  return {
+    hullId,
+    country: country || null,
+    manufacturerCode: hullId.slice(0, 3),
+    serial: hullId.slice(3, 8),
+    productionMonth: monthIndex + 1,
+    productionMonthName: MONTH_NAMES[monthIndex],
+    productionYear,
+    modelYear,
+  };
+}
+
+/**
+ * Validate a hull ID and explain what's wrong with it
+ *
+ * @param {string} value - Raw hull ID
+ * @returns {Object} - { valid, hullId, error, warnings, decoded }
+ */
+export function validateHullId(value) {
+  const { hullId } = normalizeHullId(value);
+  const result = { valid: false, hullId, error: null, warnings: [], decoded: null };
+
+  if (!hullId) {
+    result.error = 'Hull ID is empty';
+    return result;
+  }
+
+  if (hullId.length !== HIN_LENGTH) {
+    result.error = `Hull ID should be ${HIN_LENGTH} characters (got ${hullId.length})`;
+    return result;
+  }
+
+  if (!/^[A-Z]{2}[A-Z0-9]/.test(hullId)) {
+    result.error = 'Manufacturer code (first 3 characters) should start with two letters';
+    return result;
+  }
+
+  if (!/^[A-L]$/.test(hullId[8])) {
+    result.error = `Character 9 should be a production month letter A-L (got "${hullId[8]}")`;
+    return result;
+  }
+
+  if (!/^[0-9]{3}$/.test(hullId.slice(9))) {
+    result.error = 'Last 3 characters should be digits (production year and model year)';
+    return result;
+  }
+
+  const decoded = decodeHullId(hullId);
+  result.valid = true;
+  result.decoded = decoded;
+
+  // A boat can be built up to ~a year ahead of its model year; anything else is likely a typo
+  const gap = decoded.modelYear - decoded.productionYear;
+  if (gap < 0 || gap > 1) {
+    result.warnings.push(
+      `Built ${decoded.productionMonthName} ${decoded.productionYear} but model year is ${decoded.modelYear}`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a string is a valid hull ID
+ *
+ * @param {string} value - Raw hull ID
+ * @returns {boolean}
+ */
+export function isValidHullId(value) {
+  return validateHullId(value).valid;
+}
+
+/**
+ * Cross-check a hull ID's model year against the boat's recorded year
+ *
+ * @param {string} value - Raw hull ID
+ * @param {number|string} boatYear - Year on the boat record
+ * @returns {string|null} - Warning message, or null if they agree (or either is missing/invalid)
+ */
+export function checkHullIdYear(value, boatYear) {
+  const year = parseInt(boatYear, 10);
+  const decoded = decodeHullId(value);
+  if (!decoded || !year) return null;
+
+  if (decoded.modelYear !== year) {
+    return `Hull ID model year is ${decoded.modelYear}, but the boat is listed as ${year}`;
+  }
+  return null;
+}
+
+/**
+ * Apply position-based OCR corrections to a 12-character candidate
+ * Position 8 must be a letter (month code), positions 9-11 must be digits.
+ * Positions 0-7 (MIC and serial) can be letters or numbers, so they're left alone.
+ *
+ * @param {string} text - Cleaned OCR text
+ * @returns {string} - First 12 characters with corrections applied
+ */
+export function correctOcrHullId(text) {
+  if (text.length < HIN_LENGTH) return text;
+
+  const chars = text.substring(0, HIN_LENGTH).split('');
+  chars[8] = DIGIT_TO_LETTER[chars[8]] || chars[8];
+  for (let i = 9; i < HIN_LENGTH; i++) {
+    chars[i] = LETTER_TO_DIGIT[chars[i]] || chars[i];
+  }
+  return chars.join('');
+}
+
+/**
+ * Pull the most likely hull ID out of raw OCR text
+ *
+ * @param {string} rawText - Text as returned by the OCR engine
+ * @returns {Object} - { hullId, confidence (0-100), cleanedText }
+ */
+export function extractHullIdFromText(rawText) {
+  // Uppercase and drop spaces/dashes/special chars
+  const cleanedText = (rawText || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+  // Remove US prefix if present
+  const searchText = cleanedText.startsWith('US') ? cleanedText.substring(2) : cleanedText;
+
+  let hullId = '';
+  let confidence = 0;
+
+  if (searchText.length >= HIN_LENGTH) {
+    const correctedText = correctOcrHullId(searchText);
+
+    if (HIN_PATTERN.test(correctedText)) {
+      hullId = correctedText;
+      confidence = 95; // Corrected to match pattern
+    } else {
+      const patternMatch = searchText.match(/([A-Z]{2}[A-Z0-9][A-Z0-9]{5}[A-L][0-9]{3})/g);
+      if (patternMatch && patternMatch.length > 0) {
+        hullId = patternMatch[0];
+        confidence = 98; // Exact pattern match further into the text
+      } else {
+        hullId = correctedText;
+        confidence = 80; // Corrected but may have issues
+      }
+    }
+  } else {
+    // Not enough characters - try to find any partial pattern
+    const fallbackMatches = searchText.match(/([A-Z]{2}[A-Z0-9][A-Z0-9]{5,9})/g);
+
+    if (fallbackMatches && fallbackMatches.length > 0) {
+      hullId = fallbackMatches[0];
+      confidence = 60; // Partial match
+    } else if (searchText.length > 0) {
+      hullId = searchText;
+      confidence = 40; // Very low confidence - incomplete
+    }
+  }
+
+  return { hullId, confidence, cleanedText };
+}
@@ -0,0 +1,129 @@
+/**
+ * SERVICE REQUEST SLA CLOCKS
+ * ==========================
+ *
+ * Shared by the web app (src/utils/requestSla.js re-exports this file) and
+ * the request-sla-escalations edge function, so the board flags the same
+ * requests managers are warned about. Must stay plain JavaScript with no
+ * browser- or Deno-specific APIs.
+ *
+ * Each request type can set a limit in hours for three clocks:
+ *   schedule          created → the request reaches its Scheduled stage
+ *   service_complete  created → service-complete
+ *   confirm           service-complete → closed
+ * A clock stops the first time the request reaches its target stage or any
+ * later one, read from request_status_history. It's "warning" once
+ * warn_percent of the limit has passed and "breached" past the limit.
+ */
+
+export const SLA_CLOCKS = [
+  { key: 'schedule', label: 'Time to schedule', start: null, target: 'scheduled' },
+  { key: 'service_complete', label: 'Time to service complete', start: null, target: 'service-complete' },
+  { key: 'confirm', label: 'Time to confirm', start: 'service-complete', target: 'closed' },
+];
+
+export const DEFAULT_WARN_PERCENT = 75;
+
+// Roles a request's manager can be picked from; with none assigned, SLA
+// escalations go to every user in these roles
+export const SLA_MANAGER_ROLES = ['admin', 'manager', 'sales-manager'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA settings with every clock present
+ *
+ * @param {Object} sla - request_types.sla
+ * @returns {Object} - { schedule, service_complete, confirm } in hours (null = none), warn_percent
+ */
+export function normalizeSla(sla) {
+  const result = { warn_percent: DEFAULT_WARN_PERCENT };
+  SLA_CLOCKS.forEach(clock => {
+    const hours = Number(sla?.[clock.key]);
+    result[clock.key] = hours > 0 ? hours : null;
+  });
+  const warn = Number(sla?.warn_percent);
+  if (warn > 0 && warn <= 100) result.warn_percent = warn;
+  return result;
+}
+
+// When the request first reached a stage, or any later one in its pipeline.
+// Returns a Date, true when it's past the stage with no history to date it
+// (requests from before history was kept), or null if it hasn't got there.
+function reachedAt(request, history, stageKeys, stage) {
+  const targetIndex = stageKeys.indexOf(stage);
+  if (targetIndex === -1) return null;
+
+  const times = (history || [])
+    .filter(entry => stageKeys.indexOf(entry.to_status) >= targetIndex)
+    .map(entry => new Date(entry.changed_at).getTime());
+  if (times.length > 0) return new Date(Math.min(...times));
+
+  return stageKeys.indexOf(request.status) >= targetIndex ? true : null;
+}
+
+/**
+ * State of each SLA clock the request type sets. Clocks whose target stage
+ * isn't in the pipeline are skipped.
+ *
+ * state: 'ok' | 'warning' | 'breached' while running, 'met' | 'missed' once
+ * stopped, 'pending' before it starts
+ *
+ * @param {Object} request - service_requests row (status, created_at)
+ * @param {Array} history - request_status_history rows (to_status, changed_at)
+ * @param {Array} stageKeys - The request type's stage keys, in order
+ * @param {Object} sla - request_types.sla
+ * @param {Date} now
+ * @returns {Array} - [{ key, label, limitHours, startedAt, warnAt, dueAt, stoppedAt, state }]
+ */
+export function getSlaStatus(request, history, stageKeys, sla, now = new Date()) {
+  const settings = normalizeSla(sla);
+
+  return SLA_CLOCKS
+    .filter(clock => settings[clock.key] && stageKeys.includes(clock.target))
+    .map(clock => {
+      const limitHours = settings[clock.key];
+      const base = { key: clock.key, label: clock.label, limitHours, startedAt: null, warnAt: null, dueAt: null, stoppedAt: null };
+
+      const started = clock.start ? reachedAt(request, history, stageKeys, clock.start) : new Date(request.created_at);
+      if (!started) return { ...base, state: 'pending' };
+      if (started === true) return { ...base, state: 'met' };
+
+      const timed = {
+        ...base,
+        startedAt: started,
+        warnAt: new Date(started.getTime() + limitHours * HOUR_MS * settings.warn_percent / 100),
+        dueAt: new Date(started.getTime() + limitHours * HOUR_MS),
+      };
+
+      const stopped = reachedAt(request, history, stageKeys, clock.target);
+      if (stopped === true) return { ...timed, state: 'met' };
+      if (stopped) return { ...timed, stoppedAt: stopped, state: stopped <= timed.dueAt ? 'met' : 'missed' };
+
+      if (now >= timed.dueAt) return { ...timed, state: 'breached' };
+      if (now >= timed.warnAt) return { ...timed, state: 'warning' };
+      return { ...timed, state: 'ok' };
+    });
+}
+
+/**
+ * The clock most in need of attention: breached, then warning
+ *
+ * @param {Array} statuses - From getSlaStatus
+ * @returns {Object|null}
+ */
+export function getWorstSla(statuses) {
+  return statuses.find(s => s.state === 'breached') || statuses.find(s => s.state === 'warning') || null;
+}
+
+/**
+ * Time left or overdue, e.g. "3h", "1d 4h"
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatSlaDuration(ms) {
+  const hours = Math.max(0, Math.round(Math.abs(ms) / HOUR_MS));
+  if (hours < 24) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
@@ -0,0 +1,132 @@
+// Persistent log of sync runs and the records that failed in them
+//
+// Each run gets a sync_runs row (job, window, start/end, counts); records that
+// fail to save are written to sync_run_errors with the keys needed to fetch
+// them again, so they can be retried one by one from the Sync Health page.
+// Runs older than RETENTION_DAYS are pruned (errors cascade) when a new run starts.
+//
+// Logging never fails a sync: write errors here are only console.error'd.
+
+const RETENTION_DAYS = 30
+
+// Failures are written in batches so a bad run doesn't mean one insert per record
+const FAILURE_BATCH_SIZE = 50
+
+export type SyncRecordType = 'work_order' | 'time_entry' | 'estimate'
+
+export interface SyncRunWindow {
+  windowStart?: Date | null
+  windowEnd?: Date | null
+}
+
+export interface SyncRecordFailure {
+  record_type: SyncRecordType
+  record_key: string
+  record_keys: Record<string, unknown>
+  error_message: string
+}
+
+export class SyncRunLog {
+  readonly jobId: string
+  readonly startedAt = new Date()
+  private supabase: any
+  private runId: string | null = null
+  private pending: SyncRecordFailure[] = []
+  private failureCount = 0
+
+  constructor(supabase: any, jobId: string) {
+    this.supabase = supabase
+    this.jobId = jobId
+  }
+
+  get id() {
+    return this.runId
+  }
+
+  get failedRecords() {
+    return this.failureCount
+  }
+
+  async start({ windowStart = null, windowEnd = null }: SyncRunWindow = {}) {
+    const { data, error } = await this.supabase
+      .from('sync_runs')
+      .insert({
+        job_id: this.jobId,
+        status: 'running',
+        started_at: this.startedAt.toISOString(),
+        window_start: windowStart?.toISOString() ?? null,
+        window_end: windowEnd?.toISOString() ?? null,
+      })
+      .select('id')
+      .single()
+
+    if (error) {
+      console.error(`Could not start sync run log for ${this.jobId}:`, error)
+    } else {
+      this.runId = data.id
+    }
+
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    const { error: pruneError } = await this.supabase
+      .from('sync_runs')
+      .delete()
+      .lt('started_at', cutoff.toISOString())
+
+    if (pruneError) console.error('Could not prune old sync runs:', pruneError)
+    return this
+  }
+
+  // Record a record that failed to save; `keys` identify it in Dockmaster
+  async recordFailure(recordType: SyncRecordType, recordKey: string, keys: Record<string, unknown>, error: unknown) {
+    const message = error instanceof Error ? error.message : String((error as any)?.message ?? error)
+    console.error(`[${this.jobId}] ${recordType} ${recordKey} failed:`, message)
+
+    this.failureCount++
+    this.pending.push({
+      record_type: recordType,
+      record_key: String(recordKey),
+      record_keys: keys,
+      error_message: message,
+    })
+
+    if (this.pending.length >= FAILURE_BATCH_SIZE) await this.flush()
+  }
+
+  private async flush() {
+    if (this.pending.length === 0) return
+    const batch = this.pending
+    this.pending = []
+
+    if (!this.runId) return
+
+    const { error } = await this.supabase
+      .from('sync_run_errors')
+      .insert(batch.map(failure => ({ ...failure, run_id: this.runId, job_id: this.jobId })))
+
+    if (error) console.error(`Could not log ${batch.length} record failures for ${this.jobId}:`, error)
+  }
+
+  // Close the run. A run that finished with failed records is 'partial'.
+  async finish(counts: Record<string, number>, failure?: unknown) {
+    await this.flush()
+    if (!this.runId) return
+
+    const status = failure ? 'error' : this.failureCount > 0 ? 'partial' : 'success'
+    const { error } = await this.supabase
+      .from('sync_runs')
+      .update({
+        status,
+        finished_at: new Date().toISOString(),
+        counts,
+        records_failed: this.failureCount,
+        error_message: failure ? (failure instanceof Error ? failure.message : String(failure)) : null,
+      })
+      .eq('id', this.runId)
+
+    if (error) console.error(`Could not finish sync run log for ${this.jobId}:`, error)
+  }
+}
+
+export function startSyncRun(supabase: any, jobId: string, window?: SyncRunWindow): Promise<SyncRunLog> {
+  return new SyncRunLog(supabase, jobId).start(window)
+}
@@ -0,0 +1,305 @@
+// Dockmaster work order, estimate and time entry -> database rows
+//
+// Shared by the sync functions and sync-retry-record, so a record retried from
+// the sync run log is saved exactly the way the sync would have saved it.
+// Every save* function throws on a failed write; callers decide whether that
+// fails the run or is logged as a per-record failure.
+
+import { DockmasterOperation, DockmasterTimeEntry, DockmasterWorkOrder } from './dockmaster.ts'
+
+// Internal customer ID for BBG dealership
+export const INTERNAL_CUSTOMER_ID = '3112'
+
+// Supabase errors are plain objects - wrap them so they carry a message
+function writeError(context: string, error: { message?: string }): Error {
+  return new Error(`${context}: ${error.message || JSON.stringify(error)}`)
+}
+
+// Columns every work order and estimate row has
+function baseWorkOrderFields(wo: DockmasterWorkOrder) {
+  return {
+    customer_name: wo.customerName || '',
+    clerk_id: wo.clerkId || null,
+    rigging_id: wo.riggingId || null,
+    rigging_type: wo.riggingType || null,
+    type: wo.type || null,
+    tax_schema: wo.taxSchema || null,
+    location_code: wo.locationCode || null,
+    creation_date: wo.creationDate,
+    category: wo.category,
+    status: wo.status,
+    title: wo.title,
+    // Boat details
+    boat_name: wo.boatName || '',
+    boat_year: wo.boatYear || '',
+    boat_make: wo.boatMake || '',
+    boat_model: wo.boatModel || '',
+    boat_serial_number: wo.boatSerialNumber || '',
+    boat_registration: wo.boatRegistration || '',
+    boat_length: wo.boatLength || '',
+    // Financial totals
+    total_charges: wo.totalWOCharges || 0,
+    total_parts: wo.totalParts || 0,
+    total_labor: wo.totalLabor || 0,
+    total_freight: wo.totalFreight || 0,
+    total_equipment: wo.totalEquipment || 0,
+    total_sublet: wo.totalSublet || 0,
+    total_mileage: wo.totalMileage || 0,
+    total_misc_supply: wo.totalMiscSupply || 0,
+    total_bill_codes: wo.totalBillCodes || 0,
+    // Cost totals
+    total_parts_cost: wo.totalPartsCost || 0,
+    total_labor_cost: wo.totalLaborCost || 0,
+    total_sublet_cost: wo.totalSubletCost || 0,
+    total_freight_cost: wo.totalFreightCost || 0,
+    // Forecasted totals
+    total_forecasted_parts: wo.totalForecastedParts || 0,
+    total_forecasted_labor: wo.totalForecastedLabor || 0,
+    total_forecasted_hours: wo.totalForecastedHours || 0,
+    // Dates
+    est_comp_date: wo.estCompDate || null,
+    est_start_date: wo.estStartDate || null,
+    promised_date: wo.promisedDate || null,
+    last_mod_date: wo.lastModDate || null,
+    last_mod_time: wo.lastModTime || null,
+    comments: wo.comments || '',
+    last_synced: new Date().toISOString(),
+  }
+}
+
+function toOperationRow(op: DockmasterOperation, workOrderId: string) {
+  return {
+    id: op.id,
+    work_order_id: workOrderId,
+    opcode: op.opcode,
+    opcode_desc: op.opcodeDesc,
+    status: op.status,
+    type: op.type,
+    category: op.category,
+    flag_labor_finished: op.flagLaborFinished || false,
+    // Financial totals
+    total_charges: op.totalCharges || 0,
+    total_parts: op.totalParts || 0,
+    total_labor: op.totalLabor || 0,
+    total_labor_hours: op.totalLaborHours || 0,
+    total_freight: op.totalFreight || 0,
+    total_equipment: op.totalEquipment || 0,
+    total_sublet: op.totalSublet || 0,
+    total_mileage: op.totalMileage || 0,
+    total_misc_supply: op.totalMiscSupply || 0,
+    total_bill_codes: op.totalBillCodes || 0,
+    labor_billed: op.laborBilled || 0,
+    total_to_complete: op.totalToComplete || 0,
+    // Descriptions
+    long_desc: op.longDesc || '',
+    tech_desc: op.techDesc || '',
+    manager_comments: op.managerComments || '',
+    // Estimated values
+    estimated_charges: op.estimatedCharges || 0,
+    estimated_parts: op.estimatedParts || 0,
+    estimated_labor: op.estimatedLabor || 0,
+    estimated_labor_hours: op.estimatedLaborHours || 0,
+    estimated_freight: op.estimatedFreight || 0,
+    estimated_equipment: op.estimatedEquipment || 0,
+    estimated_sublet: op.estimatedSublet || 0,
+    estimated_mileage: op.estimatedMileage || 0,
+    estimated_misc_supply: op.estimatedMiscSupply || 0,
+    estimated_bill_codes: op.estimatedBillCodes || 0,
+    // Flat rate billing
+    is_opcode_approved: op.isOpcodeApproved || false,
+    flat_rate_amount: op.flatRateAmount || 0,
+    flat_rate_per_foot_rate: op.flatRatePerFootRate || 0,
+    flat_rate_per_foot_method: op.flatRatePerFootMethod || '',
+    // Forecasted values
+    forecasted_parts_charges: op.forecastedPartsCharges || 0,
+    forecasted_labor_charges: op.forecastedLaborCharges || 0,
+    forecasted_labor_hours: op.forecastedLaborHours || 0,
+    // Dates
+    est_start_date: op.estStartDate || null,
+    est_complete_date: op.estCompleteDate || null,
+    req_comp_date: op.reqCompDate || null,
+    standard_hours: op.standardHours || 0,
+  }
+}
+
+async function upsertWorkOrderRow(supabase: any, row: Record<string, unknown>) {
+  const { error } = await supabase
+    .from('work_orders')
+    .upsert(row, { onConflict: 'id' })
+
+  if (error) throw writeError(`Error saving work order ${row.id}`, error)
+}
+
+// Delete a work order's operations and insert the given ones
+async function replaceOperations(supabase: any, workOrderId: string, rows: Record<string, unknown>[]) {
+  await supabase
+    .from('work_order_operations')
+    .delete()
+    .eq('work_order_id', workOrderId)
+
+  if (rows.length === 0) return
+
+  const { error } = await supabase
+    .from('work_order_operations')
+    .insert(rows)
+
+  if (error) throw writeError(`Error saving operations for work order ${workOrderId}`, error)
+}
+
+// ============================================================================
+// WORK ORDERS (incremental sync - customer and internal)
+// ============================================================================
+
+export const isInternalWorkOrder = (wo: DockmasterWorkOrder) =>
+  !!wo.riggingId || wo.customerID === INTERNAL_CUSTOMER_ID
+
+// Customer work orders are linked to our boat by Dockmaster boat ID
+// Note: If rigging_id exists, Dockmaster sets boatId = riggingId, so ignore boatId in that case
+async function findBoatUuid(supabase: any, wo: DockmasterWorkOrder): Promise<string | null> {
+  if (isInternalWorkOrder(wo) || !wo.boatId) return null
+
+  const { data: matchingBoat } = await supabase
+    .from('boats')
+    .select('id')
+    .eq('dockmaster_id', wo.boatId)
+    .single()
+  console.log(`  Looking for boat with dockmaster_id=${wo.boatId}, found: ${matchingBoat?.id || 'none'}`)
+  return matchingBoat?.id || null
+}
+
+async function toWorkOrderRow(supabase: any, wo: DockmasterWorkOrder) {
+  return {
+    id: wo.id,
+    customer_id: wo.customerID,
+    boat_id: await findBoatUuid(supabase, wo),
+    dockmaster_boat_id: wo.boatId || null,  // Store raw Dockmaster boat ID for backfill matching
+    is_internal: isInternalWorkOrder(wo),
+    is_estimate: wo.isEstimate || false,
+    ...baseWorkOrderFields(wo),
+  }
+}
+
+// Save a changed work order, replacing its operations when the response has them
+// (keeping each operation's last_worked_at, which comes from time entries)
+export async function saveWorkOrder(supabase: any, wo: DockmasterWorkOrder) {
+  await upsertWorkOrderRow(supabase, await toWorkOrderRow(supabase, wo))
+
+  if (!wo.operations || wo.operations.length === 0) return
+
+  const { data: existingOps } = await supabase
+    .from('work_order_operations')
+    .select('opcode, last_worked_at')
+    .eq('work_order_id', wo.id)
+
+  const lastWorkedAtMap = new Map()
+  for (const op of (existingOps || [])) {
+    if (op.last_worked_at) {
+      lastWorkedAtMap.set(op.opcode, op.last_worked_at)
+    }
+  }
+
+  await replaceOperations(supabase, wo.id, wo.operations.map(op => ({
+    ...toOperationRow(op, wo.id),
+    last_worked_at: lastWorkedAtMap.get(op.opcode) || null,
+  })))
+}
+
+// Save only the work order row (fresh totals), leaving operations alone
+export async function saveWorkOrderTotals(supabase: any, wo: DockmasterWorkOrder) {
+  await upsertWorkOrderRow(supabase, await toWorkOrderRow(supabase, wo))
+}
+
+// ============================================================================
+// INTERNAL WORK ORDERS (full sync)
+// ============================================================================
+
+// Save an internal (CustId 3112) work order and replace all its operations
+export async function saveInternalWorkOrder(supabase: any, wo: DockmasterWorkOrder) {
+  await upsertWorkOrderRow(supabase, {
+    id: wo.id,
+    customer_id: INTERNAL_CUSTOMER_ID,
+    boat_id: null,
+    is_internal: true,
+    is_estimate: wo.isEstimate || false,
+    ...baseWorkOrderFields(wo),
+  })
+
+  await replaceOperations(supabase, wo.id, (wo.operations || []).map(op => toOperationRow(op, wo.id)))
+}
+
+// ============================================================================
+// ESTIMATES
+// ============================================================================
+
+// Save an estimate and its line items; returns whether it was new
+export async function saveEstimate(supabase: any, est: DockmasterWorkOrder): Promise<{ created: boolean }> {
+  const customerId = est.customerId || est.customerID || null
+
+  const { data: existing } = await supabase
+    .from('work_orders')
+    .select('id')
+    .eq('id', est.id)
+    .single()
+
+  await upsertWorkOrderRow(supabase, {
+    id: est.id,
+    customer_id: customerId,
+    is_internal: String(customerId) === INTERNAL_CUSTOMER_ID,
+    is_estimate: true,  // Key flag!
+    ...baseWorkOrderFields(est),
+  })
+
+  if (est.operations && est.operations.length > 0) {
+    await replaceOperations(supabase, est.id, est.operations.map(op => toOperationRow(op, est.id)))
+  }
+
+  return { created: !existing }
+}
+
+// ============================================================================
+// TIME ENTRIES
+// ============================================================================
+
+// Parse Dockmaster's MM/DD/YYYY into YYYY-MM-DD
+export function parseDockmasterDate(value?: string): string | null {
+  if (!value) return null
+  const [month, day, year] = value.split('/')
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`
+}
+
+// time_entries rows for one labor entry - one per nested time entry per operation
+// Rows are unique on (labor_uid, opcode)
+export function toTimeEntryRows(entry: DockmasterTimeEntry) {
+  const rows = []
+  for (const op of (entry.operations || [])) {
+    for (const te of (op.timeEntries || [])) {
+      rows.push({
+        labor_uid: entry.laborUID,
+        tech_id: te.techId || entry.techId,
+        work_order_id: String(entry.workOrderId),
+        department_id: entry.departmentId || te.department,
+        opcode: te.opCode || op.opcode,
+        work_date: parseDockmasterDate(te.date),
+        hours: te.hours || 0,
+        eff_hours: te.effHours || 0,
+        start_time: te.startTime || null,
+        stop_time: te.stopTime || null,
+        price_rate: te.priceRate || 0,
+        cost_rate: te.costRate || 0,
+        extension: te.extension || 0,
+        cost_extension: te.costExtension || 0,
+        comments: te.comments || null,
+        synced_at: new Date().toISOString(),
+      })
+    }
+  }
+  return rows
+}
+
+export async function saveTimeEntryRow(supabase: any, row: ReturnType<typeof toTimeEntryRows>[number]) {
+  const { error } = await supabase
+    .from('time_entries')
+    .upsert(row, { onConflict: 'labor_uid,opcode' })
+
+  if (error) throw writeError(`Error saving time entry laborUID=${row.labor_uid}, opcode=${row.opcode}`, error)
+}
@@ -4,6 +4,7 @@
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createDockmasterClient, DockmasterWorkOrder } from '../_shared/dockmaster.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -13,28 +14,6 @@ const corsHeaders = {
 const STALE_DAYS = 60  // Work orders not updated in this many days are considered stale
 const BATCH_SIZE = 100  // How many work orders to check per API call
 
-async function authenticateDockmaster(username: string, password: string) {
-  const authResponse = await fetch('https://auth.dmeapi.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ UserName: username, Password: password }),
-  })
-
-  if (!authResponse.ok) {
-    throw new Error(`Dockmaster authentication failed: ${authResponse.status}`)
-  }
-
-  const authData = await authResponse.json()
-  const authToken = authData.authToken
-  const systemId = authData.availableConnections?.[0]?.systemId
-
-  if (!authToken || !systemId) {
-    throw new Error('Dockmaster authentication response missing token or systemId')
-  }
-
-  return { authToken, systemId }
-}
-
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -54,25 +33,7 @@ serve(async (req) => {
     const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
     const supabase = createClient(supabaseUrl, supabaseKey)
 
-    // Get Dockmaster credentials
-    const { data: config, error: configError } = await supabase
-      .from('dockmaster_config')
-      .select('username, password')
-      .limit(1)
-      .single()
-
-    if (configError || !config?.username || !config?.password) {
-      throw new Error('Dockmaster credentials not configured')
-    }
-
-    // Authenticate with Dockmaster
-    const { authToken, systemId } = await authenticateDockmaster(config.username, config.password)
-
-    const dmHeaders = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${authToken}`,
-      'X-DM_SYSTEM_ID': systemId,
-    }
+    const dockmaster = await createDockmasterClient(supabase)
 
     // Calculate cutoff date (60 days ago)
     const cutoffDate = new Date()
@@ -101,6 +62,7 @@ serve(async (req) => {
         last_sync: new Date().toISOString(),
         last_success: new Date().toISOString(),
         status: 'success',
+        last_duration_ms: Date.now() - startTime,
         error_message: null,
         records_synced: 0,
       })
@@ -127,31 +89,18 @@ serve(async (req) => {
       console.log(`Processing batch ${Math.floor(i / BATCH_SIZE) + 1}: ${batchIds.length} work orders`)
 
       // Call Dockmaster RetrieveList API to check if they exist
-      const retrieveUrl = 'https://api.dmeapi.com/api/v1/Service/WorkOrders/RetrieveList'
-      const retrieveResponse = await fetch(retrieveUrl, {
-        method: 'POST',
-        headers: dmHeaders,
-        body: JSON.stringify({
-          woIds: batchIds,
-          detail: false,  // We don't need details, just checking existence
-        }),
-      })
-
-      if (!retrieveResponse.ok) {
-        console.error(`Failed to retrieve work orders from Dockmaster: ${retrieveResponse.status}`)
+      // (no details needed, just existence)
+      let existingWOs: DockmasterWorkOrder[]
+      try {
+        existingWOs = await dockmaster.retrieveWorkOrders(batchIds, false)
+      } catch (err) {
         // Skip this batch but continue with others
+        console.error('Failed to retrieve work orders from Dockmaster:', err)
         continue
       }
 
-      const retrieveData = await retrieveResponse.json()
-
-      // Handle different response formats
-      const existingWOs = Array.isArray(retrieveData)
-        ? retrieveData
-        : (retrieveData?.content || retrieveData?.data || [])
-
       // Get IDs of work orders that exist in Dockmaster
-      const existingIds = new Set(existingWOs.map((wo: any) => String(wo.id)))
+      const existingIds = new Set(existingWOs.map(wo => String(wo.id)))
       console.log(`  Dockmaster returned ${existingIds.size} existing work orders`)
 
       // Find IDs that don't exist in Dockmaster
@@ -221,6 +170,7 @@ serve(async (req) => {
       last_sync: new Date().toISOString(),
       last_success: new Date().toISOString(),
       status: 'success',
+      last_duration_ms: Date.now() - startTime,
       error_message: null,
       records_synced: workOrdersDeleted,
     })
@@ -254,6 +204,7 @@ serve(async (req) => {
         id: 'cleanup_stale_workorders',
         last_sync: new Date().toISOString(),
         status: 'error',
+        last_duration_ms: Date.now() - startTime,
         error_message: error.message,
       })
     } catch (e) {
@@ -5,62 +5,18 @@
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createDockmasterClient, toEasternTimestamp, DockmasterWorkOrder, DockmasterTimeEntry } from '../_shared/dockmaster.ts'
+import { saveWorkOrder, saveWorkOrderTotals, toTimeEntryRows, saveTimeEntryRow, parseDockmasterDate } from '../_shared/workOrderRecords.ts'
+import { startSyncRun, SyncRunLog } from '../_shared/syncRunLog.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-// Internal customer ID for BBG dealership
-const INTERNAL_CUSTOMER_ID = '3112'
-
 // Lookback window in minutes (check 15 min to avoid missing any changes)
 const LOOKBACK_MINUTES = 15
 
-// Authenticate with Dockmaster API
-async function authenticateDockmaster(username: string, password: string) {
-  const authResponse = await fetch('https://auth.dmeapi.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ UserName: username, Password: password }),
-  })
-
-  if (!authResponse.ok) {
-    throw new Error(`Authentication failed: ${authResponse.status}`)
-  }
-
-  const authData = await authResponse.json()
-  const authToken = authData.authToken
-  const systemId = authData.availableConnections?.[0]?.systemId
-
-  if (!authToken || !systemId) {
-    throw new Error('Authentication response missing token or systemId')
-  }
-
-  return { authToken, systemId }
-}
-
-// Format date for Dockmaster API (converts to EST/EDT)
-function formatDateForApi(date: Date): string {
-  // Dockmaster expects Eastern Time, not UTC
-  // Format: YYYY-MM-DDTHH:MM:SS.sss URL-encoded (colons as %3A)
-  const estString = date.toLocaleString('en-US', {
-    timeZone: 'America/New_York',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false,
-  })
-  // Convert "01/23/2026, 19:45:00" to "2026-01-23T19:45:00.000"
-  const [datePart, timePart] = estString.split(', ')
-  const [month, day, year] = datePart.split('/')
-  const isoFormat = `${year}-${month}-${day}T${timePart}.000`
-  return encodeURIComponent(isoFormat)
-}
-
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -73,6 +29,7 @@ serve(async (req) => {
   let timeEntriesStored = 0
   let workOrdersRefreshed = 0
   const processedWorkOrderIds = new Set<string>()  // Track WOs processed in Step 1
+  let runLog: SyncRunLog | null = null
 
   try {
     // Get Supabase client
@@ -103,354 +60,133 @@ serve(async (req) => {
     }
 
     console.log('Incremental sync starting, lookback from (UTC):', lookbackTime.toISOString())
-    console.log('Lookback in EST:', formatDateForApi(lookbackTime))
-
-    // Get Dockmaster credentials
-    const { data: config, error: configError } = await supabase
-      .from('dockmaster_config')
-      .select('username, password')
-      .limit(1)
-      .single()
+    console.log('Lookback in EST:', toEasternTimestamp(lookbackTime))
 
-    if (configError || !config?.username || !config?.password) {
-      throw new Error('Dockmaster credentials not configured')
-    }
+    runLog = await startSyncRun(supabase, 'workorders_incremental', { windowStart: lookbackTime, windowEnd: now })
 
-    // Authenticate with Dockmaster
-    const { authToken, systemId } = await authenticateDockmaster(config.username, config.password)
+    const dockmaster = await createDockmasterClient(supabase)
 
-    const dmHeaders = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${authToken}`,
-      'X-DM_SYSTEM_ID': systemId,
+    // ========== STEP 1: Get changed work orders (all pages) ==========
+    let changedWorkOrders: DockmasterWorkOrder[] = []
+    try {
+      changedWorkOrders = await dockmaster.listChangedWorkOrders(lookbackTime)
+    } catch (err) {
+      console.error('Failed to fetch changed work orders:', err)
     }
+    console.log('Changed work orders found:', changedWorkOrders.length)
+
+    // Process ALL changed work orders (not just internal, customer ones get their boat UUID)
+    for (const wo of changedWorkOrders) {
+      // Debug: log boat-related fields from API response
+      console.log(`WO ${wo.id}: boatId=${wo.boatId}, riggingId=${wo.riggingId}, customerID=${wo.customerID}`)
+
+      try {
+        await saveWorkOrder(supabase, wo)
+      } catch (err) {
+        await runLog.recordFailure('work_order', wo.id, { workOrderId: String(wo.id) }, err)
+        continue
+      }
 
-    // ========== STEP 1: Get changed work orders ==========
-    const listChangedUrl = `https://api.dmeapi.com/api/v1/Service/WorkOrders/ListNewOrChanged?LastUpdate=${formatDateForApi(lookbackTime)}&Page=1&PageSize=100`
-    console.log('Fetching changed work orders:', listChangedUrl)
-
-    const changedResponse = await fetch(listChangedUrl, {
-      method: 'GET',
-      headers: dmHeaders,
-    })
-
-    if (changedResponse.ok) {
-      const changedData = await changedResponse.json()
-      const changedWorkOrders = changedData.content || []
-      console.log('Changed work orders found:', changedWorkOrders.length)
-
-      // Process ALL changed work orders (not just internal)
-      for (const wo of changedWorkOrders) {
-        // Debug: log boat-related fields from API response
-        console.log(`WO ${wo.id}: boatId=${wo.boatId}, riggingId=${wo.riggingId}, customerID=${wo.customerID}`)
-
-        // Determine if this is internal (has rigging_id) or customer work order
-        const isInternal = !!wo.riggingId || wo.customerID === INTERNAL_CUSTOMER_ID
-
-        // For customer work orders, try to find matching boat UUID
-        // Note: If rigging_id exists, Dockmaster sets boatId = riggingId, so ignore boatId in that case
-        let boatUuid = null
-        if (!isInternal && !wo.riggingId && wo.boatId) {
-          const { data: matchingBoat } = await supabase
-            .from('boats')
-            .select('id')
-            .eq('dockmaster_id', wo.boatId)
-            .single()
-          console.log(`  Looking for boat with dockmaster_id=${wo.boatId}, found: ${matchingBoat?.id || 'none'}`)
-          boatUuid = matchingBoat?.id || null
-        }
+      // Track this work order as processed
+      processedWorkOrderIds.add(String(wo.id))
+      workOrdersUpdated++
+    }
 
-        const workOrderData = {
-          id: wo.id,
-          customer_id: wo.customerID,
-          customer_name: wo.customerName || '',
-          clerk_id: wo.clerkId || null,
-          boat_id: boatUuid,
-          dockmaster_boat_id: wo.boatId || null,  // Store raw Dockmaster boat ID for backfill matching
-          rigging_id: wo.riggingId || null,
-          rigging_type: wo.riggingType || null,
-          is_internal: isInternal,
-          type: wo.type || null,
-          tax_schema: wo.taxSchema || null,
-          location_code: wo.locationCode || null,
-          is_estimate: wo.isEstimate || false,
-          creation_date: wo.creationDate,
-          category: wo.category,
-          status: wo.status,
-          title: wo.title,
-          // Boat details
-          boat_name: wo.boatName || '',
-          boat_year: wo.boatYear || '',
-          boat_make: wo.boatMake || '',
-          boat_model: wo.boatModel || '',
-          boat_serial_number: wo.boatSerialNumber || '',
-          boat_registration: wo.boatRegistration || '',
-          boat_length: wo.boatLength || '',
-          // Financial totals
-          total_charges: wo.totalWOCharges || 0,
-          total_parts: wo.totalParts || 0,
-          total_labor: wo.totalLabor || 0,
-          total_freight: wo.totalFreight || 0,
-          total_equipment: wo.totalEquipment || 0,
-          total_sublet: wo.totalSublet || 0,
-          total_mileage: wo.totalMileage || 0,
-          total_misc_supply: wo.totalMiscSupply || 0,
-          total_bill_codes: wo.totalBillCodes || 0,
-          // Cost totals
-          total_parts_cost: wo.totalPartsCost || 0,
-          total_labor_cost: wo.totalLaborCost || 0,
-          total_sublet_cost: wo.totalSubletCost || 0,
-          total_freight_cost: wo.totalFreightCost || 0,
-          // Forecasted totals
-          total_forecasted_parts: wo.totalForecastedParts || 0,
-          total_forecasted_labor: wo.totalForecastedLabor || 0,
-          total_forecasted_hours: wo.totalForecastedHours || 0,
-          // Dates
-          est_comp_date: wo.estCompDate || null,
-          est_start_date: wo.estStartDate || null,
-          promised_date: wo.promisedDate || null,
-          last_mod_date: wo.lastModDate || null,
-          last_mod_time: wo.lastModTime || null,
-          comments: wo.comments || '',
-          last_synced: new Date().toISOString(),
-        }
+    // ========== STEP 2: Get time entries - store them and track last_worked_at ==========
+    let timeEntries: DockmasterTimeEntry[] = []
+    try {
+      timeEntries = await dockmaster.listTimeEntries(lookbackTime, now)
+    } catch (err) {
+      console.error('Failed to fetch time entries:', err)
+    }
+    console.log('Time entries found:', timeEntries.length)
 
-        // Upsert work order
-        const { error: woError } = await supabase
-          .from('work_orders')
-          .upsert(workOrderData, { onConflict: 'id' })
+    const workOrdersFromTimeEntries = new Set<string>()  // Track WOs we see in time entries
 
-        if (woError) {
-          console.error('Error upserting work order:', wo.id, woError)
-          continue
+    // Time entries from Dockmaster have nested operations array
+    // Structure: { laborUID, workOrderId, techId, operations: [{ opcode, timeEntries: [...], totalLaborHours, ... }] }
+    const latestWorkTime = new Map<string, { workOrderId: string, opCode: string, timestamp: string, totalLaborHours: number }>()
+
+    for (const entry of timeEntries) {
+      const workOrderId = String(entry.workOrderId)
+      workOrdersFromTimeEntries.add(workOrderId)  // Track this WO
+
+      // Store individual time entries from the nested timeEntries arrays
+      for (const row of toTimeEntryRows(entry)) {
+        try {
+          await saveTimeEntryRow(supabase, row)
+          timeEntriesStored++
+        } catch (err) {
+          await runLog.recordFailure('time_entry', `${row.labor_uid}/${row.opcode}`, {
+            laborUID: row.labor_uid,
+            opcode: row.opcode,
+            workOrderId,
+          }, err)
         }
+      }
 
-        // Track this work order as processed
-        processedWorkOrderIds.add(String(wo.id))
-
-        // Update operations if present in response
-        if (wo.operations && wo.operations.length > 0) {
-          // Preserve last_worked_at values before deleting operations
-          const { data: existingOps } = await supabase
-            .from('work_order_operations')
-            .select('opcode, last_worked_at')
-            .eq('work_order_id', wo.id)
-
-          const lastWorkedAtMap = new Map()
-          for (const op of (existingOps || [])) {
-            if (op.last_worked_at) {
-              lastWorkedAtMap.set(op.opcode, op.last_worked_at)
-            }
+      // Each time entry can have multiple operations
+      for (const op of (entry.operations || [])) {
+        const opCode = op.opcode
+
+        // Track latest work time for updating last_worked_at on operations
+        const estStartDate = op.estStartDate
+        if (estStartDate && opCode) {
+          // Parse MM/DD/YYYY and convert to ISO timestamp
+          const isoTimestamp = `${parseDockmasterDate(estStartDate)}T12:00:00.000Z`
+
+          const key = `${workOrderId}|||${opCode}`
+          const existing = latestWorkTime.get(key)
+          if (!existing || isoTimestamp > existing.timestamp) {
+            latestWorkTime.set(key, {
+              workOrderId,
+              opCode,
+              timestamp: isoTimestamp,
+              totalLaborHours: op.totalLaborHours || 0,
+            })
           }
-
-          // Delete old operations
-          await supabase
-            .from('work_order_operations')
-            .delete()
-            .eq('work_order_id', wo.id)
-
-          // Insert new operations with preserved last_worked_at
-          const opsWithWoId = wo.operations.map((op: any) => ({
-            id: op.id,
-            work_order_id: wo.id,
-            opcode: op.opcode,
-            opcode_desc: op.opcodeDesc,
-            status: op.status,
-            type: op.type,
-            category: op.category,
-            flag_labor_finished: op.flagLaborFinished || false,
-            // Financial totals
-            total_charges: op.totalCharges || 0,
-            total_parts: op.totalParts || 0,
-            total_labor: op.totalLabor || 0,
-            total_labor_hours: op.totalLaborHours || 0,
-            total_freight: op.totalFreight || 0,
-            total_equipment: op.totalEquipment || 0,
-            total_sublet: op.totalSublet || 0,
-            total_mileage: op.totalMileage || 0,
-            total_misc_supply: op.totalMiscSupply || 0,
-            total_bill_codes: op.totalBillCodes || 0,
-            labor_billed: op.laborBilled || 0,
-            total_to_complete: op.totalToComplete || 0,
-            // Descriptions
-            long_desc: op.longDesc || '',
-            tech_desc: op.techDesc || '',
-            manager_comments: op.managerComments || '',
-            // Estimated values
-            estimated_charges: op.estimatedCharges || 0,
-            estimated_parts: op.estimatedParts || 0,
-            estimated_labor: op.estimatedLabor || 0,
-            estimated_labor_hours: op.estimatedLaborHours || 0,
-            estimated_freight: op.estimatedFreight || 0,
-            estimated_equipment: op.estimatedEquipment || 0,
-            estimated_sublet: op.estimatedSublet || 0,
-            estimated_mileage: op.estimatedMileage || 0,
-            estimated_misc_supply: op.estimatedMiscSupply || 0,
-            estimated_bill_codes: op.estimatedBillCodes || 0,
-            // Flat rate billing
-            is_opcode_approved: op.isOpcodeApproved || false,
-            flat_rate_amount: op.flatRateAmount || 0,
-            flat_rate_per_foot_rate: op.flatRatePerFootRate || 0,
-            flat_rate_per_foot_method: op.flatRatePerFootMethod || '',
-            // Forecasted values
-            forecasted_parts_charges: op.forecastedPartsCharges || 0,
-            forecasted_labor_charges: op.forecastedLaborCharges || 0,
-            forecasted_labor_hours: op.forecastedLaborHours || 0,
-            // Dates
-            est_start_date: op.estStartDate || null,
-            est_complete_date: op.estCompleteDate || null,
-            req_comp_date: op.reqCompDate || null,
-            standard_hours: op.standardHours || 0,
-            // Preserve last_worked_at if it existed
-            last_worked_at: lastWorkedAtMap.get(op.opcode) || null,
-          }))
-
-          await supabase
-            .from('work_order_operations')
-            .insert(opsWithWoId)
         }
-
-        workOrdersUpdated++
       }
-
-      // Handle pagination if needed
-      if (changedData.maxPages > 1) {
-        console.log(`Note: ${changedData.maxPages} pages available, only processed first page`)
-      }
-    } else {
-      console.error('Failed to fetch changed work orders:', changedResponse.status)
     }
 
-    // ========== STEP 2: Get time entries - store them and track last_worked_at ==========
-    const timeEntryUrl = `https://api.dmeapi.com/api/v1/Service/WorkOrders/ListTimeEntry?StartDate=${formatDateForApi(lookbackTime)}&EndDate=${formatDateForApi(now)}&Page=1&PageSize=100&Detail=true`
-    console.log('Fetching time entries:', timeEntryUrl)
-
-    const timeEntryResponse = await fetch(timeEntryUrl, {
-      method: 'GET',
-      headers: dmHeaders,
-    })
+    console.log('Time entries stored:', timeEntriesStored)
+    console.log('Unique work order/opcode combinations to update:', latestWorkTime.size)
 
-    const workOrdersFromTimeEntries = new Set<string>()  // Track WOs we see in time entries
+    // Update operations with last_worked_at timestamp and total_labor_hours
+    for (const [, data] of latestWorkTime) {
+      console.log(`Updating operation: WO=${data.workOrderId}, opcode=${data.opCode}, timestamp=${data.timestamp}, hours=${data.totalLaborHours}`)
 
-    if (timeEntryResponse.ok) {
-      const timeEntryData = await timeEntryResponse.json()
-      const timeEntries = timeEntryData.content || []
-      console.log('Time entries found:', timeEntries.length)
-
-      // Time entries from Dockmaster have nested operations array
-      // Structure: { laborUID, workOrderId, techId, operations: [{ opcode, timeEntries: [...], totalLaborHours, ... }] }
-      const latestWorkTime = new Map<string, { workOrderId: string, opCode: string, timestamp: string, totalLaborHours: number }>()
-
-      for (const entry of timeEntries) {
-        const workOrderId = String(entry.workOrderId)
-        workOrdersFromTimeEntries.add(workOrderId)  // Track this WO
-
-        // Each time entry can have multiple operations
-        for (const op of (entry.operations || [])) {
-          const opCode = op.opcode
-
-          // Store individual time entries from nested timeEntries array
-          for (const te of (op.timeEntries || [])) {
-            // Parse date from MM/DD/YYYY format
-            let workDate = null
-            if (te.date) {
-              const [month, day, year] = te.date.split('/')
-              workDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`
-            }
-
-            const timeEntryRecord = {
-              labor_uid: entry.laborUID,
-              tech_id: te.techId || entry.techId,
-              work_order_id: workOrderId,
-              department_id: entry.departmentId || te.department,
-              opcode: te.opCode || opCode,
-              work_date: workDate,
-              hours: te.hours || 0,
-              eff_hours: te.effHours || 0,
-              start_time: te.startTime || null,
-              stop_time: te.stopTime || null,
-              price_rate: te.priceRate || 0,
-              cost_rate: te.costRate || 0,
-              extension: te.extension || 0,
-              cost_extension: te.costExtension || 0,
-              comments: te.comments || null,
-              synced_at: new Date().toISOString(),
-            }
-
-            // Upsert time entry to time_entries table
-            const { error: teError } = await supabase
-              .from('time_entries')
-              .upsert(timeEntryRecord, { onConflict: 'labor_uid,opcode' })
-
-            if (teError) {
-              console.error(`Failed to store time entry: laborUID=${entry.laborUID}, opcode=${opCode}:`, teError)
-            } else {
-              timeEntriesStored++
-            }
-          }
+      // First check if the operation exists
+      const { data: existingOp, error: selectError } = await supabase
+        .from('work_order_operations')
+        .select('id, work_order_id, opcode')
+        .eq('work_order_id', data.workOrderId)
+        .eq('opcode', data.opCode)
+        .single()
 
-          // Track latest work time for updating last_worked_at on operations
-          const estStartDate = op.estStartDate
-          if (estStartDate && opCode) {
-            // Parse MM/DD/YYYY and convert to ISO timestamp
-            const [month, day, year] = estStartDate.split('/')
-            const isoTimestamp = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T12:00:00.000Z`
-
-            const key = `${workOrderId}|||${opCode}`
-            const existing = latestWorkTime.get(key)
-            if (!existing || isoTimestamp > existing.timestamp) {
-              latestWorkTime.set(key, {
-                workOrderId,
-                opCode,
-                timestamp: isoTimestamp,
-                totalLaborHours: op.totalLaborHours || 0,
-              })
-            }
-          }
-        }
+      if (selectError || !existingOp) {
+        console.log(`  Operation not found in DB: WO=${data.workOrderId}, opcode=${data.opCode}`)
+        continue
       }
 
-      console.log('Time entries stored:', timeEntriesStored)
-      console.log('Unique work order/opcode combinations to update:', latestWorkTime.size)
+      console.log(`  Found operation: id=${existingOp.id}`)
 
-      // Update operations with last_worked_at timestamp and total_labor_hours
-      for (const [, data] of latestWorkTime) {
-        console.log(`Updating operation: WO=${data.workOrderId}, opcode=${data.opCode}, timestamp=${data.timestamp}, hours=${data.totalLaborHours}`)
-
-        // First check if the operation exists
-        const { data: existingOp, error: selectError } = await supabase
-          .from('work_order_operations')
-          .select('id, work_order_id, opcode')
-          .eq('work_order_id', data.workOrderId)
-          .eq('opcode', data.opCode)
-          .single()
-
-        if (selectError || !existingOp) {
-          console.log(`  Operation not found in DB: WO=${data.workOrderId}, opcode=${data.opCode}`)
-          continue
-        }
+      // Update the operation's last_worked_at and total_labor_hours
+      const { error: updateError } = await supabase
+        .from('work_order_operations')
+        .update({
+          last_worked_at: data.timestamp,
+          total_labor_hours: data.totalLaborHours,
+        })
+        .eq('work_order_id', data.workOrderId)
+        .eq('opcode', data.opCode)
 
-        console.log(`  Found operation: id=${existingOp.id}`)
-
-        // Update the operation's last_worked_at and total_labor_hours
-        const { error: updateError } = await supabase
-          .from('work_order_operations')
-          .update({
-            last_worked_at: data.timestamp,
-            total_labor_hours: data.totalLaborHours,
-          })
-          .eq('work_order_id', data.workOrderId)
-          .eq('opcode', data.opCode)
-
-        if (updateError) {
-          console.error(`Failed to update operation: WO=${data.workOrderId}, opcode=${data.opCode}:`, updateError)
-        } else {
-          console.log(`  Successfully updated last_worked_at and total_labor_hours`)
-          timeEntriesProcessed++
-        }
+      if (updateError) {
+        console.error(`Failed to update operation: WO=${data.workOrderId}, opcode=${data.opCode}:`, updateError)
+      } else {
+        console.log(`  Successfully updated last_worked_at and total_labor_hours`)
+        timeEntriesProcessed++
       }
-    } else {
-      console.error('Failed to fetch time entries:', timeEntryResponse.status)
     }
 
     // ========== STEP 3: Refresh work orders from time entries not in Step 1 ==========
@@ -462,113 +198,31 @@ serve(async (req) => {
       console.log(`Refreshing ${workOrdersToRefresh.length} work orders from time entries that weren't in ListNewOrChanged`)
 
       // Use RetrieveList to batch fetch work order details
-      const retrieveUrl = 'https://api.dmeapi.com/api/v1/Service/WorkOrders/RetrieveList'
-      const retrieveResponse = await fetch(retrieveUrl, {
-        method: 'POST',
-        headers: dmHeaders,
-        body: JSON.stringify({
-          woIds: workOrdersToRefresh,
-          detail: true,
-        }),
-      })
-
-      if (retrieveResponse.ok) {
-        const retrieveData = await retrieveResponse.json()
-        const workOrdersWithDetails = Array.isArray(retrieveData)
-          ? retrieveData
-          : (retrieveData?.content || retrieveData?.data || retrieveData)
-
-        console.log(`Retrieved ${workOrdersWithDetails?.length || 0} work orders with details`)
-
-        for (const wo of (workOrdersWithDetails || [])) {
-          // Determine if this is internal
-          const isInternal = !!wo.riggingId || wo.customerID === INTERNAL_CUSTOMER_ID
-
-          // For customer work orders, try to find matching boat UUID
-          let boatUuid = null
-          if (!isInternal && !wo.riggingId && wo.boatId) {
-            const { data: matchingBoat } = await supabase
-              .from('boats')
-              .select('id')
-              .eq('dockmaster_id', wo.boatId)
-              .single()
-            boatUuid = matchingBoat?.id || null
-          }
-
-          const workOrderData = {
-            id: wo.id,
-            customer_id: wo.customerID,
-            customer_name: wo.customerName || '',
-            clerk_id: wo.clerkId || null,
-            boat_id: boatUuid,
-            dockmaster_boat_id: wo.boatId || null,
-            rigging_id: wo.riggingId || null,
-            rigging_type: wo.riggingType || null,
-            is_internal: isInternal,
-            type: wo.type || null,
-            tax_schema: wo.taxSchema || null,
-            location_code: wo.locationCode || null,
-            is_estimate: wo.isEstimate || false,
-            creation_date: wo.creationDate,
-            category: wo.category,
-            status: wo.status,
-            title: wo.title,
-            // Boat details
-            boat_name: wo.boatName || '',
-            boat_year: wo.boatYear || '',
-            boat_make: wo.boatMake || '',
-            boat_model: wo.boatModel || '',
-            boat_serial_number: wo.boatSerialNumber || '',
-            boat_registration: wo.boatRegistration || '',
-            boat_length: wo.boatLength || '',
-            // Financial totals - this is the key data we need refreshed!
-            total_charges: wo.totalWOCharges || 0,
-            total_parts: wo.totalParts || 0,
-            total_labor: wo.totalLabor || 0,
-            total_freight: wo.totalFreight || 0,
-            total_equipment: wo.totalEquipment || 0,
-            total_sublet: wo.totalSublet || 0,
-            total_mileage: wo.totalMileage || 0,
-            total_misc_supply: wo.totalMiscSupply || 0,
-            total_bill_codes: wo.totalBillCodes || 0,
-            // Cost totals
-            total_parts_cost: wo.totalPartsCost || 0,
-            total_labor_cost: wo.totalLaborCost || 0,
-            total_sublet_cost: wo.totalSubletCost || 0,
-            total_freight_cost: wo.totalFreightCost || 0,
-            // Forecasted totals
-            total_forecasted_parts: wo.totalForecastedParts || 0,
-            total_forecasted_labor: wo.totalForecastedLabor || 0,
-            total_forecasted_hours: wo.totalForecastedHours || 0,
-            // Dates
-            est_comp_date: wo.estCompDate || null,
-            est_start_date: wo.estStartDate || null,
-            promised_date: wo.promisedDate || null,
-            last_mod_date: wo.lastModDate || null,
-            last_mod_time: wo.lastModTime || null,
-            comments: wo.comments || '',
-            last_synced: new Date().toISOString(),
-          }
+      let workOrdersWithDetails: DockmasterWorkOrder[] = []
+      try {
+        workOrdersWithDetails = await dockmaster.retrieveWorkOrders(workOrdersToRefresh, true)
+      } catch (err) {
+        console.error('Failed to retrieve work order details:', err)
+      }
 
-          // Upsert work order with fresh totals
-          const { error: woError } = await supabase
-            .from('work_orders')
-            .upsert(workOrderData, { onConflict: 'id' })
+      console.log(`Retrieved ${workOrdersWithDetails.length} work orders with details`)
 
-          if (woError) {
-            console.error('Error upserting refreshed work order:', wo.id, woError)
-          } else {
-            console.log(`Refreshed work order ${wo.id} with total_labor_cost=${wo.totalLaborCost}`)
-            workOrdersRefreshed++
-          }
+      for (const wo of workOrdersWithDetails) {
+        // Upsert work order with fresh totals - this is the key data we need refreshed!
+        try {
+          await saveWorkOrderTotals(supabase, wo)
+          console.log(`Refreshed work order ${wo.id} with total_labor_cost=${wo.totalLaborCost}`)
+          workOrdersRefreshed++
+        } catch (err) {
+          await runLog.recordFailure('work_order', wo.id, { workOrderId: String(wo.id) }, err)
         }
-      } else {
-        console.error('Failed to retrieve work order details:', retrieveResponse.status)
       }
     } else {
       console.log('No additional work orders to refresh from time entries')
     }
 
+    await runLog.finish({ workOrdersUpdated, workOrdersRefreshed, timeEntriesStored, timeEntriesProcessed })
+
     // Update sync status
     await supabase
       .from('sync_status')
@@ -577,6 +231,7 @@ serve(async (req) => {
         last_sync: now.toISOString(),
         last_success: now.toISOString(),
         status: 'success',
+        last_duration_ms: Date.now() - startTime,
         records_synced: workOrdersUpdated,
         error_message: null,
         updated_at: now.toISOString(),
@@ -585,7 +240,7 @@ serve(async (req) => {
     const duration = (Date.now() - startTime) / 1000
 
     // Show EST time in response for easier debugging
-    const lookbackEST = decodeURIComponent(formatDateForApi(lookbackTime))
+    const lookbackEST = toEasternTimestamp(lookbackTime)
 
     return new Response(
       JSON.stringify({
@@ -594,6 +249,8 @@ serve(async (req) => {
         workOrdersRefreshed,
         timeEntriesStored,
         timeEntriesProcessed,
+        recordsFailed: runLog.failedRecords,
+        runId: runLog.id,
         lookbackFrom: lookbackEST,
         lookbackFromUTC: lookbackTime.toISOString(),
         duration: `${duration.toFixed(1)}s`,
@@ -604,6 +261,8 @@ serve(async (req) => {
   } catch (error) {
     console.error('Incremental sync error:', error)
 
+    await runLog?.finish({ workOrdersUpdated, workOrdersRefreshed, timeEntriesStored, timeEntriesProcessed }, error)
+
     // Update sync status to error
     const supabaseUrl = Deno.env.get('SUPABASE_URL')!
     const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
@@ -614,6 +273,7 @@ serve(async (req) => {
       .upsert({
         id: 'workorders_incremental',
         status: 'error',
+        last_duration_ms: Date.now() - startTime,
         error_message: error.message,
         updated_at: new Date().toISOString(),
       }, { onConflict: 'id' })
@@ -3,6 +3,7 @@
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createDockmasterClient, errorStatus } from '../_shared/dockmaster.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -26,38 +27,6 @@ const STATUS_TEXT_TO_CODE: Record<string, string> = {
   'Sold Delivered': 'SD',
 }
 
-// Authenticate with Dockmaster API and get bearer token
-async function authenticateDockmaster(username: string, password: string) {
-  const authResponse = await fetch('https://auth.dmeapi.com/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      UserName: username,
-      Password: password,
-    }),
-  })
-
-  if (!authResponse.ok) {
-    const errorText = await authResponse.text()
-    console.error('Dockmaster auth failed:', authResponse.status, errorText)
-    throw new Error(`Authentication failed: ${authResponse.status}`)
-  }
-
-  const authData = await authResponse.json()
-  
-  // Extract the token and system ID
-  const authToken = authData.authToken
-  const systemId = authData.availableConnections?.[0]?.systemId
-  
-  if (!authToken || !systemId) {
-    throw new Error('Authentication response missing token or systemId')
-  }
-
-  return { authToken, systemId }
-}
-
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -74,32 +43,12 @@ serve(async (req) => {
       // No body or invalid JSON, default to incremental
     }
 
-    // Get Dockmaster credentials from database
+    // Dockmaster client with credentials from the database
     const supabaseClient = createClient(
       Deno.env.get('SUPABASE_URL') ?? '',
       Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
     )
-
-    const { data: config } = await supabaseClient
-      .from('dockmaster_config')
-      .select('username, password')
-      .limit(1)
-      .single()
-
-    if (!config || !config.username || !config.password) {
-      return new Response(
-        JSON.stringify({ error: 'Dockmaster credentials not configured' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
-
-    // Authenticate with Dockmaster to get token
-    console.log('Authenticating with Dockmaster for inventory sync...')
-    const { authToken, systemId } = await authenticateDockmaster(config.username, config.password)
-    console.log('Authentication successful, systemId:', systemId)
-
-    // Call Dockmaster API to retrieve BOAT inventory only
-    const url = 'https://api.dmeapi.com/api/v1/UnitSales/RetrieveBoatInventory'
+    const dockmaster = await createDockmasterClient(supabaseClient)
 
     // Determine date filter based on sync type
     let lastModifiedDate: string
@@ -116,38 +65,20 @@ serve(async (req) => {
     }
 
     // Fetch each status separately since API may not support multiple statuses
+    // SD (Sold Delivered) is left out; on a full sync the app keeps SD units
+    // whose delivery is still open (inventoryBoatsService.sync)
     const statusesToFetch = ['HA', 'HS', 'OA', 'OS', 'FA', 'FS', 'S', 'R', 'FP']
     let allRawBoats: any[] = []
 
     for (const status of statusesToFetch) {
       try {
         console.log(`Fetching boats with status: ${status}`)
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${authToken}`,
-            'X-DM_SYSTEM_ID': systemId,
-          },
-          body: JSON.stringify({
-            lastModifiedDate: lastModifiedDate,
-            status: status
-          }),
-        })
-
-        if (!response.ok) {
-          console.error(`Error fetching status ${status}:`, response.status)
-          continue // Skip this status but continue with others
-        }
-
-        const statusData = await response.json()
-        console.log(`Status ${status}: received ${statusData?.length || 0} boats`)
-        
-        if (statusData && Array.isArray(statusData)) {
-          allRawBoats = allRawBoats.concat(statusData)
-        }
+        const statusData = await dockmaster.retrieveBoatInventory(lastModifiedDate, status)
+        console.log(`Status ${status}: received ${statusData.length} boats`)
+        allRawBoats = allRawBoats.concat(statusData)
       } catch (err) {
-        console.error(`Exception fetching status ${status}:`, err)
+        // Skip this status but continue with others
+        console.error(`Error fetching status ${status}:`, err)
         continue
       }
     }
@@ -268,7 +199,7 @@ serve(async (req) => {
     console.error('Edge function error:', error)
     return new Response(
       JSON.stringify({ error: error.message }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      { status: errorStatus(error), headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 })
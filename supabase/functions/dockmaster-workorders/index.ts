@@ -3,44 +3,13 @@
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createDockmasterClient, errorStatus } from '../_shared/dockmaster.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-// Authenticate with Dockmaster API and get bearer token
-async function authenticateDockmaster(username: string, password: string) {
-  const authResponse = await fetch('https://auth.dmeapi.com/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      UserName: username,
-      Password: password,
-    }),
-  })
-
-  if (!authResponse.ok) {
-    const errorText = await authResponse.text()
-    console.error('Dockmaster auth failed:', authResponse.status, errorText)
-    throw new Error(`Authentication failed: ${authResponse.status}`)
-  }
-
-  const authData = await authResponse.json()
-  
-  // Extract the token and system ID
-  const authToken = authData.authToken
-  const systemId = authData.availableConnections?.[0]?.systemId
-  
-  if (!authToken || !systemId) {
-    throw new Error('Authentication response missing token or systemId')
-  }
-
-  return { authToken, systemId }
-}
-
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -88,52 +57,11 @@ serve(async (req) => {
       )
     }
 
-    // Get Dockmaster credentials from database
-    const { data: config, error: configError } = await supabase
-      .from('dockmaster_config')
-      .select('username, password')
-      .limit(1)
-      .single()
-
-    if (configError || !config || !config.username || !config.password) {
-      console.error('Config error:', configError)
-      return new Response(
-        JSON.stringify({ error: 'Dockmaster credentials not configured' }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
-
-    // Authenticate with Dockmaster to get token
-    console.log('Authenticating with Dockmaster...')
-    const { authToken, systemId } = await authenticateDockmaster(config.username, config.password)
-    console.log('Authentication successful, systemId:', systemId)
-
-    // Dockmaster API headers
-    const dmHeaders = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${authToken}`,
-      'X-DM_SYSTEM_ID': systemId,
-    }
+    const dockmaster = await createDockmasterClient(supabase)
 
     // Step 1: Get list of open work orders for customer
-    const listUrl = `https://api.dmeapi.com/api/v1/Service/WorkOrders/ListForCustomer?CustId=${customerId}&Status=O`
-    console.log('Fetching work orders list:', listUrl)
-
-    const listResponse = await fetch(listUrl, {
-      method: 'GET',
-      headers: dmHeaders,
-    })
-
-    if (!listResponse.ok) {
-      const errorText = await listResponse.text()
-      console.error('List work orders error:', listResponse.status, errorText)
-      return new Response(
-        JSON.stringify({ error: `Failed to fetch work orders: ${listResponse.status}` }),
-        { status: listResponse.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
-
-    const workOrdersList = await listResponse.json()
+    console.log('Fetching open work orders for customer:', customerId)
+    const workOrdersList = await dockmaster.listWorkOrdersForCustomer(customerId, 'O')
     console.log('Work orders list count:', workOrdersList?.length)
     console.log('Looking for boatId:', boatId)
 
@@ -160,31 +88,7 @@ serve(async (req) => {
     console.log(`Fetching details for ${woIds.length} work orders via batch POST...`)
 
     // Step 3: Batch retrieve all work order details with one POST call
-    const retrieveUrl = 'https://api.dmeapi.com/api/v1/Service/WorkOrders/RetrieveList'
-    const retrieveResponse = await fetch(retrieveUrl, {
-      method: 'POST',
-      headers: dmHeaders,
-      body: JSON.stringify({
-        woIds: woIds,
-        detail: true,
-      }),
-    })
-
-    if (!retrieveResponse.ok) {
-      const errorText = await retrieveResponse.text()
-      console.error('Failed to retrieve work order details:', retrieveResponse.status, errorText)
-      return new Response(
-        JSON.stringify({ error: `Failed to retrieve work order details: ${retrieveResponse.status}` }),
-        { status: retrieveResponse.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
-    }
-
-    const retrieveData = await retrieveResponse.json()
-
-    // Handle different response structures - might be array directly or wrapped in content/data
-    const workOrdersWithDetails = Array.isArray(retrieveData)
-      ? retrieveData
-      : (retrieveData?.content || retrieveData?.data || retrieveData)
+    const workOrdersWithDetails = await dockmaster.retrieveWorkOrders(woIds, true)
 
     console.log(`Retrieved ${workOrdersWithDetails?.length || 0} work orders with details`)
 
@@ -419,7 +323,7 @@ serve(async (req) => {
     console.error('Edge function error:', error)
     return new Response(
       JSON.stringify({ error: error.message }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      { status: errorStatus(error), headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 })
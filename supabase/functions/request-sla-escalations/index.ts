@@ -0,0 +1,158 @@
+// Supabase Edge Function: request-sla-escalations
+// Runs every 15 minutes to warn managers about service requests close to (or
+// past) an SLA set on their request type - time to schedule, to service
+// complete, to confirm. Each warning goes to the request's assigned manager,
+// or everyone who could be assigned (SLA_MANAGER_ROLES) if none is, as an
+// in-app alert and a push. record_sla_escalation stores the alerts together
+// with a request_sla_escalations row, so each clock warns once per level
+// however many runs see it.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { getSlaStatus, formatSlaDuration, SLA_MANAGER_ROLES } from '../_shared/requestSla.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const FIXED_STAGES = ['open', 'service-complete', 'closed']
+
+// Stage keys in board order - same rule as normalizeRequestType in the app
+function stageKeysFor(requestType: any): string[] {
+  const custom = (requestType?.statuses || [])
+    .map((stage: any) => stage?.key)
+    .filter((key: string) => key && !FIXED_STAGES.includes(key))
+  return ['open', ...custom, 'service-complete', 'closed']
+}
+
+function boatLabel(request: any): string {
+  const boat = request.inventory_boat
+  if (!boat) return 'No boat linked'
+  return `${boat.year || ''} ${boat.make || ''} ${boat.model || ''}`.trim() || `Stock #${boat.stock_number}`
+}
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const startTime = Date.now()
+  let requestsChecked = 0
+  let escalationsSent = 0
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    const { data: types, error: typesError } = await supabase
+      .from('request_types')
+      .select('key, label, statuses, sla')
+
+    if (typesError) throw new Error(`Failed to load request types: ${typesError.message}`)
+
+    const typesByKey = Object.fromEntries((types || []).map((t: any) => [t.key, t]))
+
+    const { data: requests, error: requestsError } = await supabase
+      .from('service_requests')
+      .select(`
+        id, type, status, created_at, manager_id,
+        inventory_boat:inventory_boats(year, make, model, stock_number),
+        status_history:request_status_history(to_status, changed_at),
+        escalations:request_sla_escalations(sla_key, level)
+      `)
+      .neq('status', 'closed')
+      .is('archived_at', null)
+
+    if (requestsError) throw new Error(`Failed to load requests: ${requestsError.message}`)
+
+    // Fallback recipients for requests with no assigned manager
+    const { data: managers, error: managersError } = await supabase
+      .from('users')
+      .select('id')
+      .in('role', SLA_MANAGER_ROLES)
+
+    if (managersError) throw new Error(`Failed to load managers: ${managersError.message}`)
+    const managerIds = (managers || []).map((m: any) => m.id)
+
+    const now = new Date()
+
+    for (const request of (requests || [])) {
+      const requestType = typesByKey[request.type]
+      if (!requestType) continue
+      requestsChecked++
+
+      const statuses = getSlaStatus(request, request.status_history, stageKeysFor(requestType), requestType.sla, now)
+      const sent = new Set((request.escalations || []).map((e: any) => `${e.sla_key}|${e.level}`))
+
+      for (const clock of statuses) {
+        if (clock.state !== 'warning' && clock.state !== 'breached') continue
+        const level = clock.state
+        if (sent.has(`${clock.key}|${level}`)) continue
+
+        const recipients = request.manager_id ? [request.manager_id] : managerIds
+        if (recipients.length === 0) continue
+
+        const remaining = clock.dueAt.getTime() - now.getTime()
+        const summary = level === 'breached'
+          ? `${clock.label} SLA breached ${formatSlaDuration(remaining)} ago (${clock.limitHours}h limit)`
+          : `${clock.label} SLA due in ${formatSlaDuration(remaining)} (${clock.limitHours}h limit)`
+        const title = `${requestType.label} request: ${boatLabel(request)}`
+
+        // Escalation row and in-app alerts in one transaction; false means an
+        // overlapping run already sent this one
+        const { data: recorded, error: recordError } = await supabase.rpc('record_sla_escalation', {
+          p_request_id: request.id,
+          p_sla_key: clock.key,
+          p_level: level,
+          p_user_ids: recipients,
+          p_message: summary,
+        })
+
+        if (recordError) throw new Error(`Failed to record SLA escalation: ${recordError.message}`)
+        if (!recorded) continue
+
+        // Push is best-effort, the in-app alert is already stored
+        await supabase.functions.invoke('send-push-notification', {
+          body: {
+            userIds: recipients,
+            title,
+            body: summary,
+            url: `/requests?openRequest=${request.id}`,
+            tag: `request-sla-${request.id}-${clock.key}`,
+          }
+        }).catch((err: Error) => console.error('Failed to send push notification:', err))
+
+        escalationsSent++
+      }
+    }
+
+    await supabase.from('sync_status').upsert({
+      id: 'request_sla_escalations',
+      last_sync: new Date().toISOString(),
+      last_success: new Date().toISOString(),
+      status: 'success',
+      last_duration_ms: Date.now() - startTime,
+      error_message: null,
+      records_synced: escalationsSent,
+    })
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        requestsChecked,
+        escalationsSent,
+        duration: `${(Date.now() - startTime) / 1000}s`,
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  } catch (error) {
+    console.error('SLA escalation error:', error)
+    return new Response(
+      JSON.stringify({ success: false, error: error.message, requestsChecked, escalationsSent }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+})
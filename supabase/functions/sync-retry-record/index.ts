@@ -0,0 +1,155 @@
+// Supabase Edge Function: sync-retry-record
+// Retry one record that failed during a sync run (a sync_run_errors row)
+// Fetches the record from Dockmaster again and saves it the way its sync does,
+// then marks the error resolved - or stores the new error for another try.
+//
+// Body: { errorId: string }
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createDockmasterClient, DockmasterClient } from '../_shared/dockmaster.ts'
+import { saveWorkOrder, saveInternalWorkOrder, saveEstimate, toTimeEntryRows, saveTimeEntryRow } from '../_shared/workOrderRecords.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Time entries and estimates can't be fetched by ID, so they are looked up in
+// the failed run's window again - widened a little in case Dockmaster's clock drifted
+const WINDOW_PADDING_MS = 5 * 60 * 1000
+
+class RecordNotFoundError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'RecordNotFoundError'
+  }
+}
+
+interface SyncRunError {
+  id: string
+  job_id: string
+  record_type: string
+  record_key: string
+  record_keys: Record<string, string>
+  retry_count: number
+  sync_runs: { window_start: string | null, window_end: string | null } | null
+}
+
+function runWindow(failure: SyncRunError) {
+  const start = failure.sync_runs?.window_start
+  if (!start) throw new RecordNotFoundError('The failed run has no sync window to look the record up in')
+  const end = failure.sync_runs?.window_end ? new Date(failure.sync_runs.window_end) : new Date()
+  return {
+    start: new Date(new Date(start).getTime() - WINDOW_PADDING_MS),
+    end: new Date(end.getTime() + WINDOW_PADDING_MS),
+  }
+}
+
+// Fetch the record again and save it the way the job that failed would have
+async function retryRecord(supabase: any, dockmaster: DockmasterClient, failure: SyncRunError) {
+  const keys = failure.record_keys || {}
+
+  switch (failure.record_type) {
+    case 'work_order': {
+      const [wo] = await dockmaster.retrieveWorkOrders([keys.workOrderId], true)
+      if (!wo) throw new RecordNotFoundError(`Work order ${keys.workOrderId} not found in Dockmaster`)
+      if (failure.job_id === 'internal_workorders') {
+        await saveInternalWorkOrder(supabase, wo)
+      } else {
+        await saveWorkOrder(supabase, wo)
+      }
+      return
+    }
+
+    case 'time_entry': {
+      const { start, end } = runWindow(failure)
+      const entries = await dockmaster.listTimeEntries(start, end)
+      const entry = entries.find(e => String(e.laborUID) === String(keys.laborUID))
+      const row = entry && toTimeEntryRows(entry).find(r => r.opcode === keys.opcode)
+      if (!row) throw new RecordNotFoundError(`Time entry ${failure.record_key} is no longer in Dockmaster's time entries for that window`)
+      await saveTimeEntryRow(supabase, row)
+      return
+    }
+
+    case 'estimate': {
+      const { start } = runWindow(failure)
+      const estimates = await dockmaster.retrieveEstimates(start)
+      const estimate = estimates.find(e => String(e.id) === String(keys.estimateId))
+      if (!estimate) throw new RecordNotFoundError(`Estimate ${keys.estimateId} not found in Dockmaster changes since the failed run`)
+      await saveEstimate(supabase, estimate)
+      return
+    }
+
+    default:
+      throw new RecordNotFoundError(`Don't know how to retry ${failure.record_type} records`)
+  }
+}
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const json = (data: unknown, status = 200) => new Response(
+    JSON.stringify(data),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+
+  try {
+    const { errorId } = await req.json()
+    if (!errorId) return json({ success: false, error: 'errorId is required' }, 400)
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    const { data: failure, error: loadError } = await supabase
+      .from('sync_run_errors')
+      .select('id, job_id, record_type, record_key, record_keys, retry_count, sync_runs(window_start, window_end)')
+      .eq('id', errorId)
+      .single()
+
+    if (loadError || !failure) return json({ success: false, error: 'Sync error record not found' }, 404)
+
+    console.log(`Retrying ${failure.record_type} ${failure.record_key} from ${failure.job_id}`)
+
+    let retryError: Error | null = null
+    try {
+      const dockmaster = await createDockmasterClient(supabase)
+      await retryRecord(supabase, dockmaster, failure as SyncRunError)
+    } catch (err) {
+      console.error('Retry failed:', err)
+      retryError = err
+    }
+
+    const now = new Date().toISOString()
+    const { data: updated, error: updateError } = await supabase
+      .from('sync_run_errors')
+      .update({
+        retry_count: failure.retry_count + 1,
+        last_retry_at: now,
+        last_retry_error: retryError ? retryError.message : null,
+        resolved_at: retryError ? null : now,
+      })
+      .eq('id', failure.id)
+      .select()
+      .single()
+
+    if (updateError) console.error('Could not update sync error record:', updateError)
+
+    // A failed retry is still answered 200 - the request worked and the
+    // record now carries the new error, which the app shows next to it
+    return json({
+      success: !retryError,
+      error: retryError?.message,
+      notFound: retryError instanceof RecordNotFoundError,
+      record: updated,
+    })
+
+  } catch (error) {
+    console.error('Retry record error:', error)
+    return json({ success: false, error: error.message }, 500)
+  }
+})
@@ -0,0 +1,231 @@
+-- ============================================================================
+-- SLOT ASSIGNMENTS
+-- ============================================================================
+-- Moves slot occupancy out of the locations.boats JSON map and the
+-- locations.pool_boats array into its own table, so the database can enforce
+-- "one boat per slot" and "one slot per boat" and a move is a single
+-- transaction instead of several read-modify-write updates from the client.
+--
+-- slot_id is the grid key ("row-col", 0-indexed) or 'pool' for pool locations,
+-- which hold any number of boats.
+--
+-- locations.boats / locations.pool_boats are left in place (no longer written
+-- by the app) so this migration can be rolled back; drop them once settled.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS slot_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id UUID NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  slot_id TEXT NOT NULL,
+  boat_id UUID NOT NULL,
+  boat_type TEXT NOT NULL CHECK (boat_type IN ('customer', 'inventory')),
+  assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  assigned_by UUID
+);
+
+-- A grid slot holds one boat; pools hold many
+CREATE UNIQUE INDEX IF NOT EXISTS slot_assignments_slot_key
+  ON slot_assignments (location_id, slot_id)
+  WHERE slot_id <> 'pool';
+
+-- A boat is in at most one place
+CREATE UNIQUE INDEX IF NOT EXISTS slot_assignments_boat_key
+  ON slot_assignments (boat_id);
+
+CREATE INDEX IF NOT EXISTS slot_assignments_location_idx
+  ON slot_assignments (location_id);
+
+ALTER TABLE slot_assignments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read slot assignments"
+  ON slot_assignments FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage slot assignments"
+  ON slot_assignments FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE slot_assignments;
+
+-- ----------------------------------------------------------------------------
+-- Backfill from the JSON columns
+-- Stale duplicates (same boat in two places, two boats in one slot) keep the
+-- first row found; the boat's own location/slot is re-pointed below.
+-- ----------------------------------------------------------------------------
+
+INSERT INTO slot_assignments (location_id, slot_id, boat_id, boat_type)
+SELECT
+  l.id,
+  grid.key,
+  grid.value::UUID,
+  CASE WHEN EXISTS (SELECT 1 FROM inventory_boats ib WHERE ib.id = grid.value::UUID)
+    THEN 'inventory' ELSE 'customer' END
+FROM locations l
+CROSS JOIN LATERAL jsonb_each_text(COALESCE(to_jsonb(l.boats), '{}'::JSONB)) AS grid
+WHERE l.type <> 'pool'
+  AND grid.value ~* '^[0-9a-f-]{36}$'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO slot_assignments (location_id, slot_id, boat_id, boat_type)
+SELECT
+  l.id,
+  'pool',
+  pool.value::UUID,
+  CASE WHEN EXISTS (SELECT 1 FROM inventory_boats ib WHERE ib.id = pool.value::UUID)
+    THEN 'inventory' ELSE 'customer' END
+FROM locations l
+CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(to_jsonb(l.pool_boats), '[]'::JSONB)) AS pool(value)
+WHERE l.type = 'pool'
+  AND pool.value ~* '^[0-9a-f-]{36}$'
+ON CONFLICT DO NOTHING;
+
+-- Make the boat rows agree with the table
+UPDATE boats b
+SET location = l.name, slot = sa.slot_id
+FROM slot_assignments sa
+JOIN locations l ON l.id = sa.location_id
+WHERE sa.boat_id = b.id AND sa.boat_type = 'customer';
+
+UPDATE inventory_boats b
+SET location = l.name, slot = sa.slot_id
+FROM slot_assignments sa
+JOIN locations l ON l.id = sa.location_id
+WHERE sa.boat_id = b.id AND sa.boat_type = 'inventory';
+
+UPDATE boats b
+SET location = NULL, slot = NULL
+WHERE b.location IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM slot_assignments sa WHERE sa.boat_id = b.id);
+
+UPDATE inventory_boats b
+SET location = NULL, slot = NULL
+WHERE b.location IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM slot_assignments sa WHERE sa.boat_id = b.id);
+
+-- ----------------------------------------------------------------------------
+-- move_boat_to_slot
+-- Atomically take a boat out of wherever it is and put it in the target slot.
+-- Passing a NULL location just removes it from the yard.
+-- Raises 'Target slot is already occupied' (SQLSTATE 23505) if another boat
+-- got there first; nothing is changed in that case.
+-- Returns the boat's new { location, slot }.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION move_boat_to_slot(
+  p_boat_id UUID,
+  p_boat_type TEXT,
+  p_location_id UUID,
+  p_slot_id TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_location locations%ROWTYPE;
+  v_slot TEXT := NULL;
+BEGIN
+  IF p_boat_type NOT IN ('customer', 'inventory') THEN
+    RAISE EXCEPTION 'Invalid boat type: %', p_boat_type;
+  END IF;
+
+  IF p_location_id IS NOT NULL THEN
+    SELECT * INTO v_location FROM locations WHERE id = p_location_id;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Location not found: %', p_location_id;
+    END IF;
+
+    v_slot := CASE WHEN v_location.type = 'pool' THEN 'pool' ELSE p_slot_id END;
+    IF v_slot IS NULL THEN
+      RAISE EXCEPTION 'A slot is required for grid locations';
+    END IF;
+  END IF;
+
+  DELETE FROM slot_assignments WHERE boat_id = p_boat_id;
+
+  IF p_location_id IS NOT NULL THEN
+    BEGIN
+      INSERT INTO slot_assignments (location_id, slot_id, boat_id, boat_type, assigned_by)
+      VALUES (p_location_id, v_slot, p_boat_id, p_boat_type, auth.uid());
+    EXCEPTION WHEN unique_violation THEN
+      RAISE EXCEPTION 'Target slot is already occupied' USING ERRCODE = 'unique_violation';
+    END;
+  END IF;
+
+  IF p_boat_type = 'inventory' THEN
+    UPDATE inventory_boats SET location = v_location.name, slot = v_slot WHERE id = p_boat_id;
+  ELSE
+    UPDATE boats SET location = v_location.name, slot = v_slot WHERE id = p_boat_id;
+  END IF;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Boat not found: %', p_boat_id;
+  END IF;
+
+  RETURN jsonb_build_object('location', v_location.name, 'slot', v_slot);
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- clear_location_slots
+-- Emergency reset: empty every slot in a location and unassign those boats.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION clear_location_slots(p_location_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  WITH removed AS (
+    DELETE FROM slot_assignments WHERE location_id = p_location_id
+    RETURNING boat_id, boat_type
+  ),
+  customer AS (
+    UPDATE boats SET location = NULL, slot = NULL
+    WHERE id IN (SELECT boat_id FROM removed WHERE boat_type = 'customer')
+  ),
+  inventory AS (
+    UPDATE inventory_boats SET location = NULL, slot = NULL
+    WHERE id IN (SELECT boat_id FROM removed WHERE boat_type = 'inventory')
+  )
+  SELECT COUNT(*) INTO v_count FROM removed;
+
+  RETURN v_count;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Free the slot whenever a boat is deleted or its location is cleared directly
+-- (archive, sold, sync clean-up), so those paths don't leave ghosts behind.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION release_slot_assignment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'DELETE' OR NEW.location IS NULL THEN
+    DELETE FROM slot_assignments WHERE boat_id = OLD.id;
+  END IF;
+  RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+DROP TRIGGER IF EXISTS boats_release_slot ON boats;
+CREATE TRIGGER boats_release_slot
+  AFTER UPDATE OF location OR DELETE ON boats
+  FOR EACH ROW EXECUTE FUNCTION release_slot_assignment();
+
+DROP TRIGGER IF EXISTS inventory_boats_release_slot ON inventory_boats;
+CREATE TRIGGER inventory_boats_release_slot
+  AFTER UPDATE OF location OR DELETE ON inventory_boats
+  FOR EACH ROW EXECUTE FUNCTION release_slot_assignment();
+
+GRANT EXECUTE ON FUNCTION move_boat_to_slot(UUID, TEXT, UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION clear_location_slots(UUID) TO authenticated;
@@ -0,0 +1,149 @@
+-- ============================================================================
+-- MOVE VERSIONS (optimistic concurrency for boat moves and location edits)
+-- ============================================================================
+-- Every boat (customer and inventory) carries a version that goes up each time
+-- its location/slot changes; every location carries a version that goes up on
+-- each edit. Clients send the version they last saw, and the write is rejected
+-- if someone else got there first instead of silently overwriting it.
+--
+-- Conflicts are raised with SQLSTATE 40001 (serialization_failure) so the app
+-- can tell them apart from other errors and show who made the other change.
+-- ============================================================================
+
+ALTER TABLE boats ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE inventory_boats ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Boats: only a change of place counts (status/notes edits don't conflict with moves)
+CREATE OR REPLACE FUNCTION bump_boat_move_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.location IS DISTINCT FROM OLD.location OR NEW.slot IS DISTINCT FROM OLD.slot THEN
+    NEW.version := OLD.version + 1;
+  ELSE
+    NEW.version := OLD.version;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS boats_bump_move_version ON boats;
+CREATE TRIGGER boats_bump_move_version
+  BEFORE UPDATE ON boats
+  FOR EACH ROW EXECUTE FUNCTION bump_boat_move_version();
+
+DROP TRIGGER IF EXISTS inventory_boats_bump_move_version ON inventory_boats;
+CREATE TRIGGER inventory_boats_bump_move_version
+  BEFORE UPDATE ON inventory_boats
+  FOR EACH ROW EXECUTE FUNCTION bump_boat_move_version();
+
+-- Locations: any edit (name, layout, site...) counts
+CREATE OR REPLACE FUNCTION bump_location_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS locations_bump_version ON locations;
+CREATE TRIGGER locations_bump_version
+  BEFORE UPDATE ON locations
+  FOR EACH ROW EXECUTE FUNCTION bump_location_version();
+
+-- ----------------------------------------------------------------------------
+-- move_boat_to_slot, now with an expected version
+-- p_expected_version NULL skips the check (scripts, audits reading fresh state).
+-- Errors (nothing is changed in either case):
+--   40001 'Boat was moved by someone else'    DETAIL = current version
+--   23505 'Target slot is already occupied'   DETAIL = boat ID holding the slot
+-- Returns the boat's new { location, slot, version }.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS move_boat_to_slot(UUID, TEXT, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION move_boat_to_slot(
+  p_boat_id UUID,
+  p_boat_type TEXT,
+  p_location_id UUID,
+  p_slot_id TEXT,
+  p_expected_version INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_location locations%ROWTYPE;
+  v_slot TEXT := NULL;
+  v_current_version INTEGER;
+  v_new_version INTEGER;
+  v_occupant UUID;
+BEGIN
+  IF p_boat_type NOT IN ('customer', 'inventory') THEN
+    RAISE EXCEPTION 'Invalid boat type: %', p_boat_type;
+  END IF;
+
+  -- Lock the boat row so two moves of the same boat queue up behind each other
+  IF p_boat_type = 'inventory' THEN
+    SELECT version INTO v_current_version FROM inventory_boats WHERE id = p_boat_id FOR UPDATE;
+  ELSE
+    SELECT version INTO v_current_version FROM boats WHERE id = p_boat_id FOR UPDATE;
+  END IF;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Boat not found: %', p_boat_id;
+  END IF;
+
+  IF p_expected_version IS NOT NULL AND v_current_version <> p_expected_version THEN
+    RAISE EXCEPTION 'Boat was moved by someone else'
+      USING ERRCODE = 'serialization_failure', DETAIL = v_current_version::TEXT;
+  END IF;
+
+  IF p_location_id IS NOT NULL THEN
+    SELECT * INTO v_location FROM locations WHERE id = p_location_id;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Location not found: %', p_location_id;
+    END IF;
+
+    v_slot := CASE WHEN v_location.type = 'pool' THEN 'pool' ELSE p_slot_id END;
+    IF v_slot IS NULL THEN
+      RAISE EXCEPTION 'A slot is required for grid locations';
+    END IF;
+  END IF;
+
+  DELETE FROM slot_assignments WHERE boat_id = p_boat_id;
+
+  IF p_location_id IS NOT NULL THEN
+    BEGIN
+      INSERT INTO slot_assignments (location_id, slot_id, boat_id, boat_type, assigned_by)
+      VALUES (p_location_id, v_slot, p_boat_id, p_boat_type, auth.uid());
+    EXCEPTION WHEN unique_violation THEN
+      SELECT boat_id INTO v_occupant
+      FROM slot_assignments
+      WHERE location_id = p_location_id AND slot_id = v_slot;
+
+      RAISE EXCEPTION 'Target slot is already occupied'
+        USING ERRCODE = 'unique_violation', DETAIL = COALESCE(v_occupant::TEXT, '');
+    END;
+  END IF;
+
+  IF p_boat_type = 'inventory' THEN
+    UPDATE inventory_boats SET location = v_location.name, slot = v_slot
+    WHERE id = p_boat_id
+    RETURNING version INTO v_new_version;
+  ELSE
+    UPDATE boats SET location = v_location.name, slot = v_slot
+    WHERE id = p_boat_id
+    RETURNING version INTO v_new_version;
+  END IF;
+
+  RETURN jsonb_build_object('location', v_location.name, 'slot', v_slot, 'version', v_new_version);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION move_boat_to_slot(UUID, TEXT, UUID, TEXT, INTEGER) TO authenticated;
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- SITE MAPS
+-- ============================================================================
+-- Each site gets a plan (size in feet, optional background image such as an
+-- aerial photo or CAD export) and each location can be placed on it with a
+-- position, size and rotation, all in feet from the plan's top-left corner.
+--
+-- Locations with map_x NULL are simply not on the map yet.
+-- ============================================================================
+
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS map_width_ft INTEGER NOT NULL DEFAULT 400;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS map_height_ft INTEGER NOT NULL DEFAULT 300;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS map_image_url TEXT;
+
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS map_x NUMERIC;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS map_y NUMERIC;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS map_width_ft NUMERIC;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS map_height_ft NUMERIC;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS map_rotation NUMERIC NOT NULL DEFAULT 0;
+
+ALTER TABLE sites DROP CONSTRAINT IF EXISTS sites_map_size_check;
+ALTER TABLE sites ADD CONSTRAINT sites_map_size_check
+  CHECK (map_width_ft > 0 AND map_height_ft > 0);
+
+ALTER TABLE locations DROP CONSTRAINT IF EXISTS locations_map_size_check;
+ALTER TABLE locations ADD CONSTRAINT locations_map_size_check
+  CHECK ((map_width_ft IS NULL OR map_width_ft > 0) AND (map_height_ft IS NULL OR map_height_ft > 0));
@@ -0,0 +1,72 @@
+-- ============================================================================
+-- WORKFLOW DEFINITIONS
+-- ============================================================================
+-- Admin-editable list of work phases (and status labels) per boat category, so
+-- the shop can add phases like "Shrink Wrap" or "Bottom Paint" without a
+-- schema change.
+--
+-- phases:   [{ key, label, icon, requiredForComplete, requires: [phaseKey] }]
+--           in display order. requiredForComplete phases gate "All Work
+--           Complete"; requires lists phases that must be done first.
+-- statuses: [{ key, label, enabled }] - keys are the fixed status values
+--           (needs-approval ... all-work-complete); labels/order/visibility
+--           are editable, needs-approval and all-work-complete always stay on.
+--
+-- The original phases keep their boolean columns (mechanicals_complete,
+-- fall_clean_complete, prep_photographed_complete, ...). Completion of phases
+-- added here lives in custom_phases on the boat, keyed by scope then phase:
+--   { "current": { "shrink-wrap": true }, "fall": { "bottom-paint": true } }
+-- where scope is 'current' (customer), the season (storage) or the work type
+-- 'prep' / 'rigging' (inventory).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS workflow_definitions (
+  category TEXT PRIMARY KEY CHECK (category IN ('customer', 'storage', 'inventory')),
+  phases JSONB NOT NULL DEFAULT '[]'::JSONB,
+  statuses JSONB NOT NULL DEFAULT '[]'::JSONB,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID
+);
+
+ALTER TABLE workflow_definitions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read workflow definitions"
+  ON workflow_definitions FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage workflow definitions"
+  ON workflow_definitions FOR ALL
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM users WHERE users.auth_id = auth.uid() AND users.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM users WHERE users.auth_id = auth.uid() AND users.role = 'admin'));
+
+ALTER PUBLICATION supabase_realtime ADD TABLE workflow_definitions;
+
+ALTER TABLE boats ADD COLUMN IF NOT EXISTS custom_phases JSONB NOT NULL DEFAULT '{}'::JSONB;
+ALTER TABLE inventory_boats ADD COLUMN IF NOT EXISTS custom_phases JSONB NOT NULL DEFAULT '{}'::JSONB;
+
+-- ----------------------------------------------------------------------------
+-- Seed with the phases the app shipped with
+-- ----------------------------------------------------------------------------
+
+INSERT INTO workflow_definitions (category, phases, statuses)
+SELECT category,
+  CASE WHEN category = 'inventory' THEN base.phases || '[{"key": "photographed", "label": "Photographed", "icon": "camera", "requiredForComplete": true, "requires": []}]'::JSONB
+       ELSE base.phases END,
+  '[
+    {"key": "needs-approval", "label": "Needs Approval", "enabled": true},
+    {"key": "needs-parts", "label": "Needs Parts", "enabled": true},
+    {"key": "parts-kit-pulled", "label": "Parts Kit Pulled", "enabled": true},
+    {"key": "on-deck", "label": "On Deck", "enabled": true},
+    {"key": "all-work-complete", "label": "All Work Complete", "enabled": true}
+  ]'::JSONB
+FROM (VALUES ('customer'), ('storage'), ('inventory')) AS c(category)
+CROSS JOIN (SELECT '[
+    {"key": "mechanicals", "label": "Mechanicals", "icon": "wrench", "requiredForComplete": true, "requires": []},
+    {"key": "clean", "label": "Clean", "icon": "sparkles", "requiredForComplete": true, "requires": []},
+    {"key": "fiberglass", "label": "Fiberglass", "icon": "layers", "requiredForComplete": true, "requires": []},
+    {"key": "warranty", "label": "Warranty", "icon": "shield", "requiredForComplete": true, "requires": []},
+    {"key": "invoiced", "label": "Invoiced", "icon": "dollar", "requiredForComplete": true, "requires": []}
+  ]'::JSONB AS phases) AS base
+ON CONFLICT (category) DO NOTHING;
@@ -0,0 +1,60 @@
+-- ============================================================================
+-- WORK PHASE RECORDS
+-- ============================================================================
+-- Who a work phase is assigned to, when it's due, and who checked it off and
+-- when - one row per boat, scope and phase. The phase's completion flag itself
+-- stays where it is (the *_complete columns / custom_phases); this table only
+-- carries the people and dates around it so managers can ask things like
+-- "clean phases done by Sam this week" or "what's overdue".
+--
+-- scope matches workflowHelpers: 'current' (customer boats), the season
+-- (storage boats) or 'prep' / 'rigging' (inventory boats).
+--
+-- Phases checked off before this migration have no record; they show as
+-- complete with no stamp.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS work_phase_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  boat_id UUID REFERENCES boats(id) ON DELETE CASCADE,
+  inventory_boat_id UUID REFERENCES inventory_boats(id) ON DELETE CASCADE,
+  scope TEXT NOT NULL,
+  phase_key TEXT NOT NULL,
+  assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  due_date DATE,
+  completed_at TIMESTAMPTZ,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID,
+  CONSTRAINT work_phase_records_one_boat CHECK ((boat_id IS NULL) <> (inventory_boat_id IS NULL)),
+  CONSTRAINT work_phase_records_boat_key UNIQUE (boat_id, scope, phase_key),
+  CONSTRAINT work_phase_records_inventory_boat_key UNIQUE (inventory_boat_id, scope, phase_key)
+);
+
+-- "Done by X this week" and "done this week" reports
+CREATE INDEX IF NOT EXISTS work_phase_records_completed_idx
+  ON work_phase_records (completed_at DESC)
+  WHERE completed_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS work_phase_records_completed_by_idx
+  ON work_phase_records (completed_by, completed_at DESC);
+
+-- "My open phases" and overdue lists
+CREATE INDEX IF NOT EXISTS work_phase_records_assigned_idx
+  ON work_phase_records (assigned_to, due_date)
+  WHERE completed_at IS NULL;
+
+ALTER TABLE work_phase_records ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read work phase records"
+  ON work_phase_records FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage work phase records"
+  ON work_phase_records FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE work_phase_records;
@@ -0,0 +1,119 @@
+-- ============================================================================
+-- SYNC STATUS HISTORY
+-- ============================================================================
+-- sync_status only holds the latest state of each sync job (one row per job:
+-- 'workorders_incremental', 'estimates_incremental', 'internal_workorders',
+-- 'cleanup_stale_workorders', and now 'inventory', written by the app).
+-- This keeps every finished run so the Sync Health page can show error history
+-- and durations over time.
+--
+-- A trigger copies each success/error write into sync_status_history, so the
+-- edge functions don't need to know about this table. History is kept 30 days.
+-- ============================================================================
+
+-- How long the last run took (written by the sync functions alongside status)
+ALTER TABLE sync_status ADD COLUMN IF NOT EXISTS last_duration_ms INTEGER;
+
+CREATE TABLE IF NOT EXISTS sync_status_history (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  job_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  records_synced INTEGER,
+  error_message TEXT,
+  duration_ms INTEGER,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS sync_status_history_job_idx
+  ON sync_status_history (job_id, recorded_at DESC);
+
+CREATE OR REPLACE FUNCTION record_sync_status_history()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- 'in_progress' marks aren't runs
+  IF NEW.status NOT IN ('success', 'error') THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO sync_status_history (job_id, status, records_synced, error_message, duration_ms)
+  VALUES (NEW.id, NEW.status, NEW.records_synced, NEW.error_message, NEW.last_duration_ms);
+
+  DELETE FROM sync_status_history
+  WHERE job_id = NEW.id
+    AND recorded_at < NOW() - INTERVAL '30 days';
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS sync_status_history_trigger ON sync_status;
+CREATE TRIGGER sync_status_history_trigger
+  AFTER INSERT OR UPDATE ON sync_status
+  FOR EACH ROW
+  EXECUTE FUNCTION record_sync_status_history();
+
+-- Edge functions write with the service role; the app reads everything and
+-- records the browser-driven inventory sync itself
+ALTER TABLE sync_status ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can read sync status" ON sync_status;
+CREATE POLICY "Authenticated users can read sync status"
+  ON sync_status FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Authenticated users can record the inventory sync" ON sync_status;
+CREATE POLICY "Authenticated users can record the inventory sync"
+  ON sync_status FOR ALL
+  TO authenticated
+  USING (id = 'inventory')
+  WITH CHECK (id = 'inventory');
+
+ALTER TABLE sync_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read sync history"
+  ON sync_status_history FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Runs and errors per job per day for the Sync Health bars. The jobs log well
+-- over a thousand runs a day between them - more than one API response holds -
+-- so the page reads these totals instead of the rows. Days are bucketed in the
+-- viewer's time zone.
+CREATE OR REPLACE FUNCTION get_sync_history_summary(p_since TIMESTAMPTZ, p_time_zone TEXT DEFAULT 'UTC')
+RETURNS TABLE (
+  job_id TEXT,
+  day DATE,
+  runs INTEGER,
+  errors INTEGER,
+  total_duration_ms BIGINT,
+  timed_runs INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT
+    h.job_id,
+    (h.recorded_at AT TIME ZONE p_time_zone)::DATE AS day,
+    COUNT(*)::INTEGER AS runs,
+    COUNT(*) FILTER (WHERE h.status = 'error')::INTEGER AS errors,
+    COALESCE(SUM(h.duration_ms), 0)::BIGINT AS total_duration_ms,
+    COUNT(h.duration_ms)::INTEGER AS timed_runs
+  FROM sync_status_history h
+  WHERE h.recorded_at >= p_since
+  GROUP BY h.job_id, (h.recorded_at AT TIME ZONE p_time_zone)::DATE;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_sync_history_summary(TIMESTAMPTZ, TEXT) TO authenticated;
+
+-- Live updates on the Sync Health page
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'sync_status'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE sync_status;
+  END IF;
+END $$;
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- SYNC RUN LOG
+-- ============================================================================
+-- One row per run of a Dockmaster sync function (job, lookback window,
+-- start/end, counts), with a child row for every record that failed to save.
+-- sync_run_errors keeps the Dockmaster keys of the record so it can be fetched
+-- and saved again from the Sync Health page (sync-retry-record function).
+--
+-- Written by the edge functions (service role) via _shared/syncRunLog.ts,
+-- which also prunes runs older than 30 days; errors go with their run.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id TEXT NOT NULL,
+  -- running | success | partial (finished with failed records) | error
+  status TEXT NOT NULL DEFAULT 'running',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  window_start TIMESTAMPTZ,
+  window_end TIMESTAMPTZ,
+  -- Job-specific counts, e.g. { "workOrdersUpdated": 12, "timeEntriesStored": 40 }
+  counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+  records_failed INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS sync_runs_job_idx ON sync_runs (job_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS sync_runs_started_idx ON sync_runs (started_at);
+
+CREATE TABLE IF NOT EXISTS sync_run_errors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id UUID NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+  job_id TEXT NOT NULL,
+  -- work_order | time_entry | estimate
+  record_type TEXT NOT NULL,
+  -- Display key, e.g. the work order ID or "laborUID/opcode"
+  record_key TEXT NOT NULL,
+  -- Keys needed to fetch the record again, e.g. { "workOrderId": "123" }
+  record_keys JSONB NOT NULL DEFAULT '{}'::jsonb,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  last_retry_at TIMESTAMPTZ,
+  last_retry_error TEXT,
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS sync_run_errors_run_idx ON sync_run_errors (run_id);
+CREATE INDEX IF NOT EXISTS sync_run_errors_unresolved_idx
+  ON sync_run_errors (job_id, created_at DESC)
+  WHERE resolved_at IS NULL;
+
+-- The app only reads; retries go through the sync-retry-record function
+ALTER TABLE sync_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sync_run_errors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read sync runs"
+  ON sync_runs FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can read sync run errors"
+  ON sync_run_errors FOR SELECT
+  TO authenticated
+  USING (true);
@@ -0,0 +1,290 @@
+-- ============================================================================
+-- BOAT IDENTITY
+-- ============================================================================
+-- A boat keeps one ID for its whole life at the yard. Customer boats live in
+-- boats and unsold inventory in inventory_boats; when an inventory boat is sold,
+-- sell_inventory_boat creates its customer row with the SAME ID instead of a
+-- new one, so everything keyed by boat ID stays with it:
+--   - its slot (slot_assignments) and its movement history (boat_movements)
+--   - notes and work phase records, moved from inventory_boat_id to boat_id
+--   - prep/rigging work orders, linked through work_orders.boat_id
+--
+-- The inventory row is kept (customer_boat_id, sold_at) as the record of the
+-- sale and hidden from inventory lists; the inventory sync may still update it.
+--
+-- Boats promoted before this migration got a new ID; they are matched back to
+-- their inventory row (Dockmaster ID, then hull ID) and their history is moved
+-- onto the customer boat.
+--
+-- boat_identities is the one place to look a boat up by QR code, NFC tag or
+-- hull ID, with its current role:
+--   inventory - unsold, in inventory_boats
+--   customer  - in boats
+--   storage   - in boats, storage_boat set
+-- ============================================================================
+
+ALTER TABLE inventory_boats ADD COLUMN IF NOT EXISTS customer_boat_id UUID REFERENCES boats(id) ON DELETE SET NULL;
+ALTER TABLE inventory_boats ADD COLUMN IF NOT EXISTS sold_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS inventory_boats_customer_boat_idx
+  ON inventory_boats (customer_boat_id)
+  WHERE customer_boat_id IS NOT NULL;
+
+-- ----------------------------------------------------------------------------
+-- Slot release, per table
+-- A sold boat has a row in both tables under one ID; the inventory row being
+-- cleared or deleted (inventory sync) must not free the customer boat's slot.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION release_slot_assignment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'DELETE' OR NEW.location IS NULL THEN
+    DELETE FROM slot_assignments
+    WHERE boat_id = OLD.id
+      AND boat_type = CASE WHEN TG_TABLE_NAME = 'inventory_boats' THEN 'inventory' ELSE 'customer' END;
+  END IF;
+  RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+-- A sold inventory row can't be put back in the yard (e.g. a move queued
+-- offline before the sale) - the boat is moved as a customer boat now
+CREATE OR REPLACE FUNCTION block_sold_inventory_move()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.customer_boat_id IS NOT NULL AND NEW.location IS NOT NULL
+     AND NEW.location IS DISTINCT FROM OLD.location THEN
+    RAISE EXCEPTION 'This boat has been sold and is now a customer boat - reload and move it from there';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS inventory_boats_block_sold_move ON inventory_boats;
+CREATE TRIGGER inventory_boats_block_sold_move
+  BEFORE UPDATE OF location ON inventory_boats
+  FOR EACH ROW EXECUTE FUNCTION block_sold_inventory_move();
+
+-- ----------------------------------------------------------------------------
+-- Prep work orders follow the sold boat
+-- Internal (rigging) work orders are matched to inventory by rigging_id; once
+-- the boat is sold they also get its boat_id, on every sync write.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION link_rigging_work_order()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.boat_id IS NULL AND NEW.rigging_id IS NOT NULL THEN
+    SELECT ib.customer_boat_id INTO NEW.boat_id
+    FROM inventory_boats ib
+    WHERE ib.dockmaster_id::TEXT = NEW.rigging_id::TEXT
+      AND ib.customer_boat_id IS NOT NULL
+    LIMIT 1;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- The trigger runs on every work order the syncs write; match the lookup's
+-- expression so it's an index probe rather than a scan of inventory_boats
+CREATE INDEX IF NOT EXISTS inventory_boats_sold_dockmaster_id_idx
+  ON inventory_boats ((dockmaster_id::TEXT))
+  WHERE customer_boat_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS work_orders_link_rigging ON work_orders;
+CREATE TRIGGER work_orders_link_rigging
+  BEFORE INSERT OR UPDATE ON work_orders
+  FOR EACH ROW EXECUTE FUNCTION link_rigging_work_order();
+
+-- ----------------------------------------------------------------------------
+-- attach_inventory_history
+-- Move an inventory boat's notes, phase records, movements and prep work
+-- orders onto its customer boat. Phase records the customer boat already has
+-- for the same scope/phase win.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION attach_inventory_history(p_inventory_boat_id UUID, p_boat_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+BEGIN
+  UPDATE boat_notes
+  SET boat_id = p_boat_id, inventory_boat_id = NULL
+  WHERE inventory_boat_id = p_inventory_boat_id;
+
+  UPDATE work_phase_records r
+  SET boat_id = p_boat_id, inventory_boat_id = NULL
+  WHERE r.inventory_boat_id = p_inventory_boat_id
+    AND NOT EXISTS (
+      SELECT 1 FROM work_phase_records x
+      WHERE x.boat_id = p_boat_id AND x.scope = r.scope AND x.phase_key = r.phase_key
+    );
+
+  -- No-op for boats sold since this migration (same ID)
+  UPDATE boat_movements
+  SET boat_id = p_boat_id
+  WHERE boat_id = p_inventory_boat_id AND p_inventory_boat_id <> p_boat_id;
+
+  UPDATE work_orders wo
+  SET boat_id = p_boat_id
+  FROM inventory_boats ib
+  WHERE ib.id = p_inventory_boat_id
+    AND wo.rigging_id::TEXT = ib.dockmaster_id::TEXT
+    AND wo.boat_id IS NULL;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- sell_inventory_boat
+-- Turn an inventory boat into a customer boat, keeping its ID, place in the
+-- yard, QR code / NFC tag (they're stuck to the boat) and history.
+-- p_customer: boats columns for the new row (owner, customer_id, dockmaster_id,
+-- work_order_number, status, name, model, hull_id); inventory values fill gaps.
+-- Calling it again for a boat already sold returns the existing customer boat.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION sell_inventory_boat(p_inventory_boat_id UUID, p_customer JSONB DEFAULT '{}'::JSONB)
+RETURNS boats
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_inventory inventory_boats%ROWTYPE;
+  v_boat boats%ROWTYPE;
+BEGIN
+  SELECT * INTO v_inventory FROM inventory_boats WHERE id = p_inventory_boat_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Inventory boat not found: %', p_inventory_boat_id;
+  END IF;
+
+  IF v_inventory.customer_boat_id IS NOT NULL THEN
+    SELECT * INTO v_boat FROM boats WHERE id = v_inventory.customer_boat_id;
+    RETURN v_boat;
+  END IF;
+
+  -- Tags move to the customer row; clear them first so lookups find one boat
+  UPDATE inventory_boats SET qr_code = NULL, nfc_tag = NULL WHERE id = v_inventory.id;
+
+  INSERT INTO boats (
+    id, name, model, hull_id, dockmaster_id, owner, customer_id, work_order_number,
+    qr_code, nfc_tag, status, location, slot
+  ) VALUES (
+    v_inventory.id,
+    COALESCE(NULLIF(p_customer->>'name', ''), v_inventory.name, 'Unknown Boat'),
+    COALESCE(NULLIF(p_customer->>'model', ''), v_inventory.model, ''),
+    COALESCE(NULLIF(p_customer->>'hull_id', ''), v_inventory.hull_id),
+    COALESCE(NULLIF(p_customer->>'dockmaster_id', ''), v_inventory.dockmaster_id::TEXT),
+    COALESCE(p_customer->>'owner', ''),
+    NULLIF(p_customer->>'customer_id', ''),
+    NULLIF(p_customer->>'work_order_number', ''),
+    COALESCE(v_inventory.qr_code, 'QR-' || (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT),
+    v_inventory.nfc_tag,
+    COALESCE(NULLIF(p_customer->>'status', ''), 'needs-approval'),
+    v_inventory.location,
+    v_inventory.slot
+  )
+  RETURNING * INTO v_boat;
+
+  -- Same boat_id, now held as a customer boat
+  UPDATE slot_assignments SET boat_type = 'customer'
+  WHERE boat_id = v_inventory.id AND boat_type = 'inventory';
+
+  UPDATE inventory_boats
+  SET customer_boat_id = v_boat.id, sold_at = NOW(), location = NULL, slot = NULL
+  WHERE id = v_inventory.id;
+
+  PERFORM attach_inventory_history(v_inventory.id, v_boat.id);
+
+  RETURN v_boat;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION sell_inventory_boat(UUID, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION attach_inventory_history(UUID, UUID) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Backfill boats promoted before this migration (new ID at the time)
+-- Only sold units (S / HS) are matched. The customer boat already has its own
+-- placement, so the inventory row's location, slot and slot_assignments entry
+-- are cleared - otherwise the sold unit would keep holding its old slot.
+-- ----------------------------------------------------------------------------
+
+WITH matches AS (
+  SELECT DISTINCT ON (ib.id) ib.id AS inventory_boat_id, b.id AS boat_id
+  FROM inventory_boats ib
+  JOIN boats b
+    ON b.id <> ib.id
+   AND b.created_at >= ib.created_at
+   AND (
+     (ib.dockmaster_id IS NOT NULL AND b.dockmaster_id::TEXT = ib.dockmaster_id::TEXT)
+     OR (COALESCE(ib.hull_id, '') <> '' AND b.hull_id = ib.hull_id)
+   )
+  WHERE ib.customer_boat_id IS NULL
+    AND ib.sales_status IN ('S', 'HS')
+  ORDER BY ib.id, b.created_at
+),
+linked AS (
+  UPDATE inventory_boats ib
+  SET customer_boat_id = m.boat_id, sold_at = COALESCE(ib.sold_at, NOW()), location = NULL, slot = NULL
+  FROM matches m
+  WHERE ib.id = m.inventory_boat_id
+  RETURNING ib.id
+)
+DELETE FROM slot_assignments sa
+USING linked l
+WHERE sa.boat_id = l.id
+  AND sa.boat_type = 'inventory';
+
+DO $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN SELECT id, customer_boat_id FROM inventory_boats WHERE customer_boat_id IS NOT NULL AND customer_boat_id <> id LOOP
+    PERFORM attach_inventory_history(r.id, r.customer_boat_id);
+  END LOOP;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- boat_identities: every boat once, with its current role
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE VIEW boat_identities
+WITH (security_invoker = true)
+AS
+SELECT
+  b.id,
+  CASE WHEN b.storage_boat THEN 'storage' ELSE 'customer' END AS role,
+  b.name,
+  b.hull_id,
+  b.qr_code,
+  b.nfc_tag,
+  b.dockmaster_id::TEXT AS dockmaster_id,
+  b.location,
+  b.slot,
+  b.created_at
+FROM boats b
+UNION ALL
+SELECT
+  ib.id,
+  'inventory' AS role,
+  ib.name,
+  ib.hull_id,
+  ib.qr_code,
+  ib.nfc_tag,
+  ib.dockmaster_id::TEXT AS dockmaster_id,
+  ib.location,
+  ib.slot,
+  ib.created_at
+FROM inventory_boats ib
+WHERE ib.customer_boat_id IS NULL;
+
+GRANT SELECT ON boat_identities TO authenticated;
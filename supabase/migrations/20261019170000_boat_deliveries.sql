@@ -0,0 +1,131 @@
+-- ============================================================================
+-- BOAT DELIVERIES
+-- ============================================================================
+-- When the inventory sync sees a unit flip to sold (S / HS) in Dockmaster, a
+-- delivery is opened for it with the standard checklist:
+--   final rigging, detail, customer orientation, paperwork
+-- The sales team sets the delivery date and customer (name, and optionally the
+-- customer's Dockmaster customer ID and boat ID); once every item is done
+-- the boat is marked delivered, which turns the inventory boat into a customer
+-- boat (boatLifecycleService.importOrUpdateBoat -> sell_inventory_boat) with
+-- its slot, notes and history.
+--
+-- If the unit goes back to available before delivery, the open delivery is
+-- cancelled; selling it again reopens the same delivery (checklist kept).
+--
+-- Boat name / hull / Dockmaster ID are copied onto the delivery so it can
+-- still be completed if the unit drops out of the inventory feed first.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS boat_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  inventory_boat_id UUID UNIQUE REFERENCES inventory_boats(id) ON DELETE SET NULL,
+  boat_id UUID REFERENCES boats(id) ON DELETE SET NULL,
+  boat_name TEXT,
+  model TEXT,
+  hull_id TEXT,
+  dockmaster_id TEXT,
+  sales_status TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'scheduled', 'delivered', 'cancelled')),
+  delivery_date DATE,
+  customer_name TEXT,
+  customer_id TEXT,
+  customer_dockmaster_boat_id TEXT,
+  checklist JSONB NOT NULL DEFAULT '[
+    {"key": "final_rigging", "label": "Final rigging", "done": false, "done_by": null, "done_at": null},
+    {"key": "detail", "label": "Detail", "done": false, "done_by": null, "done_at": null},
+    {"key": "orientation", "label": "Customer orientation", "done": false, "done_by": null, "done_at": null},
+    {"key": "paperwork", "label": "Paperwork", "done": false, "done_by": null, "done_at": null}
+  ]'::JSONB,
+  notes TEXT,
+  sold_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ,
+  delivered_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID
+);
+
+CREATE INDEX IF NOT EXISTS boat_deliveries_open_idx
+  ON boat_deliveries (delivery_date)
+  WHERE status IN ('pending', 'scheduled');
+
+-- ----------------------------------------------------------------------------
+-- Open / cancel deliveries as the sales status changes
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION sync_boat_delivery()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_was_sold BOOLEAN := TG_OP = 'UPDATE' AND OLD.sales_status IN ('S', 'HS');
+  v_is_sold BOOLEAN := NEW.sales_status IN ('S', 'HS');
+BEGIN
+  -- Already a customer boat - nothing left to deliver
+  IF NEW.customer_boat_id IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF v_is_sold AND NOT v_was_sold THEN
+    INSERT INTO boat_deliveries (inventory_boat_id, boat_name, model, hull_id, dockmaster_id, sales_status)
+    VALUES (NEW.id, NEW.name, NEW.model, NEW.hull_id, NEW.dockmaster_id::TEXT, NEW.sales_status)
+    ON CONFLICT (inventory_boat_id) DO UPDATE
+    SET sales_status = EXCLUDED.sales_status,
+        status = CASE
+          WHEN boat_deliveries.status <> 'cancelled' THEN boat_deliveries.status
+          WHEN boat_deliveries.delivery_date IS NOT NULL THEN 'scheduled'
+          ELSE 'pending'
+        END,
+        sold_at = CASE WHEN boat_deliveries.status = 'cancelled' THEN NOW() ELSE boat_deliveries.sold_at END,
+        updated_at = NOW();
+  ELSIF v_is_sold THEN
+    -- HS -> S and the like: keep the code current
+    UPDATE boat_deliveries
+    SET sales_status = NEW.sales_status, updated_at = NOW()
+    WHERE inventory_boat_id = NEW.id AND sales_status IS DISTINCT FROM NEW.sales_status;
+  ELSIF v_was_sold THEN
+    UPDATE boat_deliveries
+    SET status = 'cancelled', sales_status = NEW.sales_status, updated_at = NOW()
+    WHERE inventory_boat_id = NEW.id AND status IN ('pending', 'scheduled');
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS inventory_boats_sync_delivery ON inventory_boats;
+CREATE TRIGGER inventory_boats_sync_delivery
+  AFTER INSERT OR UPDATE OF sales_status ON inventory_boats
+  FOR EACH ROW EXECUTE FUNCTION sync_boat_delivery();
+
+-- ----------------------------------------------------------------------------
+-- Backfill: units already sold and not yet converted
+-- ----------------------------------------------------------------------------
+
+INSERT INTO boat_deliveries (inventory_boat_id, boat_name, model, hull_id, dockmaster_id, sales_status)
+SELECT ib.id, ib.name, ib.model, ib.hull_id, ib.dockmaster_id::TEXT, ib.sales_status
+FROM inventory_boats ib
+WHERE ib.sales_status IN ('S', 'HS')
+  AND ib.customer_boat_id IS NULL
+ON CONFLICT (inventory_boat_id) DO NOTHING;
+
+-- ----------------------------------------------------------------------------
+-- Access
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE boat_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read boat deliveries"
+  ON boat_deliveries FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage boat deliveries"
+  ON boat_deliveries FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE boat_deliveries;
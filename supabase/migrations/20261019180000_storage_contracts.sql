@@ -0,0 +1,52 @@
+-- ============================================================================
+-- STORAGE CONTRACTS
+-- ============================================================================
+-- What a storage customer is paying for, one contract per boat per storage
+-- season (e.g. '2026-2027', fall haul-out to spring launch):
+--   - storage type: indoor / outdoor / rack, and the type of location the
+--     boat was assigned to when the contract was written (rack-building,
+--     parking-lot, ...)
+--   - rate per foot x billed length
+--   - haul-out and launch dates
+--   - add-ons (shrink wrap, winterization, ...) as [{ key, label, price }]
+--
+-- The season billing summary (Storage Billing page) totals these per season.
+-- Seasonal work (fall/winter/spring phases) stays on boats.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS storage_contracts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  boat_id UUID NOT NULL REFERENCES boats(id) ON DELETE CASCADE,
+  season TEXT NOT NULL,
+  storage_type TEXT NOT NULL CHECK (storage_type IN ('indoor', 'outdoor', 'rack')),
+  location_type TEXT,
+  length_ft NUMERIC(6, 2),
+  rate_per_foot NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  haul_out_date DATE,
+  launch_date DATE,
+  add_ons JSONB NOT NULL DEFAULT '[]'::JSONB,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('draft', 'active', 'cancelled')),
+  notes TEXT,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT storage_contracts_boat_season_key UNIQUE (boat_id, season)
+);
+
+CREATE INDEX IF NOT EXISTS storage_contracts_season_idx ON storage_contracts (season);
+
+ALTER TABLE storage_contracts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read storage contracts"
+  ON storage_contracts FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage storage contracts"
+  ON storage_contracts FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE storage_contracts;
@@ -0,0 +1,51 @@
+-- ============================================================================
+-- LAUNCH / HAUL-OUT SCHEDULE
+-- ============================================================================
+-- Spring launches and fall haul-outs for storage boats, one of each per boat
+-- per storage season ('2026-2027': haul-out in the fall, launch in the spring,
+-- same naming as storage_contracts). The contract holds the dates the customer
+-- asked for; this is the yard's plan, moved around on the Launch Calendar.
+--
+-- sites.daily_launch_capacity caps how many launches + haul-outs a site's crew
+-- and travel lift can handle in a day (NULL = no limit). Going over is allowed
+-- but flagged on the calendar.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS launch_schedule (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  boat_id UUID NOT NULL REFERENCES boats(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('launch', 'haul_out')),
+  season TEXT NOT NULL,
+  scheduled_date DATE NOT NULL,
+  site_id UUID REFERENCES sites(id) ON DELETE SET NULL,
+  destination TEXT,
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'done', 'cancelled')),
+  notes TEXT,
+  completed_at TIMESTAMPTZ,
+  completed_by UUID,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT launch_schedule_boat_kind_season_key UNIQUE (boat_id, kind, season)
+);
+
+CREATE INDEX IF NOT EXISTS launch_schedule_date_idx ON launch_schedule (scheduled_date);
+
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS daily_launch_capacity INTEGER
+  CHECK (daily_launch_capacity IS NULL OR daily_launch_capacity >= 0);
+
+ALTER TABLE launch_schedule ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read launch schedule"
+  ON launch_schedule FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage launch schedule"
+  ON launch_schedule FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE launch_schedule;
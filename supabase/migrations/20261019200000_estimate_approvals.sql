@@ -0,0 +1,54 @@
+-- ============================================================================
+-- ESTIMATE APPROVAL SNAPSHOTS
+-- ============================================================================
+-- inventory_boats.estimates_approval_hash only says that the Dockmaster
+-- estimates changed after a sales manager approved them, not what changed.
+-- Every approval now also stores a snapshot of the approved estimates and their
+-- operations (opcode, labor, parts, charges), so the app can diff the current
+-- estimates against what was actually approved.
+--
+-- inventory_boats.estimates_approved_* stays the current approval state; this
+-- table is the history, newest row = current approval.
+--
+-- notified_hash is the estimates hash the approver was last notified about, so
+-- the estimates sync sends one notification per change, not one per run.
+--
+-- Approvals made before this migration are backfilled with a NULL snapshot:
+-- their changes can't be listed, but the approver is still notified.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS estimate_approvals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  inventory_boat_id UUID NOT NULL REFERENCES inventory_boats(id) ON DELETE CASCADE,
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  approval_hash TEXT,
+  snapshot JSONB,
+  notified_hash TEXT,
+  notified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS estimate_approvals_boat_idx
+  ON estimate_approvals (inventory_boat_id, approved_at DESC);
+
+INSERT INTO estimate_approvals (inventory_boat_id, approved_by, approved_at, approval_hash, snapshot, notified_hash)
+SELECT id, estimates_approved_by, COALESCE(estimates_approved_at, NOW()), estimates_approval_hash, NULL, estimates_approval_hash
+FROM inventory_boats
+WHERE estimates_approved_by IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM estimate_approvals ea WHERE ea.inventory_boat_id = inventory_boats.id);
+
+ALTER TABLE estimate_approvals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read estimate approvals"
+  ON estimate_approvals FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage estimate approvals"
+  ON estimate_approvals FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE estimate_approvals;
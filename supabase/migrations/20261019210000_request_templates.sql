@@ -0,0 +1,84 @@
+-- ============================================================================
+-- SERVICE REQUEST TEMPLATES AND CHECKLISTS
+-- ============================================================================
+-- Every rigging request for a given brand needs the same items, so admins keep
+-- templates per request type, optionally narrowed to a make or a make + model.
+-- Creating a request copies the most specific matching template's items into
+-- service_requests.checklist; service checks them off on the request.
+--
+-- Template items: [{ key, label, required }]
+-- Request checklist items: [{ key, label, required, done, done_by, done_at }]
+-- (same item shape as boat_deliveries.checklist)
+--
+-- A request can't move to service-complete while a required item is open -
+-- enforced here as well as in the app, so dragging a card on the kanban board
+-- can't skip the checklist either.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS request_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  request_type TEXT NOT NULL,
+  make TEXT,
+  model TEXT,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- A model only narrows a make
+  CONSTRAINT request_templates_model_needs_make CHECK (model IS NULL OR make IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS request_templates_type_idx ON request_templates (request_type);
+
+ALTER TABLE service_requests ADD COLUMN IF NOT EXISTS checklist JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE service_requests ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES request_templates(id) ON DELETE SET NULL;
+
+ALTER TABLE request_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read request templates"
+  ON request_templates FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage request templates"
+  ON request_templates FOR ALL
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM users WHERE users.auth_id = auth.uid() AND users.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM users WHERE users.auth_id = auth.uid() AND users.role = 'admin'));
+
+ALTER PUBLICATION supabase_realtime ADD TABLE request_templates;
+
+-- ----------------------------------------------------------------------------
+-- Block service-complete while required checklist items are open
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION check_request_checklist()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_open TEXT;
+BEGIN
+  IF NEW.status = 'service-complete' AND OLD.status IS DISTINCT FROM 'service-complete' THEN
+    SELECT string_agg(item->>'label', ', ')
+    INTO v_open
+    FROM jsonb_array_elements(COALESCE(NEW.checklist, '[]'::jsonb)) AS item
+    WHERE COALESCE((item->>'required')::BOOLEAN, FALSE)
+      AND NOT COALESCE((item->>'done')::BOOLEAN, FALSE);
+
+    IF v_open IS NOT NULL THEN
+      RAISE EXCEPTION 'Required checklist items are not done: %', v_open USING ERRCODE = 'check_violation';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS service_requests_check_checklist ON service_requests;
+CREATE TRIGGER service_requests_check_checklist
+  BEFORE UPDATE OF status ON service_requests
+  FOR EACH ROW EXECUTE FUNCTION check_request_checklist();
@@ -0,0 +1,168 @@
+-- ============================================================================
+-- SERVICE REQUEST TYPES AND STATUS PIPELINES
+-- ============================================================================
+-- Request types used to be fixed to rigging and prep with one pipeline
+-- (open → scheduled → service-complete → closed). Warranty claims,
+-- customer-pay repairs and demo prep need their own types, some with extra
+-- stages like "Waiting on Parts", so types and their stages are data that
+-- admins edit in Settings → Request Types.
+--
+-- statuses: [{ key, label, color, roles: [role] }] in board order.
+--           Every pipeline has 'open' first and 'service-complete' then
+--           'closed' last (the app's hand-off and checklist gate use those
+--           keys); custom stages sit in between.
+--           roles lists who may move a request INTO the stage - empty means
+--           anyone. Admins always may, and the requester may always close
+--           their own request.
+--
+-- Stage membership and role restrictions are enforced below as well as in
+-- the app, so a drag on the kanban board can't get around them.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS request_types (
+  key TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  color TEXT NOT NULL DEFAULT 'slate',
+  statuses JSONB NOT NULL DEFAULT '[]'::JSONB,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID
+);
+
+ALTER TABLE request_types ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read request types"
+  ON request_types FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage request types"
+  ON request_types FOR ALL
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM users WHERE users.auth_id = auth.uid() AND users.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM users WHERE users.auth_id = auth.uid() AND users.role = 'admin'));
+
+ALTER PUBLICATION supabase_realtime ADD TABLE request_types;
+
+-- The type and status lists are now defined by request_types. Drop the old
+-- CHECKs on those columns by looking them up, whatever they were named
+DO $$
+DECLARE
+  v_constraint RECORD;
+BEGIN
+  FOR v_constraint IN
+    SELECT c.conname
+    FROM pg_constraint c
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+    WHERE c.conrelid = 'service_requests'::regclass
+      AND c.contype = 'c'
+      AND a.attname IN ('type', 'status')
+    GROUP BY c.conname
+  LOOP
+    EXECUTE format('ALTER TABLE service_requests DROP CONSTRAINT %I', v_constraint.conname);
+    RAISE NOTICE 'Dropped service_requests constraint %', v_constraint.conname;
+  END LOOP;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Seed with the original types and the new ones
+-- ----------------------------------------------------------------------------
+
+INSERT INTO request_types (key, label, color, sort_order, statuses)
+VALUES
+  ('rigging', 'Rigging', 'purple', 1, '[
+    {"key": "open", "label": "Open", "color": "yellow", "roles": []},
+    {"key": "scheduled", "label": "Scheduled", "color": "cyan", "roles": []},
+    {"key": "service-complete", "label": "Service Complete", "color": "blue", "roles": []},
+    {"key": "closed", "label": "Closed", "color": "green", "roles": []}
+  ]'::JSONB),
+  ('prep', 'Prep', 'orange', 2, '[
+    {"key": "open", "label": "Open", "color": "yellow", "roles": []},
+    {"key": "scheduled", "label": "Scheduled", "color": "cyan", "roles": []},
+    {"key": "service-complete", "label": "Service Complete", "color": "blue", "roles": []},
+    {"key": "closed", "label": "Closed", "color": "green", "roles": []}
+  ]'::JSONB),
+  ('warranty', 'Warranty Claim', 'red', 3, '[
+    {"key": "open", "label": "Open", "color": "yellow", "roles": []},
+    {"key": "waiting-on-parts", "label": "Waiting on Parts", "color": "amber", "roles": ["service", "manager"]},
+    {"key": "scheduled", "label": "Scheduled", "color": "cyan", "roles": ["service", "manager"]},
+    {"key": "service-complete", "label": "Service Complete", "color": "blue", "roles": ["service", "manager"]},
+    {"key": "closed", "label": "Closed", "color": "green", "roles": ["manager", "sales-manager"]}
+  ]'::JSONB),
+  ('customer-pay', 'Customer Pay', 'blue', 4, '[
+    {"key": "open", "label": "Open", "color": "yellow", "roles": []},
+    {"key": "waiting-on-parts", "label": "Waiting on Parts", "color": "amber", "roles": ["service", "manager"]},
+    {"key": "scheduled", "label": "Scheduled", "color": "cyan", "roles": []},
+    {"key": "service-complete", "label": "Service Complete", "color": "blue", "roles": ["service", "manager"]},
+    {"key": "closed", "label": "Closed", "color": "green", "roles": []}
+  ]'::JSONB),
+  ('demo-prep', 'Demo Prep', 'green', 5, '[
+    {"key": "open", "label": "Open", "color": "yellow", "roles": []},
+    {"key": "scheduled", "label": "Scheduled", "color": "cyan", "roles": []},
+    {"key": "service-complete", "label": "Service Complete", "color": "blue", "roles": []},
+    {"key": "closed", "label": "Closed", "color": "green", "roles": []}
+  ]'::JSONB)
+ON CONFLICT (key) DO NOTHING;
+
+-- ----------------------------------------------------------------------------
+-- Keep requests on their type's pipeline and enforce stage roles
+-- ----------------------------------------------------------------------------
+-- Types without a request_types row are left alone so old requests keep
+-- working. The role check only applies to signed-in users; edge functions
+-- using the service role have no auth.uid().
+
+CREATE OR REPLACE FUNCTION check_request_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_type request_types%ROWTYPE;
+  v_stage JSONB;
+  v_role TEXT;
+  v_user_id UUID;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status AND NEW.type IS NOT DISTINCT FROM OLD.type THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_type FROM request_types WHERE key = NEW.type;
+  IF NOT FOUND THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT stage INTO v_stage
+  FROM jsonb_array_elements(v_type.statuses) AS stage
+  WHERE stage->>'key' = NEW.status;
+
+  IF v_stage IS NULL THEN
+    IF NEW.status IN ('open', 'service-complete', 'closed') THEN
+      RETURN NEW;
+    END IF;
+    RAISE EXCEPTION '% requests don''t have a "%" stage', v_type.label, NEW.status USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF TG_OP = 'INSERT' OR auth.uid() IS NULL OR NEW.status IS NOT DISTINCT FROM OLD.status
+     OR jsonb_array_length(COALESCE(v_stage->'roles', '[]'::JSONB)) = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT id, role INTO v_user_id, v_role FROM users WHERE auth_id = auth.uid();
+  IF v_role = 'admin'
+     OR COALESCE(v_stage->'roles', '[]'::JSONB) ? v_role
+     OR (NEW.status = 'closed' AND NEW.created_by = v_user_id) THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'Your role can''t move % requests to %', v_type.label, COALESCE(v_stage->>'label', NEW.status)
+    USING ERRCODE = 'insufficient_privilege';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS service_requests_check_transition ON service_requests;
+CREATE TRIGGER service_requests_check_transition
+  BEFORE INSERT OR UPDATE OF status, type ON service_requests
+  FOR EACH ROW EXECUTE FUNCTION check_request_transition();
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- SERVICE REQUEST SCHEDULING AND TECHNICIAN CAPACITY
+-- ============================================================================
+-- The "Scheduled" stage used to be only a status. A request is now booked onto
+-- a day and (usually) a technician, and the Requests schedule board shows each
+-- tech's booked hours per day against their capacity.
+--
+-- Hours for a request come from the labor hours on its boat's Dockmaster
+-- estimate operations (work_orders.rigging_id = inventory_boats.dockmaster_id).
+-- estimated_hours overrides that when the estimate doesn't fit the job, e.g.
+-- two requests on the same boat share one estimate. NULL = use the estimate.
+--
+-- users.daily_capacity_hours is how many hours a tech can be booked in a day.
+-- Going over is allowed but flagged on the board, as is a request scheduled
+-- after its deadline_date.
+-- ============================================================================
+
+ALTER TABLE service_requests ADD COLUMN IF NOT EXISTS scheduled_date DATE;
+ALTER TABLE service_requests ADD COLUMN IF NOT EXISTS technician_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE service_requests ADD COLUMN IF NOT EXISTS estimated_hours NUMERIC(6,2)
+  CHECK (estimated_hours IS NULL OR estimated_hours >= 0);
+
+CREATE INDEX IF NOT EXISTS service_requests_schedule_idx
+  ON service_requests (scheduled_date, technician_id)
+  WHERE scheduled_date IS NOT NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS daily_capacity_hours NUMERIC(4,1) NOT NULL DEFAULT 8
+  CHECK (daily_capacity_hours >= 0);
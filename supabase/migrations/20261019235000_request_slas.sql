@@ -0,0 +1,169 @@
+-- ============================================================================
+-- SERVICE REQUEST SLAS, STATUS TIMELINE AND ESCALATION
+-- ============================================================================
+-- Overdue used to mean only "deadline_date has passed". Each request type now
+-- sets SLA limits in hours for three clocks (see _shared/requestSla.js):
+--
+-- request_types.sla: { schedule, service_complete, confirm, warn_percent }
+--   schedule          created → reaches the Scheduled stage
+--   service_complete  created → service-complete
+--   confirm           service-complete → closed
+--   NULL / missing = no SLA for that clock; warn_percent (default 75) is how
+--   far into the limit the assigned manager is warned.
+--
+-- request_status_history keeps every status change (written by the trigger
+-- below, so kanban drags, the detail modal and edge functions are all
+-- covered). The clocks are read from it and the detail modal shows it as the
+-- request's timeline.
+--
+-- service_requests.manager_id is the manager escalations go to; with no
+-- manager assigned they go to every admin, manager and sales manager (the
+-- roles a manager can be picked from, SLA_MANAGER_ROLES).
+-- request_sla_escalations records what was sent so the request-sla-escalations
+-- job warns once per clock and level; record_sla_escalation writes that row
+-- and the alerts together.
+-- ============================================================================
+
+ALTER TABLE request_types ADD COLUMN IF NOT EXISTS sla JSONB NOT NULL DEFAULT '{}'::JSONB;
+
+ALTER TABLE service_requests ADD COLUMN IF NOT EXISTS manager_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS request_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id UUID NOT NULL REFERENCES service_requests(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS request_status_history_request_idx
+  ON request_status_history (request_id, changed_at);
+
+CREATE TABLE IF NOT EXISTS request_sla_escalations (
+  request_id UUID NOT NULL REFERENCES service_requests(id) ON DELETE CASCADE,
+  sla_key TEXT NOT NULL CHECK (sla_key IN ('schedule', 'service_complete', 'confirm')),
+  level TEXT NOT NULL CHECK (level IN ('warning', 'breached')),
+  notified_user_ids UUID[] NOT NULL DEFAULT '{}',
+  notified_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (request_id, sla_key, level)
+);
+
+ALTER TABLE request_status_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE request_sla_escalations ENABLE ROW LEVEL SECURITY;
+
+-- History is only written by the trigger
+CREATE POLICY "Authenticated users can read request status history"
+  ON request_status_history FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can read request SLA escalations"
+  ON request_sla_escalations FOR SELECT
+  TO authenticated
+  USING (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE request_status_history;
+
+-- ----------------------------------------------------------------------------
+-- Record every status change
+-- changed_by is the caller's users row (auth_id = auth.uid()); service-role
+-- writes have none, so an insert falls back to the creator and an update to NULL
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION record_request_status_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO request_status_history (request_id, from_status, to_status, changed_by)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+      NEW.status,
+      COALESCE(
+        (SELECT id FROM users WHERE auth_id = auth.uid()),
+        CASE WHEN TG_OP = 'INSERT' THEN NEW.created_by END
+      )
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS service_requests_record_status ON service_requests;
+CREATE TRIGGER service_requests_record_status
+  AFTER INSERT OR UPDATE OF status ON service_requests
+  FOR EACH ROW EXECUTE FUNCTION record_request_status_change();
+
+-- ----------------------------------------------------------------------------
+-- Record an escalation and its alerts in one transaction
+-- Returns false if this clock and level was already escalated, so a failed
+-- alert insert never leaves a claim behind that stops later runs retrying.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION record_sla_escalation(
+  p_request_id UUID,
+  p_sla_key TEXT,
+  p_level TEXT,
+  p_user_ids UUID[],
+  p_message TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO request_sla_escalations (request_id, sla_key, level, notified_user_ids)
+  VALUES (p_request_id, p_sla_key, p_level, p_user_ids)
+  ON CONFLICT (request_id, sla_key, level) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  INSERT INTO notifications (user_id, type, source_type, source_id, request_id, message_preview, created_by)
+  SELECT user_id, 'sla_' || p_level, 'service_request', p_request_id, p_request_id, p_message, NULL
+  FROM unnest(p_user_ids) AS user_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+-- Only the escalation job (service role) calls this
+REVOKE EXECUTE ON FUNCTION record_sla_escalation(UUID, TEXT, TEXT, UUID[], TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Backfill what the existing columns tell us
+-- ----------------------------------------------------------------------------
+
+INSERT INTO request_status_history (request_id, from_status, to_status, changed_by, changed_at)
+SELECT id, NULL, 'open', created_by, created_at
+FROM service_requests
+WHERE NOT EXISTS (SELECT 1 FROM request_status_history h WHERE h.request_id = service_requests.id);
+
+INSERT INTO request_status_history (request_id, from_status, to_status, changed_by, changed_at)
+SELECT id, NULL, 'service-complete', service_completed_by, service_completed_at
+FROM service_requests
+WHERE service_completed_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM request_status_history h WHERE h.request_id = service_requests.id AND h.to_status = 'service-complete');
+
+INSERT INTO request_status_history (request_id, from_status, to_status, changed_by, changed_at)
+SELECT id, 'service-complete', 'closed', confirmed_by, confirmed_at
+FROM service_requests
+WHERE confirmed_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM request_status_history h WHERE h.request_id = service_requests.id AND h.to_status = 'closed');
+
+-- ----------------------------------------------------------------------------
+-- Starting SLAs for the seeded types (hours)
+-- ----------------------------------------------------------------------------
+
+UPDATE request_types SET sla = '{"schedule": 48, "service_complete": 336, "confirm": 72, "warn_percent": 75}'::JSONB
+WHERE key = 'warranty' AND sla = '{}'::JSONB;
+
+UPDATE request_types SET sla = '{"schedule": 24, "service_complete": 120, "confirm": 48, "warn_percent": 75}'::JSONB
+WHERE key = 'customer-pay' AND sla = '{}'::JSONB;
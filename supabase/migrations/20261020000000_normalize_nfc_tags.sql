@@ -0,0 +1,16 @@
+-- ============================================================================
+-- NORMALIZE NFC TAG SERIALS
+-- ============================================================================
+-- The scan page now stores and looks up tag serials trimmed and uppercase
+-- (normalizeNfcSerial in src/utils/nfcTags.js). Tags saved before that keep
+-- whatever case the reader reported and would no longer match, so bring them
+-- into the same form.
+-- ============================================================================
+
+UPDATE boats
+SET nfc_tag = UPPER(BTRIM(nfc_tag))
+WHERE nfc_tag IS NOT NULL AND nfc_tag <> UPPER(BTRIM(nfc_tag));
+
+UPDATE inventory_boats
+SET nfc_tag = UPPER(BTRIM(nfc_tag))
+WHERE nfc_tag IS NOT NULL AND nfc_tag <> UPPER(BTRIM(nfc_tag));
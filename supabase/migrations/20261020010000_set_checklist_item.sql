@@ -0,0 +1,75 @@
+-- ============================================================================
+-- ATOMIC CHECKLIST ITEM UPDATES
+-- ============================================================================
+-- Delivery and service request checklists are JSONB arrays of
+--   { key, label, done, done_by, done_at, ... }
+-- Checking an item used to rewrite the whole array from the client's copy, so
+-- two people ticking different items at once lost one of the ticks.
+-- set_checklist_item changes the one item inside a single UPDATE, against the
+-- row as it is when the update runs. done_by (and a delivery's updated_by) is
+-- the caller's users row, looked up from auth.uid() - never taken from the
+-- client.
+--
+-- Runs as the caller (SECURITY INVOKER), so the table's own RLS and triggers
+-- apply - e.g. a request can't lose a required tick the service-complete gate
+-- depends on without going through that table's rules.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION set_checklist_item(
+  p_table TEXT,
+  p_id UUID,
+  p_item_key TEXT,
+  p_done BOOLEAN
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_row JSONB;
+  v_extra TEXT := '';
+  v_user_id UUID;
+BEGIN
+  IF p_table NOT IN ('boat_deliveries', 'service_requests') THEN
+    RAISE EXCEPTION 'Checklists are not kept on %', p_table;
+  END IF;
+
+  SELECT id INTO v_user_id FROM users WHERE auth_id = auth.uid();
+
+  -- Deliveries stamp who last changed them
+  IF p_table = 'boat_deliveries' THEN
+    v_extra := ', updated_at = NOW(), updated_by = $4';
+  END IF;
+
+  EXECUTE format(
+    'UPDATE %I t
+     SET checklist = (
+       SELECT COALESCE(jsonb_agg(
+         CASE WHEN e.item->>''key'' = $2
+           THEN e.item || jsonb_build_object(
+             ''done'', $3,
+             ''done_by'', CASE WHEN $3 THEN $4 END,
+             ''done_at'', CASE WHEN $3 THEN NOW() END
+           )
+           ELSE e.item
+         END ORDER BY e.ord
+       ), ''[]''::JSONB)
+       FROM jsonb_array_elements(t.checklist) WITH ORDINALITY AS e(item, ord)
+     )%s
+     WHERE t.id = $1
+     RETURNING to_jsonb(t.*)',
+    p_table, v_extra
+  )
+  INTO v_row
+  USING p_id, p_item_key, p_done, v_user_id;
+
+  IF v_row IS NULL THEN
+    RAISE EXCEPTION 'Checklist not found or not editable';
+  END IF;
+
+  RETURN v_row;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_checklist_item(TEXT, UUID, TEXT, BOOLEAN) TO authenticated;